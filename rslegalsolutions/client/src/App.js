@@ -12,6 +12,11 @@ import Home from './pages/Home';
 import Services from './pages/Services';
 import ServiceDetail from './pages/ServiceDetail';
 import Appointments from './pages/Appointments';
+import ManageBooking from './pages/ManageBooking';
+import VerifyBooking from './pages/VerifyBooking';
+import WaitlistClaim from './pages/WaitlistClaim';
+import AcceptInvitation from './pages/AcceptInvitation';
+import AccountSecurity from './pages/AccountSecurity';
 import Blog from './pages/Blog';
 import BlogPost from './pages/BlogPost';
 import Contact from './pages/Contact';
@@ -19,8 +24,17 @@ import About from './pages/About';
 
 // Auth components
 import Login from './pages/auth/Login';
+import MagicLinkSignIn from './pages/auth/MagicLinkSignIn';
 import Register from './pages/auth/Register';
+import ForgotPassword from './pages/auth/ForgotPassword';
+import ResetPassword from './pages/auth/ResetPassword';
+import VerifyEmail from './pages/auth/VerifyEmail';
+import MyMatters from './pages/portal/MyMatters';
 import Dashboard from './pages/dashboard/Dashboard';
+import StaffInvitations from './pages/dashboard/StaffInvitations';
+import Users from './pages/dashboard/Users';
+import Roles from './pages/dashboard/Roles';
+import ClientAccounts from './pages/dashboard/ClientAccounts';
 import PrivateRoute from './components/auth/PrivateRoute';
 
 function App() {
@@ -37,18 +51,75 @@ function App() {
               <Route path="/services" element={<Services />} />
               <Route path="/services/:slug" element={<ServiceDetail />} />
               <Route path="/appointments" element={<Appointments />} />
+              <Route path="/appointments/manage" element={<ManageBooking />} />
+              <Route path="/appointments/verify/:token" element={<VerifyBooking />} />
+              <Route path="/appointments/:code" element={<ManageBooking />} />
+              <Route path="/waitlist/claim/:token" element={<WaitlistClaim />} />
               <Route path="/blog" element={<Blog />} />
               <Route path="/blog/:slug" element={<BlogPost />} />
               <Route path="/contact" element={<Contact />} />
               <Route path="/about" element={<About />} />
               <Route path="/login" element={<Login />} />
+              <Route path="/login/link" element={<MagicLinkSignIn />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/invitations/:token" element={<AcceptInvitation />} />
 
               {/* Protected Routes */}
               <Route
-                path="/dashboard/*"
+                path="/account/security"
                 element={
                   <PrivateRoute>
+                    <AccountSecurity />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/portal"
+                element={
+                  <PrivateRoute clientOnly>
+                    <MyMatters />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/dashboard/clients"
+                element={
+                  <PrivateRoute staffOnly requiredPermission="view_cases">
+                    <ClientAccounts />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/dashboard/users"
+                element={
+                  <PrivateRoute staffOnly requiredPermission="manage_users">
+                    <Users />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/dashboard/roles"
+                element={
+                  <PrivateRoute staffOnly requiredPermission="manage_roles">
+                    <Roles />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/dashboard/invitations"
+                element={
+                  <PrivateRoute staffOnly requiredPermission="manage_users">
+                    <StaffInvitations />
+                  </PrivateRoute>
+                }
+              />
+              <Route
+                path="/dashboard/*"
+                element={
+                  <PrivateRoute staffOnly>
                     <Dashboard />
                   </PrivateRoute>
                 }
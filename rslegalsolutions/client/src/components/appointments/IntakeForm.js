@@ -0,0 +1,102 @@
+import React from 'react';
+import {
+  Grid,
+  TextField,
+  MenuItem,
+  FormControlLabel,
+  FormHelperText,
+  Checkbox,
+  Typography,
+} from '@mui/material';
+import { visibleQuestions } from '../../utils/intake';
+
+const INPUT_TYPES = {
+  number: 'number',
+  date: 'date',
+  email: 'email',
+  phone: 'tel',
+};
+
+// Renders a service's intake questionnaire, hiding conditional questions
+// until the answer they depend on is given
+const IntakeForm = ({ fields, answers, onChange }) => {
+  const handleChange = (field) => (event) => {
+    const value = field.type === 'checkbox' ? event.target.checked : event.target.value;
+    onChange(field.key, value);
+  };
+
+  const renderField = (field) => {
+    switch (field.type) {
+      case 'checkbox':
+        return (
+          <>
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={answers[field.key] === true}
+                  onChange={handleChange(field)}
+                />
+              }
+              label={`${field.label}${field.required ? ' *' : ''}`}
+            />
+            {field.helpText && <FormHelperText>{field.helpText}</FormHelperText>}
+          </>
+        );
+
+      case 'select':
+      case 'multiselect':
+        return (
+          <TextField
+            select
+            fullWidth
+            label={field.label}
+            required={field.required}
+            helperText={field.helpText}
+            value={answers[field.key] ?? (field.type === 'multiselect' ? [] : '')}
+            onChange={handleChange(field)}
+            SelectProps={{ multiple: field.type === 'multiselect' }}
+          >
+            {field.options.map((option) => (
+              <MenuItem key={option} value={option}>
+                {option}
+              </MenuItem>
+            ))}
+          </TextField>
+        );
+
+      default:
+        return (
+          <TextField
+            fullWidth
+            label={field.label}
+            required={field.required}
+            helperText={field.helpText}
+            type={INPUT_TYPES[field.type] || 'text'}
+            multiline={field.type === 'textarea'}
+            rows={field.type === 'textarea' ? 4 : undefined}
+            value={answers[field.key] ?? ''}
+            onChange={handleChange(field)}
+            InputLabelProps={field.type === 'date' ? { shrink: true } : undefined}
+            inputProps={field.type === 'number' ? { min: field.min, max: field.max } : undefined}
+          />
+        );
+    }
+  };
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12}>
+        <Typography color="text.secondary">
+          A few questions help your lawyer prepare for the consultation.
+        </Typography>
+      </Grid>
+      {visibleQuestions(fields, answers).map((field) => (
+        <Grid item xs={12} key={field.key}>
+          {renderField(field)}
+        </Grid>
+      ))}
+    </Grid>
+  );
+};
+
+export default IntakeForm;
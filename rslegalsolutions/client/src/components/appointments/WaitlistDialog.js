@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Grid,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { waitlistAPI, handleApiError } from '../../services/api';
+import { formatDate, toDateKey } from '../../utils/dateTime';
+import { isIntakeComplete, intakeAnswers } from '../../utils/intake';
+import IntakeForm from './IntakeForm';
+
+// Collects contact details and the service's intake answers to join the
+// waitlist for a fully booked date
+const WaitlistDialog = ({ open, onClose, booking, intakeFields = [] }) => {
+  const [details, setDetails] = useState({
+    clientName: booking.clientName || '',
+    email: booking.email || '',
+    phone: booking.phone || '',
+  });
+  const [intake, setIntake] = useState(booking.intake || {});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [joined, setJoined] = useState(null);
+
+  const handleChange = (field) => (event) => {
+    setDetails((prev) => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleIntakeChange = (key, value) => {
+    setIntake((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleClose = () => {
+    setJoined(null);
+    setError(null);
+    onClose();
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await waitlistAPI.join({
+        ...details,
+        serviceType: booking.serviceType,
+        lawyer: booking.lawyer,
+        mode: booking.mode,
+        date: toDateKey(booking.appointmentDate),
+        intake: intakeAnswers(intakeFields, intake),
+      });
+      setJoined(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.errors?.length
+        ? `${errorDetails.message}: ${errorDetails.errors.join('; ')}`
+        : errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Join the Waitlist</DialogTitle>
+      <DialogContent>
+        {joined ? (
+          <Alert severity="success" sx={{ mt: 1 }}>
+            {joined.message} You are number {joined.position} in line.
+          </Alert>
+        ) : (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              {booking.appointmentDate && formatDate(booking.appointmentDate)} is fully booked.
+              Leave your details and we will email you a link to claim a slot if one opens up.
+            </DialogContentText>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+            <Grid container spacing={2}>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  label="Full Name"
+                  value={details.clientName}
+                  onChange={handleChange('clientName')}
+                  required
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  label="Email"
+                  type="email"
+                  value={details.email}
+                  onChange={handleChange('email')}
+                  required
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  label="Phone"
+                  value={details.phone}
+                  onChange={handleChange('phone')}
+                  required
+                />
+              </Grid>
+              {intakeFields.length > 0 && (
+                <Grid item xs={12}>
+                  <IntakeForm fields={intakeFields} answers={intake} onChange={handleIntakeChange} />
+                </Grid>
+              )}
+            </Grid>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>{joined ? 'Close' : 'Cancel'}</Button>
+        {!joined && (
+          <Button
+            variant="contained"
+            onClick={handleSubmit}
+            disabled={
+              !details.clientName || !details.email || !details.phone ||
+              !isIntakeComplete(intakeFields, intake) || loading
+            }
+          >
+            {loading ? <CircularProgress size={24} /> : 'Join Waitlist'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default WaitlistDialog;
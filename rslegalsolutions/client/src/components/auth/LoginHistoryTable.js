@@ -0,0 +1,53 @@
+import React from 'react';
+import { Table, TableHead, TableBody, TableRow, TableCell, Chip, Typography } from '@mui/material';
+import { formatDate, formatTime } from '../../utils/dateTime';
+import { LOGIN_OUTCOME_LABELS } from '../../utils/users';
+
+// Sign-in attempts, newest first. Admins also see which account each was for.
+const LoginHistoryTable = ({ entries, showAccount }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>When</TableCell>
+        {showAccount && <TableCell>Account</TableCell>}
+        <TableCell>Outcome</TableCell>
+        <TableCell>IP Address</TableCell>
+        <TableCell>Device</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {entries.length === 0 && (
+        <TableRow>
+          <TableCell colSpan={showAccount ? 5 : 4} align="center">
+            No sign-in attempts found
+          </TableCell>
+        </TableRow>
+      )}
+      {entries.map(entry => (
+        <TableRow key={entry._id}>
+          <TableCell sx={{ whiteSpace: 'nowrap' }}>
+            {formatDate(entry.createdAt)} {formatTime(entry.createdAt)}
+          </TableCell>
+          {showAccount && (
+            <TableCell>{entry.user?.name || entry.email}</TableCell>
+          )}
+          <TableCell>
+            <Chip
+              size="small"
+              label={LOGIN_OUTCOME_LABELS[entry.outcome] || entry.outcome}
+              color={entry.outcome === 'success' ? 'success' : 'warning'}
+            />
+          </TableCell>
+          <TableCell>{entry.ipAddress}</TableCell>
+          <TableCell>
+            <Typography variant="body2" color="text.secondary" sx={{ maxWidth: 320 }} noWrap title={entry.userAgent}>
+              {entry.userAgent || 'Unknown'}
+            </Typography>
+          </TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+export default LoginHistoryTable;
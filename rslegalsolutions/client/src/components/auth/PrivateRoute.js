@@ -3,7 +3,7 @@ import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { CircularProgress, Box } from '@mui/material';
 
-const PrivateRoute = ({ children, requiredPermission, requiredRole }) => {
+const PrivateRoute = ({ children, requiredPermission, requiredRole, staffOnly, clientOnly }) => {
   const { user, loading } = useAuth();
   const location = useLocation();
 
@@ -28,6 +28,16 @@ const PrivateRoute = ({ children, requiredPermission, requiredRole }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  // Keep client portal accounts out of staff pages
+  if (staffOnly && user.role === 'client') {
+    return <Navigate to="/portal" replace />;
+  }
+
+  // And staff out of the client portal
+  if (clientOnly && user.role !== 'client') {
+    return <Navigate to="/dashboard" replace />;
+  }
+
   // Check for required permission
   if (requiredPermission && !user.permissions.includes(requiredPermission)) {
     return <Navigate to="/unauthorized" replace />;
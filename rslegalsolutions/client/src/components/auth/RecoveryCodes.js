@@ -0,0 +1,34 @@
+import React, { useState } from 'react';
+import { Box, Paper, Typography, Button, Alert } from '@mui/material';
+import { ContentCopy } from '@mui/icons-material';
+
+// Recovery codes are only shown once, straight after they are generated
+const RecoveryCodes = ({ codes }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    setCopied(true);
+  };
+
+  return (
+    <Box>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+        authenticator app, and they will not be shown again.
+      </Alert>
+      <Paper variant="outlined" sx={{ p: 2, display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+        {codes.map(code => (
+          <Typography key={code} sx={{ fontFamily: 'monospace' }}>
+            {code}
+          </Typography>
+        ))}
+      </Paper>
+      <Button startIcon={<ContentCopy />} onClick={handleCopy} sx={{ mt: 1 }}>
+        {copied ? 'Copied' : 'Copy Codes'}
+      </Button>
+    </Box>
+  );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Typography, TextField, Button, Alert, CircularProgress } from '@mui/material';
+import { twoFactorAPI, handleApiError } from '../../services/api';
+
+// Shows a new authenticator secret and asks for a code from it. Pass the
+// challenge token when setting up during login; onConfirm gets the code and
+// returns { success, error }.
+const TwoFactorSetup = ({ challengeToken, onConfirm }) => {
+  const [enrolment, setEnrolment] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const startSetup = async () => {
+      try {
+        const response = await twoFactorAPI.setup(challengeToken ? { challengeToken } : {});
+        setEnrolment(response.data);
+      } catch (err) {
+        const errorDetails = handleApiError(err);
+        setError(errorDetails.message);
+      }
+    };
+
+    startSetup();
+  }, [challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    setSubmitting(true);
+    const result = await onConfirm(code);
+    setSubmitting(false);
+
+    if (!result.success) {
+      setError(result.error || 'Invalid verification code');
+      setCode('');
+    }
+  };
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {!enrolment && !error && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {enrolment && (
+        <>
+          <Typography paragraph>
+            Scan this QR code with an authenticator app such as Google Authenticator, Microsoft
+            Authenticator or 1Password, then enter the six digit code it shows.
+          </Typography>
+          <Box sx={{ textAlign: 'center' }}>
+            <img src={enrolment.qrCode} alt="Authenticator QR code" width={200} height={200} />
+          </Box>
+          <Typography variant="body2" color="text.secondary" align="center" sx={{ wordBreak: 'break-all' }}>
+            Or enter this key: <strong>{enrolment.secret}</strong>
+          </Typography>
+
+          <form onSubmit={handleSubmit}>
+            <TextField
+              fullWidth
+              label="Verification Code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              margin="normal"
+              autoComplete="one-time-code"
+              inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              fullWidth
+              disabled={submitting}
+              sx={{ mt: 2 }}
+            >
+              {submitting ? <CircularProgress size={24} /> : 'Turn On Two-Factor'}
+            </Button>
+          </form>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,300 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Tooltip,
+  Link,
+} from '@mui/material';
+import { alpha, useTheme } from '@mui/material/styles';
+import { formatTime, toDateKey } from '../../utils/dateTime';
+import { MODE_LABELS } from '../../utils/consultationModes';
+import {
+  STATUS_LABELS,
+  STATUS_COLORS,
+  getViewRange,
+  isSameDay,
+  isMovable,
+  isWorkingDay,
+  timeGridRows,
+  atMinutes,
+  startsAt,
+  moveToDay,
+} from '../../utils/calendar';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Appointments listed per month cell before the rest are collapsed
+const MONTH_CELL_LIMIT = 3;
+
+const minutesLabel = (minutes) => formatTime(atMinutes(new Date(), minutes));
+
+const AppointmentDetails = ({ appointment }) => (
+  <Box sx={{ p: 0.5 }}>
+    <Typography variant="subtitle2">{appointment.clientName}</Typography>
+    <Typography variant="body2">
+      {formatTime(appointment.startTime)} - {formatTime(appointment.endTime)}
+    </Typography>
+    <Typography variant="body2">{appointment.serviceType?.title}</Typography>
+    <Typography variant="body2">
+      {appointment.lawyer ? appointment.lawyer.name : 'Unassigned'} ·{' '}
+      {MODE_LABELS[appointment.mode || 'in-person']}
+    </Typography>
+    <Typography variant="body2">{appointment.email} · {appointment.phone}</Typography>
+    <Typography variant="body2">Status: {STATUS_LABELS[appointment.status]}</Typography>
+    {appointment.message && (
+      <Typography variant="body2" sx={{ mt: 0.5, fontStyle: 'italic' }}>
+        {appointment.message}
+      </Typography>
+    )}
+  </Box>
+);
+
+const AppointmentItem = ({ appointment, compact, onSelect, onDragStart, onDragEnd }) => {
+  const theme = useTheme();
+  const colorKey = STATUS_COLORS[appointment.status];
+  const color = colorKey === 'default' ? theme.palette.grey[500] : theme.palette[colorKey].main;
+  const movable = isMovable(appointment);
+
+  return (
+    <Tooltip title={<AppointmentDetails appointment={appointment} />} placement="right" arrow>
+      <Box
+        draggable={movable}
+        onDragStart={(event) => {
+          event.dataTransfer.effectAllowed = 'move';
+          event.dataTransfer.setData('text/plain', appointment._id);
+          onDragStart(appointment);
+        }}
+        onDragEnd={onDragEnd}
+        onClick={() => onSelect(appointment)}
+        sx={{
+          mb: 0.5,
+          px: 0.75,
+          py: compact ? 0.25 : 0.5,
+          borderLeft: `3px solid ${color}`,
+          borderRadius: 1,
+          bgcolor: alpha(color, 0.12),
+          cursor: movable ? 'grab' : 'pointer',
+          overflow: 'hidden',
+          textDecoration: ['cancelled', 'expired'].includes(appointment.status) ? 'line-through' : 'none',
+        }}
+      >
+        <Typography variant="caption" noWrap component="div">
+          {compact && `${formatTime(appointment.startTime)} `}
+          <strong>{appointment.clientName}</strong>
+        </Typography>
+        {!compact && (
+          <Typography variant="caption" noWrap component="div" color="text.secondary">
+            {appointment.serviceType?.title}
+            {appointment.lawyer && ` · ${appointment.lawyer.name}`}
+          </Typography>
+        )}
+      </Box>
+    </Tooltip>
+  );
+};
+
+// A cell that accepts dropped appointments
+const DropCell = ({ onDrop, disabled, highlight, children, sx }) => {
+  const theme = useTheme();
+  const [over, setOver] = useState(false);
+
+  return (
+    <Box
+      onDragOver={(event) => {
+        if (disabled) return;
+        event.preventDefault();
+        setOver(true);
+      }}
+      onDragLeave={() => setOver(false)}
+      onDrop={(event) => {
+        event.preventDefault();
+        setOver(false);
+        if (!disabled) onDrop();
+      }}
+      sx={{
+        borderRight: `1px solid ${theme.palette.divider}`,
+        borderBottom: `1px solid ${theme.palette.divider}`,
+        p: 0.5,
+        minWidth: 0,
+        bgcolor: over
+          ? alpha(theme.palette.primary.main, 0.12)
+          : disabled
+            ? theme.palette.action.hover
+            : highlight
+              ? alpha(theme.palette.primary.main, 0.04)
+              : 'transparent',
+        ...sx,
+      }}
+    >
+      {children}
+    </Box>
+  );
+};
+
+// Staff calendar of appointments in a day, week or month view. Upcoming
+// active appointments can be dragged to another slot (onMove) and any
+// appointment clicked to manage it (onSelect).
+const AppointmentCalendar = ({
+  view,
+  date,
+  appointments,
+  template,
+  closedDays,
+  onMove,
+  onSelect,
+  onShowDay,
+}) => {
+  const theme = useTheme();
+  const [dragging, setDragging] = useState(null);
+  const { days } = getViewRange(view, date);
+  const today = new Date();
+
+  const isClosed = (day) => closedDays.has(toDateKey(day)) || !isWorkingDay(template, day);
+
+  const handleDrop = (start) => {
+    if (dragging && start.getTime() !== new Date(dragging.startTime).getTime()) {
+      onMove(dragging, start);
+    }
+    setDragging(null);
+  };
+
+  const itemProps = {
+    onSelect,
+    onDragStart: setDragging,
+    onDragEnd: () => setDragging(null),
+  };
+
+  const dayHeader = (day) => (
+    <Box
+      key={day.toISOString()}
+      sx={{
+        p: 1,
+        textAlign: 'center',
+        borderRight: `1px solid ${theme.palette.divider}`,
+        borderBottom: `1px solid ${theme.palette.divider}`,
+        color: isSameDay(day, today) ? 'primary.main' : 'text.primary',
+      }}
+    >
+      <Typography variant="subtitle2">
+        {day.toLocaleDateString(undefined, { weekday: 'short' })}
+      </Typography>
+      <Typography variant="body2">{day.getDate()}</Typography>
+      {closedDays.has(toDateKey(day)) && (
+        <Typography variant="caption" color="text.secondary" noWrap component="div">
+          {closedDays.get(toDateKey(day))}
+        </Typography>
+      )}
+    </Box>
+  );
+
+  if (view === 'month') {
+    const month = new Date(date).getMonth();
+
+    return (
+      <Paper variant="outlined" sx={{ overflowX: 'auto' }}>
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(7, minmax(120px, 1fr))' }}>
+          {WEEKDAYS.map((weekday) => (
+            <Box
+              key={weekday}
+              sx={{ p: 1, textAlign: 'center', borderBottom: `1px solid ${theme.palette.divider}` }}
+            >
+              <Typography variant="subtitle2">{weekday}</Typography>
+            </Box>
+          ))}
+          {days.map((day) => {
+            const dayAppointments = appointments.filter((appointment) =>
+              isSameDay(appointment.startTime, day));
+            const hidden = dayAppointments.length - MONTH_CELL_LIMIT;
+
+            return (
+              <DropCell
+                key={day.toISOString()}
+                disabled={isClosed(day)}
+                highlight={isSameDay(day, today)}
+                onDrop={() => handleDrop(dragging && moveToDay(dragging.startTime, day))}
+                sx={{ minHeight: 110, opacity: day.getMonth() === month ? 1 : 0.6 }}
+              >
+                <Link
+                  component="button"
+                  variant="body2"
+                  underline="hover"
+                  onClick={() => onShowDay(day)}
+                  sx={{ mb: 0.5, fontWeight: isSameDay(day, today) ? 'bold' : 'normal' }}
+                >
+                  {day.getDate()}
+                </Link>
+                {dayAppointments.slice(0, MONTH_CELL_LIMIT).map((appointment) => (
+                  <AppointmentItem key={appointment._id} appointment={appointment} compact {...itemProps} />
+                ))}
+                {hidden > 0 && (
+                  <Link component="button" variant="caption" onClick={() => onShowDay(day)}>
+                    +{hidden} more
+                  </Link>
+                )}
+              </DropCell>
+            );
+          })}
+        </Box>
+      </Paper>
+    );
+  }
+
+  const rows = timeGridRows(template, appointments);
+
+  return (
+    <Paper variant="outlined" sx={{ overflowX: 'auto' }}>
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: `80px repeat(${days.length}, minmax(${view === 'day' ? 240 : 130}px, 1fr))`,
+        }}
+      >
+        <Box sx={{ borderRight: `1px solid ${theme.palette.divider}`, borderBottom: `1px solid ${theme.palette.divider}` }} />
+        {days.map(dayHeader)}
+
+        {rows.map((minutes) => (
+          <React.Fragment key={minutes}>
+            <Box
+              sx={{
+                p: 1,
+                borderRight: `1px solid ${theme.palette.divider}`,
+                borderBottom: `1px solid ${theme.palette.divider}`,
+              }}
+            >
+              <Typography variant="caption" color="text.secondary">
+                {minutesLabel(minutes)}
+              </Typography>
+            </Box>
+            {days.map((day) => {
+              const start = atMinutes(day, minutes);
+
+              return (
+                <DropCell
+                  key={day.toISOString()}
+                  disabled={isClosed(day) || start <= today}
+                  highlight={isSameDay(day, today)}
+                  onDrop={() => handleDrop(start)}
+                  sx={{ minHeight: 56 }}
+                >
+                  {appointments
+                    .filter((appointment) => startsAt(appointment, day, minutes))
+                    .map((appointment) => (
+                      <AppointmentItem key={appointment._id} appointment={appointment} {...itemProps} />
+                    ))}
+                </DropCell>
+              );
+            })}
+          </React.Fragment>
+        ))}
+      </Box>
+      {!rows.length && (
+        <Typography align="center" color="text.secondary" sx={{ p: 4 }}>
+          No office hours are set for this period.
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default AppointmentCalendar;
@@ -0,0 +1,310 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Grid,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Button,
+  Alert,
+  CircularProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+} from '@mui/material';
+import { appointmentsAPI, seriesAPI, handleApiError } from '../../services/api';
+import { formatDate, formatTime } from '../../utils/dateTime';
+import { MODE_LABELS, serviceModes } from '../../utils/consultationModes';
+import { REPEAT_OPTIONS, buildRule } from '../../utils/series';
+import { isIntakeComplete, intakeAnswers } from '../../utils/intake';
+import IntakeForm from '../appointments/IntakeForm';
+
+const initialForm = {
+  clientName: '',
+  email: '',
+  phone: '',
+  serviceType: '',
+  lawyer: 'any',
+  mode: 'in-person',
+  startTime: '',
+  repeat: 'monthly-weekday',
+  count: 12,
+  rule: '',
+  message: '',
+  intake: {},
+};
+
+// Book a recurring series for a client. Staff check the occurrences for
+// conflicts first and can then book the free ones, skipping the rest.
+const SeriesDialog = ({ open, services, onClose, onCreated }) => {
+  const [form, setForm] = useState(initialForm);
+  const [lawyers, setLawyers] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open) {
+      setForm(initialForm);
+      setPreview(null);
+      setError(null);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (!form.serviceType) {
+      setLawyers([]);
+      return;
+    }
+
+    appointmentsAPI.getLawyers(form.serviceType)
+      .then((response) => setLawyers(response.data))
+      .catch((err) => setError(handleApiError(err).message));
+  }, [form.serviceType]);
+
+  const selectedService = services.find((service) => service._id === form.serviceType);
+
+  const handleChange = (field) => (event) => {
+    const { value } = event.target;
+    setPreview(null);
+    setForm((prev) => {
+      const next = { ...prev, [field]: value };
+      if (field === 'serviceType') {
+        const modes = serviceModes(services.find((service) => service._id === value));
+        next.lawyer = 'any';
+        next.intake = {};
+        next.mode = modes.includes(prev.mode) ? prev.mode : modes[0];
+      }
+      return next;
+    });
+  };
+
+  const handleIntakeChange = (key, value) => {
+    setPreview(null);
+    setForm((prev) => ({ ...prev, intake: { ...prev.intake, [key]: value } }));
+  };
+
+  const intakeFields = selectedService?.intakeForm || [];
+
+  const seriesData = () => ({
+    clientName: form.clientName,
+    email: form.email,
+    phone: form.phone,
+    serviceType: form.serviceType,
+    lawyer: form.lawyer,
+    mode: form.mode,
+    startTime: new Date(form.startTime).toISOString(),
+    rule: form.repeat === 'custom'
+      ? form.rule
+      : buildRule(form.repeat, form.startTime, parseInt(form.count, 10) || undefined),
+    message: form.message || undefined,
+    intake: intakeAnswers(intakeFields, form.intake),
+  });
+
+  const handlePreview = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await seriesAPI.preview(seriesData());
+      setPreview(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.errors?.length
+        ? `${errorDetails.message}: ${errorDetails.errors.join('; ')}`
+        : errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await seriesAPI.create({ ...seriesData(), skipConflicts: true });
+      onCreated(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.errors?.length
+        ? `${errorDetails.message}: ${errorDetails.errors.join('; ')}`
+        : errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const available = preview ? preview.occurrences.filter((occurrence) => occurrence.available) : [];
+  const canPreview = form.clientName && form.email && form.phone && form.serviceType && form.startTime &&
+    (form.repeat !== 'custom' || form.rule) && isIntakeComplete(intakeFields, form.intake);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>New Recurring Series</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12} sm={4}>
+            <TextField label="Client Name" value={form.clientName} onChange={handleChange('clientName')} fullWidth required />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField label="Email" type="email" value={form.email} onChange={handleChange('email')} fullWidth required />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField label="Phone" value={form.phone} onChange={handleChange('phone')} fullWidth required />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <FormControl fullWidth required>
+              <InputLabel>Service</InputLabel>
+              <Select value={form.serviceType} label="Service" onChange={handleChange('serviceType')}>
+                {services.map((service) => (
+                  <MenuItem key={service._id} value={service._id}>
+                    {service.title}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <FormControl fullWidth disabled={!form.serviceType}>
+              <InputLabel>Lawyer</InputLabel>
+              <Select value={form.lawyer} label="Lawyer" onChange={handleChange('lawyer')}>
+                <MenuItem value="any">Any available lawyer</MenuItem>
+                {lawyers.map((lawyer) => (
+                  <MenuItem key={lawyer._id} value={lawyer._id}>
+                    {lawyer.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <FormControl fullWidth>
+              <InputLabel>Consultation</InputLabel>
+              <Select value={form.mode} label="Consultation" onChange={handleChange('mode')}>
+                {serviceModes(selectedService).map((mode) => (
+                  <MenuItem key={mode} value={mode}>
+                    {MODE_LABELS[mode]}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              label="First Appointment"
+              type="datetime-local"
+              value={form.startTime}
+              onChange={handleChange('startTime')}
+              InputLabelProps={{ shrink: true }}
+              fullWidth
+              required
+            />
+          </Grid>
+          <Grid item xs={12} sm={form.repeat === 'custom' ? 8 : 5}>
+            <FormControl fullWidth>
+              <InputLabel>Repeats</InputLabel>
+              <Select value={form.repeat} label="Repeats" onChange={handleChange('repeat')}>
+                {REPEAT_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          {form.repeat === 'custom' ? (
+            <Grid item xs={12}>
+              <TextField
+                label="Recurrence Rule"
+                placeholder="FREQ=MONTHLY;BYDAY=1MO;COUNT=12"
+                value={form.rule}
+                onChange={handleChange('rule')}
+                fullWidth
+                required
+              />
+            </Grid>
+          ) : (
+            <Grid item xs={12} sm={3}>
+              <TextField
+                label="Appointments"
+                type="number"
+                value={form.count}
+                onChange={handleChange('count')}
+                inputProps={{ min: 1 }}
+                fullWidth
+              />
+            </Grid>
+          )}
+          <Grid item xs={12}>
+            <TextField
+              label="Message (optional)"
+              value={form.message}
+              onChange={handleChange('message')}
+              inputProps={{ maxLength: 500 }}
+              multiline
+              rows={2}
+              fullWidth
+            />
+          </Grid>
+          {intakeFields.length > 0 && (
+            <Grid item xs={12}>
+              <IntakeForm fields={intakeFields} answers={form.intake} onChange={handleIntakeChange} />
+            </Grid>
+          )}
+        </Grid>
+
+        {preview && (
+          <>
+            <Alert severity={available.length === preview.occurrences.length ? 'success' : 'warning'} sx={{ mt: 2 }}>
+              {available.length} of {preview.occurrences.length} appointments are available.
+              {available.length < preview.occurrences.length && ' Conflicting dates will be skipped.'}
+            </Alert>
+            <List dense sx={{ maxHeight: 240, overflowY: 'auto' }}>
+              {preview.occurrences.map((occurrence) => (
+                <ListItem
+                  key={occurrence.startTime}
+                  secondaryAction={
+                    <Chip
+                      size="small"
+                      label={occurrence.available ? 'Available' : 'Conflict'}
+                      color={occurrence.available ? 'success' : 'error'}
+                    />
+                  }
+                >
+                  <ListItemText
+                    primary={`${formatDate(occurrence.startTime)} at ${formatTime(occurrence.startTime)}`}
+                    secondary={occurrence.reason}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        {preview ? (
+          <Button variant="contained" onClick={handleCreate} disabled={loading || !available.length}>
+            {loading ? <CircularProgress size={24} /> : `Book ${available.length} Appointments`}
+          </Button>
+        ) : (
+          <Button variant="contained" onClick={handlePreview} disabled={loading || !canPreview}>
+            {loading ? <CircularProgress size={24} /> : 'Check Availability'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SeriesDialog;
@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  Grid,
+  TextField,
+  FormControl,
+  FormLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  Button,
+  Alert,
+  CircularProgress,
+  Typography,
+} from '@mui/material';
+import { seriesAPI, handleApiError } from '../../services/api';
+import { formatDate, formatTime } from '../../utils/dateTime';
+import { MODE_LABELS, serviceModes } from '../../utils/consultationModes';
+import { EDIT_SCOPES, toLocalInput } from '../../utils/series';
+
+// Edit or cancel an appointment that belongs to a recurring series, for
+// just this appointment, this and the following ones, or the whole series
+const SeriesEditDialog = ({ appointment, services, lawyers, onClose, onSaved }) => {
+  const [series, setSeries] = useState(null);
+  const [form, setForm] = useState(null);
+  const [conflicts, setConflicts] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!appointment) {
+      setSeries(null);
+      setForm(null);
+      setConflicts(null);
+      setError(null);
+      return;
+    }
+
+    seriesAPI.get(appointment.series)
+      .then((response) => {
+        const current = response.data.series;
+        setSeries(current);
+        setForm({
+          scope: 'this',
+          startTime: toLocalInput(appointment.startTime),
+          lawyer: current.lawyer?._id || 'any',
+          mode: appointment.mode || current.mode,
+          message: appointment.message || '',
+          rule: current.rule,
+        });
+      })
+      .catch((err) => setError(handleApiError(err).message));
+  }, [appointment]);
+
+  const handleChange = (field) => (event) => {
+    setConflicts(null);
+    setForm((prev) => ({ ...prev, [field]: event.target.value }));
+  };
+
+  // Only send what changed. Moving the whole series shifts its first
+  // appointment by as much as this one moved.
+  const updateData = () => {
+    const data = { scope: form.scope, appointment: appointment._id };
+    const startTime = new Date(form.startTime);
+    const moved = startTime.getTime() - new Date(appointment.startTime).getTime();
+
+    if (moved) {
+      data.startTime = form.scope === 'all'
+        ? new Date(new Date(series.startTime).getTime() + moved).toISOString()
+        : startTime.toISOString();
+    }
+    if (form.lawyer !== (form.scope === 'this' ? appointment.lawyer?._id || 'any' : series.lawyer?._id || 'any')) {
+      data.lawyer = form.lawyer;
+    }
+    if (form.mode !== (appointment.mode || series.mode)) {
+      data.mode = form.mode;
+    }
+    if (form.message !== (appointment.message || '')) {
+      data.message = form.message;
+    }
+    if (form.scope !== 'this' && form.rule !== series.rule) {
+      data.rule = form.rule;
+    }
+    return data;
+  };
+
+  const handleSave = async (skipConflicts = false) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await seriesAPI.update(series._id, { ...updateData(), skipConflicts: skipConflicts || undefined });
+      onSaved(response.data.message);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+      setConflicts(err.response?.data?.conflicts || null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (fromThis) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await seriesAPI.cancel(series._id, fromThis ? appointment._id : undefined);
+      onSaved(response.data.message);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const service = services.find((item) => item._id === (series?.serviceType?._id || series?.serviceType));
+
+  return (
+    <Dialog open={!!appointment} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Edit Recurring Appointment</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+            {conflicts && (
+              <ul style={{ margin: 0, paddingLeft: 20 }}>
+                {conflicts.map((conflict) => (
+                  <li key={conflict.startTime}>
+                    {formatDate(conflict.startTime)} at {formatTime(conflict.startTime)}: {conflict.reason}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Alert>
+        )}
+        {!form ? (
+          !error && <CircularProgress />
+        ) : (
+          <>
+            <DialogContentText sx={{ mb: 2 }}>
+              {series.clientName}'s {series.serviceType?.title} series, repeating <code>{series.rule}</code>
+            </DialogContentText>
+            <FormControl sx={{ mb: 2 }}>
+              <FormLabel>Apply changes to</FormLabel>
+              <RadioGroup value={form.scope} onChange={handleChange('scope')}>
+                {EDIT_SCOPES.map((scope) => (
+                  <FormControlLabel key={scope.value} value={scope.value} control={<Radio />} label={scope.label} />
+                ))}
+              </RadioGroup>
+            </FormControl>
+            <Grid container spacing={2}>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  label="Time"
+                  type="datetime-local"
+                  value={form.startTime}
+                  onChange={handleChange('startTime')}
+                  InputLabelProps={{ shrink: true }}
+                  fullWidth
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth>
+                  <InputLabel>Lawyer</InputLabel>
+                  <Select value={form.lawyer} label="Lawyer" onChange={handleChange('lawyer')}>
+                    <MenuItem value="any">Any available lawyer</MenuItem>
+                    {lawyers.map((lawyer) => (
+                      <MenuItem key={lawyer._id} value={lawyer._id}>
+                        {lawyer.name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth>
+                  <InputLabel>Consultation</InputLabel>
+                  <Select value={form.mode} label="Consultation" onChange={handleChange('mode')}>
+                    {serviceModes(service).map((mode) => (
+                      <MenuItem key={mode} value={mode}>
+                        {MODE_LABELS[mode]}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              {form.scope !== 'this' && (
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    label="Recurrence Rule"
+                    value={form.rule}
+                    onChange={handleChange('rule')}
+                    fullWidth
+                  />
+                </Grid>
+              )}
+              <Grid item xs={12}>
+                <TextField
+                  label="Message"
+                  value={form.message}
+                  onChange={handleChange('message')}
+                  inputProps={{ maxLength: 500 }}
+                  multiline
+                  rows={2}
+                  fullWidth
+                />
+              </Grid>
+            </Grid>
+            <Typography variant="subtitle2" sx={{ mt: 3 }}>
+              Cancel appointments
+            </Typography>
+            <Button color="error" onClick={() => handleCancel(true)} disabled={saving} sx={{ mr: 1 }}>
+              Cancel This and Following
+            </Button>
+            <Button color="error" onClick={() => handleCancel(false)} disabled={saving}>
+              Cancel Rest of Series
+            </Button>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+        {conflicts && (
+          <Button variant="outlined" onClick={() => handleSave(true)} disabled={saving}>
+            Skip Conflicting Dates
+          </Button>
+        )}
+        <Button variant="contained" onClick={() => handleSave()} disabled={saving || !form}>
+          {saving ? <CircularProgress size={24} /> : 'Save Changes'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SeriesEditDialog;
@@ -29,6 +29,8 @@ import {
   Person,
   Dashboard,
   Login,
+  Lock,
+  Folder,
 } from '@mui/icons-material';
 import { useAuth } from '../../hooks/useAuth';
 
@@ -36,7 +38,7 @@ const Navbar = () => {
   const theme = useTheme();
   const navigate = useNavigate();
   const isMobile = useMediaQuery(theme.breakpoints.down('md'));
-  const { user, logout } = useAuth();
+  const { user, logout, logoutEverywhere, isStaff } = useAuth();
 
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [userMenuAnchor, setUserMenuAnchor] = useState(null);
@@ -59,6 +61,14 @@ const Navbar = () => {
     navigate('/');
   };
 
+  const handleLogoutEverywhere = async () => {
+    handleUserMenuClose();
+    const result = await logoutEverywhere();
+    if (result.success) {
+      navigate('/');
+    }
+  };
+
   const menuItems = [
     { text: 'Home', icon: <Home />, path: '/' },
     { text: 'Services', icon: <Gavel />, path: '/services' },
@@ -99,9 +109,20 @@ const Navbar = () => {
         <Divider />
         {user ? (
           <>
-            <ListItem button component={RouterLink} to="/dashboard" onClick={handleMobileMenuToggle}>
-              <ListItemIcon><Dashboard /></ListItemIcon>
-              <ListItemText primary="Dashboard" />
+            {isStaff() ? (
+              <ListItem button component={RouterLink} to="/dashboard" onClick={handleMobileMenuToggle}>
+                <ListItemIcon><Dashboard /></ListItemIcon>
+                <ListItemText primary="Dashboard" />
+              </ListItem>
+            ) : (
+              <ListItem button component={RouterLink} to="/portal" onClick={handleMobileMenuToggle}>
+                <ListItemIcon><Folder /></ListItemIcon>
+                <ListItemText primary="My Matters" />
+              </ListItem>
+            )}
+            <ListItem button component={RouterLink} to="/account/security" onClick={handleMobileMenuToggle}>
+              <ListItemIcon><Lock /></ListItemIcon>
+              <ListItemText primary="Security" />
             </ListItem>
             <ListItem button onClick={handleLogout}>
               <ListItemIcon><Login /></ListItemIcon>
@@ -145,10 +166,20 @@ const Navbar = () => {
             open={Boolean(userMenuAnchor)}
             onClose={handleUserMenuClose}
           >
-            <MenuItem component={RouterLink} to="/dashboard" onClick={handleUserMenuClose}>
-              Dashboard
+            {isStaff() ? (
+              <MenuItem component={RouterLink} to="/dashboard" onClick={handleUserMenuClose}>
+                Dashboard
+              </MenuItem>
+            ) : (
+              <MenuItem component={RouterLink} to="/portal" onClick={handleUserMenuClose}>
+                My Matters
+              </MenuItem>
+            )}
+            <MenuItem component={RouterLink} to="/account/security" onClick={handleUserMenuClose}>
+              Security
             </MenuItem>
             <MenuItem onClick={handleLogout}>Logout</MenuItem>
+            <MenuItem onClick={handleLogoutEverywhere}>Logout of All Devices</MenuItem>
           </Menu>
         </>
       ) : (
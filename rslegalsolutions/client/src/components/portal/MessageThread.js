@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  Paper,
+  CircularProgress,
+} from '@mui/material';
+import { formatDate, formatTime } from '../../utils/dateTime';
+
+// A client's conversation with the firm. `mine` says which side is the
+// viewer's; onSend(body) resolves to true once the message is sent.
+const MessageThread = ({ messages, mine, onSend, emptyText }) => {
+  const [body, setBody] = useState('');
+  const [sending, setSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSending(true);
+    const sent = await onSend(body.trim());
+    setSending(false);
+
+    if (sent) {
+      setBody('');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ maxHeight: 420, overflowY: 'auto', mb: 2 }}>
+        {messages.length === 0 && (
+          <Typography color="text.secondary" sx={{ py: 2 }}>
+            {emptyText || 'No messages yet.'}
+          </Typography>
+        )}
+        {messages.map((message) => {
+          const isMine = mine(message);
+          return (
+            <Box
+              key={message._id}
+              sx={{ display: 'flex', justifyContent: isMine ? 'flex-end' : 'flex-start', mb: 1 }}
+            >
+              <Paper
+                variant="outlined"
+                sx={{
+                  p: 1.5,
+                  maxWidth: '75%',
+                  bgcolor: isMine ? 'action.selected' : 'background.paper',
+                }}
+              >
+                <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                  {message.body}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {message.sender?.name || (message.fromClient ? 'Client' : 'RS Legal Solutions')}
+                  {' · '}
+                  {formatDate(message.createdAt)} {formatTime(message.createdAt)}
+                </Typography>
+              </Paper>
+            </Box>
+          );
+        })}
+      </Box>
+
+      <form onSubmit={handleSubmit}>
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          label="Message"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          inputProps={{ maxLength: 5000 }}
+        />
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1 }}>
+          <Button type="submit" variant="contained" disabled={sending || !body.trim()}>
+            {sending ? <CircularProgress size={24} /> : 'Send'}
+          </Button>
+        </Box>
+      </form>
+    </Box>
+  );
+};
+
+export default MessageThread;
@@ -1,8 +1,11 @@
 import React, { createContext, useState, useEffect } from 'react';
-import axios from 'axios';
+import { authAPI, invitationsAPI, twoFactorAPI, saveSession, clearSession } from '../services/api';
 
 export const AuthContext = createContext(null);
 
+// Where the browser keeps the key that ties an emailed sign-in link to it
+const MAGIC_LINK_KEY = 'magicLinkKey';
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -12,25 +15,21 @@ export const AuthProvider = ({ children }) => {
     // Check if user is logged in on mount
     const token = localStorage.getItem('token');
     if (token) {
-      loadUser(token);
+      loadUser();
     } else {
       setLoading(false);
     }
   }, []);
 
-  const loadUser = async (token) => {
+  // An expired access token is refreshed by the api interceptor; only a dead
+  // session ends up here, and it should not redirect away from public pages
+  const loadUser = async () => {
     try {
-      const config = {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      };
-
-      const response = await axios.get('/api/auth/profile', config);
+      const response = await authAPI.getProfile({ redirectOnAuthFailure: false });
       setUser(response.data);
       setError(null);
     } catch (err) {
-      localStorage.removeItem('token');
+      clearSession();
       setError('Session expired. Please login again.');
       setUser(null);
     } finally {
@@ -38,72 +37,175 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Leaves `loading` alone so the login page keeps its place between the
+  // password and two-factor steps. When a second factor is needed no session
+  // is started; the result carries the challenge token for the next step.
   const login = async (email, password) => {
     try {
-      setLoading(true);
-      const response = await axios.post('/api/auth/login', {
-        email,
-        password
-      });
-
-      const { token, user: userData } = response.data;
-      localStorage.setItem('token', token);
-      setUser(userData);
-      setError(null);
+      const response = await authAPI.login({ email, password });
+      const { twoFactorRequired, twoFactorSetupRequired, challengeToken } = response.data;
 
-      // Configure axios defaults for future requests
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      if (twoFactorRequired || twoFactorSetupRequired) {
+        return { success: false, twoFactorRequired, twoFactorSetupRequired, challengeToken };
+      }
 
-      return { success: true };
+      saveSession(response.data);
+      setUser(response.data.user);
+      setError(null);
+
+      return { success: true, user: response.data.user };
     } catch (err) {
       setError(err.response?.data?.message || 'Login failed');
       return { success: false, error: err.response?.data?.message };
-    } finally {
-      setLoading(false);
     }
   };
 
-  const register = async (userData) => {
+  // Ask for an emailed sign-in link. The key the server returns is kept so
+  // that only this browser can use the link. Like login, these two leave
+  // `loading` alone.
+  const requestMagicLink = async (email) => {
     try {
-      setLoading(true);
-      const response = await axios.post('/api/auth/register', userData);
+      const response = await authAPI.requestMagicLink(email);
+      localStorage.setItem(MAGIC_LINK_KEY, response.data.browserKey);
+      setError(null);
+      return { success: true, message: response.data.message };
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not send a sign-in link');
+      return { success: false, error: err.response?.data?.message };
+    }
+  };
+
+  // Sign in with an emailed link. Like login, the result may ask for a
+  // second factor instead of starting a session.
+  const signInWithMagicLink = async (linkToken) => {
+    try {
+      const response = await authAPI.verifyMagicLink(linkToken, localStorage.getItem(MAGIC_LINK_KEY) || '');
+      const { twoFactorRequired, twoFactorSetupRequired, challengeToken } = response.data;
+      localStorage.removeItem(MAGIC_LINK_KEY);
+
+      if (twoFactorRequired || twoFactorSetupRequired) {
+        return { success: false, twoFactorRequired, twoFactorSetupRequired, challengeToken };
+      }
+
+      saveSession(response.data);
+      setUser(response.data.user);
+      setError(null);
+
+      return { success: true, user: response.data.user };
+    } catch (err) {
+      setError(err.response?.data?.message || 'Sign in failed');
+      return { success: false, error: err.response?.data?.message };
+    }
+  };
+
+  // Second login step: an authenticator code or a recovery code
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await authAPI.verifyTwoFactor({ challengeToken, code, recoveryCode });
+
+      saveSession(response.data);
+      setUser(response.data.user);
+      setError(null);
+
+      return { success: true, user: response.data.user };
+    } catch (err) {
+      setError(err.response?.data?.message || 'Verification failed');
+      return { success: false, error: err.response?.data?.message };
+    }
+  };
+
+  // Finish the two-factor setup a role requires before its first sign in.
+  // The caller shows the returned recovery codes before moving on.
+  const completeTwoFactorSetup = async (challengeToken, code) => {
+    try {
+      const response = await twoFactorAPI.enable({ challengeToken, code });
 
-      const { token, user: newUser } = response.data;
-      localStorage.setItem('token', token);
-      setUser(newUser);
+      saveSession(response.data);
+      setUser(response.data.user);
       setError(null);
 
-      // Configure axios defaults for future requests
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      return { success: true, user: response.data.user, recoveryCodes: response.data.recoveryCodes };
+    } catch (err) {
+      setError(err.response?.data?.message || 'Two-factor setup failed');
+      return { success: false, error: err.response?.data?.message };
+    }
+  };
+
+  // Leaves `loading` alone so the form keeps what was typed if it fails.
+  // A role requiring two-factor gets a setup challenge instead of a session.
+  const register = async (userData) => {
+    try {
+      const response = await authAPI.register(userData);
+      const { twoFactorSetupRequired, challengeToken } = response.data;
+
+      if (twoFactorSetupRequired) {
+        return { success: false, twoFactorSetupRequired, challengeToken };
+      }
+
+      saveSession(response.data);
+      setUser(response.data.user);
+      setError(null);
 
       return { success: true };
     } catch (err) {
       setError(err.response?.data?.message || 'Registration failed');
       return { success: false, error: err.response?.data?.message };
-    } finally {
-      setLoading(false);
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
+  // Leaves `loading` alone so the invitation page stays mounted while it
+  // submits. Like register, the result may ask for two-factor setup.
+  const acceptInvitation = async (invitationToken, details) => {
+    try {
+      const response = await invitationsAPI.accept(invitationToken, details);
+      const { twoFactorSetupRequired, challengeToken } = response.data;
+
+      if (twoFactorSetupRequired) {
+        return { success: false, twoFactorSetupRequired, challengeToken };
+      }
+
+      saveSession(response.data);
+      setUser(response.data.user);
+      setError(null);
+
+      return { success: true };
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not accept invitation');
+      return { success: false, error: err.response?.data?.message };
+    }
+  };
+
+  // Revoke this session on the server; local sign out happens regardless
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
     setUser(null);
     setError(null);
+
+    if (refreshToken) {
+      await authAPI.logout(refreshToken).catch(() => {});
+    }
+  };
+
+  // Revoke every session this user has, on every device
+  const logoutEverywhere = async () => {
+    try {
+      await authAPI.logoutAll();
+      clearSession();
+      setUser(null);
+      setError(null);
+      return { success: true };
+    } catch (err) {
+      setError(err.response?.data?.message || 'Logout failed');
+      return { success: false, error: err.response?.data?.message };
+    }
   };
 
   const updateProfile = async (updates) => {
     try {
       setLoading(true);
-      const token = localStorage.getItem('token');
-      const config = {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      };
-
-      const response = await axios.patch('/api/auth/profile', updates, config);
-      setUser(response.data.user);
+      const response = await authAPI.updateProfile(updates);
+      setUser(prev => ({ ...prev, ...response.data.user }));
       setError(null);
       return { success: true };
     } catch (err) {
@@ -114,31 +216,42 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // These two leave `loading` alone so their pages stay mounted while they submit
   const forgotPassword = async (email) => {
     try {
-      setLoading(true);
-      await axios.post('/api/auth/forgot-password', { email });
+      const response = await authAPI.forgotPassword(email);
       setError(null);
-      return { success: true };
+      return { success: true, message: response.data.message };
     } catch (err) {
       setError(err.response?.data?.message || 'Password reset request failed');
       return { success: false, error: err.response?.data?.message };
-    } finally {
-      setLoading(false);
     }
   };
 
+  // Every session is signed out by a reset, including this browser's
   const resetPassword = async (token, password) => {
     try {
-      setLoading(true);
-      await axios.post('/api/auth/reset-password', { token, password });
+      await authAPI.resetPassword(token, password);
+      clearSession();
+      setUser(null);
       setError(null);
       return { success: true };
     } catch (err) {
       setError(err.response?.data?.message || 'Password reset failed');
       return { success: false, error: err.response?.data?.message };
-    } finally {
-      setLoading(false);
+    }
+  };
+
+  // Leaves `loading` alone so the verification page stays mounted
+  const verifyEmail = async (token) => {
+    try {
+      const response = await authAPI.verifyEmail(token);
+      setUser(prev => prev && { ...prev, emailVerified: true });
+      setError(null);
+      return { success: true, message: response.data.message };
+    } catch (err) {
+      setError(err.response?.data?.message || 'Email verification failed');
+      return { success: false, error: err.response?.data?.message };
     }
   };
 
@@ -152,18 +265,31 @@ export const AuthProvider = ({ children }) => {
     return user?.role === role;
   };
 
+  // Client portal accounts never count as staff
+  const isStaff = () => {
+    return Boolean(user) && user.role !== 'client';
+  };
+
   const value = {
     user,
     loading,
     error,
     login,
+    requestMagicLink,
+    signInWithMagicLink,
+    verifyTwoFactor,
+    completeTwoFactorSetup,
     register,
+    acceptInvitation,
     logout,
+    logoutEverywhere,
     updateProfile,
     forgotPassword,
     resetPassword,
+    verifyEmail,
     hasPermission,
     hasRole,
+    isStaff,
     setError
   };
 
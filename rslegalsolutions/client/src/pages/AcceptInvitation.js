@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Paper,
+  Link,
+} from '@mui/material';
+import { invitationsAPI, handleApiError } from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import { formatDate, formatTime } from '../utils/dateTime';
+
+const AcceptInvitation = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { acceptInvitation } = useAuth();
+  const [invitation, setInvitation] = useState(null);
+  const [formData, setFormData] = useState({ name: '', password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [linkError, setLinkError] = useState(null);
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const response = await invitationsAPI.get(token);
+        setInvitation(response.data);
+        setFormData(prev => ({ ...prev, name: response.data.name || '' }));
+      } catch (err) {
+        const errorDetails = handleApiError(err);
+        setLinkError(errorDetails.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvitation();
+  }, [token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await acceptInvitation(token, {
+      name: formData.name,
+      password: formData.password,
+    });
+    setSubmitting(false);
+
+    if (result.success) {
+      navigate('/dashboard', { replace: true });
+    } else if (result.twoFactorSetupRequired) {
+      navigate('/login', { replace: true, state: { challenge: result } });
+    } else {
+      setError(result.error || 'Could not accept invitation');
+    }
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="sm">
+        <Typography variant="h3" align="center" gutterBottom>
+          Join RS Legal Solutions
+        </Typography>
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {linkError && (
+          <Alert severity="error" sx={{ my: 4 }}>
+            {linkError}{' '}
+            <Link component={RouterLink} to="/contact">
+              Contact us
+            </Link>
+          </Alert>
+        )}
+
+        {invitation && (
+          <Paper sx={{ p: 4, mt: 4 }}>
+            <Typography paragraph>
+              {invitation.invitedBy || 'An administrator'} has invited <strong>{invitation.email}</strong> to
+              join as <strong>{invitation.roleLabel}</strong>. Choose a password to activate your
+              account. This link expires on {formatDate(invitation.expiresAt)} at{' '}
+              {formatTime(invitation.expiresAt)}.
+            </Typography>
+
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+
+            <form onSubmit={handleSubmit}>
+              <TextField
+                fullWidth
+                label="Full Name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                required
+                margin="normal"
+              />
+              <TextField
+                fullWidth
+                type="password"
+                label="Password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                margin="normal"
+                inputProps={{ minLength: 8 }}
+                helperText="At least 8 characters"
+              />
+              <TextField
+                fullWidth
+                type="password"
+                label="Confirm Password"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                margin="normal"
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                size="large"
+                disabled={submitting}
+                sx={{ mt: 3 }}
+              >
+                {submitting ? <CircularProgress size={24} /> : 'Activate Account'}
+              </Button>
+            </form>
+          </Paper>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default AcceptInvitation;
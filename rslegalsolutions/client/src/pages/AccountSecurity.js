@@ -0,0 +1,351 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Paper,
+  Chip,
+  TablePagination,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from '@mui/material';
+import { authAPI, twoFactorAPI, handleApiError } from '../services/api';
+import { formatDate } from '../utils/dateTime';
+import TwoFactorSetup from '../components/auth/TwoFactorSetup';
+import RecoveryCodes from '../components/auth/RecoveryCodes';
+import LoginHistoryTable from '../components/auth/LoginHistoryTable';
+
+const HISTORY_PAGE_SIZE = 10;
+
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const AccountSecurity = () => {
+  const [status, setStatus] = useState(null);
+  const [settingUp, setSettingUp] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [action, setAction] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [historyTotal, setHistoryTotal] = useState(0);
+  const [historyPage, setHistoryPage] = useState(0);
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [passwordError, setPasswordError] = useState(null);
+  const [changingPassword, setChangingPassword] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await twoFactorAPI.getStatus();
+      setStatus(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await authAPI.getLoginHistory({ page: historyPage + 1, limit: HISTORY_PAGE_SIZE });
+        setHistory(response.data.entries);
+        setHistoryTotal(response.data.pagination.totalItems);
+      } catch (err) {
+        const errorDetails = handleApiError(err);
+        setError(errorDetails.message);
+      }
+    };
+
+    fetchHistory();
+  }, [historyPage]);
+
+  const handleEnable = async (code) => {
+    try {
+      const response = await twoFactorAPI.enable({ code });
+      setSettingUp(false);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setNotice(response.data.message);
+      fetchStatus();
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: handleApiError(err).message };
+    }
+  };
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswords(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setPasswordError(null);
+
+    if (passwords.newPassword.length < 8) {
+      setPasswordError('Password must be at least 8 characters');
+      return;
+    }
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setPasswordError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setChangingPassword(true);
+      const response = await authAPI.changePassword({
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword,
+      });
+      setPasswords(EMPTY_PASSWORDS);
+      setNotice(response.data.message);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setPasswordError(errorDetails.message);
+    } finally {
+      setChangingPassword(false);
+    }
+  };
+
+  const openAction = (type) => {
+    setError(null);
+    setAction({ type, code: '', password: '' });
+  };
+
+  const handleAction = async () => {
+    setError(null);
+
+    try {
+      setSaving(true);
+      if (action.type === 'codes') {
+        const response = await twoFactorAPI.regenerateCodes(action.code);
+        setRecoveryCodes(response.data.recoveryCodes);
+        setNotice(response.data.message);
+      } else {
+        const response = await twoFactorAPI.disable({ password: action.password, code: action.code });
+        setRecoveryCodes([]);
+        setNotice(response.data.message);
+      }
+      setAction(null);
+      fetchStatus();
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="md">
+        <Typography variant="h4" gutterBottom>
+          Account Security
+        </Typography>
+
+        {error && !action && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : status && (
+          <Paper sx={{ p: 4 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+              <Typography variant="h6">Two-Factor Sign In</Typography>
+              <Chip
+                size="small"
+                label={status.enabled ? 'On' : 'Off'}
+                color={status.enabled ? 'success' : 'default'}
+              />
+            </Box>
+
+            {status.enabled ? (
+              <>
+                <Typography paragraph>
+                  Turned on {formatDate(status.enabledAt)}. You have {status.recoveryCodesRemaining} unused
+                  recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'}.
+                </Typography>
+                {status.required && (
+                  <Alert severity="info" sx={{ mb: 2 }}>
+                    Your role requires two-factor sign in, so it cannot be turned off.
+                  </Alert>
+                )}
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  <Button variant="outlined" onClick={() => openAction('codes')}>
+                    New Recovery Codes
+                  </Button>
+                  {!status.required && (
+                    <Button variant="outlined" color="error" onClick={() => openAction('disable')}>
+                      Turn Off
+                    </Button>
+                  )}
+                </Box>
+              </>
+            ) : settingUp ? (
+              <TwoFactorSetup onConfirm={handleEnable} />
+            ) : (
+              <>
+                <Typography paragraph>
+                  Protect your account with a code from an authenticator app on your phone as well as
+                  your password.
+                </Typography>
+                <Button variant="contained" onClick={() => setSettingUp(true)}>
+                  Set Up Two-Factor
+                </Button>
+              </>
+            )}
+
+            {recoveryCodes.length > 0 && (
+              <Box sx={{ mt: 3 }}>
+                <RecoveryCodes codes={recoveryCodes} />
+              </Box>
+            )}
+          </Paper>
+        )}
+
+        <Paper component="form" onSubmit={handleChangePassword} sx={{ p: 4, mt: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Password
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Changing your password signs you out on every other device.
+          </Typography>
+          {passwordError && (
+            <Alert severity="error" sx={{ mt: 2 }}>
+              {passwordError}
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            type="password"
+            name="currentPassword"
+            label="Current Password"
+            value={passwords.currentPassword}
+            onChange={handlePasswordChange}
+            margin="normal"
+            autoComplete="current-password"
+            required
+          />
+          <TextField
+            fullWidth
+            type="password"
+            name="newPassword"
+            label="New Password"
+            value={passwords.newPassword}
+            onChange={handlePasswordChange}
+            margin="normal"
+            autoComplete="new-password"
+            helperText="At least 8 characters"
+            required
+          />
+          <TextField
+            fullWidth
+            type="password"
+            name="confirmPassword"
+            label="Confirm New Password"
+            value={passwords.confirmPassword}
+            onChange={handlePasswordChange}
+            margin="normal"
+            autoComplete="new-password"
+            required
+          />
+          <Button type="submit" variant="contained" sx={{ mt: 2 }} disabled={changingPassword}>
+            {changingPassword ? <CircularProgress size={24} /> : 'Change Password'}
+          </Button>
+        </Paper>
+
+        <Paper sx={{ mt: 3 }}>
+          <Typography variant="h6" sx={{ p: 2, pb: 0 }}>
+            Recent Sign-ins
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ px: 2, pb: 1 }}>
+            If you see a sign-in you do not recognise, change your password and log out of all devices.
+          </Typography>
+          <LoginHistoryTable entries={history} />
+          <TablePagination
+            component="div"
+            count={historyTotal}
+            page={historyPage}
+            rowsPerPage={HISTORY_PAGE_SIZE}
+            rowsPerPageOptions={[HISTORY_PAGE_SIZE]}
+            onPageChange={(e, page) => setHistoryPage(page)}
+          />
+        </Paper>
+
+        <Dialog open={Boolean(action)} onClose={() => setAction(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>
+            {action?.type === 'codes' ? 'New Recovery Codes' : 'Turn Off Two-Factor?'}
+          </DialogTitle>
+          <DialogContent>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+            <DialogContentText>
+              {action?.type === 'codes'
+                ? 'Your current recovery codes will stop working.'
+                : 'You will sign in with just your password.'}
+            </DialogContentText>
+            {action?.type === 'disable' && (
+              <TextField
+                fullWidth
+                type="password"
+                label="Password"
+                value={action.password}
+                onChange={(e) => setAction(prev => ({ ...prev, password: e.target.value }))}
+                margin="normal"
+                autoComplete="current-password"
+              />
+            )}
+            <TextField
+              fullWidth
+              label="Verification Code"
+              value={action?.code || ''}
+              onChange={(e) => setAction(prev => ({ ...prev, code: e.target.value }))}
+              margin="normal"
+              autoComplete="one-time-code"
+              inputProps={{ inputMode: 'numeric', maxLength: 6 }}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => { setAction(null); setError(null); }}>Cancel</Button>
+            <Button
+              variant="contained"
+              color={action?.type === 'disable' ? 'error' : 'primary'}
+              onClick={handleAction}
+              disabled={saving}
+            >
+              {saving ? <CircularProgress size={24} /> : 'Confirm'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+      </Container>
+    </Box>
+  );
+};
+
+export default AccountSecurity;
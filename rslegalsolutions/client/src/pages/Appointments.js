@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import {
   Box,
   Container,
@@ -18,37 +19,72 @@ import {
   StepLabel,
   Card,
   CardContent,
+  Link,
   useTheme,
 } from '@mui/material';
 import { DatePicker } from '@mui/x-date-pickers/DatePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
-import { servicesAPI, appointmentsAPI, handleApiError } from '../services/api';
+import { servicesAPI, appointmentsAPI, closuresAPI, settingsAPI, handleApiError } from '../services/api';
 import { customStyles } from '../theme';
+import { formatDate, formatTime, toDateKey, officeTimeNote } from '../utils/dateTime';
+import { MODE_LABELS, MODE_DESCRIPTIONS, serviceModes } from '../utils/consultationModes';
+import { formatCurrency } from '../utils/currency';
+import { isIntakeComplete, intakeAnswers, formatAnswer } from '../utils/intake';
+import WaitlistDialog from '../components/appointments/WaitlistDialog';
+import IntakeForm from '../components/appointments/IntakeForm';
 
-const steps = ['Select Service', 'Choose Date & Time', 'Personal Details', 'Confirmation'];
+const INTAKE_STEP = 'Intake Questions';
+const OTP_LENGTH = 6;
+const BASE_STEPS = ['Select Service', 'Choose Date & Time', 'Personal Details', 'Confirmation'];
 
 const Appointments = () => {
   const theme = useTheme();
   const [activeStep, setActiveStep] = useState(0);
   const [services, setServices] = useState([]);
+  const [lawyers, setLawyers] = useState([]);
   const [availableSlots, setAvailableSlots] = useState([]);
+  const [slotsLoaded, setSlotsLoaded] = useState(false);
+  const [waitlistOpen, setWaitlistOpen] = useState(false);
+  const [closedDays, setClosedDays] = useState(new Map());
+  const [officeZone, setOfficeZone] = useState(null);
+  const [bookedAppointment, setBookedAppointment] = useState(null);
+  const [bookedPayment, setBookedPayment] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const [otp, setOtp] = useState('');
+  const [verifying, setVerifying] = useState(false);
+  const [verifyNotice, setVerifyNotice] = useState(null);
+  const [hold, setHold] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
 
   const [formData, setFormData] = useState({
     serviceType: '',
+    lawyer: 'any',
+    mode: '',
     appointmentDate: null,
-    preferredTime: '',
+    startTime: '',
     clientName: '',
     email: '',
     phone: '',
     message: '',
+    intake: {},
   });
 
+  const selectedService = services.find((service) => service._id === formData.serviceType);
+  const intakeFields = selectedService?.intakeForm || [];
+  const submittedIntake = intakeAnswers(intakeFields, formData.intake);
+
+  // Services with a questionnaire ask it before the summary
+  const steps = intakeFields.length
+    ? [...BASE_STEPS.slice(0, 3), INTAKE_STEP, ...BASE_STEPS.slice(3)]
+    : BASE_STEPS;
+
   useEffect(() => {
     fetchServices();
+    fetchClosedDays();
+    fetchOfficeZone();
   }, []);
 
   const fetchServices = async () => {
@@ -61,14 +97,76 @@ const Appointments = () => {
     }
   };
 
-  const fetchAvailableSlots = async (date) => {
+  const fetchClosedDays = async () => {
+    try {
+      const response = await closuresAPI.getCalendar();
+      setClosedDays(new Map(response.data.map((day) => [day.date, day.reason])));
+    } catch (err) {
+      // Closed days are re-checked when booking, so the picker can still be used
+      setClosedDays(new Map());
+    }
+  };
+
+  // Slots are office times; clients in other zones see both
+  const fetchOfficeZone = async () => {
+    try {
+      const response = await settingsAPI.getSlotTemplate();
+      setOfficeZone(response.data.timezone);
+    } catch (err) {
+      setOfficeZone(null);
+    }
+  };
+
+  const fetchLawyers = async (serviceId) => {
+    try {
+      const response = await appointmentsAPI.getLawyers(serviceId);
+      setLawyers(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    }
+  };
+
+  const fetchAvailableSlots = async (date, { serviceType, lawyer } = formData) => {
     if (!date) return;
     try {
-      const response = await appointmentsAPI.getAvailableSlots(date.toISOString());
+      setSlotsLoaded(false);
+      const response = await appointmentsAPI.getAvailableSlots(toDateKey(date), {
+        service: serviceType,
+        lawyer,
+      });
       setAvailableSlots(response.data);
+      setSlotsLoaded(true);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    }
+  };
+
+  // Hold the picked slot so nobody else can book it while the form is filled in
+  const holdSlot = async (startTime) => {
+    try {
+      setError(null);
+      const response = await appointmentsAPI.holdSlot({
+        serviceType: formData.serviceType,
+        lawyer: formData.lawyer,
+        startTime,
+        releaseToken: hold?.holdToken,
+      });
+      setHold(response.data);
     } catch (err) {
       const errorDetails = handleApiError(err);
       setError(errorDetails.message);
+      setHold(null);
+      setFormData((prev) => ({ ...prev, startTime: '' }));
+      fetchAvailableSlots(formData.appointmentDate);
+    }
+  };
+
+  const releaseHold = () => {
+    if (hold) {
+      appointmentsAPI.releaseHold(hold.holdToken).catch(() => {});
+      setHold(null);
     }
   };
 
@@ -88,65 +186,211 @@ const Appointments = () => {
     const value = event.target ? event.target.value : event;
     setFormData((prev) => ({ ...prev, [field]: value }));
 
+    if (['serviceType', 'lawyer', 'appointmentDate'].includes(field)) {
+      releaseHold();
+    }
+
+    if (field === 'startTime') {
+      holdSlot(value);
+    }
+
+    if (field === 'serviceType') {
+      // Lawyers, consultation modes and free slots depend on the service
+      const modes = serviceModes(services.find((service) => service._id === value));
+      setFormData((prev) => ({
+        ...prev,
+        lawyer: 'any',
+        mode: modes.includes(prev.mode) ? prev.mode : modes[0],
+        startTime: '',
+        intake: {},
+      }));
+      setAvailableSlots([]);
+      fetchLawyers(value);
+      fetchAvailableSlots(formData.appointmentDate, { serviceType: value, lawyer: 'any' });
+    }
+
+    if (field === 'lawyer') {
+      setFormData((prev) => ({ ...prev, startTime: '' }));
+      fetchAvailableSlots(formData.appointmentDate, { ...formData, lawyer: value });
+    }
+
     if (field === 'appointmentDate') {
+      setFormData((prev) => ({ ...prev, startTime: '' }));
       fetchAvailableSlots(event);
     }
   };
 
+  const handleVerify = async () => {
+    try {
+      setVerifying(true);
+      setError(null);
+      setVerifyNotice(null);
+      const response = await appointmentsAPI.verifyCode(verification.appointment._id, otp);
+      setBookedAppointment(response.data.appointment);
+      setVerification(null);
+      setOtp('');
+      setSuccess(true);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      setVerifying(true);
+      setError(null);
+      const response = await appointmentsAPI.resendVerification(verification.appointment._id);
+      setVerification((prev) => ({ ...prev, expiresAt: response.data.verification.expiresAt }));
+      setOtp('');
+      setVerifyNotice(response.data.message);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleIntakeChange = (key, value) => {
+    setFormData((prev) => ({ ...prev, intake: { ...prev.intake, [key]: value } }));
+  };
+
   const handleSubmit = async () => {
     try {
       setLoading(true);
       setError(null);
-      const response = await appointmentsAPI.create(formData);
-      setSuccess(true);
-      // You might want to store the confirmation code from response.data.confirmationCode
+      const response = await appointmentsAPI.create({
+        ...formData,
+        intake: submittedIntake,
+        holdToken: hold?.holdToken,
+      });
+      // The booking is held until the client enters the emailed code
+      setVerification({
+        appointment: response.data.appointment,
+        expiresAt: response.data.verification.expiresAt,
+      });
+      setBookedPayment(response.data.payment || null);
+      setHold(null);
     } catch (err) {
       const errorDetails = handleApiError(err);
       setError(errorDetails.message);
-      setActiveStep(0);
+
+      if (errorDetails.status === 409) {
+        // The slot was lost; pick another time on the same day
+        setHold(null);
+        setFormData((prev) => ({ ...prev, startTime: '' }));
+        fetchAvailableSlots(formData.appointmentDate);
+        setActiveStep(1);
+      } else if (errorDetails.errors?.length && steps.includes(INTAKE_STEP)) {
+        setError(`${errorDetails.message}: ${errorDetails.errors.join('; ')}`);
+        setActiveStep(steps.indexOf(INTAKE_STEP));
+      } else {
+        setActiveStep(0);
+      }
     } finally {
       setLoading(false);
     }
   };
 
   const validateStep = () => {
-    switch (activeStep) {
-      case 0:
-        return !!formData.serviceType;
-      case 1:
-        return !!formData.appointmentDate && !!formData.preferredTime;
-      case 2:
+    switch (steps[activeStep]) {
+      case 'Select Service':
+        return !!formData.serviceType && !!formData.mode;
+      case 'Choose Date & Time':
+        return !!formData.appointmentDate && !!formData.startTime;
+      case 'Personal Details':
         return (
           !!formData.clientName &&
           !!formData.email &&
           !!formData.phone
         );
+      case INTAKE_STEP:
+        return isIntakeComplete(intakeFields, formData.intake);
       default:
         return true;
     }
   };
 
   const renderStepContent = () => {
-    switch (activeStep) {
-      case 0:
+    switch (steps[activeStep]) {
+      case 'Select Service':
         return (
-          <FormControl fullWidth>
-            <InputLabel>Select Service</InputLabel>
-            <Select
-              value={formData.serviceType}
-              onChange={handleChange('serviceType')}
-              label="Select Service"
-            >
-              {services.map((service) => (
-                <MenuItem key={service._id} value={service._id}>
-                  {service.title}
-                </MenuItem>
-              ))}
-            </Select>
-          </FormControl>
+          <Grid container spacing={3}>
+            <Grid item xs={12}>
+              <FormControl fullWidth>
+                <InputLabel>Select Service</InputLabel>
+                <Select
+                  value={formData.serviceType}
+                  onChange={handleChange('serviceType')}
+                  label="Select Service"
+                >
+                  {services.map((service) => (
+                    <MenuItem key={service._id} value={service._id}>
+                      {service.title}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            {formData.serviceType && lawyers.length > 0 && (
+              <Grid item xs={12}>
+                <FormControl fullWidth>
+                  <InputLabel>Lawyer</InputLabel>
+                  <Select
+                    value={formData.lawyer}
+                    onChange={handleChange('lawyer')}
+                    label="Lawyer"
+                  >
+                    <MenuItem value="any">Any available lawyer</MenuItem>
+                    {lawyers.map((lawyer) => (
+                      <MenuItem key={lawyer._id} value={lawyer._id}>
+                        {lawyer.name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+            )}
+            {formData.serviceType && (
+              <Grid item xs={12}>
+                <FormControl fullWidth>
+                  <InputLabel>Consultation Mode</InputLabel>
+                  <Select
+                    value={formData.mode}
+                    onChange={handleChange('mode')}
+                    label="Consultation Mode"
+                  >
+                    {serviceModes(selectedService).map((mode) => (
+                      <MenuItem key={mode} value={mode}>
+                        {MODE_LABELS[mode]}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+                {formData.mode && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                    {MODE_DESCRIPTIONS[formData.mode]}
+                  </Typography>
+                )}
+              </Grid>
+            )}
+            {selectedService?.consultationFee > 0 && (
+              <Grid item xs={12}>
+                <Alert severity="info">
+                  This consultation has a fee of{' '}
+                  <strong>{formatCurrency(selectedService.consultationFee)}</strong>. The amount
+                  is authorised on your card when you book and only charged once we confirm
+                  your appointment.
+                </Alert>
+              </Grid>
+            )}
+          </Grid>
         );
 
-      case 1:
+      case 'Choose Date & Time':
         return (
           <Grid container spacing={3}>
             <Grid item xs={12} md={6}>
@@ -157,6 +401,7 @@ const Appointments = () => {
                   onChange={handleChange('appointmentDate')}
                   renderInput={(params) => <TextField {...params} fullWidth />}
                   minDate={new Date()}
+                  shouldDisableDate={(date) => closedDays.has(toDateKey(date))}
                 />
               </LocalizationProvider>
             </Grid>
@@ -164,22 +409,54 @@ const Appointments = () => {
               <FormControl fullWidth>
                 <InputLabel>Preferred Time</InputLabel>
                 <Select
-                  value={formData.preferredTime}
-                  onChange={handleChange('preferredTime')}
+                  value={formData.startTime}
+                  onChange={handleChange('startTime')}
                   label="Preferred Time"
                 >
                   {availableSlots.map((slot) => (
-                    <MenuItem key={slot} value={slot}>
-                      {slot}
+                    <MenuItem key={slot.start} value={slot.start}>
+                      {formatTime(slot.start)} - {formatTime(slot.end)}
+                      {officeTimeNote(slot.start, officeZone)}
                     </MenuItem>
                   ))}
                 </Select>
               </FormControl>
             </Grid>
+            {formData.appointmentDate && slotsLoaded && availableSlots.length === 0 && (
+              <Grid item xs={12}>
+                <Alert
+                  severity="warning"
+                  action={
+                    <Button color="inherit" size="small" onClick={() => setWaitlistOpen(true)}>
+                      Join Waitlist
+                    </Button>
+                  }
+                >
+                  There are no free times on this date. Choose another date or join the
+                  waitlist and we will let you know if a slot opens up.
+                </Alert>
+                {waitlistOpen && (
+                  <WaitlistDialog
+                    open={waitlistOpen}
+                    onClose={() => setWaitlistOpen(false)}
+                    booking={formData}
+                    intakeFields={intakeFields}
+                  />
+                )}
+              </Grid>
+            )}
+            {hold && (
+              <Grid item xs={12}>
+                <Alert severity="info">
+                  We are holding this time for you until {formatTime(hold.expiresAt)}.
+                  Please complete your booking before then.
+                </Alert>
+              </Grid>
+            )}
           </Grid>
         );
 
-      case 2:
+      case 'Personal Details':
         return (
           <Grid container spacing={3}>
             <Grid item xs={12}>
@@ -223,7 +500,16 @@ const Appointments = () => {
           </Grid>
         );
 
-      case 3:
+      case INTAKE_STEP:
+        return (
+          <IntakeForm
+            fields={intakeFields}
+            answers={formData.intake}
+            onChange={handleIntakeChange}
+          />
+        );
+
+      case 'Confirmation':
         return (
           <Card>
             <CardContent>
@@ -234,9 +520,30 @@ const Appointments = () => {
                 <Grid item xs={12}>
                   <Typography>
                     <strong>Service:</strong>{' '}
-                    {services.find(s => s._id === formData.serviceType)?.title}
+                    {selectedService?.title}
+                  </Typography>
+                </Grid>
+                <Grid item xs={12}>
+                  <Typography>
+                    <strong>Consultation:</strong> {MODE_LABELS[formData.mode]}
                   </Typography>
                 </Grid>
+                {selectedService?.consultationFee > 0 && (
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Consultation Fee:</strong>{' '}
+                      {formatCurrency(selectedService.consultationFee)}
+                    </Typography>
+                  </Grid>
+                )}
+                {lawyers.length > 0 && (
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Lawyer:</strong>{' '}
+                      {lawyers.find(l => l._id === formData.lawyer)?.name || 'Any available lawyer'}
+                    </Typography>
+                  </Grid>
+                )}
                 <Grid item xs={12}>
                   <Typography>
                     <strong>Date:</strong>{' '}
@@ -245,7 +552,8 @@ const Appointments = () => {
                 </Grid>
                 <Grid item xs={12}>
                   <Typography>
-                    <strong>Time:</strong> {formData.preferredTime}
+                    <strong>Time:</strong> {formData.startTime && formatTime(formData.startTime)}
+                    {formData.startTime && officeTimeNote(formData.startTime, officeZone)}
                   </Typography>
                 </Grid>
                 <Grid item xs={12}>
@@ -258,6 +566,15 @@ const Appointments = () => {
                     <strong>Contact:</strong> {formData.email} | {formData.phone}
                   </Typography>
                 </Grid>
+                {intakeFields
+                  .filter((field) => field.key in submittedIntake)
+                  .map((field) => (
+                    <Grid item xs={12} key={field.key}>
+                      <Typography>
+                        <strong>{field.label}:</strong> {formatAnswer(submittedIntake[field.key])}
+                      </Typography>
+                    </Grid>
+                  ))}
               </Grid>
             </CardContent>
           </Card>
@@ -268,6 +585,62 @@ const Appointments = () => {
     }
   };
 
+  if (verification) {
+    return (
+      <Container maxWidth="sm" sx={{ py: 8 }}>
+        <Paper sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="h4" gutterBottom color="primary">
+            Check Your Email
+          </Typography>
+          <Typography paragraph>
+            We have sent a verification link and a {OTP_LENGTH}-digit code to{' '}
+            <strong>{verification.appointment.email}</strong>. Click the link or enter the code
+            below to complete your booking.
+          </Typography>
+          <Typography paragraph color="text.secondary">
+            Your slot on {formatDate(verification.appointment.startTime)} at{' '}
+            {formatTime(verification.appointment.startTime)}
+            {officeTimeNote(verification.appointment.startTime, verification.appointment.timezone)} is held until{' '}
+            {formatTime(verification.expiresAt)}.
+          </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {verifyNotice && (
+            <Alert severity="success" sx={{ mb: 2 }}>
+              {verifyNotice}
+            </Alert>
+          )}
+          <TextField
+            label="Verification Code"
+            value={otp}
+            onChange={(e) => setOtp(e.target.value.replace(/\D/g, '').slice(0, OTP_LENGTH))}
+            inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+            fullWidth
+            sx={{ mb: 2 }}
+          />
+          <Button
+            variant="outlined"
+            onClick={handleResendVerification}
+            disabled={verifying}
+            sx={{ mr: 2 }}
+          >
+            Resend Email
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleVerify}
+            disabled={verifying || otp.length !== OTP_LENGTH}
+          >
+            {verifying ? <CircularProgress size={24} /> : 'Verify Booking'}
+          </Button>
+        </Paper>
+      </Container>
+    );
+  }
+
   if (success) {
     return (
       <Container maxWidth="sm" sx={{ py: 8 }}>
@@ -276,22 +649,70 @@ const Appointments = () => {
             Appointment Booked Successfully!
           </Typography>
           <Typography paragraph>
-            Thank you for booking an appointment with us. We have sent a confirmation
-            email with all the details.
+            Thank you for verifying your booking. We have sent a confirmation email with
+            all the details.
           </Typography>
+          {bookedAppointment?.lawyer && (
+            <Typography paragraph>
+              Your consultation is with <strong>{bookedAppointment.lawyer.name}</strong>.
+            </Typography>
+          )}
+          {bookedAppointment?.meeting?.url && (
+            <Typography paragraph>
+              Join your video call at{' '}
+              <Link href={bookedAppointment.meeting.url} target="_blank" rel="noopener noreferrer">
+                {bookedAppointment.meeting.url}
+              </Link>
+            </Typography>
+          )}
+          {bookedPayment && (
+            <Typography paragraph>
+              {bookedPayment.status === 'authorized'
+                ? `We have authorised ${formatCurrency(bookedPayment.amount, bookedPayment.currency)} on your card. It will be charged once we confirm your appointment.`
+                : `Your payment of ${formatCurrency(bookedPayment.amount, bookedPayment.currency)} is awaiting authorisation.`}
+            </Typography>
+          )}
+          {bookedAppointment?.mode === 'phone' && (
+            <Typography paragraph>
+              Your lawyer will call you on <strong>{bookedAppointment.phone}</strong>.
+            </Typography>
+          )}
+          {bookedAppointment?.confirmationCode && (
+            <Typography paragraph>
+              Your confirmation code is{' '}
+              <strong>{bookedAppointment.confirmationCode}</strong>. Use it to{' '}
+              <Link component={RouterLink} to={`/appointments/${bookedAppointment.confirmationCode}`}>
+                manage your booking
+              </Link>.
+            </Typography>
+          )}
+          {bookedAppointment?.confirmationCode && (
+            <Button
+              variant="outlined"
+              href={appointmentsAPI.getCalendarFileUrl(bookedAppointment.confirmationCode)}
+              sx={{ mr: 2 }}
+            >
+              Add to Calendar
+            </Button>
+          )}
           <Button
             variant="contained"
             onClick={() => {
               setSuccess(false);
+              setBookedAppointment(null);
+              setBookedPayment(null);
               setActiveStep(0);
               setFormData({
                 serviceType: '',
+                lawyer: 'any',
+                mode: '',
                 appointmentDate: null,
-                preferredTime: '',
+                startTime: '',
                 clientName: '',
                 email: '',
                 phone: '',
                 message: '',
+                intake: {},
               });
             }}
           >
@@ -0,0 +1,368 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Grid,
+  Paper,
+  TextField,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  CircularProgress,
+  Card,
+  CardContent,
+  Chip,
+  Divider,
+  Link,
+} from '@mui/material';
+import { DatePicker } from '@mui/x-date-pickers/DatePicker';
+import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
+import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
+import { appointmentsAPI, closuresAPI, handleApiError } from '../services/api';
+import { formatDate, formatTime, toDateKey, officeTimeNote } from '../utils/dateTime';
+import { MODE_LABELS } from '../utils/consultationModes';
+import { formatCurrency } from '../utils/currency';
+
+const paymentLabels = {
+  pending: 'awaiting authorisation',
+  authorized: 'authorised, charged when confirmed',
+  captured: 'paid',
+  released: 'released',
+  failed: 'failed',
+  refunded: 'refunded',
+};
+
+const statusColors = {
+  pending: 'warning',
+  confirmed: 'success',
+  cancelled: 'default',
+  completed: 'info',
+};
+
+const ManageBooking = () => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const [lookupCode, setLookupCode] = useState(code || '');
+  const [appointment, setAppointment] = useState(null);
+  const [availableSlots, setAvailableSlots] = useState([]);
+  const [closedDays, setClosedDays] = useState(new Map());
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [rescheduling, setRescheduling] = useState(false);
+  const [newSlot, setNewSlot] = useState({
+    appointmentDate: null,
+    startTime: '',
+  });
+
+  const fetchAppointment = useCallback(async (confirmationCode) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await appointmentsAPI.getByConfirmation(confirmationCode);
+      setAppointment(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+      setAppointment(null);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (code) {
+      fetchAppointment(code);
+    }
+  }, [code, fetchAppointment]);
+
+  useEffect(() => {
+    if (!rescheduling) return;
+    closuresAPI.getCalendar()
+      .then((response) =>
+        setClosedDays(new Map(response.data.map((day) => [day.date, day.reason])))
+      )
+      .catch(() => setClosedDays(new Map()));
+  }, [rescheduling]);
+
+  const fetchAvailableSlots = async (date) => {
+    if (!date) return;
+    try {
+      // Auto-assigned bookings can move to any lawyer for the service
+      const response = await appointmentsAPI.getAvailableSlots(toDateKey(date), {
+        service: appointment.serviceType?._id,
+        lawyer: appointment.autoAssigned ? 'any' : appointment.lawyer?._id,
+      });
+      setAvailableSlots(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    }
+  };
+
+  const handleLookup = (event) => {
+    event.preventDefault();
+    navigate(`/appointments/${lookupCode.trim()}`);
+  };
+
+  const handleDateChange = (date) => {
+    setNewSlot({ appointmentDate: date, startTime: '' });
+    fetchAvailableSlots(date);
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Are you sure you want to cancel this appointment?')) return;
+    try {
+      setLoading(true);
+      setError(null);
+      await appointmentsAPI.cancel(code);
+      setNotice('Your appointment has been cancelled.');
+      await fetchAppointment(code);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReschedule = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await appointmentsAPI.reschedule(code, { startTime: newSlot.startTime });
+      setAppointment(response.data.appointment);
+      setNotice(
+        `Your appointment has been rescheduled. ${response.data.reschedulesRemaining} reschedule(s) remaining.`
+      );
+      setRescheduling(false);
+      setNewSlot({ appointmentDate: null, startTime: '' });
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+
+      if (errorDetails.status === 409) {
+        // Someone else took the time; refresh what is still free
+        setNewSlot((prev) => ({ ...prev, startTime: '' }));
+        fetchAvailableSlots(newSlot.appointmentDate);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isActive = appointment && ['pending', 'confirmed'].includes(appointment.status);
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="md">
+        <Typography variant="h3" align="center" gutterBottom>
+          Manage My Booking
+        </Typography>
+        <Typography
+          variant="h6"
+          align="center"
+          color="text.secondary"
+          paragraph
+          sx={{ mb: 6 }}
+        >
+          View, reschedule or cancel your consultation using your confirmation code
+        </Typography>
+
+        <Paper component="form" onSubmit={handleLookup} sx={{ p: 3, mb: 4 }}>
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} sm={8}>
+              <TextField
+                fullWidth
+                label="Confirmation Code"
+                value={lookupCode}
+                onChange={(event) => setLookupCode(event.target.value)}
+                required
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                size="large"
+                disabled={!lookupCode.trim() || loading}
+              >
+                Find Booking
+              </Button>
+            </Grid>
+          </Grid>
+        </Paper>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 4 }}>
+            {error}
+          </Alert>
+        )}
+
+        {notice && (
+          <Alert severity="success" sx={{ mb: 4 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {loading && !appointment && (
+          <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {appointment && (
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
+                <Typography variant="h6">Appointment Details</Typography>
+                <Chip
+                  label={appointment.status}
+                  color={statusColors[appointment.status]}
+                  sx={{ textTransform: 'capitalize' }}
+                />
+              </Box>
+              <Grid container spacing={2}>
+                <Grid item xs={12}>
+                  <Typography>
+                    <strong>Service:</strong> {appointment.serviceType?.title}
+                  </Typography>
+                </Grid>
+                {appointment.lawyer && (
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Lawyer:</strong> {appointment.lawyer.name}
+                    </Typography>
+                  </Grid>
+                )}
+                <Grid item xs={12}>
+                  <Typography>
+                    <strong>Date:</strong>{' '}
+                    {formatDate(appointment.startTime)}
+                  </Typography>
+                </Grid>
+                <Grid item xs={12}>
+                  <Typography>
+                    <strong>Time:</strong> {formatTime(appointment.startTime)}
+                    {officeTimeNote(appointment.startTime, appointment.timezone)}
+                  </Typography>
+                </Grid>
+                <Grid item xs={12}>
+                  <Typography>
+                    <strong>Consultation:</strong> {MODE_LABELS[appointment.mode || 'in-person']}
+                  </Typography>
+                </Grid>
+                {appointment.payment?.amount > 0 && (
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Consultation Fee:</strong>{' '}
+                      {formatCurrency(appointment.payment.amount, appointment.payment.currency)}
+                      {' '}({paymentLabels[appointment.payment.status]})
+                    </Typography>
+                  </Grid>
+                )}
+                {isActive && appointment.mode === 'video' && appointment.meeting?.url && (
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Join:</strong>{' '}
+                      <Link href={appointment.meeting.url} target="_blank" rel="noopener noreferrer">
+                        {appointment.meeting.url}
+                      </Link>
+                    </Typography>
+                  </Grid>
+                )}
+                <Grid item xs={12}>
+                  <Typography>
+                    <strong>Name:</strong> {appointment.clientName}
+                  </Typography>
+                </Grid>
+                {appointment.rescheduleHistory?.length > 0 && (
+                  <Grid item xs={12}>
+                    <Typography color="text.secondary">
+                      Rescheduled {appointment.rescheduleHistory.length} time(s)
+                    </Typography>
+                  </Grid>
+                )}
+              </Grid>
+
+              {isActive && (
+                <>
+                  <Divider sx={{ my: 3 }} />
+                  {rescheduling ? (
+                    <Grid container spacing={3}>
+                      <Grid item xs={12} md={6}>
+                        <LocalizationProvider dateAdapter={AdapterDateFns}>
+                          <DatePicker
+                            label="New Date"
+                            value={newSlot.appointmentDate}
+                            onChange={handleDateChange}
+                            renderInput={(params) => <TextField {...params} fullWidth />}
+                            minDate={new Date()}
+                            shouldDisableDate={(date) => closedDays.has(toDateKey(date))}
+                          />
+                        </LocalizationProvider>
+                      </Grid>
+                      <Grid item xs={12} md={6}>
+                        <FormControl fullWidth>
+                          <InputLabel>New Time</InputLabel>
+                          <Select
+                            value={newSlot.startTime}
+                            onChange={(event) =>
+                              setNewSlot((prev) => ({ ...prev, startTime: event.target.value }))
+                            }
+                            label="New Time"
+                          >
+                            {availableSlots.map((slot) => (
+                              <MenuItem key={slot.start} value={slot.start}>
+                                {formatTime(slot.start)} - {formatTime(slot.end)}
+                                {officeTimeNote(slot.start, appointment.timezone)}
+                              </MenuItem>
+                            ))}
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                      <Grid item xs={12}>
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2 }}>
+                          <Button onClick={() => setRescheduling(false)}>
+                            Back
+                          </Button>
+                          <Button
+                            variant="contained"
+                            onClick={handleReschedule}
+                            disabled={!newSlot.appointmentDate || !newSlot.startTime || loading}
+                          >
+                            {loading ? <CircularProgress size={24} /> : 'Confirm New Time'}
+                          </Button>
+                        </Box>
+                      </Grid>
+                    </Grid>
+                  ) : (
+                    <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 2 }}>
+                      <Button href={appointmentsAPI.getCalendarFileUrl(appointment.confirmationCode)}>
+                        Add to Calendar
+                      </Button>
+                      <Button color="error" onClick={handleCancel} disabled={loading}>
+                        Cancel Appointment
+                      </Button>
+                      <Button variant="contained" onClick={() => setRescheduling(true)}>
+                        Reschedule
+                      </Button>
+                    </Box>
+                  )}
+                </>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default ManageBooking;
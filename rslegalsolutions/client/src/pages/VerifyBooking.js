@@ -0,0 +1,88 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  Link,
+} from '@mui/material';
+import { appointmentsAPI, handleApiError } from '../services/api';
+import { formatDate, formatTime, officeTimeNote } from '../utils/dateTime';
+
+const VerifyBooking = () => {
+  const { token } = useParams();
+  const [appointment, setAppointment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const requested = useRef(null);
+
+  useEffect(() => {
+    // Verification tokens work once, so never post the same one twice
+    if (requested.current === token) return;
+    requested.current = token;
+
+    const verify = async () => {
+      try {
+        const response = await appointmentsAPI.verify(token);
+        setAppointment(response.data.appointment);
+      } catch (err) {
+        const errorDetails = handleApiError(err);
+        setError(errorDetails.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="sm">
+        <Typography variant="h3" align="center" gutterBottom>
+          Verify Your Booking
+        </Typography>
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ my: 4 }}>
+            {error}{' '}
+            <Link component={RouterLink} to="/appointments">
+              Book an appointment
+            </Link>
+          </Alert>
+        )}
+
+        {appointment && (
+          <>
+            <Alert severity="success" sx={{ my: 4 }}>
+              Thank you, your booking for {appointment.serviceType?.title} on{' '}
+              {formatDate(appointment.startTime)} at {formatTime(appointment.startTime)}
+              {officeTimeNote(appointment.startTime, appointment.timezone)} is verified. We have emailed you a confirmation with all the details. Your
+              confirmation code is <strong>{appointment.confirmationCode}</strong>.
+            </Alert>
+            <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+              <Button
+                variant="contained"
+                component={RouterLink}
+                to={`/appointments/${appointment.confirmationCode}`}
+              >
+                Manage Your Booking
+              </Button>
+            </Box>
+          </>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default VerifyBooking;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Grid,
+  Button,
+  Alert,
+  CircularProgress,
+  Card,
+  CardContent,
+  Link,
+} from '@mui/material';
+import { waitlistAPI, handleApiError } from '../services/api';
+import { formatDate, formatTime, officeTimeNote } from '../utils/dateTime';
+import { MODE_LABELS } from '../utils/consultationModes';
+import { formatCurrency } from '../utils/currency';
+import { isIntakeComplete, intakeAnswers } from '../utils/intake';
+import IntakeForm from '../components/appointments/IntakeForm';
+
+const WaitlistClaim = () => {
+  const { token } = useParams();
+  const [offer, setOffer] = useState(null);
+  const [intake, setIntake] = useState({});
+  const [appointment, setAppointment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [claiming, setClaiming] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchOffer = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await waitlistAPI.getOffer(token);
+      setOffer(response.data);
+      setIntake(response.data.intake || {});
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchOffer();
+  }, [fetchOffer]);
+
+  const intakeFields = offer?.serviceType?.intakeForm || [];
+
+  const handleIntakeChange = (key, value) => {
+    setIntake((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleClaim = async () => {
+    try {
+      setClaiming(true);
+      setError(null);
+      const response = await waitlistAPI.claim(token, {
+        intake: intakeAnswers(intakeFields, intake),
+      });
+      setAppointment(response.data.appointment);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      // Missing answers can be fixed here; anything else ends the offer
+      if (errorDetails.errors?.length) {
+        setError(`${errorDetails.message}: ${errorDetails.errors.join('; ')}`);
+      } else {
+        setError(errorDetails.message);
+        setOffer(null);
+      }
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="sm">
+        <Typography variant="h3" align="center" gutterBottom>
+          Claim Your Slot
+        </Typography>
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ my: 4 }}>
+            {error}{' '}
+            <Link component={RouterLink} to="/appointments">
+              Book another time
+            </Link>
+          </Alert>
+        )}
+
+        {appointment && (
+          <Alert severity="success" sx={{ my: 4 }}>
+            Your appointment is booked. Your confirmation code is{' '}
+            <strong>{appointment.confirmationCode}</strong>.{' '}
+            <Link component={RouterLink} to={`/appointments/${appointment.confirmationCode}`}>
+              Manage your booking
+            </Link>
+          </Alert>
+        )}
+
+        {offer && !appointment && (
+          <Card sx={{ mt: 4 }}>
+            <CardContent>
+              <Typography paragraph>
+                Hello {offer.clientName}, a slot has opened up for you:
+              </Typography>
+              <Grid container spacing={2}>
+                <Grid item xs={12}>
+                  <Typography>
+                    <strong>Service:</strong> {offer.serviceType?.title}
+                  </Typography>
+                </Grid>
+                {offer.lawyer && (
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Lawyer:</strong> {offer.lawyer.name}
+                    </Typography>
+                  </Grid>
+                )}
+                <Grid item xs={12}>
+                  <Typography>
+                    <strong>Date:</strong> {formatDate(offer.startTime)}
+                  </Typography>
+                </Grid>
+                <Grid item xs={12}>
+                  <Typography>
+                    <strong>Time:</strong> {formatTime(offer.startTime)} - {formatTime(offer.endTime)}
+                    {officeTimeNote(offer.startTime, offer.timezone)}
+                  </Typography>
+                </Grid>
+                <Grid item xs={12}>
+                  <Typography>
+                    <strong>Consultation:</strong> {MODE_LABELS[offer.mode || 'in-person']}
+                  </Typography>
+                </Grid>
+                {offer.serviceType?.consultationFee > 0 && (
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Consultation Fee:</strong>{' '}
+                      {formatCurrency(offer.serviceType.consultationFee)}, charged once we confirm
+                      your appointment
+                    </Typography>
+                  </Grid>
+                )}
+                <Grid item xs={12}>
+                  <Typography color="text.secondary">
+                    This offer is held for you until {formatDate(offer.expiresAt)},{' '}
+                    {formatTime(offer.expiresAt)}.
+                  </Typography>
+                </Grid>
+              </Grid>
+              {intakeFields.length > 0 && (
+                <Box sx={{ mt: 3 }}>
+                  <IntakeForm fields={intakeFields} answers={intake} onChange={handleIntakeChange} />
+                </Box>
+              )}
+              <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 3 }}>
+                <Button
+                  variant="contained"
+                  onClick={handleClaim}
+                  disabled={claiming || !isIntakeComplete(intakeFields, intake)}
+                >
+                  {claiming ? <CircularProgress size={24} /> : 'Book This Slot'}
+                </Button>
+              </Box>
+            </CardContent>
+          </Card>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default WaitlistClaim;
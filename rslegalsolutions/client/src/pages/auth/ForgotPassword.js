@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Paper,
+  Link,
+} from '@mui/material';
+import { useAuth } from '../../hooks/useAuth';
+
+const ForgotPassword = () => {
+  const { forgotPassword } = useAuth();
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    setSubmitting(true);
+    const result = await forgotPassword(email);
+    setSubmitting(false);
+
+    if (result.success) {
+      setSent(result.message);
+    } else {
+      setError(result.error || 'Password reset request failed');
+    }
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="sm">
+        <Typography variant="h3" align="center" gutterBottom>
+          Forgot Password
+        </Typography>
+
+        <Paper sx={{ p: 4, mt: 4 }}>
+          {sent ? (
+            <>
+              <Alert severity="success" sx={{ mb: 2 }}>
+                {sent}
+              </Alert>
+              <Typography paragraph>
+                The link works only once and expires after a short time. If nothing arrives, check your spam
+                folder or try again.
+              </Typography>
+              <Button component={RouterLink} to="/login" variant="contained" fullWidth>
+                Back to Sign In
+              </Button>
+            </>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              <Typography paragraph>
+                Enter the email address you sign in with and we will send you a link to choose a new
+                password.
+              </Typography>
+
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {error}
+                </Alert>
+              )}
+
+              <TextField
+                fullWidth
+                type="email"
+                label="Email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                margin="normal"
+                autoComplete="email"
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                size="large"
+                disabled={submitting}
+                sx={{ mt: 3 }}
+              >
+                {submitting ? <CircularProgress size={24} /> : 'Send Reset Link'}
+              </Button>
+              <Typography variant="body2" align="center" sx={{ mt: 2 }}>
+                <Link component={RouterLink} to="/login">
+                  Back to sign in
+                </Link>
+              </Typography>
+            </form>
+          )}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default ForgotPassword;
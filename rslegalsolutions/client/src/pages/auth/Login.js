@@ -0,0 +1,320 @@
+import React, { useState } from 'react';
+import { useNavigate, useLocation, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Paper,
+  Link,
+} from '@mui/material';
+import { useAuth } from '../../hooks/useAuth';
+import TwoFactorSetup from '../../components/auth/TwoFactorSetup';
+import RecoveryCodes from '../../components/auth/RecoveryCodes';
+
+// Second factor step to start on when an emailed sign-in link brought the
+// user here with a challenge
+const initialStep = (challenge) => {
+  if (challenge?.twoFactorRequired) return 'code';
+  if (challenge?.twoFactorSetupRequired) return 'setup';
+  return 'password';
+};
+
+// Sign in is a password step, or an emailed link instead, then either an
+// authenticator code or, when the user's role requires a second factor they
+// have not set up, setting one up
+const Login = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, login, requestMagicLink, verifyTwoFactor, completeTwoFactorSetup } = useAuth();
+  const challenge = location.state?.challenge;
+  const [step, setStep] = useState(() => initialStep(challenge));
+  const [formData, setFormData] = useState({ email: '', password: '' });
+  const [challengeToken, setChallengeToken] = useState(challenge?.challengeToken || null);
+  const [linkSent, setLinkSent] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Back to the page that sent them here, otherwise their own home page
+  const destination = (account) =>
+    location.state?.from?.pathname || (account?.role === 'client' ? '/portal' : '/dashboard');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const restart = (message) => {
+    setStep('password');
+    setChallengeToken(null);
+    setCode('');
+    setFormData(prev => ({ ...prev, password: '' }));
+    setError(message);
+  };
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    setSubmitting(true);
+    const result = await login(formData.email, formData.password);
+    setSubmitting(false);
+
+    if (result.success) {
+      navigate(destination(result.user), { replace: true });
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setStep('code');
+    } else if (result.twoFactorSetupRequired) {
+      setChallengeToken(result.challengeToken);
+      setStep('setup');
+    } else {
+      setError(result.error || 'Login failed');
+    }
+  };
+
+  const handleRequestLink = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    setSubmitting(true);
+    const result = await requestMagicLink(formData.email);
+    setSubmitting(false);
+
+    if (result.success) {
+      setLinkSent(result.message);
+    } else {
+      setError(result.error || 'Could not send a sign-in link');
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    setSubmitting(true);
+    const result = await verifyTwoFactor(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+    setSubmitting(false);
+
+    if (result.success) {
+      navigate(destination(result.user), { replace: true });
+    } else if (result.error && /login again/i.test(result.error)) {
+      restart(result.error);
+    } else {
+      setError(result.error || 'Verification failed');
+      setCode('');
+    }
+  };
+
+  const handleSetup = async (setupCode) => {
+    const result = await completeTwoFactorSetup(challengeToken, setupCode);
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes);
+      setStep('codes');
+    }
+    return result;
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="sm">
+        <Typography variant="h3" align="center" gutterBottom>
+          Sign In
+        </Typography>
+
+        <Paper sx={{ p: 4, mt: 4 }}>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {step === 'password' && (
+            <form onSubmit={handleLogin}>
+              <TextField
+                fullWidth
+                type="email"
+                label="Email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                margin="normal"
+                autoComplete="email"
+              />
+              <TextField
+                fullWidth
+                type="password"
+                label="Password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                margin="normal"
+                autoComplete="current-password"
+              />
+              <Box sx={{ textAlign: 'right' }}>
+                <Link component={RouterLink} to="/forgot-password" variant="body2">
+                  Forgot password?
+                </Link>
+              </Box>
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                size="large"
+                disabled={submitting}
+                sx={{ mt: 3 }}
+              >
+                {submitting ? <CircularProgress size={24} /> : 'Sign In'}
+              </Button>
+              <Button
+                fullWidth
+                onClick={() => {
+                  setError(null);
+                  setStep('link');
+                }}
+                sx={{ mt: 1 }}
+              >
+                Email Me a Sign-In Link Instead
+              </Button>
+              <Typography variant="body2" align="center" sx={{ mt: 2 }}>
+                New client?{' '}
+                <Link component={RouterLink} to="/register">
+                  Create an account
+                </Link>
+              </Typography>
+            </form>
+          )}
+
+          {step === 'link' && (linkSent ? (
+            <>
+              <Alert severity="success" sx={{ mb: 2 }}>
+                {linkSent}
+              </Alert>
+              <Typography paragraph>
+                The link works only once and expires after a short time. If nothing arrives, check your spam
+                folder or sign in with your password.
+              </Typography>
+              <Button fullWidth onClick={() => { setLinkSent(null); restart(null); }}>
+                Back to Sign In
+              </Button>
+            </>
+          ) : (
+            <form onSubmit={handleRequestLink}>
+              <Typography paragraph>
+                Enter your email and we will send you a link that signs you in without a password. Open it
+                in this browser.
+              </Typography>
+              <TextField
+                fullWidth
+                type="email"
+                label="Email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                margin="normal"
+                autoComplete="email"
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                size="large"
+                disabled={submitting}
+                sx={{ mt: 3 }}
+              >
+                {submitting ? <CircularProgress size={24} /> : 'Send Sign-In Link'}
+              </Button>
+              <Button fullWidth onClick={() => restart(null)} sx={{ mt: 1 }}>
+                Use My Password
+              </Button>
+            </form>
+          ))}
+
+          {step === 'code' && (
+            <form onSubmit={handleVerify}>
+              <Typography paragraph>
+                {useRecoveryCode
+                  ? 'Enter one of the recovery codes you saved when you set up two-factor sign in.'
+                  : 'Enter the six digit code from your authenticator app.'}
+              </Typography>
+              <TextField
+                fullWidth
+                label={useRecoveryCode ? 'Recovery Code' : 'Verification Code'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                autoFocus
+                margin="normal"
+                autoComplete="one-time-code"
+                inputProps={useRecoveryCode ? { maxLength: 11 } : { inputMode: 'numeric', maxLength: 6 }}
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                size="large"
+                disabled={submitting}
+                sx={{ mt: 3 }}
+              >
+                {submitting ? <CircularProgress size={24} /> : 'Verify'}
+              </Button>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 2 }}>
+                <Button
+                  size="small"
+                  onClick={() => {
+                    setUseRecoveryCode(prev => !prev);
+                    setCode('');
+                    setError(null);
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                </Button>
+                <Button size="small" onClick={() => restart(null)}>
+                  Start over
+                </Button>
+              </Box>
+            </form>
+          )}
+
+          {step === 'setup' && (
+            <>
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Your role requires two-factor sign in. Set it up now to continue.
+              </Alert>
+              <TwoFactorSetup challengeToken={challengeToken} onConfirm={handleSetup} />
+            </>
+          )}
+
+          {step === 'codes' && (
+            <>
+              <RecoveryCodes codes={recoveryCodes} />
+              <Button
+                variant="contained"
+                fullWidth
+                size="large"
+                onClick={() => navigate(destination(user), { replace: true })}
+                sx={{ mt: 3 }}
+              >
+                I Have Saved My Codes
+              </Button>
+            </>
+          )}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default Login;
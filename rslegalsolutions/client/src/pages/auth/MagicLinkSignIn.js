@@ -0,0 +1,68 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  Paper,
+} from '@mui/material';
+import { useAuth } from '../../hooks/useAuth';
+
+// Landing page for an emailed sign-in link. The link is used as soon as the
+// page opens; it works once, so a strict-mode double run is skipped. When a
+// second factor is needed the login page takes over with the challenge.
+const MagicLinkSignIn = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { signInWithMagicLink } = useAuth();
+  const [error, setError] = useState(null);
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (!token || started.current) return;
+    started.current = true;
+
+    signInWithMagicLink(token).then((result) => {
+      if (result.success) {
+        navigate(result.user?.role === 'client' ? '/portal' : '/dashboard', { replace: true });
+      } else if (result.twoFactorRequired || result.twoFactorSetupRequired) {
+        navigate('/login', { replace: true, state: { challenge: result } });
+      } else {
+        setError(result.error || 'Sign in failed');
+      }
+    });
+  }, [token, signInWithMagicLink, navigate]);
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="sm">
+        <Typography variant="h3" align="center" gutterBottom>
+          Sign In
+        </Typography>
+
+        <Paper sx={{ p: 4, mt: 4 }}>
+          {!token || error ? (
+            <>
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {token ? error : 'This sign-in link is incomplete. Please use the full link from your email.'}
+              </Alert>
+              <Button component={RouterLink} to="/login" variant="contained" fullWidth>
+                Back to Sign In
+              </Button>
+            </>
+          ) : (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+              <CircularProgress />
+            </Box>
+          )}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default MagicLinkSignIn;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { useNavigate, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Paper,
+  Link,
+} from '@mui/material';
+import { useAuth } from '../../hooks/useAuth';
+
+// Client portal sign up. Staff accounts come from an admin's invitation.
+const Register = () => {
+  const navigate = useNavigate();
+  const { register } = useAuth();
+  const [formData, setFormData] = useState({ name: '', email: '', password: '', confirmPassword: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (formData.password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await register({
+      name: formData.name,
+      email: formData.email,
+      password: formData.password,
+    });
+    setSubmitting(false);
+
+    if (result.success) {
+      navigate('/portal', { replace: true });
+    } else if (result.twoFactorSetupRequired) {
+      navigate('/login', { replace: true, state: { challenge: result } });
+    } else {
+      setError(result.error || 'Registration failed');
+    }
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="sm">
+        <Typography variant="h3" align="center" gutterBottom>
+          Create an Account
+        </Typography>
+        <Typography align="center" color="text.secondary">
+          See your appointments, documents, invoices and messages with us in one place.
+        </Typography>
+
+        <Paper sx={{ p: 4, mt: 4 }}>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <TextField
+              fullWidth
+              label="Full Name"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              required
+              margin="normal"
+              autoComplete="name"
+            />
+            <TextField
+              fullWidth
+              type="email"
+              label="Email"
+              name="email"
+              value={formData.email}
+              onChange={handleChange}
+              required
+              margin="normal"
+              autoComplete="email"
+              helperText="Use the address you book appointments with so we can link them to your account"
+            />
+            <TextField
+              fullWidth
+              type="password"
+              label="Password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              required
+              margin="normal"
+              autoComplete="new-password"
+              helperText="At least 8 characters"
+            />
+            <TextField
+              fullWidth
+              type="password"
+              label="Confirm Password"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              required
+              margin="normal"
+              autoComplete="new-password"
+            />
+            <Button
+              type="submit"
+              variant="contained"
+              fullWidth
+              size="large"
+              disabled={submitting}
+              sx={{ mt: 3 }}
+            >
+              {submitting ? <CircularProgress size={24} /> : 'Create Account'}
+            </Button>
+            <Typography variant="body2" align="center" sx={{ mt: 2 }}>
+              Already have an account?{' '}
+              <Link component={RouterLink} to="/login">
+                Sign in
+              </Link>
+            </Typography>
+          </form>
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default Register;
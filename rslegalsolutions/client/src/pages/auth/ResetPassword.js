@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+  Paper,
+  Link,
+} from '@mui/material';
+import { useAuth } from '../../hooks/useAuth';
+
+// Reached from the emailed link, /reset-password?token=...
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { resetPassword } = useAuth();
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await resetPassword(token, formData.password);
+    setSubmitting(false);
+
+    if (result.success) {
+      setDone(true);
+    } else {
+      setError(result.error || 'Password reset failed');
+    }
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="sm">
+        <Typography variant="h3" align="center" gutterBottom>
+          Choose a New Password
+        </Typography>
+
+        <Paper sx={{ p: 4, mt: 4 }}>
+          {!token ? (
+            <Alert severity="error">
+              This reset link is incomplete. Please use the link from your email, or{' '}
+              <Link component={RouterLink} to="/forgot-password">
+                request a new one
+              </Link>
+              .
+            </Alert>
+          ) : done ? (
+            <>
+              <Alert severity="success" sx={{ mb: 2 }}>
+                Your password has been changed and you have been signed out on every device.
+              </Alert>
+              <Button component={RouterLink} to="/login" variant="contained" fullWidth>
+                Sign In
+              </Button>
+            </>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {error}{' '}
+                  <Link component={RouterLink} to="/forgot-password">
+                    Request a new link
+                  </Link>
+                </Alert>
+              )}
+
+              <TextField
+                fullWidth
+                type="password"
+                label="New Password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                margin="normal"
+                autoComplete="new-password"
+                inputProps={{ minLength: 8 }}
+                helperText="At least 8 characters"
+              />
+              <TextField
+                fullWidth
+                type="password"
+                label="Confirm Password"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                required
+                margin="normal"
+                autoComplete="new-password"
+              />
+              <Button
+                type="submit"
+                variant="contained"
+                fullWidth
+                size="large"
+                disabled={submitting}
+                sx={{ mt: 3 }}
+              >
+                {submitting ? <CircularProgress size={24} /> : 'Reset Password'}
+              </Button>
+            </form>
+          )}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams, Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  Paper,
+} from '@mui/material';
+import { useAuth } from '../../hooks/useAuth';
+
+// Landing page for the emailed verification link. The token is used as soon
+// as the page opens; it works once, so a strict-mode double run is skipped.
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, verifyEmail } = useAuth();
+  const [result, setResult] = useState(null);
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (!token || started.current) return;
+    started.current = true;
+
+    verifyEmail(token).then(setResult);
+  }, [token, verifyEmail]);
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="sm">
+        <Typography variant="h3" align="center" gutterBottom>
+          Verify Email
+        </Typography>
+
+        <Paper sx={{ p: 4, mt: 4 }}>
+          {!token ? (
+            <Alert severity="error">
+              This verification link is incomplete. Please use the full link from your email.
+            </Alert>
+          ) : !result ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+              <CircularProgress />
+            </Box>
+          ) : result.success ? (
+            <>
+              <Alert severity="success" sx={{ mb: 2 }}>
+                {result.message}
+              </Alert>
+              <Typography paragraph>
+                Appointments and enquiries made with this address now appear in My Matters.
+              </Typography>
+              <Button
+                component={RouterLink}
+                to={user ? '/portal' : '/login'}
+                variant="contained"
+                fullWidth
+              >
+                {user ? 'Go to My Matters' : 'Sign In'}
+              </Button>
+            </>
+          ) : (
+            <>
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {result.error || 'Email verification failed'}
+              </Alert>
+              <Typography paragraph>
+                You can ask for a new link from My Matters once you have signed in.
+              </Typography>
+              <Button
+                component={RouterLink}
+                to={user ? '/portal' : '/login'}
+                variant="contained"
+                fullWidth
+              >
+                {user ? 'Go to My Matters' : 'Sign In'}
+              </Button>
+            </>
+          )}
+        </Paper>
+      </Container>
+    </Box>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,575 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Grid,
+  Paper,
+  TextField,
+  Button,
+  IconButton,
+  Alert,
+  CircularProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TablePagination,
+  Chip,
+  Tabs,
+  Tab,
+  List,
+  ListItemButton,
+  ListItemText,
+  Badge,
+} from '@mui/material';
+import { ArrowBack, Delete, Add } from '@mui/icons-material';
+import { clientAccountsAPI, handleApiError } from '../../services/api';
+import { formatDate } from '../../utils/dateTime';
+import { formatCurrency } from '../../utils/currency';
+import {
+  INVOICE_STATUS_LABELS,
+  INVOICE_STATUS_COLORS,
+  formatFileSize,
+  saveBlob,
+  readFileAsBase64,
+} from '../../utils/portal';
+import MessageThread from '../../components/portal/MessageThread';
+import { useAuth } from '../../hooks/useAuth';
+
+const PAGE_SIZE = 20;
+
+const EMPTY_DOCUMENT = { title: '', description: '', file: null };
+const EMPTY_INVOICE = { items: [{ description: '', amount: '' }], dueDate: '', notes: '' };
+
+// Staff side of the client portal: share documents, raise invoices and
+// message each client account
+const ClientAccounts = () => {
+  const { hasPermission } = useAuth();
+  const [clients, setClients] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [tab, setTab] = useState('messages');
+  const [items, setItems] = useState([]);
+  const [documentForm, setDocumentForm] = useState(EMPTY_DOCUMENT);
+  const [invoiceForm, setInvoiceForm] = useState(EMPTY_INVOICE);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const tabs = [
+    hasPermission('message_clients') && 'messages',
+    hasPermission('view_documents') && 'documents',
+    hasPermission('view_billing') && 'invoices',
+  ].filter(Boolean);
+
+  const fetchClients = useCallback(async () => {
+    try {
+      const response = await clientAccountsAPI.getAll({
+        page: page + 1,
+        limit: PAGE_SIZE,
+        ...(search ? { search } : {}),
+      });
+      setClients(response.data.clients);
+      setTotal(response.data.pagination.totalItems);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    }
+  }, [page, search]);
+
+  useEffect(() => {
+    fetchClients();
+  }, [fetchClients]);
+
+  const fetchItems = useCallback(async () => {
+    if (!selected || !tab) return;
+
+    try {
+      setLoading(true);
+      let response;
+      if (tab === 'documents') {
+        response = await clientAccountsAPI.getDocuments(selected._id);
+      } else if (tab === 'invoices') {
+        response = await clientAccountsAPI.getInvoices(selected._id);
+      } else {
+        response = await clientAccountsAPI.getMessages(selected._id);
+      }
+      setItems(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [selected, tab]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  const openClient = (client) => {
+    setError(null);
+    setItems([]);
+    setLoading(tabs.length > 0);
+    setSelected(client);
+    setTab(prev => (tabs.includes(prev) ? prev : tabs[0]));
+    setDocumentForm(EMPTY_DOCUMENT);
+    setInvoiceForm(EMPTY_INVOICE);
+    // Opening the conversation marks the client's messages read
+    setClients(prev => prev.map(item => (
+      item._id === client._id && tabs.includes('messages') ? { ...item, unreadMessages: 0 } : item
+    )));
+  };
+
+  const changeTab = (value) => {
+    setError(null);
+    setItems([]);
+    setLoading(true);
+    setTab(value);
+  };
+
+  const handleSend = async (body) => {
+    setError(null);
+    try {
+      const response = await clientAccountsAPI.sendMessage(selected._id, body);
+      setItems(prev => [...prev, response.data]);
+      return true;
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+      return false;
+    }
+  };
+
+  const handleShareDocument = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const { file } = documentForm;
+    if (!file) {
+      setError('Choose a file to share');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await clientAccountsAPI.shareDocument(selected._id, {
+        title: documentForm.title || file.name,
+        description: documentForm.description,
+        fileName: file.name,
+        contentType: file.type || 'application/octet-stream',
+        data: await readFileAsBase64(file),
+      });
+      setNotice(`${file.name} shared with ${selected.name}`);
+      setDocumentForm(EMPTY_DOCUMENT);
+      fetchItems();
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async (document) => {
+    setError(null);
+    try {
+      const response = await clientAccountsAPI.downloadDocument(selected._id, document._id);
+      saveBlob(response.data, document.fileName);
+    } catch (err) {
+      setError('Could not download the document. Please try again.');
+    }
+  };
+
+  const handleRemoveDocument = async (document) => {
+    setError(null);
+    try {
+      const response = await clientAccountsAPI.removeDocument(selected._id, document._id);
+      setNotice(response.data.message);
+      fetchItems();
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    }
+  };
+
+  const updateInvoiceLine = (index, field, value) => {
+    setInvoiceForm(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, [field]: value } : item)),
+    }));
+  };
+
+  const handleCreateInvoice = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      setSaving(true);
+      const response = await clientAccountsAPI.createInvoice(selected._id, {
+        items: invoiceForm.items.map(item => ({ description: item.description, amount: Number(item.amount) })),
+        ...(invoiceForm.dueDate ? { dueDate: invoiceForm.dueDate } : {}),
+        notes: invoiceForm.notes,
+      });
+      setNotice(`Invoice ${response.data.number} sent to ${selected.name}`);
+      setInvoiceForm(EMPTY_INVOICE);
+      fetchItems();
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvoiceStatus = async (invoice, status) => {
+    setError(null);
+    try {
+      await clientAccountsAPI.updateInvoiceStatus(selected._id, invoice._id, status);
+      fetchItems();
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    }
+  };
+
+  const renderDocuments = () => (
+    <>
+      {hasPermission('manage_documents') && (
+        <form onSubmit={handleShareDocument}>
+          <Grid container spacing={2} alignItems="center" sx={{ mb: 3 }}>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Title"
+                value={documentForm.title}
+                onChange={(e) => setDocumentForm(prev => ({ ...prev, title: e.target.value }))}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Description"
+                value={documentForm.description}
+                onChange={(e) => setDocumentForm(prev => ({ ...prev, description: e.target.value }))}
+              />
+            </Grid>
+            <Grid item xs={12} md={4} sx={{ display: 'flex', gap: 1 }}>
+              <Button variant="outlined" component="label" sx={{ flex: 1, overflow: 'hidden' }}>
+                {documentForm.file ? documentForm.file.name : 'Choose File'}
+                <input
+                  type="file"
+                  hidden
+                  onChange={(e) => setDocumentForm(prev => ({ ...prev, file: e.target.files[0] || null }))}
+                />
+              </Button>
+              <Button type="submit" variant="contained" disabled={saving}>
+                Share
+              </Button>
+            </Grid>
+          </Grid>
+        </form>
+      )}
+      {items.length === 0 ? (
+        <Typography color="text.secondary">Nothing has been shared with this client.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Document</TableCell>
+              <TableCell>Shared</TableCell>
+              <TableCell>Size</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {items.map((document) => (
+              <TableRow key={document._id}>
+                <TableCell>
+                  <Typography variant="body2">{document.title}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {document.fileName}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  {formatDate(document.createdAt)}
+                  {document.sharedBy?.name && ` by ${document.sharedBy.name}`}
+                </TableCell>
+                <TableCell>{formatFileSize(document.size)}</TableCell>
+                <TableCell align="right">
+                  <Button size="small" onClick={() => handleDownload(document)}>
+                    Download
+                  </Button>
+                  {hasPermission('manage_documents') && (
+                    <IconButton size="small" onClick={() => handleRemoveDocument(document)}>
+                      <Delete fontSize="small" />
+                    </IconButton>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </>
+  );
+
+  const renderInvoices = () => (
+    <>
+      {hasPermission('manage_billing') && (
+        <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+          <Typography variant="subtitle1" gutterBottom>
+            New Invoice
+          </Typography>
+          <form onSubmit={handleCreateInvoice}>
+            {invoiceForm.items.map((item, index) => (
+              <Grid container spacing={2} key={index} sx={{ mb: 1 }}>
+                <Grid item xs={8}>
+                  <TextField
+                    fullWidth
+                    required
+                    size="small"
+                    label="Description"
+                    value={item.description}
+                    onChange={(e) => updateInvoiceLine(index, 'description', e.target.value)}
+                  />
+                </Grid>
+                <Grid item xs={4}>
+                  <TextField
+                    fullWidth
+                    required
+                    size="small"
+                    type="number"
+                    label="Amount"
+                    value={item.amount}
+                    onChange={(e) => updateInvoiceLine(index, 'amount', e.target.value)}
+                    inputProps={{ min: 0, step: '0.01' }}
+                  />
+                </Grid>
+              </Grid>
+            ))}
+            <Button
+              size="small"
+              startIcon={<Add />}
+              onClick={() => setInvoiceForm(prev => ({ ...prev, items: [...prev.items, { description: '', amount: '' }] }))}
+              sx={{ mb: 2 }}
+            >
+              Add Line
+            </Button>
+            <Grid container spacing={2} alignItems="center">
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="date"
+                  label="Due Date"
+                  value={invoiceForm.dueDate}
+                  onChange={(e) => setInvoiceForm(prev => ({ ...prev, dueDate: e.target.value }))}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Notes"
+                  value={invoiceForm.notes}
+                  onChange={(e) => setInvoiceForm(prev => ({ ...prev, notes: e.target.value }))}
+                />
+              </Grid>
+              <Grid item xs={12} md={2}>
+                <Button type="submit" variant="contained" fullWidth disabled={saving}>
+                  Send
+                </Button>
+              </Grid>
+            </Grid>
+          </form>
+        </Paper>
+      )}
+      {items.length === 0 ? (
+        <Typography color="text.secondary">This client has no invoices.</Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Invoice</TableCell>
+              <TableCell>Issued</TableCell>
+              <TableCell>Due</TableCell>
+              <TableCell align="right">Total</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {items.map((invoice) => (
+              <TableRow key={invoice._id}>
+                <TableCell>{invoice.number}</TableCell>
+                <TableCell>
+                  {formatDate(invoice.createdAt)}
+                  {invoice.issuedBy?.name && ` by ${invoice.issuedBy.name}`}
+                </TableCell>
+                <TableCell>{invoice.dueDate ? formatDate(invoice.dueDate) : '-'}</TableCell>
+                <TableCell align="right">{formatCurrency(invoice.total, invoice.currency)}</TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={INVOICE_STATUS_LABELS[invoice.status]}
+                    color={INVOICE_STATUS_COLORS[invoice.status]}
+                  />
+                </TableCell>
+                <TableCell align="right">
+                  {invoice.status === 'issued' && hasPermission('manage_billing') && (
+                    <>
+                      <Button size="small" onClick={() => handleInvoiceStatus(invoice, 'paid')}>
+                        Mark Paid
+                      </Button>
+                      <Button size="small" color="error" onClick={() => handleInvoiceStatus(invoice, 'void')}>
+                        Void
+                      </Button>
+                    </>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </>
+  );
+
+  const renderTab = () => {
+    if (loading) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+
+    switch (tab) {
+      case 'documents':
+        return renderDocuments();
+      case 'invoices':
+        return renderInvoices();
+      default:
+        return (
+          <MessageThread
+            messages={items}
+            mine={(message) => !message.fromClient}
+            onSend={handleSend}
+          />
+        );
+    }
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="xl">
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h4">
+            Clients
+          </Typography>
+          <Button startIcon={<ArrowBack />} component={RouterLink} to="/dashboard">
+            Back to Dashboard
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        <Grid container spacing={3}>
+          <Grid item xs={12} md={4}>
+            <Paper>
+              <Box sx={{ p: 2 }}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Search by name or email"
+                  value={search}
+                  onChange={(e) => {
+                    setSearch(e.target.value);
+                    setPage(0);
+                  }}
+                />
+              </Box>
+              <List dense>
+                {clients.map((client) => (
+                  <ListItemButton
+                    key={client._id}
+                    selected={selected?._id === client._id}
+                    onClick={() => openClient(client)}
+                  >
+                    <ListItemText
+                      primary={
+                        <Badge color="primary" badgeContent={client.unreadMessages} sx={{ pr: 1.5 }}>
+                          {client.name}
+                        </Badge>
+                      }
+                      secondary={client.email}
+                    />
+                    {!client.emailVerifiedAt && <Chip size="small" label="Unverified" />}
+                  </ListItemButton>
+                ))}
+                {clients.length === 0 && (
+                  <Typography color="text.secondary" sx={{ px: 2, py: 1 }}>
+                    No client accounts found.
+                  </Typography>
+                )}
+              </List>
+              <TablePagination
+                component="div"
+                count={total}
+                page={page}
+                rowsPerPage={PAGE_SIZE}
+                rowsPerPageOptions={[PAGE_SIZE]}
+                onPageChange={(e, value) => setPage(value)}
+              />
+            </Paper>
+          </Grid>
+
+          <Grid item xs={12} md={8}>
+            <Paper sx={{ p: 3 }}>
+              {!selected ? (
+                <Typography color="text.secondary">
+                  Choose a client to see their messages, documents and invoices.
+                </Typography>
+              ) : (
+                <>
+                  <Typography variant="h6">{selected.name}</Typography>
+                  <Typography variant="body2" color="text.secondary" gutterBottom>
+                    {selected.email} · joined {formatDate(selected.createdAt)}
+                    {!selected.emailVerifiedAt && ' · has not verified their email, so cannot see shared items yet'}
+                  </Typography>
+                  <Tabs value={tab} onChange={(e, value) => changeTab(value)} sx={{ mb: 3 }}>
+                    {tabs.includes('messages') && <Tab value="messages" label="Messages" />}
+                    {tabs.includes('documents') && <Tab value="documents" label="Documents" />}
+                    {tabs.includes('invoices') && <Tab value="invoices" label="Invoices" />}
+                  </Tabs>
+                  {renderTab()}
+                </>
+              )}
+            </Paper>
+          </Grid>
+        </Grid>
+      </Container>
+    </Box>
+  );
+};
+
+export default ClientAccounts;
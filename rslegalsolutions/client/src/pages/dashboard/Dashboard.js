@@ -0,0 +1,439 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Container,
+  Typography,
+  Grid,
+  Button,
+  IconButton,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Chip,
+} from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { ChevronLeft, ChevronRight, EventRepeat, People, Folder } from '@mui/icons-material';
+import {
+  appointmentsAPI,
+  servicesAPI,
+  settingsAPI,
+  closuresAPI,
+  handleApiError,
+} from '../../services/api';
+import { formatDate, formatTime, toDateKey, officeTimeNote } from '../../utils/dateTime';
+import { MODE_LABELS } from '../../utils/consultationModes';
+import { formatCurrency } from '../../utils/currency';
+import { formatAnswer } from '../../utils/intake';
+import {
+  CALENDAR_VIEWS,
+  STATUS_LABELS,
+  STATUS_COLORS,
+  STAFF_STATUSES,
+  isMovable,
+  getViewRange,
+  shiftDate,
+  viewTitle,
+} from '../../utils/calendar';
+import AppointmentCalendar from '../../components/dashboard/AppointmentCalendar';
+import SeriesDialog from '../../components/dashboard/SeriesDialog';
+import SeriesEditDialog from '../../components/dashboard/SeriesEditDialog';
+import { useAuth } from '../../hooks/useAuth';
+
+const Dashboard = () => {
+  const { hasPermission } = useAuth();
+  const [view, setView] = useState('week');
+  const [date, setDate] = useState(new Date());
+  const [filters, setFilters] = useState({ lawyer: '', service: '', status: '' });
+  const [appointments, setAppointments] = useState([]);
+  const [lawyers, setLawyers] = useState([]);
+  const [services, setServices] = useState([]);
+  const [template, setTemplate] = useState(null);
+  const [closedDays, setClosedDays] = useState(new Map());
+  const [selected, setSelected] = useState(null);
+  const [move, setMove] = useState(null);
+  const [creatingSeries, setCreatingSeries] = useState(false);
+  const [editingSeries, setEditingSeries] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [lawyersResponse, servicesResponse, templateResponse] = await Promise.all([
+          appointmentsAPI.getLawyers(),
+          servicesAPI.getAll(),
+          settingsAPI.getSlotTemplate(),
+        ]);
+        setLawyers(lawyersResponse.data);
+        setServices(servicesResponse.data);
+        setTemplate(templateResponse.data);
+      } catch (err) {
+        const errorDetails = handleApiError(err);
+        setError(errorDetails.message);
+      }
+    };
+
+    fetchOptions();
+  }, []);
+
+  const fetchAppointments = useCallback(async () => {
+    const { start, end } = getViewRange(view, date);
+
+    try {
+      setLoading(true);
+      const params = { from: start.toISOString(), to: end.toISOString() };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const [appointmentsResponse, closuresResponse] = await Promise.all([
+        appointmentsAPI.getAll(params),
+        closuresAPI.getCalendar({ from: toDateKey(start), to: toDateKey(end) }),
+      ]);
+      setAppointments(appointmentsResponse.data);
+      setClosedDays(new Map(closuresResponse.data.map((day) => [day.date, day.reason])));
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [view, date, filters]);
+
+  useEffect(() => {
+    fetchAppointments();
+  }, [fetchAppointments]);
+
+  const handleFilterChange = (field) => (event) => {
+    setFilters((prev) => ({ ...prev, [field]: event.target.value }));
+  };
+
+  const handleStatusChange = async (status) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await appointmentsAPI.updateStatus(selected._id, status);
+      setNotice(`${selected.clientName}'s appointment is now ${STATUS_LABELS[status].toLowerCase()}.`);
+      setSelected(null);
+      setAppointments((prev) => prev.map((appointment) =>
+        appointment._id === selected._id
+          ? { ...appointment, status: response.data.appointment.status }
+          : appointment));
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMove = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await appointmentsAPI.move(move.appointment._id, {
+        startTime: move.startTime.toISOString(),
+        reason: move.reason || undefined,
+      });
+      setNotice(`${move.appointment.clientName}'s appointment moved to ${formatDate(move.startTime)} at ${formatTime(move.startTime)}.`);
+      setMove(null);
+      fetchAppointments();
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+      setMove(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSeriesCreated = ({ message, skipped }) => {
+    setCreatingSeries(false);
+    setNotice(skipped.length ? `${message}; ${skipped.length} conflicting date(s) skipped.` : `${message}.`);
+    fetchAppointments();
+  };
+
+  const handleSeriesSaved = (message) => {
+    setEditingSeries(null);
+    setNotice(message);
+    fetchAppointments();
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="xl">
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h4">
+            Appointments Calendar
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            {hasPermission('view_cases') && (
+              <Button variant="outlined" startIcon={<Folder />} component={RouterLink} to="/dashboard/clients">
+                Clients
+              </Button>
+            )}
+            {hasPermission('manage_users') && (
+              <Button variant="outlined" startIcon={<People />} component={RouterLink} to="/dashboard/users">
+                Users
+              </Button>
+            )}
+            <Button variant="contained" startIcon={<EventRepeat />} onClick={() => setCreatingSeries(true)}>
+              New Recurring Series
+            </Button>
+          </Box>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+          <Grid item xs={12} md={4}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Button variant="outlined" size="small" onClick={() => setDate(new Date())}>
+                Today
+              </Button>
+              <IconButton onClick={() => setDate(shiftDate(view, date, -1))}>
+                <ChevronLeft />
+              </IconButton>
+              <IconButton onClick={() => setDate(shiftDate(view, date, 1))}>
+                <ChevronRight />
+              </IconButton>
+              <Typography variant="h6">{viewTitle(view, date)}</Typography>
+              {loading && <CircularProgress size={20} />}
+            </Box>
+          </Grid>
+          <Grid item xs={12} sm={4} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Lawyer</InputLabel>
+              <Select value={filters.lawyer} label="Lawyer" onChange={handleFilterChange('lawyer')}>
+                <MenuItem value="">All lawyers</MenuItem>
+                {lawyers.map((lawyer) => (
+                  <MenuItem key={lawyer._id} value={lawyer._id}>
+                    {lawyer.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={4} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Service</InputLabel>
+              <Select value={filters.service} label="Service" onChange={handleFilterChange('service')}>
+                <MenuItem value="">All services</MenuItem>
+                {services.map((service) => (
+                  <MenuItem key={service._id} value={service._id}>
+                    {service.title}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} sm={4} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Status</InputLabel>
+              <Select value={filters.status} label="Status" onChange={handleFilterChange('status')}>
+                <MenuItem value="">All statuses</MenuItem>
+                {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                  <MenuItem key={status} value={status}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={12} md={2} sx={{ display: 'flex', justifyContent: { md: 'flex-end' } }}>
+            <ToggleButtonGroup
+              value={view}
+              exclusive
+              size="small"
+              onChange={(event, value) => value && setView(value)}
+            >
+              {CALENDAR_VIEWS.map((option) => (
+                <ToggleButton key={option} value={option} sx={{ textTransform: 'capitalize' }}>
+                  {option}
+                </ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+          </Grid>
+        </Grid>
+
+        <AppointmentCalendar
+          view={view}
+          date={date}
+          appointments={appointments}
+          template={template}
+          closedDays={closedDays}
+          onMove={(appointment, startTime) => setMove({ appointment, startTime, reason: '' })}
+          onSelect={setSelected}
+          onShowDay={(day) => {
+            setDate(day);
+            setView('day');
+          }}
+        />
+
+        <Dialog open={!!move} onClose={() => setMove(null)} maxWidth="xs" fullWidth>
+          <DialogTitle>Move Appointment</DialogTitle>
+          {move && (
+            <DialogContent>
+              <DialogContentText sx={{ mb: 2 }}>
+                Move {move.appointment.clientName}'s appointment from{' '}
+                {formatDate(move.appointment.startTime)} at {formatTime(move.appointment.startTime)} to{' '}
+                <strong>{formatDate(move.startTime)} at {formatTime(move.startTime)}</strong>?
+                The client will be emailed the new time.
+              </DialogContentText>
+              <TextField
+                label="Reason (optional)"
+                value={move.reason}
+                onChange={(e) => setMove((prev) => ({ ...prev, reason: e.target.value }))}
+                inputProps={{ maxLength: 200 }}
+                fullWidth
+              />
+            </DialogContent>
+          )}
+          <DialogActions>
+            <Button onClick={() => setMove(null)}>Keep Current Time</Button>
+            <Button variant="contained" onClick={handleMove} disabled={saving}>
+              {saving ? <CircularProgress size={24} /> : 'Move Appointment'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        <Dialog open={!!selected} onClose={() => setSelected(null)} maxWidth="sm" fullWidth>
+          {selected && (
+            <>
+              <DialogTitle>
+                {selected.clientName}{' '}
+                <Chip
+                  size="small"
+                  label={STATUS_LABELS[selected.status]}
+                  color={STATUS_COLORS[selected.status]}
+                  sx={{ ml: 1 }}
+                />
+                {selected.series && (
+                  <Chip size="small" icon={<EventRepeat />} label="Recurring" variant="outlined" sx={{ ml: 1 }} />
+                )}
+              </DialogTitle>
+              <DialogContent>
+                <Grid container spacing={1}>
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>When:</strong> {formatDate(selected.startTime)},{' '}
+                      {formatTime(selected.startTime)} - {formatTime(selected.endTime)}
+                      {officeTimeNote(selected.startTime, selected.timezone)}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Service:</strong> {selected.serviceType?.title}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Lawyer:</strong> {selected.lawyer ? selected.lawyer.name : 'Unassigned'}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Consultation:</strong> {MODE_LABELS[selected.mode || 'in-person']}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12}>
+                    <Typography>
+                      <strong>Contact:</strong> {selected.email}, {selected.phone}
+                    </Typography>
+                  </Grid>
+                  {selected.payment?.intentId && (
+                    <Grid item xs={12}>
+                      <Typography>
+                        <strong>Fee:</strong>{' '}
+                        {formatCurrency(selected.payment.amount, selected.payment.currency)} ({selected.payment.status})
+                      </Typography>
+                    </Grid>
+                  )}
+                  {selected.message && (
+                    <Grid item xs={12}>
+                      <Typography>
+                        <strong>Message:</strong> {selected.message}
+                      </Typography>
+                    </Grid>
+                  )}
+                  {selected.intake?.map((item) => (
+                    <Grid item xs={12} key={item.key}>
+                      <Typography>
+                        <strong>{item.label}:</strong> {formatAnswer(item.answer)}
+                      </Typography>
+                    </Grid>
+                  ))}
+                </Grid>
+              </DialogContent>
+              <DialogActions sx={{ flexWrap: 'wrap', gap: 1 }}>
+                {STAFF_STATUSES
+                  .filter((status) => status !== selected.status)
+                  .map((status) => (
+                    <Button
+                      key={status}
+                      variant="outlined"
+                      color={status === 'cancelled' ? 'error' : 'primary'}
+                      onClick={() => handleStatusChange(status)}
+                      disabled={saving}
+                    >
+                      Mark {STATUS_LABELS[status]}
+                    </Button>
+                  ))}
+                {selected.series && isMovable(selected) && (
+                  <Button
+                    variant="outlined"
+                    onClick={() => {
+                      setEditingSeries(selected);
+                      setSelected(null);
+                    }}
+                  >
+                    Edit Series
+                  </Button>
+                )}
+                <Button onClick={() => setSelected(null)}>Close</Button>
+              </DialogActions>
+            </>
+          )}
+        </Dialog>
+
+        <SeriesDialog
+          open={creatingSeries}
+          services={services}
+          onClose={() => setCreatingSeries(false)}
+          onCreated={handleSeriesCreated}
+        />
+        <SeriesEditDialog
+          appointment={editingSeries}
+          services={services}
+          lawyers={lawyers}
+          onClose={() => setEditingSeries(null)}
+          onSaved={handleSeriesSaved}
+        />
+      </Container>
+    </Box>
+  );
+};
+
+export default Dashboard;
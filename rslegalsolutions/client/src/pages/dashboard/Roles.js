@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Grid,
+  Paper,
+  TextField,
+  Button,
+  FormControlLabel,
+  FormGroup,
+  Checkbox,
+  Alert,
+  CircularProgress,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from '@mui/material';
+import { ArrowBack, Add } from '@mui/icons-material';
+import { rolesAPI, handleApiError } from '../../services/api';
+import { CLIENT_ROLE, permissionLabel } from '../../utils/users';
+
+const EMPTY_ROLE = {
+  name: '',
+  label: '',
+  description: '',
+  permissions: [],
+  requireTwoFactor: false,
+  allowMagicLink: false,
+};
+
+const Roles = () => {
+  const [roles, setRoles] = useState([]);
+  const [modules, setModules] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchRoles = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [rolesResponse, permissionsResponse] = await Promise.all([
+        rolesAPI.getAll(),
+        rolesAPI.getPermissions(),
+      ]);
+      setRoles(rolesResponse.data);
+      setModules(permissionsResponse.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRoles();
+  }, [fetchRoles]);
+
+  const togglePermission = (key) => {
+    setEditing(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(key)
+        ? prev.permissions.filter(item => item !== key)
+        : [...prev.permissions, key],
+    }));
+  };
+
+  const handleSave = async () => {
+    setError(null);
+
+    try {
+      setSaving(true);
+      const data = {
+        label: editing.label,
+        description: editing.description,
+        requireTwoFactor: Boolean(editing.requireTwoFactor),
+        allowMagicLink: Boolean(editing.allowMagicLink),
+      };
+      if (!editing.grantsAll) {
+        data.permissions = editing.permissions;
+      }
+
+      if (editing._id) {
+        await rolesAPI.update(editing._id, data);
+        setNotice(`${editing.label} updated. Users with this role have the new permissions now.`);
+      } else {
+        await rolesAPI.create({ ...data, name: editing.name });
+        setNotice(`${editing.label} created`);
+      }
+
+      setEditing(null);
+      fetchRoles();
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setError(null);
+
+    try {
+      setSaving(true);
+      const response = await rolesAPI.delete(deleting._id);
+      setNotice(response.data.message);
+      setDeleting(null);
+      fetchRoles();
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+      setDeleting(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderPermissionPicker = () => {
+    if (editing.grantsAll) {
+      return (
+        <Alert severity="info" sx={{ mt: 2 }}>
+          This role always has every permission, including ones added by new modules.
+        </Alert>
+      );
+    }
+
+    if (editing.name === CLIENT_ROLE) {
+      return (
+        <Alert severity="info" sx={{ mt: 2 }}>
+          Client portal accounts cannot hold staff permissions.
+        </Alert>
+      );
+    }
+
+    return Object.entries(modules).map(([module, permissions]) => (
+      <Box key={module} sx={{ mt: 2 }}>
+        <Typography variant="subtitle2" sx={{ textTransform: 'capitalize' }}>
+          {module}
+        </Typography>
+        <FormGroup>
+          {permissions.map(permission => (
+            <FormControlLabel
+              key={permission.key}
+              control={
+                <Checkbox
+                  checked={editing.permissions.includes(permission.key)}
+                  onChange={() => togglePermission(permission.key)}
+                />
+              }
+              label={permission.description}
+            />
+          ))}
+        </FormGroup>
+      </Box>
+    ));
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="lg">
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h4">
+            Roles
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button startIcon={<ArrowBack />} component={RouterLink} to="/dashboard/users">
+              Back to Users
+            </Button>
+            <Button variant="contained" startIcon={<Add />} onClick={() => setEditing({ ...EMPTY_ROLE })}>
+              New Role
+            </Button>
+          </Box>
+        </Box>
+
+        {error && !editing && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Grid container spacing={2}>
+            {roles.map(role => (
+              <Grid item xs={12} md={6} key={role._id}>
+                <Paper sx={{ p: 3, height: '100%' }}>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                    <Box>
+                      <Typography variant="h6">{role.label}</Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {role.name} · {role.users} user{role.users === 1 ? '' : 's'}
+                      </Typography>
+                    </Box>
+                    <Box sx={{ display: 'flex', gap: 0.5 }}>
+                      {role.requireTwoFactor && <Chip size="small" color="info" label="2FA required" />}
+                      {role.allowMagicLink && role.name !== CLIENT_ROLE && (
+                        <Chip size="small" label="Sign-in links" />
+                      )}
+                      {role.isSystem && <Chip size="small" label="Built-in" />}
+                    </Box>
+                  </Box>
+
+                  {role.description && (
+                    <Typography variant="body2" sx={{ mt: 1 }}>
+                      {role.description}
+                    </Typography>
+                  )}
+
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 2 }}>
+                    {role.grantsAll ? (
+                      <Chip size="small" color="primary" label="All permissions" />
+                    ) : role.permissions.length ? (
+                      role.permissions.map(permission => (
+                        <Chip key={permission} size="small" label={permissionLabel(permission)} />
+                      ))
+                    ) : (
+                      <Typography variant="body2" color="text.secondary">
+                        No staff permissions
+                      </Typography>
+                    )}
+                  </Box>
+
+                  <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2 }}>
+                    <Button size="small" onClick={() => setEditing({ ...role, permissions: [...role.permissions] })}>
+                      Edit
+                    </Button>
+                    {!role.isSystem && (
+                      <Button size="small" color="error" onClick={() => setDeleting(role)}>
+                        Delete
+                      </Button>
+                    )}
+                  </Box>
+                </Paper>
+              </Grid>
+            ))}
+          </Grid>
+        )}
+
+        {editing && (
+          <Dialog open onClose={() => setEditing(null)} maxWidth="sm" fullWidth>
+            <DialogTitle>{editing._id ? `Edit ${editing.label}` : 'New Role'}</DialogTitle>
+            <DialogContent>
+              {error && (
+                <Alert severity="error" sx={{ mb: 2 }}>
+                  {error}
+                </Alert>
+              )}
+              {!editing._id && (
+                <TextField
+                  fullWidth
+                  label="Name"
+                  value={editing.name}
+                  onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                  helperText="Used by the system, e.g. paralegal. Cannot be changed later."
+                  margin="normal"
+                  required
+                />
+              )}
+              <TextField
+                fullWidth
+                label="Label"
+                value={editing.label}
+                onChange={(e) => setEditing(prev => ({ ...prev, label: e.target.value }))}
+                margin="normal"
+                required
+              />
+              <TextField
+                fullWidth
+                label="Description"
+                value={editing.description || ''}
+                onChange={(e) => setEditing(prev => ({ ...prev, description: e.target.value }))}
+                margin="normal"
+              />
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={Boolean(editing.requireTwoFactor)}
+                    onChange={(e) => setEditing(prev => ({ ...prev, requireTwoFactor: e.target.checked }))}
+                  />
+                }
+                label="Require two-factor sign in"
+              />
+              {/* Clients can always sign in with an emailed link */}
+              {editing.name !== CLIENT_ROLE && (
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      checked={Boolean(editing.allowMagicLink)}
+                      onChange={(e) => setEditing(prev => ({ ...prev, allowMagicLink: e.target.checked }))}
+                    />
+                  }
+                  label="Allow sign-in links emailed instead of a password"
+                />
+              )}
+              {renderPermissionPicker()}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={() => { setEditing(null); setError(null); }}>Cancel</Button>
+              <Button variant="contained" onClick={handleSave} disabled={saving}>
+                {saving ? <CircularProgress size={24} /> : 'Save Role'}
+              </Button>
+            </DialogActions>
+          </Dialog>
+        )}
+
+        <Dialog open={Boolean(deleting)} onClose={() => setDeleting(null)}>
+          <DialogTitle>Delete {deleting?.label}?</DialogTitle>
+          <DialogContent>
+            <DialogContentText>
+              Roles can only be deleted once no users hold them.
+            </DialogContentText>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setDeleting(null)}>Cancel</Button>
+            <Button variant="contained" color="error" onClick={handleDelete} disabled={saving}>
+              Delete
+            </Button>
+          </DialogActions>
+        </Dialog>
+      </Container>
+    </Box>
+  );
+};
+
+export default Roles;
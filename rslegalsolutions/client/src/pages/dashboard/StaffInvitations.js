@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Grid,
+  Paper,
+  TextField,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  CircularProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+} from '@mui/material';
+import { ArrowBack } from '@mui/icons-material';
+import { invitationsAPI, usersAPI, handleApiError } from '../../services/api';
+import { formatDate } from '../../utils/dateTime';
+import { CLIENT_ROLE, roleLabel } from '../../utils/users';
+
+const STATUS_COLORS = {
+  pending: 'warning',
+  accepted: 'success',
+  revoked: 'default',
+};
+
+const EMPTY_FORM = { name: '', email: '', role: 'staff' };
+
+const StaffInvitations = () => {
+  const [invitations, setInvitations] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const fetchRoles = async () => {
+      try {
+        const response = await usersAPI.getOptions();
+        setRoles(response.data.roles.filter(role => role.name !== CLIENT_ROLE));
+      } catch (err) {
+        const errorDetails = handleApiError(err);
+        setError(errorDetails.message);
+      }
+    };
+
+    fetchRoles();
+  }, []);
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await invitationsAPI.getAll(statusFilter ? { status: statusFilter } : {});
+      setInvitations(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      setSaving(true);
+      const response = await invitationsAPI.create(formData);
+      setNotice(response.data.message);
+      setFormData(EMPTY_FORM);
+      fetchInvitations();
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAction = async (action, invitation) => {
+    setError(null);
+
+    try {
+      const response = action === 'resend'
+        ? await invitationsAPI.resend(invitation._id)
+        : await invitationsAPI.revoke(invitation._id);
+      setNotice(response.data.message);
+      fetchInvitations();
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    }
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="lg">
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h4">
+            Staff Invitations
+          </Typography>
+          <Button startIcon={<ArrowBack />} component={RouterLink} to="/dashboard/users">
+            Back to Users
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        <Paper sx={{ p: 3, mb: 4 }}>
+          <Typography variant="h6" gutterBottom>
+            Invite a Staff Member
+          </Typography>
+          <form onSubmit={handleSubmit}>
+            <Grid container spacing={2} alignItems="center">
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  label="Name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  required
+                  type="email"
+                  label="Email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12} md={2}>
+                <FormControl fullWidth>
+                  <InputLabel>Role</InputLabel>
+                  <Select name="role" value={formData.role} label="Role" onChange={handleChange}>
+                    {roles.map(role => (
+                      <MenuItem key={role.name} value={role.name}>
+                        {role.label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} md={2}>
+                <Button type="submit" variant="contained" fullWidth disabled={saving}>
+                  Send Invite
+                </Button>
+              </Grid>
+            </Grid>
+          </form>
+        </Paper>
+
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+          <FormControl sx={{ minWidth: 180 }} size="small">
+            <InputLabel>Status</InputLabel>
+            <Select value={statusFilter} label="Status" onChange={(e) => setStatusFilter(e.target.value)}>
+              <MenuItem value="">All</MenuItem>
+              <MenuItem value="pending">Pending</MenuItem>
+              <MenuItem value="accepted">Accepted</MenuItem>
+              <MenuItem value="revoked">Revoked</MenuItem>
+            </Select>
+          </FormControl>
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Paper>
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Email</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Invited By</TableCell>
+                  <TableCell>Expires</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {invitations.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">
+                      No invitations found
+                    </TableCell>
+                  </TableRow>
+                )}
+                {invitations.map(invitation => (
+                  <TableRow key={invitation._id}>
+                    <TableCell>
+                      {invitation.email}
+                      {invitation.name && (
+                        <Typography variant="body2" color="text.secondary">
+                          {invitation.name}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>{roleLabel(roles, invitation.role)}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={invitation.status}
+                        color={STATUS_COLORS[invitation.status]}
+                        sx={{ textTransform: 'capitalize' }}
+                      />
+                    </TableCell>
+                    <TableCell>{invitation.invitedBy?.name}</TableCell>
+                    <TableCell>
+                      {invitation.status === 'pending' ? formatDate(invitation.expiresAt) : '—'}
+                    </TableCell>
+                    <TableCell align="right">
+                      {invitation.status === 'pending' && (
+                        <>
+                          <Button size="small" onClick={() => handleAction('resend', invitation)}>
+                            Resend
+                          </Button>
+                          <Button size="small" color="error" onClick={() => handleAction('revoke', invitation)}>
+                            Revoke
+                          </Button>
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default StaffInvitations;
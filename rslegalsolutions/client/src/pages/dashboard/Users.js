@@ -0,0 +1,655 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Grid,
+  Paper,
+  TextField,
+  Button,
+  FormControl,
+  FormControlLabel,
+  FormGroup,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  Alert,
+  CircularProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TablePagination,
+  Tabs,
+  Tab,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from '@mui/material';
+import { ArrowBack, PersonAdd, AdminPanelSettings } from '@mui/icons-material';
+import { usersAPI, handleApiError } from '../../services/api';
+import { useAuth } from '../../hooks/useAuth';
+import { formatDate, formatTime } from '../../utils/dateTime';
+import {
+  CLIENT_ROLE,
+  AUDIT_ACTION_LABELS,
+  describeChanges,
+  isLocked,
+  permissionLabel,
+  roleLabel,
+} from '../../utils/users';
+import LoginHistoryTable from '../../components/auth/LoginHistoryTable';
+
+const PAGE_SIZE = 20;
+
+const Users = () => {
+  const { user: currentUser, hasPermission } = useAuth();
+  const [tab, setTab] = useState('users');
+  const [options, setOptions] = useState({ roles: [], permissions: [] });
+  const [filters, setFilters] = useState({ role: '', active: '', search: '' });
+  const [users, setUsers] = useState([]);
+  const [usersTotal, setUsersTotal] = useState(0);
+  const [usersPage, setUsersPage] = useState(0);
+  const [entries, setEntries] = useState([]);
+  const [entriesTotal, setEntriesTotal] = useState(0);
+  const [entriesPage, setEntriesPage] = useState(0);
+  const [logins, setLogins] = useState([]);
+  const [loginsTotal, setLoginsTotal] = useState(0);
+  const [loginsPage, setLoginsPage] = useState(0);
+  const [loginOutcome, setLoginOutcome] = useState('');
+  const [auditUser, setAuditUser] = useState(null);
+  const [action, setAction] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const response = await usersAPI.getOptions();
+        setOptions(response.data);
+      } catch (err) {
+        const errorDetails = handleApiError(err);
+        setError(errorDetails.message);
+      }
+    };
+
+    fetchOptions();
+  }, []);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: usersPage + 1, limit: PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const response = await usersAPI.getAll(params);
+      setUsers(response.data.users);
+      setUsersTotal(response.data.pagination.totalItems);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, usersPage]);
+
+  const fetchAudit = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: entriesPage + 1, limit: PAGE_SIZE };
+      if (auditUser) params.user = auditUser._id;
+
+      const response = await usersAPI.getAudit(params);
+      setEntries(response.data.entries);
+      setEntriesTotal(response.data.pagination.totalItems);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [auditUser, entriesPage]);
+
+  const fetchLogins = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page: loginsPage + 1, limit: PAGE_SIZE };
+      if (auditUser) params.user = auditUser._id;
+      if (loginOutcome) params.outcome = loginOutcome;
+
+      const response = await usersAPI.getLoginHistory(params);
+      setLogins(response.data.entries);
+      setLoginsTotal(response.data.pagination.totalItems);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [auditUser, loginOutcome, loginsPage]);
+
+  useEffect(() => {
+    if (tab === 'users') {
+      fetchUsers();
+    } else if (tab === 'logins') {
+      fetchLogins();
+    } else {
+      fetchAudit();
+    }
+  }, [tab, fetchUsers, fetchAudit, fetchLogins]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setUsersPage(0);
+  };
+
+  const showHistory = (user, historyTab) => {
+    setAuditUser(user);
+    setEntriesPage(0);
+    setLoginsPage(0);
+    setTab(historyTab);
+  };
+
+  const openAction = (type, user) => {
+    setError(null);
+    setAction({
+      type,
+      user,
+      role: user.role,
+      permissions: [...user.permissions],
+      reason: '',
+    });
+  };
+
+  const togglePermission = (permission) => {
+    setAction(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter(item => item !== permission)
+        : [...prev.permissions, permission],
+    }));
+  };
+
+  const handleAction = async () => {
+    const { type, user } = action;
+
+    try {
+      setSaving(true);
+      let response;
+      switch (type) {
+        case 'role':
+          response = await usersAPI.updateRole(user._id, action.role);
+          break;
+        case 'permissions':
+          response = await usersAPI.updatePermissions(user._id, action.permissions);
+          break;
+        case 'deactivate':
+          response = await usersAPI.deactivate(user._id, action.reason);
+          break;
+        case 'reactivate':
+          response = await usersAPI.reactivate(user._id);
+          break;
+        case 'twoFactor':
+          response = await usersAPI.resetTwoFactor(user._id);
+          break;
+        case 'unlock':
+          response = await usersAPI.unlock(user._id);
+          break;
+        default:
+          response = await usersAPI.forcePasswordReset(user._id);
+      }
+
+      setNotice(response.data.message);
+      setAction(null);
+      setUsers(prev => prev.map(item => (item._id === user._id ? response.data.user : item)));
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+      setAction(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Permissions a user already has from their role
+  const rolePermissions = (user) => {
+    const role = options.roles.find(item => item.name === user.role);
+    if (!role) return [];
+    return role.grantsAll ? options.permissions.map(permission => permission.key) : role.permissions;
+  };
+
+  const isSelf = (user) => currentUser && (currentUser.id || currentUser._id) === user._id;
+
+  const renderActionDialog = () => {
+    if (!action) return null;
+    const { type, user } = action;
+
+    const titles = {
+      role: `Change Role for ${user.name}`,
+      permissions: `Additional Permissions for ${user.name}`,
+      deactivate: `Deactivate ${user.name}?`,
+      reactivate: `Reactivate ${user.name}?`,
+      reset: `Force Password Reset for ${user.name}?`,
+      twoFactor: `Reset Two-Factor for ${user.name}?`,
+      unlock: `Unlock ${user.name}?`,
+    };
+
+    return (
+      <Dialog open onClose={() => setAction(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{titles[type]}</DialogTitle>
+        <DialogContent>
+          {type === 'role' && (
+            <>
+              <DialogContentText sx={{ mb: 2 }}>
+                The user gets the new role's permissions immediately. Permissions granted to them
+                individually are kept.
+              </DialogContentText>
+              <FormControl fullWidth>
+                <InputLabel>Role</InputLabel>
+                <Select
+                  value={action.role}
+                  label="Role"
+                  onChange={(e) => setAction(prev => ({ ...prev, role: e.target.value }))}
+                >
+                  {options.roles.map(role => (
+                    <MenuItem key={role.name} value={role.name}>
+                      {role.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </>
+          )}
+
+          {type === 'permissions' && (
+            <>
+              <DialogContentText sx={{ mb: 1 }}>
+                Permissions from the {roleLabel(options.roles, user.role)} role are always included.
+              </DialogContentText>
+              <FormGroup>
+                {options.permissions.map(permission => {
+                  const fromRole = rolePermissions(user).includes(permission.key);
+                  return (
+                    <FormControlLabel
+                      key={permission.key}
+                      control={
+                        <Checkbox
+                          checked={fromRole || action.permissions.includes(permission.key)}
+                          onChange={() => togglePermission(permission.key)}
+                          disabled={fromRole}
+                        />
+                      }
+                      label={permission.description}
+                    />
+                  );
+                })}
+              </FormGroup>
+            </>
+          )}
+
+          {type === 'deactivate' && (
+            <>
+              <DialogContentText>
+                {user.name} will be signed out and will not be able to sign in until reactivated.
+              </DialogContentText>
+              <TextField
+                fullWidth
+                label="Reason (optional)"
+                value={action.reason}
+                onChange={(e) => setAction(prev => ({ ...prev, reason: e.target.value }))}
+                margin="normal"
+              />
+            </>
+          )}
+
+          {type === 'reactivate' && (
+            <DialogContentText>
+              {user.name} will be able to sign in again with their existing password.
+            </DialogContentText>
+          )}
+
+          {type === 'reset' && (
+            <DialogContentText>
+              {user.name} will be signed out and emailed a password reset link. They cannot sign in
+              again until they choose a new password.
+            </DialogContentText>
+          )}
+
+          {type === 'unlock' && (
+            <DialogContentText>
+              {user.name} was locked out after failed sign in attempts until{' '}
+              {formatDate(user.loginLock.lockedUntil)} {formatTime(user.loginLock.lockedUntil)}. Check their
+              sign-in history before lifting the lock early.
+            </DialogContentText>
+          )}
+
+          {type === 'twoFactor' && (
+            <DialogContentText>
+              {user.name}'s authenticator app and recovery codes will stop working. They sign in with
+              just their password, or set up two-factor again if their role requires it.
+            </DialogContentText>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAction(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={['deactivate', 'reset', 'twoFactor'].includes(type) ? 'error' : 'primary'}
+            onClick={handleAction}
+            disabled={saving}
+          >
+            {saving ? <CircularProgress size={24} /> : 'Confirm'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    );
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="lg">
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h4">
+            Users
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button startIcon={<ArrowBack />} component={RouterLink} to="/dashboard">
+              Back to Calendar
+            </Button>
+            {hasPermission('manage_roles') && (
+              <Button variant="outlined" startIcon={<AdminPanelSettings />} component={RouterLink} to="/dashboard/roles">
+                Roles
+              </Button>
+            )}
+            <Button variant="contained" startIcon={<PersonAdd />} component={RouterLink} to="/dashboard/invitations">
+              Staff Invitations
+            </Button>
+          </Box>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+          <Tab value="users" label="Accounts" />
+          <Tab value="logins" label="Sign-in History" />
+          <Tab value="audit" label="Audit Trail" />
+        </Tabs>
+
+        {tab === 'users' && (
+          <Grid container spacing={2} sx={{ mb: 2 }}>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Search name or email"
+                name="search"
+                value={filters.search}
+                onChange={handleFilterChange}
+              />
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Role</InputLabel>
+                <Select name="role" value={filters.role} label="Role" onChange={handleFilterChange}>
+                  <MenuItem value="">All Roles</MenuItem>
+                  {options.roles.map(role => (
+                    <MenuItem key={role.name} value={role.name}>
+                      {role.label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={6} md={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Status</InputLabel>
+                <Select name="active" value={filters.active} label="Status" onChange={handleFilterChange}>
+                  <MenuItem value="">All</MenuItem>
+                  <MenuItem value="true">Active</MenuItem>
+                  <MenuItem value="false">Deactivated</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+          </Grid>
+        )}
+
+        {tab !== 'users' && (auditUser || tab === 'logins') && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+            {auditUser && (
+              <Chip
+                label={`History for ${auditUser.name}`}
+                onDelete={() => {
+                  setAuditUser(null);
+                  setEntriesPage(0);
+                  setLoginsPage(0);
+                }}
+              />
+            )}
+            {tab === 'logins' && (
+              <FormControl size="small" sx={{ minWidth: 200 }}>
+                <InputLabel>Outcome</InputLabel>
+                <Select
+                  value={loginOutcome}
+                  label="Outcome"
+                  onChange={(e) => {
+                    setLoginOutcome(e.target.value);
+                    setLoginsPage(0);
+                  }}
+                >
+                  <MenuItem value="">All</MenuItem>
+                  <MenuItem value="success">Signed in</MenuItem>
+                  <MenuItem value="failed">Failed</MenuItem>
+                </Select>
+              </FormControl>
+            )}
+          </Box>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : tab === 'users' ? (
+          <Paper>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Additional Permissions</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Last Login</TableCell>
+                  <TableCell align="right">Actions</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {users.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={6} align="center">
+                      No users found
+                    </TableCell>
+                  </TableRow>
+                )}
+                {users.map(user => (
+                  <TableRow key={user._id}>
+                    <TableCell>
+                      {user.name}
+                      <Typography variant="body2" color="text.secondary">
+                        {user.email}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{roleLabel(options.roles, user.role)}</TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {user.permissions.map(permission => (
+                          <Chip key={permission} size="small" label={permissionLabel(permission)} />
+                        ))}
+                      </Box>
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={user.isActive ? 'Active' : 'Deactivated'}
+                        color={user.isActive ? 'success' : 'default'}
+                      />
+                      {user.passwordResetRequired && (
+                        <Chip size="small" label="Reset pending" color="warning" sx={{ ml: 0.5 }} />
+                      )}
+                      {user.twoFactor?.enabled && (
+                        <Chip size="small" label="2FA" color="info" sx={{ ml: 0.5 }} />
+                      )}
+                      {isLocked(user) && (
+                        <Chip size="small" label="Locked" color="error" sx={{ ml: 0.5 }} />
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {user.lastLogin ? `${formatDate(user.lastLogin)} ${formatTime(user.lastLogin)}` : 'Never'}
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Button size="small" onClick={() => openAction('role', user)} disabled={isSelf(user)}>
+                        Role
+                      </Button>
+                      <Button
+                        size="small"
+                        onClick={() => openAction('permissions', user)}
+                        disabled={user.role === CLIENT_ROLE || isSelf(user)}
+                      >
+                        Permissions
+                      </Button>
+                      <Button size="small" onClick={() => openAction('reset', user)} disabled={isSelf(user)}>
+                        Reset Password
+                      </Button>
+                      {user.twoFactor?.enabled && (
+                        <Button size="small" onClick={() => openAction('twoFactor', user)} disabled={isSelf(user)}>
+                          Reset 2FA
+                        </Button>
+                      )}
+                      {isLocked(user) && (
+                        <Button size="small" onClick={() => openAction('unlock', user)}>
+                          Unlock
+                        </Button>
+                      )}
+                      {user.isActive ? (
+                        <Button
+                          size="small"
+                          color="error"
+                          onClick={() => openAction('deactivate', user)}
+                          disabled={isSelf(user)}
+                        >
+                          Deactivate
+                        </Button>
+                      ) : (
+                        <Button size="small" onClick={() => openAction('reactivate', user)}>
+                          Reactivate
+                        </Button>
+                      )}
+                      <Button size="small" onClick={() => showHistory(user, 'logins')}>
+                        Sign-ins
+                      </Button>
+                      <Button size="small" onClick={() => showHistory(user, 'audit')}>
+                        History
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <TablePagination
+              component="div"
+              count={usersTotal}
+              page={usersPage}
+              rowsPerPage={PAGE_SIZE}
+              rowsPerPageOptions={[PAGE_SIZE]}
+              onPageChange={(e, page) => setUsersPage(page)}
+            />
+          </Paper>
+        ) : tab === 'logins' ? (
+          <Paper>
+            <LoginHistoryTable entries={logins} showAccount />
+            <TablePagination
+              component="div"
+              count={loginsTotal}
+              page={loginsPage}
+              rowsPerPage={PAGE_SIZE}
+              rowsPerPageOptions={[PAGE_SIZE]}
+              onPageChange={(e, page) => setLoginsPage(page)}
+            />
+          </Paper>
+        ) : (
+          <Paper>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>When</TableCell>
+                  <TableCell>Action</TableCell>
+                  <TableCell>Account or Role</TableCell>
+                  <TableCell>By</TableCell>
+                  <TableCell>Details</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {entries.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={5} align="center">
+                      No audit entries found
+                    </TableCell>
+                  </TableRow>
+                )}
+                {entries.map(entry => (
+                  <TableRow key={entry._id}>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      {formatDate(entry.createdAt)} {formatTime(entry.createdAt)}
+                    </TableCell>
+                    <TableCell>{AUDIT_ACTION_LABELS[entry.action] || entry.action}</TableCell>
+                    <TableCell>{entry.target?.name || entry.targetEmail || entry.changes?.name}</TableCell>
+                    <TableCell>{entry.actor?.name}</TableCell>
+                    <TableCell>
+                      {describeChanges(entry.changes)}
+                      {entry.changes?.reason && (
+                        <Typography variant="body2" color="text.secondary">
+                          Reason: {entry.changes.reason}
+                        </Typography>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <TablePagination
+              component="div"
+              count={entriesTotal}
+              page={entriesPage}
+              rowsPerPage={PAGE_SIZE}
+              rowsPerPageOptions={[PAGE_SIZE]}
+              onPageChange={(e, page) => setEntriesPage(page)}
+            />
+          </Paper>
+        )}
+
+        {renderActionDialog()}
+      </Container>
+    </Box>
+  );
+};
+
+export default Users;
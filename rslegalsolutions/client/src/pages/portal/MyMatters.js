@@ -0,0 +1,438 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  Paper,
+  Chip,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  ToggleButton,
+  ToggleButtonGroup,
+  Link,
+  Badge,
+} from '@mui/material';
+import { portalAPI, authAPI, handleApiError } from '../../services/api';
+import { formatDate, formatTime } from '../../utils/dateTime';
+import { formatCurrency } from '../../utils/currency';
+import { MODE_LABELS } from '../../utils/consultationModes';
+import { STATUS_LABELS, STATUS_COLORS } from '../../utils/calendar';
+import {
+  INVOICE_STATUS_LABELS,
+  INVOICE_STATUS_COLORS,
+  ENQUIRY_STATUS_LABELS,
+  formatFileSize,
+  saveBlob,
+} from '../../utils/portal';
+import MessageThread from '../../components/portal/MessageThread';
+import { useAuth } from '../../hooks/useAuth';
+
+// Client portal: a client's own appointments, enquiries, shared documents,
+// invoices and messages. Nothing is shown until their email is verified.
+const MyMatters = () => {
+  const { user } = useAuth();
+  const [summary, setSummary] = useState(null);
+  const [tab, setTab] = useState('appointments');
+  const [when, setWhen] = useState('upcoming');
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [resending, setResending] = useState(false);
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      const response = await portalAPI.getSummary();
+      setSummary(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  const fetchItems = useCallback(async () => {
+    try {
+      setLoading(true);
+      let response;
+      if (tab === 'appointments') {
+        response = await portalAPI.getAppointments(when);
+      } else if (tab === 'documents') {
+        response = await portalAPI.getDocuments();
+      } else if (tab === 'invoices') {
+        response = await portalAPI.getInvoices();
+      } else if (tab === 'messages') {
+        response = await portalAPI.getMessages();
+      } else {
+        response = await portalAPI.getEnquiries();
+      }
+      setItems(response.data);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [tab, when]);
+
+  const emailVerified = Boolean(summary?.emailVerified);
+
+  useEffect(() => {
+    if (emailVerified) {
+      fetchItems();
+    }
+  }, [emailVerified, fetchItems]);
+
+  const changeTab = (value) => {
+    setError(null);
+    // Cleared here so one tab's rows are never drawn by another's table
+    setItems([]);
+    setLoading(true);
+    setTab(value);
+    // Opening the conversation marks the firm's messages read
+    if (value === 'messages') {
+      setSummary(prev => ({ ...prev, unreadMessages: 0 }));
+    }
+  };
+
+  const handleResend = async () => {
+    setError(null);
+    try {
+      setResending(true);
+      const response = await authAPI.resendVerification();
+      setNotice(response.data.message);
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+    } finally {
+      setResending(false);
+    }
+  };
+
+  const handleDownload = async (document) => {
+    setError(null);
+    try {
+      const response = await portalAPI.downloadDocument(document._id);
+      saveBlob(response.data, document.fileName);
+    } catch (err) {
+      setError('Could not download the document. Please try again.');
+    }
+  };
+
+  const handleSend = async (body) => {
+    setError(null);
+    try {
+      const response = await portalAPI.sendMessage(body);
+      setItems(prev => [...prev, response.data]);
+      return true;
+    } catch (err) {
+      const errorDetails = handleApiError(err);
+      setError(errorDetails.message);
+      return false;
+    }
+  };
+
+  const renderAppointments = () => (
+    <>
+      <ToggleButtonGroup
+        value={when}
+        exclusive
+        size="small"
+        onChange={(e, value) => value && setWhen(value)}
+        sx={{ mb: 2 }}
+      >
+        <ToggleButton value="upcoming">Upcoming</ToggleButton>
+        <ToggleButton value="past">Past</ToggleButton>
+      </ToggleButtonGroup>
+      {items.length === 0 ? (
+        <Typography color="text.secondary">
+          {when === 'upcoming' ? 'You have no upcoming appointments.' : 'You have no past appointments.'}
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>When</TableCell>
+              <TableCell>Service</TableCell>
+              <TableCell>With</TableCell>
+              <TableCell>Type</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {items.map((appointment) => (
+              <TableRow key={appointment._id}>
+                <TableCell>
+                  {formatDate(appointment.startTime)} {formatTime(appointment.startTime)}
+                </TableCell>
+                <TableCell>{appointment.serviceType?.title}</TableCell>
+                <TableCell>{appointment.lawyer?.name || 'To be assigned'}</TableCell>
+                <TableCell>{MODE_LABELS[appointment.mode] || appointment.mode}</TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={STATUS_LABELS[appointment.status] || appointment.status}
+                    color={STATUS_COLORS[appointment.status] || 'default'}
+                  />
+                </TableCell>
+                <TableCell align="right">
+                  {when === 'upcoming' && (
+                    <Button size="small" component={RouterLink} to={`/appointments/${appointment.confirmationCode}`}>
+                      Manage
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </>
+  );
+
+  const renderDocuments = () => (
+    items.length === 0 ? (
+      <Typography color="text.secondary">No documents have been shared with you yet.</Typography>
+    ) : (
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Document</TableCell>
+            <TableCell>Shared</TableCell>
+            <TableCell>Size</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {items.map((document) => (
+            <TableRow key={document._id}>
+              <TableCell>
+                <Typography variant="body2">{document.title}</Typography>
+                {document.description && (
+                  <Typography variant="caption" color="text.secondary">
+                    {document.description}
+                  </Typography>
+                )}
+              </TableCell>
+              <TableCell>
+                {formatDate(document.createdAt)}
+                {document.sharedBy?.name && ` by ${document.sharedBy.name}`}
+              </TableCell>
+              <TableCell>{formatFileSize(document.size)}</TableCell>
+              <TableCell align="right">
+                <Button size="small" onClick={() => handleDownload(document)}>
+                  Download
+                </Button>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    )
+  );
+
+  const renderInvoices = () => (
+    items.length === 0 ? (
+      <Typography color="text.secondary">You have no invoices.</Typography>
+    ) : (
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Invoice</TableCell>
+            <TableCell>Issued</TableCell>
+            <TableCell>Due</TableCell>
+            <TableCell>Items</TableCell>
+            <TableCell align="right">Total</TableCell>
+            <TableCell>Status</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {items.map((invoice) => (
+            <TableRow key={invoice._id}>
+              <TableCell>{invoice.number}</TableCell>
+              <TableCell>{formatDate(invoice.createdAt)}</TableCell>
+              <TableCell>{invoice.dueDate ? formatDate(invoice.dueDate) : '-'}</TableCell>
+              <TableCell>
+                {invoice.items.map((item, index) => (
+                  <Typography key={index} variant="body2">
+                    {item.description}: {formatCurrency(item.amount, invoice.currency)}
+                  </Typography>
+                ))}
+                {invoice.notes && (
+                  <Typography variant="caption" color="text.secondary">
+                    {invoice.notes}
+                  </Typography>
+                )}
+              </TableCell>
+              <TableCell align="right">{formatCurrency(invoice.total, invoice.currency)}</TableCell>
+              <TableCell>
+                <Chip
+                  size="small"
+                  label={INVOICE_STATUS_LABELS[invoice.status]}
+                  color={INVOICE_STATUS_COLORS[invoice.status]}
+                />
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    )
+  );
+
+  const renderEnquiries = () => (
+    items.length === 0 ? (
+      <Typography color="text.secondary">
+        You have not sent us any enquiries. <Link component={RouterLink} to="/contact">Contact us</Link>
+      </Typography>
+    ) : (
+      items.map((enquiry) => (
+        <Paper key={enquiry._id} variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+            <Typography variant="subtitle1">{enquiry.subject}</Typography>
+            <Chip size="small" label={ENQUIRY_STATUS_LABELS[enquiry.status] || enquiry.status} />
+          </Box>
+          <Typography variant="caption" color="text.secondary">
+            Sent {formatDate(enquiry.createdAt)}
+          </Typography>
+          <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', mt: 1 }}>
+            {enquiry.message}
+          </Typography>
+          {enquiry.response?.content && (
+            <Box sx={{ mt: 2, pl: 2, borderLeft: 3, borderColor: 'primary.main' }}>
+              <Typography variant="caption" color="text.secondary">
+                Our reply{enquiry.response.respondedAt && `, ${formatDate(enquiry.response.respondedAt)}`}
+              </Typography>
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                {enquiry.response.content}
+              </Typography>
+            </Box>
+          )}
+        </Paper>
+      ))
+    )
+  );
+
+  const renderTab = () => {
+    if (loading) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+
+    switch (tab) {
+      case 'documents':
+        return renderDocuments();
+      case 'invoices':
+        return renderInvoices();
+      case 'messages':
+        return (
+          <MessageThread
+            messages={items}
+            mine={(message) => message.fromClient}
+            onSend={handleSend}
+            emptyText="Send us a message about your matter and we will reply here."
+          />
+        );
+      case 'enquiries':
+        return renderEnquiries();
+      default:
+        return renderAppointments();
+    }
+  };
+
+  return (
+    <Box sx={{ py: 6 }}>
+      <Container maxWidth="lg">
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h4">
+            My Matters
+          </Typography>
+          <Button variant="contained" component={RouterLink} to="/appointments">
+            Book an Appointment
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {!summary ? (
+          !error && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+              <CircularProgress />
+            </Box>
+          )
+        ) : !emailVerified ? (
+          <Paper sx={{ p: 4 }}>
+            <Typography variant="h6" gutterBottom>
+              Verify your email address
+            </Typography>
+            <Typography paragraph>
+              We sent a verification link to <strong>{user?.email}</strong>. Once you follow it, your
+              appointments and enquiries made with that address, and anything we share with you, will appear
+              here.
+            </Typography>
+            <Button variant="outlined" onClick={handleResend} disabled={resending}>
+              {resending ? <CircularProgress size={24} /> : 'Send a New Link'}
+            </Button>
+          </Paper>
+        ) : (
+          <Paper sx={{ p: 3 }}>
+            <Tabs
+              value={tab}
+              onChange={(e, value) => changeTab(value)}
+              variant="scrollable"
+              scrollButtons="auto"
+              sx={{ mb: 3 }}
+            >
+              <Tab value="appointments" label="Appointments" />
+              <Tab value="documents" label="Documents" />
+              <Tab
+                value="invoices"
+                label={
+                  <Badge color="warning" badgeContent={summary.unpaidInvoices} sx={{ pr: 1.5 }}>
+                    Invoices
+                  </Badge>
+                }
+              />
+              <Tab
+                value="messages"
+                label={
+                  <Badge color="primary" badgeContent={summary.unreadMessages} sx={{ pr: 1.5 }}>
+                    Messages
+                  </Badge>
+                }
+              />
+              <Tab value="enquiries" label="Enquiries" />
+            </Tabs>
+            {renderTab()}
+          </Paper>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default MyMatters;
@@ -10,6 +10,17 @@ const api = axios.create({
   }
 });
 
+// Short-lived access token and the refresh token that renews it
+export const saveSession = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
 // Add token to requests if it exists
 api.interceptors.request.use(
   (config) => {
@@ -24,26 +35,122 @@ api.interceptors.request.use(
   }
 );
 
-// Handle response errors
+// A 401 from these means wrong credentials, not an expired session
+const SIGN_IN_URLS = ['/auth/login', '/auth/login/2fa', '/auth/magic-link/verify', '/auth/register'];
+
+// Refreshes in flight are shared, since each refresh token works only once
+let refreshing = null;
+
+const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = axios.post(`${API_BASE_URL}/auth/refresh`, {
+      refreshToken: localStorage.getItem('refreshToken')
+    })
+      .then((response) => {
+        saveSession(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// Handle response errors. An expired access token is refreshed and the
+// request retried once; only a failed refresh ends the session.
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+
+    if (
+      response?.status !== 401 ||
+      !config ||
+      config.retried ||
+      SIGN_IN_URLS.includes(config.url) ||
+      !localStorage.getItem('refreshToken')
+    ) {
+      return Promise.reject(error);
+    }
+
+    try {
+      const token = await refreshSession();
+      config.retried = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch (refreshError) {
+      clearSession();
+      if (config.redirectOnAuthFailure !== false) {
+        window.location.href = '/login';
+      }
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
 // Auth API calls
 export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
+  verifyTwoFactor: (data) => api.post('/auth/login/2fa', data),
+  requestMagicLink: (email) => api.post('/auth/magic-link', { email }),
+  verifyMagicLink: (token, browserKey) => api.post('/auth/magic-link/verify', { token, browserKey }),
   register: (userData) => api.post('/auth/register', userData),
-  getProfile: () => api.get('/auth/profile'),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  logoutAll: () => api.post('/auth/logout-all'),
+  getProfile: (config) => api.get('/auth/profile', config),
+  getLoginHistory: (params) => api.get('/auth/login-history', { params }),
   updateProfile: (updates) => api.patch('/auth/profile', updates),
+  changePassword: (data) => api.post('/auth/change-password', data),
   forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
-  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password })
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/verify-email/resend')
+};
+
+// Staff invitation API calls
+export const invitationsAPI = {
+  getAll: (params) => api.get('/invitations', { params }),
+  create: (invitationData) => api.post('/invitations', invitationData),
+  resend: (id) => api.post(`/invitations/${id}/resend`),
+  revoke: (id) => api.delete(`/invitations/${id}`),
+  get: (token) => api.get(`/invitations/accept/${token}`),
+  accept: (token, data) => api.post(`/invitations/accept/${token}`, data)
+};
+
+// User administration API calls
+export const usersAPI = {
+  getAll: (params) => api.get('/users', { params }),
+  getOptions: () => api.get('/users/options'),
+  getAudit: (params) => api.get('/users/audit', { params }),
+  getLoginHistory: (params) => api.get('/users/login-history', { params }),
+  getById: (id) => api.get(`/users/${id}`),
+  updateRole: (id, role) => api.patch(`/users/${id}/role`, { role }),
+  updatePermissions: (id, permissions) => api.put(`/users/${id}/permissions`, { permissions }),
+  deactivate: (id, reason) => api.post(`/users/${id}/deactivate`, { reason }),
+  reactivate: (id) => api.post(`/users/${id}/reactivate`),
+  forcePasswordReset: (id) => api.post(`/users/${id}/force-password-reset`),
+  unlock: (id) => api.post(`/users/${id}/unlock`),
+  resetTwoFactor: (id) => api.post(`/users/${id}/reset-two-factor`)
+};
+
+// Two-factor sign in API calls. setup and enable also take the challenge
+// token from a login that has to set up a second factor first.
+export const twoFactorAPI = {
+  getStatus: () => api.get('/auth/2fa'),
+  setup: (data) => api.post('/auth/2fa/setup', data),
+  enable: (data) => api.post('/auth/2fa/enable', data),
+  regenerateCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  disable: (data) => api.post('/auth/2fa/disable', data)
+};
+
+// Role API calls
+export const rolesAPI = {
+  getAll: () => api.get('/roles'),
+  getPermissions: () => api.get('/roles/permissions'),
+  create: (roleData) => api.post('/roles', roleData),
+  update: (id, roleData) => api.patch(`/roles/${id}`, roleData),
+  delete: (id) => api.delete(`/roles/${id}`)
 };
 
 // Services API calls
@@ -60,14 +167,65 @@ export const servicesAPI = {
 // Appointments API calls
 export const appointmentsAPI = {
   create: (appointmentData) => api.post('/appointments', appointmentData),
-  getAll: () => api.get('/appointments'),
+  verify: (token) => api.post(`/appointments/verify/${token}`),
+  verifyCode: (id, otp) => api.post(`/appointments/${id}/verify`, { otp }),
+  resendVerification: (id) => api.post(`/appointments/${id}/verify/resend`),
+  getAll: (params) => api.get('/appointments', { params }),
   getByConfirmation: (code) => api.get(`/appointments/confirm/${code}`),
+  getCalendarFileUrl: (code) => `${API_BASE_URL}/appointments/confirm/${code}/ics`,
   updateStatus: (id, status) => api.patch(`/appointments/${id}/status`, { status }),
-  getAvailableSlots: (date) => api.get(`/appointments/available-slots/${date}`),
+  move: (id, moveData) => api.patch(`/appointments/${id}/reschedule`, moveData),
+  getIntake: (id) => api.get(`/appointments/${id}/intake`),
+  getAvailableSlots: (date, params) => api.get(`/appointments/available-slots/${date}`, { params }),
+  getLawyers: (service) => api.get('/appointments/lawyers', { params: { service } }),
   cancel: (code) => api.post(`/appointments/cancel/${code}`),
+  reschedule: (code, slot) => api.post(`/appointments/reschedule/${code}`, slot),
+  holdSlot: (holdData) => api.post('/appointments/holds', holdData),
+  releaseHold: (token) => api.delete(`/appointments/holds/${token}`),
   getStats: () => api.get('/appointments/stats')
 };
 
+// Recurring appointment series API calls
+export const seriesAPI = {
+  preview: (seriesData) => api.post('/appointment-series/preview', seriesData),
+  create: (seriesData) => api.post('/appointment-series', seriesData),
+  get: (id) => api.get(`/appointment-series/${id}`),
+  update: (id, updateData) => api.patch(`/appointment-series/${id}`, updateData),
+  cancel: (id, appointment) => api.post(`/appointment-series/${id}/cancel`, { appointment })
+};
+
+// Waitlist API calls
+export const waitlistAPI = {
+  join: (entryData) => api.post('/waitlist', entryData),
+  getAll: (params) => api.get('/waitlist', { params }),
+  getStats: () => api.get('/waitlist/stats'),
+  getOffer: (token) => api.get(`/waitlist/claim/${token}`),
+  claim: (token, claimData) => api.post(`/waitlist/claim/${token}`, claimData),
+  remove: (id) => api.delete(`/waitlist/${id}`)
+};
+
+// Staff calendar feed API calls
+export const calendarAPI = {
+  getFeed: () => api.get('/calendar/feed'),
+  resetFeed: () => api.post('/calendar/feed/reset')
+};
+
+// Settings API calls
+export const settingsAPI = {
+  getSlotTemplate: () => api.get('/settings/slot-template'),
+  updateSlotTemplate: (template) => api.put('/settings/slot-template', template)
+};
+
+// Closures API calls
+export const closuresAPI = {
+  getCalendar: (params) => api.get('/closures/calendar', { params }),
+  getAll: (params) => api.get('/closures', { params }),
+  create: (closureData) => api.post('/closures', closureData),
+  update: (id, closureData) => api.patch(`/closures/${id}`, closureData),
+  delete: (id) => api.delete(`/closures/${id}`),
+  import: (format, content) => api.post('/closures/import', { format, content })
+};
+
 // Blog API calls
 export const blogsAPI = {
   getAll: (params) => api.get('/blogs', { params }),
@@ -92,6 +250,35 @@ export const contactAPI = {
   getStats: () => api.get('/contact/stats/overview')
 };
 
+// Client portal API calls, for the signed-in client's own records
+export const portalAPI = {
+  getSummary: () => api.get('/portal'),
+  getAppointments: (when) => api.get('/portal/appointments', { params: { when } }),
+  getEnquiries: () => api.get('/portal/enquiries'),
+  getDocuments: () => api.get('/portal/documents'),
+  downloadDocument: (id) => api.get(`/portal/documents/${id}/download`, { responseType: 'blob' }),
+  getInvoices: () => api.get('/portal/invoices'),
+  getMessages: () => api.get('/portal/messages'),
+  sendMessage: (body) => api.post('/portal/messages', { body })
+};
+
+// Staff management of client portal accounts
+export const clientAccountsAPI = {
+  getAll: (params) => api.get('/client-accounts', { params }),
+  getById: (id) => api.get(`/client-accounts/${id}`),
+  getDocuments: (id) => api.get(`/client-accounts/${id}/documents`),
+  shareDocument: (id, document) => api.post(`/client-accounts/${id}/documents`, document),
+  downloadDocument: (id, documentId) =>
+    api.get(`/client-accounts/${id}/documents/${documentId}/download`, { responseType: 'blob' }),
+  removeDocument: (id, documentId) => api.delete(`/client-accounts/${id}/documents/${documentId}`),
+  getInvoices: (id) => api.get(`/client-accounts/${id}/invoices`),
+  createInvoice: (id, invoice) => api.post(`/client-accounts/${id}/invoices`, invoice),
+  updateInvoiceStatus: (id, invoiceId, status) =>
+    api.patch(`/client-accounts/${id}/invoices/${invoiceId}`, { status }),
+  getMessages: (id) => api.get(`/client-accounts/${id}/messages`),
+  sendMessage: (id, body) => api.post(`/client-accounts/${id}/messages`, { body })
+};
+
 // Upload API calls
 export const uploadAPI = {
   uploadImage: (formData) => api.post('/upload/image', formData, {
@@ -0,0 +1,164 @@
+// Date helpers for the staff appointment calendar. Weeks start on Monday.
+
+export const CALENDAR_VIEWS = ['day', 'week', 'month'];
+
+export const STATUS_LABELS = {
+  unverified: 'Unverified',
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  expired: 'Expired',
+};
+
+export const STATUS_COLORS = {
+  unverified: 'secondary',
+  pending: 'warning',
+  confirmed: 'success',
+  completed: 'info',
+  cancelled: 'default',
+  expired: 'default',
+};
+
+// Statuses staff can move an appointment to from the calendar
+export const STAFF_STATUSES = ['pending', 'confirmed', 'completed', 'cancelled'];
+
+// Only upcoming bookings that still hold their slot can be dragged
+export const isMovable = (appointment) =>
+  ['unverified', 'pending', 'confirmed'].includes(appointment.status) &&
+  new Date(appointment.startTime) > new Date();
+
+export const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+export const addDays = (value, days) => {
+  const date = new Date(value);
+  date.setDate(date.getDate() + days);
+  return date;
+};
+
+export const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+const startOfWeek = (value) => {
+  const date = startOfDay(value);
+  return addDays(date, -((date.getDay() + 6) % 7));
+};
+
+// First and last (exclusive) instants shown by a view, plus its days.
+// Month views cover whole weeks, so they can include days either side.
+export const getViewRange = (view, value) => {
+  let start;
+  let length;
+
+  if (view === 'day') {
+    start = startOfDay(value);
+    length = 1;
+  } else if (view === 'week') {
+    start = startOfWeek(value);
+    length = 7;
+  } else {
+    const first = new Date(value);
+    first.setDate(1);
+    start = startOfWeek(first);
+    const last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+    length = Math.round((addDays(startOfWeek(last), 7) - start) / (24 * 60 * 60 * 1000));
+  }
+
+  const days = Array.from({ length }, (_, index) => addDays(start, index));
+  return { start, end: addDays(start, length), days };
+};
+
+// Move the calendar one view length back (-1) or forward (1)
+export const shiftDate = (view, value, direction) => {
+  if (view === 'day') return addDays(value, direction);
+  if (view === 'week') return addDays(value, 7 * direction);
+
+  const date = new Date(value);
+  date.setDate(1);
+  date.setMonth(date.getMonth() + direction);
+  return date;
+};
+
+export const viewTitle = (view, value) => {
+  if (view === 'day') {
+    return new Date(value).toLocaleDateString(undefined, {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+  }
+
+  if (view === 'week') {
+    const { start, end } = getViewRange('week', value);
+    const options = { month: 'short', day: 'numeric' };
+    return `${start.toLocaleDateString(undefined, options)} - ${addDays(end, -1).toLocaleDateString(undefined, { ...options, year: 'numeric' })}`;
+  }
+
+  return new Date(value).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
+
+const clockToMinutes = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesOfDay = (value) => {
+  const date = new Date(value);
+  return date.getHours() * 60 + date.getMinutes();
+};
+
+// Slot start times (minutes after midnight) in the office slot template,
+// mirroring the server's slot generation
+export const templateSlotTimes = (template) => {
+  if (!template) return [];
+
+  const end = clockToMinutes(template.end);
+  const lunch = template.lunchBreak?.start && {
+    start: clockToMinutes(template.lunchBreak.start),
+    end: clockToMinutes(template.lunchBreak.end),
+  };
+
+  const times = [];
+  let current = clockToMinutes(template.start);
+
+  while (current + template.slotDuration <= end) {
+    const slotEnd = current + template.slotDuration;
+
+    if (lunch && current < lunch.end && slotEnd > lunch.start) {
+      current = lunch.end;
+      continue;
+    }
+
+    times.push(current);
+    current = slotEnd + template.bufferTime;
+  }
+
+  return times;
+};
+
+// Rows for the day and week time grids: every template slot plus the
+// start of any appointment booked outside it (e.g. under an older template)
+export const timeGridRows = (template, appointments) => {
+  const rows = new Set(templateSlotTimes(template));
+  appointments.forEach((appointment) => rows.add(minutesOfDay(appointment.startTime)));
+  return [...rows].sort((a, b) => a - b);
+};
+
+export const atMinutes = (day, minutes) => {
+  const date = startOfDay(day);
+  date.setMinutes(minutes);
+  return date;
+};
+
+export const startsAt = (appointment, day, minutes) =>
+  isSameDay(appointment.startTime, day) && minutesOfDay(appointment.startTime) === minutes;
+
+// The same time of day on another date, for drops in the month view
+export const moveToDay = (startTime, day) => atMinutes(day, minutesOfDay(startTime));
+
+export const isWorkingDay = (template, day) =>
+  !template || template.workingDays.includes(new Date(day).getDay());
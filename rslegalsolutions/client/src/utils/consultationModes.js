@@ -0,0 +1,19 @@
+// Ways a consultation can take place, matching the server's modes
+
+export const CONSULTATION_MODES = ['in-person', 'video', 'phone'];
+
+export const MODE_LABELS = {
+  'in-person': 'In person',
+  video: 'Video call',
+  phone: 'Phone call',
+};
+
+export const MODE_DESCRIPTIONS = {
+  'in-person': 'Meet your lawyer at our office',
+  video: 'We will email you a link to join the video call',
+  phone: 'Your lawyer will call you on the number you provide',
+};
+
+// Modes offered by a service; older services offer all of them
+export const serviceModes = (service) =>
+  service?.consultationModes?.length ? service.consultationModes : CONSULTATION_MODES;
@@ -0,0 +1,6 @@
+// Format an amount for display, matching the server's INR default
+export const formatCurrency = (amount, currency = 'INR') =>
+  new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+  }).format(amount);
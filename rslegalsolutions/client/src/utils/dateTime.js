@@ -0,0 +1,36 @@
+// Display helpers for appointment times stored as instants
+
+export const formatDate = (value) =>
+  new Date(value).toLocaleDateString(undefined, {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+export const formatTime = (value) =>
+  new Date(value).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// Local calendar day as YYYY-MM-DD, matching the closures calendar
+export const toDateKey = (value) => {
+  const date = new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// ' (8:30 PM GMT+5:30 office time)' to show after a local time, or '' when
+// the browser is already in the office time zone
+export const officeTimeNote = (value, timeZone) => {
+  if (!timeZone) return '';
+
+  const options = { hour: '2-digit', minute: '2-digit' };
+  const date = new Date(value);
+  if (date.toLocaleTimeString([], { ...options, timeZone }) === date.toLocaleTimeString([], options)) {
+    return '';
+  }
+  return ` (${date.toLocaleTimeString([], { ...options, timeZone, timeZoneName: 'short' })} office time)`;
+};
@@ -0,0 +1,48 @@
+// Intake questionnaire helpers, mirroring the server's validation
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Whether a conditional question applies given the answers so far
+export const isQuestionShown = (field, answers) => {
+  if (!field.showIf?.field) {
+    return true;
+  }
+
+  const answer = answers[field.showIf.field];
+  const expected = [].concat(field.showIf.equals);
+
+  if (Array.isArray(answer)) {
+    return answer.some((value) => expected.includes(value));
+  }
+  return expected.includes(answer);
+};
+
+// Questions to ask, in order, given the answers so far
+export const visibleQuestions = (fields = [], answers = {}) =>
+  fields.filter((field) => isQuestionShown(field, answers));
+
+// Whether every visible required question has an answer
+export const isIntakeComplete = (fields = [], answers = {}) =>
+  visibleQuestions(fields, answers).every((field) => {
+    if (!field.required) return true;
+    if (field.type === 'checkbox') return answers[field.key] === true;
+    return !isEmpty(answers[field.key]);
+  });
+
+// Answers to send, leaving out questions that no longer apply
+export const intakeAnswers = (fields = [], answers = {}) =>
+  visibleQuestions(fields, answers).reduce((result, field) => {
+    if (!isEmpty(answers[field.key])) {
+      result[field.key] = answers[field.key];
+    }
+    return result;
+  }, {});
+
+// Display an answer in a summary
+export const formatAnswer = (value) => {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  return [].concat(value).join(', ');
+};
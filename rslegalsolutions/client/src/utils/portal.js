@@ -0,0 +1,48 @@
+// Helpers shared by the client portal and the staff Clients screen
+
+export const INVOICE_STATUS_LABELS = {
+  issued: 'Unpaid',
+  paid: 'Paid',
+  void: 'Void',
+};
+
+export const INVOICE_STATUS_COLORS = {
+  issued: 'warning',
+  paid: 'success',
+  void: 'default',
+};
+
+export const ENQUIRY_STATUS_LABELS = {
+  new: 'Received',
+  'in-progress': 'In progress',
+  responded: 'Responded',
+  closed: 'Closed',
+};
+
+// 1536 -> '1.5 KB'
+export const formatFileSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Hand a downloaded blob to the browser as a file
+export const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Read a chosen file as base64, without the data URL prefix
+export const readFileAsBase64 = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
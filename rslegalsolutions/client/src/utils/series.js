@@ -0,0 +1,44 @@
+// Helpers for recurring appointment series, whose schedule is an RRULE
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export const REPEAT_OPTIONS = [
+  { value: 'weekly', label: 'Every week' },
+  { value: 'fortnightly', label: 'Every 2 weeks' },
+  { value: 'monthly-weekday', label: 'Monthly on the same weekday' },
+  { value: 'monthly', label: 'Monthly on the same date' },
+  { value: 'custom', label: 'Custom rule (RRULE)' },
+];
+
+export const EDIT_SCOPES = [
+  { value: 'this', label: 'This appointment' },
+  { value: 'following', label: 'This and following appointments' },
+  { value: 'all', label: 'All appointments' },
+];
+
+// RRULE for a repeat option starting at startTime, limited to count
+// occurrences when given
+export const buildRule = (repeat, startTime, count) => {
+  const start = new Date(startTime);
+  const weekday = WEEKDAY_CODES[start.getDay()];
+  const parts = {
+    weekly: ['FREQ=WEEKLY', `BYDAY=${weekday}`],
+    fortnightly: ['FREQ=WEEKLY', 'INTERVAL=2', `BYDAY=${weekday}`],
+    // The 5th weekday of a month does not always exist, so use the last
+    'monthly-weekday': ['FREQ=MONTHLY', `BYDAY=${start.getDate() > 28 ? -1 : Math.ceil(start.getDate() / 7)}${weekday}`],
+    monthly: ['FREQ=MONTHLY', `BYMONTHDAY=${start.getDate()}`],
+  }[repeat];
+
+  if (count) {
+    parts.push(`COUNT=${count}`);
+  }
+  return parts.join(';');
+};
+
+// Value for a datetime-local input in the browser's time zone
+export const toLocalInput = (value) => {
+  const date = new Date(value);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
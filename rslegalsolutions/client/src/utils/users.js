@@ -0,0 +1,62 @@
+// Labels and helpers for the user and role administration screens. Role and
+// permission names come from the server.
+
+export const CLIENT_ROLE = 'client';
+
+export const AUDIT_ACTION_LABELS = {
+  'user.role_changed': 'Role changed',
+  'user.permissions_changed': 'Permissions changed',
+  'user.deactivated': 'Account deactivated',
+  'user.reactivated': 'Account reactivated',
+  'user.password_reset_forced': 'Password reset forced',
+  'user.two_factor_reset': 'Two-factor reset',
+  'user.unlocked': 'Account unlocked',
+  'invitation.created': 'Invitation sent',
+  'invitation.resent': 'Invitation resent',
+  'invitation.revoked': 'Invitation revoked',
+  'role.created': 'Role created',
+  'role.updated': 'Role updated',
+  'role.deleted': 'Role deleted',
+};
+
+export const LOGIN_OUTCOME_LABELS = {
+  success: 'Signed in',
+  invalid_password: 'Wrong password',
+  unknown_user: 'Unknown email',
+  invalid_code: 'Wrong two-factor code',
+  locked: 'Refused, account locked',
+  deactivated: 'Refused, account deactivated',
+  reset_required: 'Refused, password reset required',
+  link_requested: 'Sign-in link requested',
+  invalid_link: 'Invalid sign-in link',
+};
+
+// Whether an account is locked out after failed sign ins right now
+export const isLocked = (user) =>
+  Boolean(user.loginLock?.lockedUntil) && new Date(user.loginLock.lockedUntil) > new Date();
+
+// 'manage_users' -> 'Manage users'
+export const permissionLabel = (key) => {
+  const words = key.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Label of a role by name, from the roles the server returned
+export const roleLabel = (roles, name) => {
+  const role = roles.find(item => item.name === name);
+  return role ? role.label : name;
+};
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.length ? value.map(permissionLabel).join(', ') : 'none';
+  }
+  return String(value);
+};
+
+// Summarise an audit entry's { field: { from, to } } changes for display
+export const describeChanges = (changes = {}) =>
+  Object.entries(changes)
+    .filter(([, change]) => change && typeof change === 'object' && 'to' in change)
+    .map(([field, change]) => `${field}: ${formatValue(change.from)} → ${formatValue(change.to)}`)
+    .join('; ');
@@ -17,7 +17,7 @@ db.createCollection('users', {
           minLength: 8
         },
         role: {
-          enum: ['admin', 'editor', 'staff']
+          bsonType: 'string'
         }
       }
     }
@@ -57,13 +57,16 @@ db.createCollection('appointments', {
   validator: {
     $jsonSchema: {
       bsonType: 'object',
-      required: ['clientName', 'email', 'phone', 'appointmentDate', 'serviceType'],
+      required: ['clientName', 'email', 'phone', 'startTime', 'endTime', 'serviceType'],
       properties: {
-        appointmentDate: {
+        startTime: {
+          bsonType: 'date'
+        },
+        endTime: {
           bsonType: 'date'
         },
         status: {
-          enum: ['pending', 'confirmed', 'cancelled', 'completed']
+          enum: ['unverified', 'pending', 'confirmed', 'cancelled', 'completed', 'expired']
         }
       }
     }
@@ -107,14 +110,52 @@ db.createCollection('contacts', {
 // Create indexes
 db.users.createIndex({ email: 1 }, { unique: true });
 db.users.createIndex({ "passwordResetToken": 1 }, { sparse: true });
+db.users.createIndex({ isBookable: 1, services: 1 });
+db.users.createIndex({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+db.users.createIndex({ role: 1, isActive: 1 });
+db.users.createIndex({ "emailVerification.tokenHash": 1 }, { sparse: true });
+db.users.createIndex({ "magicLink.tokenHash": 1 }, { sparse: true });
+
+db.roles.createIndex({ name: 1 }, { unique: true });
+
+db.refreshtokens.createIndex({ tokenHash: 1 }, { unique: true });
+db.refreshtokens.createIndex({ family: 1, revokedAt: 1 });
+db.refreshtokens.createIndex({ user: 1, revokedAt: 1 });
+db.refreshtokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+db.loginattempts.createIndex({ user: 1, createdAt: -1 });
+db.loginattempts.createIndex({ ipAddress: 1, createdAt: -1 });
+db.loginattempts.createIndex({ createdAt: 1 }, { expireAfterSeconds: 15552000 }); // 180 days
 
 db.services.createIndex({ slug: 1 }, { unique: true });
 db.services.createIndex({ category: 1 });
 db.services.createIndex({ "isActive": 1 });
 
-db.appointments.createIndex({ appointmentDate: 1, status: 1 });
+db.appointments.createIndex({ startTime: 1, status: 1 });
 db.appointments.createIndex({ email: 1 });
+db.appointments.createIndex({ client: 1, startTime: -1 }, { sparse: true });
+db.appointments.createIndex({ lawyer: 1, startTime: 1, status: 1 });
 db.appointments.createIndex({ confirmationCode: 1 }, { unique: true });
+db.appointments.createIndex({ "payment.intentId": 1 }, { sparse: true });
+db.appointments.createIndex({ "verification.tokenHash": 1 }, { sparse: true });
+db.appointments.createIndex({ status: 1, "verification.expiresAt": 1 });
+db.appointments.createIndex({ series: 1, seriesOccurrence: 1 }, { sparse: true });
+
+db.appointmentseries.createIndex({ email: 1 });
+
+db.slotreservations.createIndex({ lawyer: 1, startTime: 1 }, { unique: true });
+db.slotreservations.createIndex({ holdToken: 1 }, { unique: true, sparse: true });
+db.slotreservations.createIndex({ appointment: 1 }, { sparse: true });
+db.slotreservations.createIndex({ startTime: 1, expiresAt: 1 });
+db.slotreservations.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+db.waitlistentries.createIndex({ date: 1, serviceType: 1, status: 1, createdAt: 1 });
+db.waitlistentries.createIndex({ "offer.token": 1 }, { sparse: true });
+db.waitlistentries.createIndex({ status: 1, "offer.expiresAt": 1 });
+db.waitlistentries.createIndex({ email: 1 });
+
+db.reminderjobs.createIndex({ appointment: 1, key: 1, startTime: 1 }, { unique: true });
+db.reminderjobs.createIndex({ status: 1, runAt: 1 });
 
 db.blogs.createIndex({ slug: 1 }, { unique: true });
 db.blogs.createIndex({ category: 1, status: 1 });
@@ -124,8 +165,24 @@ db.blogs.createIndex({ publishedAt: -1 });
 
 db.contacts.createIndex({ status: 1, createdAt: -1 });
 db.contacts.createIndex({ email: 1 });
+db.contacts.createIndex({ client: 1, createdAt: -1 }, { sparse: true });
 db.contacts.createIndex({ priority: 1 });
 
+db.closures.createIndex({ startDate: 1, endDate: 1 });
+db.closures.createIndex({ type: 1, weekday: 1 });
+
+db.invitations.createIndex({ tokenHash: 1 }, { unique: true, sparse: true });
+db.invitations.createIndex({ email: 1, status: 1 });
+
+db.auditlogs.createIndex({ target: 1, createdAt: -1 });
+db.auditlogs.createIndex({ actor: 1, createdAt: -1 });
+db.auditlogs.createIndex({ action: 1, createdAt: -1 });
+
+db.clientdocuments.createIndex({ client: 1, createdAt: -1 });
+db.invoices.createIndex({ number: 1 }, { unique: true });
+db.invoices.createIndex({ client: 1, createdAt: -1 });
+db.clientmessages.createIndex({ client: 1, createdAt: -1 });
+
 // Create admin user if it doesn't exist
 db.users.updateOne(
   { email: 'admin@rslegalsolutions.com' },
@@ -136,14 +193,7 @@ db.users.updateOne(
       password: '$2a$10$your-hashed-password', // Replace with actual hashed password
       role: 'admin',
       isActive: true,
-      permissions: [
-        'manage_services',
-        'manage_appointments',
-        'manage_blogs',
-        'manage_users',
-        'view_contacts',
-        'respond_contacts'
-      ],
+      permissions: [], // The admin role grants every permission
       createdAt: new Date(),
       updatedAt: new Date()
     }
@@ -1,9 +1,9 @@
 const { google } = require('googleapis');
 const { Client } = require('@microsoft/microsoft-graph-client');
-const ical = require('ical-generator');
 const logger = require('./logger');
 const cache = require('./cache');
 const { ServiceError } = require('./errors');
+const { createEventCalendar } = require('../src/utils/ics');
 require('dotenv').config();
 
 class CalendarService {
@@ -177,24 +177,12 @@ class CalendarService {
   // Create iCal event
   async createICalEvent(data) {
     try {
-      const calendar = ical({
-        domain: 'rslegalsolutions.com',
-        name: 'RS Legal Solutions Calendar'
-      });
-
-      const event = calendar.createEvent({
-        start: data.startTime,
-        end: data.endTime,
-        summary: data.title,
-        description: data.description,
-        location: data.location,
-        url: data.url
-      });
+      const { id, content } = createEventCalendar(data);
 
       return {
-        id: event.uid(),
+        id,
         provider: this.providers.ICAL,
-        icalContent: calendar.toString()
+        icalContent: content
       };
     } catch (error) {
       logger.error('Failed to create iCal event:', error);
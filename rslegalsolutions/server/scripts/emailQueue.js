@@ -1,7 +1,7 @@
 const Queue = require('bull');
 const mailer = require('./mailer');
 const emailTemplates = require('./emailTemplates');
-const dayjs = require('dayjs');
+const { scheduleReminders } = require('../src/utils/reminders');
 require('dotenv').config();
 
 // Create queues
@@ -179,14 +179,9 @@ class EmailQueueManager {
       appointment
     });
 
-    // Schedule reminder email (24 hours before)
-    const reminderDate = dayjs(appointment.appointmentDate).subtract(24, 'hour').toDate();
-    await reminderQueue.add('appointment', {
-      type: 'appointment',
-      data: appointment
-    }, {
-      delay: Math.max(0, reminderDate - new Date())
-    });
+    // Reminders go through the appointment reminder engine, which skips
+    // cancelled and rescheduled bookings
+    await scheduleReminders(appointment);
   }
 
   // Send newsletter
@@ -2,6 +2,8 @@ const fs = require('fs');
 const path = require('path');
 const handlebars = require('handlebars');
 const dayjs = require('dayjs');
+const { MODE_LABELS, describeLocation } = require('../src/utils/meetings');
+const { toOfficeTime, formatOfficeDate, formatOfficeTime } = require('../src/utils/timezone');
 
 class EmailTemplates {
   constructor() {
@@ -108,28 +110,120 @@ class EmailTemplates {
     }
   }
 
+  // How and where an appointment takes place
+  consultationContext(appointment) {
+    const mode = appointment.mode || 'in-person';
+
+    return {
+      mode,
+      modeLabel: MODE_LABELS[mode],
+      location: describeLocation(appointment),
+      meetingUrl: mode === 'video' && appointment.meeting ? appointment.meeting.url : undefined
+    };
+  }
+
   // Template-specific render methods
+  async renderAppointmentVerification(appointment, { token, otp }) {
+    return this.render('appointment-verification', {
+      title: 'Verify Your Appointment Request',
+      clientName: appointment.clientName,
+      date: formatOfficeDate(appointment.startTime, appointment.timezone),
+      time: formatOfficeTime(appointment.startTime, appointment.timezone),
+      serviceName: appointment.serviceType.title,
+      otp,
+      expiresAt: `${formatOfficeDate(appointment.verification.expiresAt, appointment.timezone)} ${formatOfficeTime(appointment.verification.expiresAt, appointment.timezone)}`,
+      verifyUrl: `${this.defaultContext.websiteUrl}/appointments/verify/${token}`
+    });
+  }
+
   async renderAppointmentConfirmation(appointment) {
     return this.render('appointment-confirmation', {
       title: 'Appointment Confirmation',
       clientName: appointment.clientName,
-      date: dayjs(appointment.appointmentDate).format('MMMM D, YYYY'),
-      time: appointment.preferredTime,
+      date: formatOfficeDate(appointment.startTime, appointment.timezone),
+      time: formatOfficeTime(appointment.startTime, appointment.timezone),
       serviceName: appointment.serviceType.title,
       confirmationCode: appointment.confirmationCode,
+      ...this.consultationContext(appointment),
+      clientPortalUrl: this.defaultContext.websiteUrl,
+      appointmentUrl: `${this.defaultContext.websiteUrl}/appointments/${appointment.confirmationCode}`
+    });
+  }
+
+  async renderAppointmentUpdate(appointment, update) {
+    return this.render('appointment-update', {
+      title: update.subject,
+      heading: update.heading || update.subject,
+      message: update.message,
+      clientName: appointment.clientName,
+      date: formatOfficeDate(appointment.startTime, appointment.timezone),
+      time: formatOfficeTime(appointment.startTime, appointment.timezone),
+      serviceName: appointment.serviceType.title,
+      status: appointment.status,
+      confirmationCode: appointment.confirmationCode,
+      ...this.consultationContext(appointment),
+      showManageLink: ['pending', 'confirmed'].includes(appointment.status),
       appointmentUrl: `${this.defaultContext.websiteUrl}/appointments/${appointment.confirmationCode}`
     });
   }
 
   async renderAppointmentReminder(appointment) {
+    const start = toOfficeTime(appointment.startTime, appointment.timezone);
+    const today = toOfficeTime(new Date(), appointment.timezone).startOf('day');
+    let day = `on ${start.toFormat('MMMM d')}`;
+    if (start.hasSame(today, 'day')) {
+      day = 'today';
+    } else if (start.hasSame(today.plus({ days: 1 }), 'day')) {
+      day = 'tomorrow';
+    }
+
     return this.render('appointment-reminder', {
       title: 'Appointment Reminder',
+      day,
+      headline: `${day.charAt(0).toUpperCase()}${day.slice(1)} at ${formatOfficeTime(start)}`,
       clientName: appointment.clientName,
-      date: dayjs(appointment.appointmentDate).format('MMMM D, YYYY'),
-      time: appointment.preferredTime,
+      date: formatOfficeDate(appointment.startTime, appointment.timezone),
+      time: formatOfficeTime(appointment.startTime, appointment.timezone),
       serviceName: appointment.serviceType.title,
       confirmationCode: appointment.confirmationCode,
-      mapImageUrl: process.env.OFFICE_MAP_IMAGE_URL
+      ...this.consultationContext(appointment),
+      mapImageUrl: process.env.OFFICE_MAP_IMAGE_URL,
+      appointmentUrl: `${this.defaultContext.websiteUrl}/appointments/${appointment.confirmationCode}`
+    });
+  }
+
+  // Summary of a recurring series, listing its upcoming appointments
+  async renderAppointmentSeries(series, appointments, update) {
+    const occurrence = (startTime) => ({
+      date: formatOfficeDate(startTime, null, 'ccc, MMMM d, yyyy'),
+      time: formatOfficeTime(startTime)
+    });
+
+    return this.render('appointment-series', {
+      title: update.subject,
+      heading: update.heading || update.subject,
+      message: update.message,
+      clientName: series.clientName,
+      serviceName: series.serviceType.title,
+      ...this.consultationContext(series),
+      appointments: appointments.map(appointment => ({
+        ...occurrence(appointment.startTime),
+        meetingUrl: appointment.mode === 'video' && appointment.meeting ? appointment.meeting.url : undefined,
+        manageUrl: `${this.defaultContext.websiteUrl}/appointments/${appointment.confirmationCode}`
+      })),
+      skipped: (update.skipped || []).map(skipped => occurrence(skipped.startTime))
+    });
+  }
+
+  async renderWaitlistOffer(entry) {
+    return this.render('waitlist-offer', {
+      title: 'A Slot Has Opened Up',
+      clientName: entry.clientName,
+      date: formatOfficeDate(entry.offer.startTime),
+      time: formatOfficeTime(entry.offer.startTime),
+      expiresAt: `${formatOfficeDate(entry.offer.expiresAt)} ${formatOfficeTime(entry.offer.expiresAt)}`,
+      serviceName: entry.serviceType.title,
+      claimUrl: `${this.defaultContext.websiteUrl}/waitlist/claim/${entry.offer.token}`
     });
   }
 
@@ -139,11 +233,72 @@ class EmailTemplates {
       name: user.name,
       email: user.email,
       resetUrl: `${this.defaultContext.websiteUrl}/reset-password?token=${resetToken}`,
+      expiresAt: `${formatOfficeDate(user.passwordResetExpires)} ${formatOfficeTime(user.passwordResetExpires)}`,
       supportEmail: process.env.SUPPORT_EMAIL,
       supportPhone: process.env.SUPPORT_PHONE
     });
   }
 
+  async renderMagicLink(user, linkToken) {
+    return this.render('magic-link', {
+      title: 'Your Sign-In Link',
+      name: user.name,
+      email: user.email,
+      signInUrl: `${this.defaultContext.websiteUrl}/login/link?token=${linkToken}`,
+      expiresAt: `${formatOfficeDate(user.magicLink.expiresAt)} ${formatOfficeTime(user.magicLink.expiresAt)}`
+    });
+  }
+
+  async renderStaffInvitation(invitation, token) {
+    const roleLabels = {
+      admin: 'an administrator',
+      editor: 'an editor',
+      staff: 'a staff member'
+    };
+
+    return this.render('staff-invitation', {
+      title: 'Join RS Legal Solutions',
+      name: invitation.name,
+      email: invitation.email,
+      invitedBy: invitation.invitedBy ? invitation.invitedBy.name : 'An administrator',
+      roleLabel: roleLabels[invitation.role] || `a member of the ${invitation.role} team`,
+      expiresAt: `${formatOfficeDate(invitation.expiresAt)} ${formatOfficeTime(invitation.expiresAt)}`,
+      acceptUrl: `${this.defaultContext.websiteUrl}/invitations/${token}`
+    });
+  }
+
+  async renderAccountLocked(user, lockedUntil, ipAddress) {
+    return this.render('account-locked', {
+      title: 'Account Locked',
+      name: user.name,
+      email: user.email,
+      lockedUntil: `${formatOfficeDate(lockedUntil)} ${formatOfficeTime(lockedUntil)}`,
+      ipAddress,
+      supportEmail: process.env.SUPPORT_EMAIL,
+      supportPhone: process.env.SUPPORT_PHONE
+    });
+  }
+
+  async renderEmailVerification(user, verificationToken) {
+    return this.render('email-verification', {
+      title: 'Verify Your Email',
+      name: user.name,
+      email: user.email,
+      verifyUrl: `${this.defaultContext.websiteUrl}/verify-email?token=${verificationToken}`,
+      expiresAt: `${formatOfficeDate(user.emailVerification.expiresAt)} ${formatOfficeTime(user.emailVerification.expiresAt)}`
+    });
+  }
+
+  async renderPortalUpdate(client, summary) {
+    return this.render('portal-update', {
+      title: 'New in Your Client Portal',
+      name: client.name,
+      email: client.email,
+      summary,
+      portalUrl: `${this.defaultContext.websiteUrl}/portal`
+    });
+  }
+
   async renderWelcome(user) {
     return this.render('welcome', {
       title: 'Welcome to RS Legal Solutions',
@@ -165,6 +320,17 @@ class EmailTemplates {
     });
   }
 
+  async renderContactResponse(contact) {
+    return this.render('contact-response', {
+      title: 'Response to Your Inquiry',
+      name: contact.name,
+      subject: contact.subject,
+      message: contact.message,
+      response: contact.response.content,
+      respondedBy: contact.response.respondedBy || 'A member'
+    });
+  }
+
   async renderNewsletter(newsletter, subscriber) {
     return this.render('newsletter', {
       title: newsletter.title,
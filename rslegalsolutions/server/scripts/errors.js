@@ -219,10 +219,11 @@ class ErrorMonitor {
 // Create error monitor instance
 const errorMonitor = new ErrorMonitor();
 
-// Start periodic cleanup
+// Start periodic cleanup. The timer alone does not keep the process
+// running, so scripts and tests that load this module can exit.
 setInterval(() => {
   errorMonitor.cleanup();
-}, 60000); // Run every minute
+}, 60000).unref(); // Run every minute
 
 module.exports = {
   AppError,
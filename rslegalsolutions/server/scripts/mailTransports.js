@@ -0,0 +1,78 @@
+const nodemailer = require('nodemailer');
+const path = require('path');
+const fs = require('fs');
+
+// Nodemailer transport that writes each message to a JSON file instead of
+// sending it, so local development and tests can inspect outgoing mail
+class OutboxTransport {
+  constructor(directory) {
+    this.name = 'outbox';
+    this.version = '1.0.0';
+    this.directory = directory;
+  }
+
+  send(mail, callback) {
+    const { data, message } = mail;
+    const messageId = message.messageId();
+    const entry = {
+      messageId,
+      from: data.from,
+      to: data.to,
+      cc: data.cc,
+      bcc: data.bcc,
+      subject: data.subject,
+      html: data.html,
+      text: data.text,
+      attachments: (data.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: typeof attachment.content === 'string' ? attachment.content : undefined
+      })),
+      createdAt: new Date().toISOString()
+    };
+
+    const fileName = `${Date.now()}-${messageId.replace(/[^\w.-]/g, '')}.json`;
+    const filePath = path.join(this.directory, fileName);
+
+    fs.promises.mkdir(this.directory, { recursive: true })
+      .then(() => fs.promises.writeFile(filePath, JSON.stringify(entry, null, 2)))
+      .then(() => callback(null, {
+        envelope: message.getEnvelope(),
+        messageId,
+        path: filePath
+      }))
+      .catch(callback);
+  }
+}
+
+// Build the transport named by MAIL_TRANSPORT: 'smtp', 'outbox' or 'json'
+// (logs the message). Without SMTP settings mail goes to the outbox.
+const createTransport = (name = process.env.MAIL_TRANSPORT) => {
+  const transport = name || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+
+  switch (transport) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        secure: process.env.SMTP_PORT === '465',
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        },
+      });
+    case 'outbox':
+      return nodemailer.createTransport(new OutboxTransport(
+        process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../outbox')
+      ));
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown mail transport '${transport}'`);
+  }
+};
+
+module.exports = {
+  OutboxTransport,
+  createTransport
+};
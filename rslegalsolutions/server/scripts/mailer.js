@@ -1,21 +1,15 @@
-const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs');
 const handlebars = require('handlebars');
+const emailTemplates = require('./emailTemplates');
+const { createTransport } = require('./mailTransports');
+const { buildAppointmentIcs } = require('../src/utils/ics');
 require('dotenv').config();
 
 class Mailer {
   constructor() {
-    // Create mail transporter
-    this.transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: process.env.SMTP_PORT,
-      secure: process.env.SMTP_PORT === '465',
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
-    });
+    // Create mail transporter (SMTP, JSON outbox or log, see mailTransports)
+    this.transporter = createTransport();
 
     // Template directory
     this.templateDir = path.join(__dirname, '../templates/emails');
@@ -39,6 +33,7 @@ class Mailer {
         from: options.from || this.defaultFrom,
         to: options.to,
         subject: options.subject,
+        bcc: options.bcc,
         html: options.html,
         attachments: options.attachments,
       };
@@ -52,31 +47,41 @@ class Mailer {
     }
   }
 
+  // Calendar file attached to appointment emails
+  appointmentAttachment(appointment) {
+    return {
+      filename: 'appointment.ics',
+      content: buildAppointmentIcs(appointment),
+      contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+    };
+  }
+
+  // Send the link and one-time code that verify a new booking's email
+  async sendAppointmentVerification(appointment, credentials) {
+    const template = await emailTemplates.renderAppointmentVerification(appointment, credentials);
+
+    return this.sendMail({
+      to: appointment.email,
+      subject: 'Verify Your Appointment Request - RS Legal Solutions',
+      html: template,
+    });
+  }
+
   // Send appointment confirmation
   async sendAppointmentConfirmation(appointment) {
-    const template = await this.loadTemplate('appointment-confirmation', {
-      clientName: appointment.clientName,
-      date: new Date(appointment.appointmentDate).toLocaleDateString(),
-      time: appointment.preferredTime,
-      confirmationCode: appointment.confirmationCode,
-      serviceName: appointment.serviceType.title,
-    });
+    const template = await emailTemplates.renderAppointmentConfirmation(appointment);
 
     return this.sendMail({
       to: appointment.email,
       subject: 'Appointment Confirmation - RS Legal Solutions',
       html: template,
+      attachments: [this.appointmentAttachment(appointment)],
     });
   }
 
   // Send appointment reminder
   async sendAppointmentReminder(appointment) {
-    const template = await this.loadTemplate('appointment-reminder', {
-      clientName: appointment.clientName,
-      date: new Date(appointment.appointmentDate).toLocaleDateString(),
-      time: appointment.preferredTime,
-      serviceName: appointment.serviceType.title,
-    });
+    const template = await emailTemplates.renderAppointmentReminder(appointment);
 
     return this.sendMail({
       to: appointment.email,
@@ -85,13 +90,43 @@ class Mailer {
     });
   }
 
+  // Send appointment status change, cancellation or reschedule notice
+  async sendAppointmentUpdate(appointment, update) {
+    const template = await emailTemplates.renderAppointmentUpdate(appointment, update);
+
+    return this.sendMail({
+      to: appointment.email,
+      subject: `${update.subject} - RS Legal Solutions`,
+      html: template,
+      attachments: [this.appointmentAttachment(appointment)],
+    });
+  }
+
+  // Send a recurring series' booking, change or cancellation summary
+  async sendAppointmentSeries(series, appointments, update) {
+    const template = await emailTemplates.renderAppointmentSeries(series, appointments, update);
+
+    return this.sendMail({
+      to: series.email,
+      subject: `${update.subject} - RS Legal Solutions`,
+      html: template,
+    });
+  }
+
+  // Send a waitlist client the claim link for a freed slot
+  async sendWaitlistOffer(entry) {
+    const template = await emailTemplates.renderWaitlistOffer(entry);
+
+    return this.sendMail({
+      to: entry.email,
+      subject: 'A Consultation Slot Is Available - RS Legal Solutions',
+      html: template,
+    });
+  }
+
   // Send contact form acknowledgment
   async sendContactAcknowledgment(contact) {
-    const template = await this.loadTemplate('contact-acknowledgment', {
-      name: contact.name,
-      subject: contact.subject,
-      message: contact.message,
-    });
+    const template = await emailTemplates.renderContactAcknowledgment(contact);
 
     return this.sendMail({
       to: contact.email,
@@ -100,13 +135,20 @@ class Mailer {
     });
   }
 
+  // Send staff response to a contact inquiry
+  async sendContactResponse(contact) {
+    const template = await emailTemplates.renderContactResponse(contact);
+
+    return this.sendMail({
+      to: contact.email,
+      subject: `Re: ${contact.subject} - RS Legal Solutions`,
+      html: template,
+    });
+  }
+
   // Send password reset email
   async sendPasswordReset(user, resetToken) {
-    const resetUrl = `${process.env.CLIENT_URL}/reset-password?token=${resetToken}`;
-    const template = await this.loadTemplate('password-reset', {
-      name: user.name,
-      resetUrl,
-    });
+    const template = await emailTemplates.renderPasswordReset(user, resetToken);
 
     return this.sendMail({
       to: user.email,
@@ -115,12 +157,64 @@ class Mailer {
     });
   }
 
+  // Send a passwordless sign-in link
+  async sendMagicLink(user, linkToken) {
+    const template = await emailTemplates.renderMagicLink(user, linkToken);
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Your Sign-In Link - RS Legal Solutions',
+      html: template,
+    });
+  }
+
+  // Send a staff invitation link
+  async sendStaffInvitation(invitation, token) {
+    const template = await emailTemplates.renderStaffInvitation(invitation, token);
+
+    return this.sendMail({
+      to: invitation.email,
+      subject: 'You Have Been Invited to RS Legal Solutions',
+      html: template,
+    });
+  }
+
+  // Tell a user their account was locked after failed sign ins
+  async sendAccountLocked(user, lockedUntil, ipAddress) {
+    const template = await emailTemplates.renderAccountLocked(user, lockedUntil, ipAddress);
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Your Account Has Been Locked - RS Legal Solutions',
+      html: template,
+    });
+  }
+
+  // Send a link that confirms the user owns their email address
+  async sendEmailVerification(user, verificationToken) {
+    const template = await emailTemplates.renderEmailVerification(user, verificationToken);
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Verify Your Email - RS Legal Solutions',
+      html: template,
+    });
+  }
+
+  // Tell a client there is something new in their portal
+  async sendPortalUpdate(client, summary) {
+    const template = await emailTemplates.renderPortalUpdate(client, summary);
+
+    return this.sendMail({
+      to: client.email,
+      subject: 'New in Your Client Portal - RS Legal Solutions',
+      html: template,
+    });
+  }
+
   // Send welcome email
   async sendWelcomeEmail(user) {
-    const template = await this.loadTemplate('welcome', {
-      name: user.name,
-      loginUrl: `${process.env.CLIENT_URL}/login`,
-    });
+    const template = await emailTemplates.renderWelcome(user);
 
     return this.sendMail({
       to: user.email,
@@ -156,10 +250,11 @@ class Mailer {
   }
 
   // Send admin notification
-  async sendAdminNotification(subject, content) {
-    const template = await this.loadTemplate('admin-notification', {
+  async sendAdminNotification(subject, content, details) {
+    const template = await emailTemplates.renderAdminNotification({
       subject,
-      content,
+      message: content,
+      details,
     });
 
     return this.sendMail({
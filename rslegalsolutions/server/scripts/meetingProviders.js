@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Meeting provider that makes up a unique room link without calling any
+// service. With the default base URL the rooms open on public Jitsi Meet,
+// which needs no account, so video bookings work out of the box.
+class LocalMeetingProvider {
+  constructor(baseUrl) {
+    this.name = 'local';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  async createMeeting() {
+    const id = `RSLegal-${crypto.randomBytes(8).toString('hex')}`;
+
+    return {
+      provider: this.name,
+      id,
+      url: `${this.baseUrl}/${id}`
+    };
+  }
+
+  async cancelMeeting() {
+    // Nothing to clean up, rooms only exist while someone is in them
+  }
+}
+
+const providers = {
+  local: () => new LocalMeetingProvider(
+    process.env.MEETING_BASE_URL || 'https://meet.jit.si'
+  )
+};
+
+// Make another provider (Zoom, Teams, ...) available to MEETING_PROVIDER.
+// The factory returns an object with createMeeting(details), resolving to
+// { provider, id, url }, and cancelMeeting(meeting).
+const registerMeetingProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+// Build the provider named by MEETING_PROVIDER, 'local' by default
+const createMeetingProvider = (name = process.env.MEETING_PROVIDER) => {
+  const provider = name || 'local';
+
+  if (!providers[provider]) {
+    throw new Error(`Unknown meeting provider '${provider}'`);
+  }
+
+  return providers[provider]();
+};
+
+module.exports = {
+  LocalMeetingProvider,
+  registerMeetingProvider,
+  createMeetingProvider
+};
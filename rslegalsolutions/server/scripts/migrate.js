@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, '../src/migrations');
+
+// Run pending migrations in filename order, recording each one applied
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rslegalsolutions');
+
+  const db = mongoose.connection.db;
+  const applied = db.collection('migrations');
+
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort();
+
+  for (const file of files) {
+    const name = path.basename(file, '.js');
+
+    if (await applied.findOne({ name })) {
+      continue;
+    }
+
+    console.log(`Running migration ${name}`);
+    await require(path.join(MIGRATIONS_DIR, file)).up(db);
+    await applied.insertOne({ name, appliedAt: new Date() });
+  }
+}
+
+migrate()
+  .then(() => {
+    console.log('Migrations complete');
+    return mongoose.disconnect();
+  })
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -1,16 +1,38 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const mongoose = require('mongoose');
 const PDFDocument = require('pdfkit');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
 const mailer = require('./mailer');
 const { ServiceError } = require('./errors');
+const { createPaymentGateway } = require('./paymentGateways');
 require('dotenv').config();
 
+// Appointment payment status for each gateway payment intent status
+const INTENT_STATUSES = {
+  requires_capture: 'authorized',
+  succeeded: 'captured',
+  canceled: 'released'
+};
+
+// Statuses an appointment payment may move to, and the ones it can come
+// from, so webhook events arriving late or twice cannot move it backwards
+const PAYMENT_TRANSITIONS = {
+  authorized: ['pending', 'failed'],
+  captured: ['pending', 'authorized'],
+  released: ['pending', 'authorized', 'failed'],
+  failed: ['pending'],
+  refunded: ['captured']
+};
+
 class PaymentService {
   constructor() {
-    this.stripe = stripe;
+    // Stripe, or the fake gateway for local development (see paymentGateways)
+    this.gateway = createPaymentGateway();
     this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+    // Local gateways deliver their webhook events straight to the handler
+    this.gateway.onWebhook = (body, signature) => this.handleWebhook(body, signature);
     this.currency = process.env.PAYMENT_CURRENCY || 'inr';
     this.invoiceDir = path.join(__dirname, '../invoices');
     
@@ -21,7 +43,7 @@ class PaymentService {
   async initialize() {
     try {
       await fs.mkdir(this.invoiceDir, { recursive: true });
-      await this.validateStripeConfig();
+      await this.validateGatewayConfig();
       logger.info('Payment service initialized successfully');
     } catch (error) {
       logger.error('Payment service initialization failed:', error);
@@ -29,20 +51,20 @@ class PaymentService {
     }
   }
 
-  // Validate Stripe configuration
-  async validateStripeConfig() {
+  // Validate payment gateway configuration
+  async validateGatewayConfig() {
     try {
-      await this.stripe.paymentMethods.list({ limit: 1 });
+      await this.gateway.verify();
     } catch (error) {
-      logger.error('Invalid Stripe configuration:', error);
-      throw new ServiceError('Invalid payment configuration', 'stripe');
+      logger.error('Invalid payment gateway configuration:', error);
+      throw new ServiceError('Invalid payment configuration', this.gateway.name);
     }
   }
 
   // Create payment intent
   async createPaymentIntent(amount, metadata = {}) {
     try {
-      const paymentIntent = await this.stripe.paymentIntents.create({
+      const paymentIntent = await this.gateway.createPaymentIntent({
         amount: this.convertToSmallestUnit(amount),
         currency: this.currency,
         metadata,
@@ -54,26 +76,38 @@ class PaymentService {
       return paymentIntent;
     } catch (error) {
       logger.error('Failed to create payment intent:', error);
-      throw new ServiceError('Payment intent creation failed', 'stripe');
+      throw new ServiceError('Payment intent creation failed', this.gateway.name);
     }
   }
 
   // Capture payment
   async capturePayment(paymentIntentId) {
     try {
-      const paymentIntent = await this.stripe.paymentIntents.capture(paymentIntentId);
+      const paymentIntent = await this.gateway.capturePaymentIntent(paymentIntentId);
       logger.info('Payment captured:', paymentIntentId);
       return paymentIntent;
     } catch (error) {
       logger.error('Failed to capture payment:', error);
-      throw new ServiceError('Payment capture failed', 'stripe');
+      throw new ServiceError('Payment capture failed', this.gateway.name);
+    }
+  }
+
+  // Release an uncaptured payment
+  async cancelPayment(paymentIntentId) {
+    try {
+      const paymentIntent = await this.gateway.cancelPaymentIntent(paymentIntentId);
+      logger.info('Payment released:', paymentIntentId);
+      return paymentIntent;
+    } catch (error) {
+      logger.error('Failed to release payment:', error);
+      throw new ServiceError('Payment release failed', this.gateway.name);
     }
   }
 
   // Process refund
   async processRefund(paymentIntentId, amount = null) {
     try {
-      const refund = await this.stripe.refunds.create({
+      const refund = await this.gateway.createRefund({
         payment_intent: paymentIntentId,
         ...(amount && { amount: this.convertToSmallestUnit(amount) })
       });
@@ -82,14 +116,14 @@ class PaymentService {
       return refund;
     } catch (error) {
       logger.error('Failed to process refund:', error);
-      throw new ServiceError('Refund processing failed', 'stripe');
+      throw new ServiceError('Refund processing failed', this.gateway.name);
     }
   }
 
   // Create customer
   async createCustomer(data) {
     try {
-      const customer = await this.stripe.customers.create({
+      const customer = await this.gateway.createCustomer({
         email: data.email,
         name: data.name,
         phone: data.phone,
@@ -100,18 +134,18 @@ class PaymentService {
       return customer;
     } catch (error) {
       logger.error('Failed to create customer:', error);
-      throw new ServiceError('Customer creation failed', 'stripe');
+      throw new ServiceError('Customer creation failed', this.gateway.name);
     }
   }
 
   // Save card for future use
   async saveCard(customerId, paymentMethodId) {
     try {
-      await this.stripe.paymentMethods.attach(paymentMethodId, {
+      await this.gateway.attachPaymentMethod(paymentMethodId, {
         customer: customerId
       });
 
-      await this.stripe.customers.update(customerId, {
+      await this.gateway.updateCustomer(customerId, {
         invoice_settings: {
           default_payment_method: paymentMethodId
         }
@@ -121,7 +155,7 @@ class PaymentService {
       return true;
     } catch (error) {
       logger.error('Failed to save card:', error);
-      throw new ServiceError('Card saving failed', 'stripe');
+      throw new ServiceError('Card saving failed', this.gateway.name);
     }
   }
 
@@ -225,35 +259,79 @@ class PaymentService {
   // Handle webhook events
   async handleWebhook(body, signature) {
     try {
-      const event = this.stripe.webhooks.constructEvent(
+      const event = this.gateway.constructEvent(
         body,
         signature,
         this.webhookSecret
       );
 
       switch (event.type) {
+        case 'payment_intent.amount_capturable_updated':
+          await this.handlePaymentAuthorized(event.data.object);
+          break;
         case 'payment_intent.succeeded':
           await this.handlePaymentSuccess(event.data.object);
           break;
         case 'payment_intent.payment_failed':
           await this.handlePaymentFailure(event.data.object);
           break;
+        case 'payment_intent.canceled':
+          await this.handlePaymentCanceled(event.data.object);
+          break;
         // Add more event handlers as needed
       }
 
       return { received: true };
     } catch (error) {
       logger.error('Webhook handling failed:', error);
-      throw new ServiceError('Webhook handling failed', 'stripe');
+      throw new ServiceError('Webhook handling failed', this.gateway.name);
+    }
+  }
+
+  // Appointment payment status matching a payment intent
+  paymentStatusFor(paymentIntent) {
+    if (INTENT_STATUSES[paymentIntent.status]) {
+      return INTENT_STATUSES[paymentIntent.status];
+    }
+    return paymentIntent.last_payment_error ? 'failed' : 'pending';
+  }
+
+  // Move the appointment paid with a payment intent to a new payment status
+  async updateAppointmentPayment(paymentIntent, status) {
+    const update = { 'payment.status': status };
+    const timestampField = {
+      authorized: 'payment.authorizedAt',
+      captured: 'payment.capturedAt',
+      released: 'payment.releasedAt'
+    }[status];
+    if (timestampField) {
+      update[timestampField] = new Date();
+    }
+
+    return mongoose.model('Appointment').findOneAndUpdate(
+      {
+        'payment.intentId': paymentIntent.id,
+        'payment.status': { $in: PAYMENT_TRANSITIONS[status] }
+      },
+      { $set: update },
+      { new: true }
+    );
+  }
+
+  // Handle payment authorised and waiting for capture
+  async handlePaymentAuthorized(paymentIntent) {
+    try {
+      await this.updateAppointmentPayment(paymentIntent, 'authorized');
+      logger.info('Payment authorized:', paymentIntent.id);
+    } catch (error) {
+      logger.error('Failed to handle payment authorization:', error);
     }
   }
 
   // Handle successful payment
   async handlePaymentSuccess(paymentIntent) {
     try {
-      // Update order status
-      // Generate and send invoice
-      // Send confirmation email
+      await this.updateAppointmentPayment(paymentIntent, 'captured');
       logger.info('Payment successful:', paymentIntent.id);
     } catch (error) {
       logger.error('Failed to handle payment success:', error);
@@ -263,14 +341,23 @@ class PaymentService {
   // Handle failed payment
   async handlePaymentFailure(paymentIntent) {
     try {
-      // Update order status
-      // Notify customer
+      await this.updateAppointmentPayment(paymentIntent, 'failed');
       logger.info('Payment failed:', paymentIntent.id);
     } catch (error) {
       logger.error('Failed to handle payment failure:', error);
     }
   }
 
+  // Handle released (cancelled) payment
+  async handlePaymentCanceled(paymentIntent) {
+    try {
+      await this.updateAppointmentPayment(paymentIntent, 'released');
+      logger.info('Payment released:', paymentIntent.id);
+    } catch (error) {
+      logger.error('Failed to handle payment release:', error);
+    }
+  }
+
   // Convert amount to smallest currency unit
   convertToSmallestUnit(amount) {
     return Math.round(amount * 100);
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+
+// Gateway backed by the Stripe API
+class StripeGateway {
+  constructor(secretKey) {
+    this.name = 'stripe';
+    this.client = require('stripe')(secretKey);
+  }
+
+  async verify() {
+    await this.client.paymentMethods.list({ limit: 1 });
+  }
+
+  createPaymentIntent(params) {
+    return this.client.paymentIntents.create(params);
+  }
+
+  capturePaymentIntent(id) {
+    return this.client.paymentIntents.capture(id);
+  }
+
+  cancelPaymentIntent(id) {
+    return this.client.paymentIntents.cancel(id);
+  }
+
+  createRefund(params) {
+    return this.client.refunds.create(params);
+  }
+
+  createCustomer(params) {
+    return this.client.customers.create(params);
+  }
+
+  updateCustomer(id, params) {
+    return this.client.customers.update(id, params);
+  }
+
+  attachPaymentMethod(paymentMethodId, params) {
+    return this.client.paymentMethods.attach(paymentMethodId, params);
+  }
+
+  constructEvent(body, signature, secret) {
+    return this.client.webhooks.constructEvent(body, signature, secret);
+  }
+}
+
+// Local stand-in for Stripe that keeps payment intents in memory. Intents
+// are authorised as soon as they are created (like a test card) unless
+// FAKE_PAYMENT_OUTCOME is 'fail', and every state change is delivered as a
+// signed webhook event to the handler set in onWebhook, so the full
+// booking, capture, release and webhook flow runs without an account.
+class FakeGateway {
+  constructor({ webhookSecret, outcome }) {
+    this.name = 'fake';
+    this.webhookSecret = webhookSecret;
+    this.outcome = outcome;
+    this.intents = new Map();
+    this.onWebhook = null;
+  }
+
+  async verify() {}
+
+  // Stripe-style signature header for a payload
+  sign(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  emit(type, object) {
+    const payload = JSON.stringify({
+      id: `evt_fake_${crypto.randomBytes(12).toString('hex')}`,
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: { object: { ...object } }
+    });
+
+    if (!this.onWebhook) return;
+
+    setImmediate(() => {
+      Promise.resolve(this.onWebhook(payload, this.sign(payload)))
+        .catch(error => console.error(`Fake gateway webhook ${type} failed:`, error.message));
+    });
+  }
+
+  findIntent(id) {
+    const intent = this.intents.get(id);
+    if (!intent) {
+      throw new Error(`No such payment_intent: '${id}'`);
+    }
+    return intent;
+  }
+
+  async createPaymentIntent({ amount, currency, metadata = {}, capture_method = 'automatic' }) {
+    const id = `pi_fake_${crypto.randomBytes(12).toString('hex')}`;
+    const intent = {
+      id,
+      object: 'payment_intent',
+      amount,
+      amount_capturable: 0,
+      amount_received: 0,
+      currency,
+      metadata,
+      capture_method,
+      client_secret: `${id}_secret_${crypto.randomBytes(12).toString('hex')}`,
+      created: Math.floor(Date.now() / 1000),
+      status: 'requires_payment_method'
+    };
+
+    if (this.outcome === 'fail') {
+      intent.last_payment_error = { message: 'Your card was declined.' };
+      this.emit('payment_intent.payment_failed', intent);
+    } else if (capture_method === 'manual') {
+      intent.status = 'requires_capture';
+      intent.amount_capturable = amount;
+      this.emit('payment_intent.amount_capturable_updated', intent);
+    } else {
+      intent.status = 'succeeded';
+      intent.amount_received = amount;
+      this.emit('payment_intent.succeeded', intent);
+    }
+
+    this.intents.set(id, intent);
+    return { ...intent };
+  }
+
+  async capturePaymentIntent(id) {
+    const intent = this.findIntent(id);
+    if (intent.status !== 'requires_capture') {
+      throw new Error(`This PaymentIntent could not be captured because it has a status of ${intent.status}.`);
+    }
+
+    intent.status = 'succeeded';
+    intent.amount_received = intent.amount_capturable;
+    intent.amount_capturable = 0;
+    this.emit('payment_intent.succeeded', intent);
+
+    return { ...intent };
+  }
+
+  async cancelPaymentIntent(id) {
+    const intent = this.findIntent(id);
+    if (intent.status === 'succeeded' || intent.status === 'canceled') {
+      throw new Error(`You cannot cancel this PaymentIntent because it has a status of ${intent.status}.`);
+    }
+
+    intent.status = 'canceled';
+    intent.amount_capturable = 0;
+    this.emit('payment_intent.canceled', intent);
+
+    return { ...intent };
+  }
+
+  async createRefund({ payment_intent: paymentIntentId, amount }) {
+    const intent = this.findIntent(paymentIntentId);
+    const refund = {
+      id: `re_fake_${crypto.randomBytes(12).toString('hex')}`,
+      object: 'refund',
+      amount: amount || intent.amount_received,
+      currency: intent.currency,
+      payment_intent: intent.id,
+      status: 'succeeded'
+    };
+
+    this.emit('charge.refunded', { ...refund, object: 'charge', amount_refunded: refund.amount });
+    return refund;
+  }
+
+  async createCustomer(params) {
+    return {
+      id: `cus_fake_${crypto.randomBytes(12).toString('hex')}`,
+      object: 'customer',
+      ...params
+    };
+  }
+
+  async updateCustomer(id, params) {
+    return { id, object: 'customer', ...params };
+  }
+
+  async attachPaymentMethod(paymentMethodId, { customer }) {
+    return { id: paymentMethodId, object: 'payment_method', customer };
+  }
+
+  // Verify a signature made by sign(), as Stripe does for its own events
+  constructEvent(body, signature, secret) {
+    const payload = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+    const parts = Object.fromEntries(
+      String(signature || '').split(',').map(part => part.split('='))
+    );
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${parts.t}.${payload}`)
+      .digest('hex');
+
+    if (!parts.v1 || parts.v1.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected))) {
+      throw new Error('No signatures found matching the expected signature for payload');
+    }
+
+    return JSON.parse(payload);
+  }
+}
+
+// Build the gateway named by PAYMENT_GATEWAY: 'stripe' (the default) or
+// 'fake'. The fake gateway must be asked for by name and never runs in
+// production, and webhooks are only accepted with a configured secret.
+const createPaymentGateway = (name = process.env.PAYMENT_GATEWAY || 'stripe') => {
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    throw new Error('STRIPE_WEBHOOK_SECRET must be set to verify payment webhooks');
+  }
+
+  switch (name) {
+    case 'stripe':
+      if (!process.env.STRIPE_SECRET_KEY) {
+        throw new Error('STRIPE_SECRET_KEY must be set, or PAYMENT_GATEWAY=fake for local development');
+      }
+      return new StripeGateway(process.env.STRIPE_SECRET_KEY);
+    case 'fake':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('The fake payment gateway cannot be used in production');
+      }
+      return new FakeGateway({
+        webhookSecret,
+        outcome: process.env.FAKE_PAYMENT_OUTCOME
+      });
+    default:
+      throw new Error(`Unknown payment gateway '${name}'`);
+  }
+};
+
+module.exports = {
+  StripeGateway,
+  FakeGateway,
+  createPaymentGateway
+};
@@ -0,0 +1,214 @@
+const ReminderJob = require('../src/models/ReminderJob');
+
+const QUEUE_NAME = 'appointment-reminders';
+
+// Job data as handed to the processor, with dates restored
+const toJob = (data) => ({
+  appointment: String(data.appointment),
+  key: data.key,
+  startTime: new Date(data.startTime),
+  runAt: new Date(data.runAt)
+});
+
+// Reminder queue kept in MongoDB. Jobs are claimed one at a time with a
+// lock, so a job interrupted by a crash is picked up again once its lock
+// runs out, and pending reminders survive restarts.
+class MongoReminderQueue {
+  constructor({ pollInterval, maxAttempts, retryDelay, lockTime }) {
+    this.name = 'mongo';
+    this.pollInterval = pollInterval;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.lockTime = lockTime;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  async schedule(jobs) {
+    for (const job of jobs) {
+      try {
+        await ReminderJob.updateOne(
+          { appointment: job.appointment, key: job.key, startTime: job.startTime },
+          { $setOnInsert: { runAt: job.runAt, status: 'scheduled' } },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Another request scheduled the same reminder first
+        if (error.code !== 11000) throw error;
+      }
+
+      // Moving a booking back to an earlier time revives its old reminders
+      await ReminderJob.updateOne(
+        { appointment: job.appointment, key: job.key, startTime: job.startTime, status: 'cancelled' },
+        { $set: { status: 'scheduled', runAt: job.runAt, attempts: 0 } }
+      );
+    }
+  }
+
+  async cancel(appointmentId) {
+    await ReminderJob.updateMany(
+      { appointment: appointmentId, status: 'scheduled' },
+      { $set: { status: 'cancelled' } }
+    );
+  }
+
+  claimNext() {
+    const now = new Date();
+
+    return ReminderJob.findOneAndUpdate(
+      {
+        runAt: { $lte: now },
+        $or: [
+          { status: 'scheduled' },
+          { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedUntil: new Date(now.getTime() + this.lockTime) },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async run(job) {
+    try {
+      await this.processor(toJob(job));
+      job.status = 'done';
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (job.attempts >= this.maxAttempts) {
+        job.status = 'failed';
+        await this.onFailed(toJob(job), error);
+      } else {
+        job.status = 'scheduled';
+        job.runAt = new Date(Date.now() + this.retryDelay * job.attempts);
+      }
+    }
+
+    job.lockedUntil = undefined;
+    await job.save();
+  }
+
+  // Work through every due job; overlapping polls are skipped
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      let job;
+      while ((job = await this.claimNext())) {
+        await this.run(job);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  start(processor, onFailed) {
+    this.processor = processor;
+    this.onFailed = onFailed;
+
+    const poll = () => this.poll()
+      .catch(error => console.error('Reminder queue polling failed:', error.message));
+
+    this.timer = setInterval(poll, this.pollInterval);
+    poll();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Reminder queue backed by Redis through Bull, using delayed jobs. The job
+// id is derived from the reminder so scheduling twice adds it once.
+class BullReminderQueue {
+  constructor({ maxAttempts, retryDelay }) {
+    const Queue = require('bull');
+
+    this.name = 'redis';
+    this.queue = new Queue(QUEUE_NAME, {
+      redis: {
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD
+      },
+      defaultJobOptions: {
+        attempts: maxAttempts,
+        backoff: {
+          type: 'exponential',
+          delay: retryDelay
+        },
+        removeOnComplete: true,
+        removeOnFail: 100
+      }
+    });
+  }
+
+  jobId(job) {
+    return `${job.appointment}:${job.key}:${job.startTime.getTime()}`;
+  }
+
+  async schedule(jobs) {
+    for (const job of jobs) {
+      await this.queue.add({
+        appointment: String(job.appointment),
+        key: job.key,
+        startTime: job.startTime.toISOString(),
+        runAt: job.runAt.toISOString()
+      }, {
+        jobId: this.jobId(job),
+        delay: Math.max(0, job.runAt.getTime() - Date.now())
+      });
+    }
+  }
+
+  async cancel(appointmentId) {
+    const delayed = await this.queue.getDelayed();
+    await Promise.all(delayed
+      .filter(job => job.data.appointment === String(appointmentId))
+      .map(job => job.remove()));
+  }
+
+  start(processor, onFailed) {
+    this.queue.process(job => processor(toJob(job.data)));
+
+    this.queue.on('failed', (job, error) => {
+      if (job.attemptsMade >= job.opts.attempts) {
+        onFailed(toJob(job.data), error);
+      }
+    });
+
+    this.queue.on('error', (error) => {
+      console.error('Reminder queue error:', error.message);
+    });
+  }
+
+  stop() {
+    return this.queue.close();
+  }
+}
+
+// Build the queue named by REMINDER_QUEUE: 'redis' or 'mongo'. Without
+// Redis settings reminders are queued in MongoDB.
+const createReminderQueue = (name = process.env.REMINDER_QUEUE, options = {}) => {
+  const queue = name || (process.env.REDIS_HOST ? 'redis' : 'mongo');
+
+  switch (queue) {
+    case 'redis':
+      return new BullReminderQueue(options);
+    case 'mongo':
+      return new MongoReminderQueue(options);
+    default:
+      throw new Error(`Unknown reminder queue '${queue}'`);
+  }
+};
+
+module.exports = {
+  MongoReminderQueue,
+  BullReminderQueue,
+  createReminderQueue
+};
@@ -5,6 +5,8 @@ const logger = require('./logger');
 const notifications = require('./notifications');
 const mailer = require('./mailer');
 const { ServiceError } = require('./errors');
+const slotTemplate = require('../src/utils/slotTemplate');
+const { scheduleReminders } = require('../src/utils/reminders');
 require('dotenv').config();
 
 class SchedulerService {
@@ -214,26 +216,23 @@ class SchedulerService {
     }
   }
 
+  // Slot template built from the scheduler configuration
+  getSlotTemplate() {
+    const pad = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+    return {
+      workingDays: [0, 1, 2, 3, 4, 5, 6],
+      start: pad(this.workingHours.start),
+      end: pad(this.workingHours.end),
+      slotDuration: this.slotDuration,
+      bufferTime: this.bufferTime,
+      lunchBreak: null
+    };
+  }
+
   // Generate day slots
   generateDaySlots(date) {
-    const slots = [];
-    let currentSlot = date.set({
-      hour: this.workingHours.start,
-      minute: 0,
-      second: 0,
-      millisecond: 0
-    });
-
-    while (currentSlot.hour < this.workingHours.end) {
-      slots.push({
-        start: currentSlot.toJSDate(),
-        end: currentSlot.plus({ minutes: this.slotDuration }).toJSDate()
-      });
-
-      currentSlot = currentSlot.plus({ minutes: this.slotDuration + this.bufferTime });
-    }
-
-    return slots;
+    return slotTemplate.generateDaySlots(date, this.getSlotTemplate());
   }
 
   // Check slot availability
@@ -278,46 +277,14 @@ class SchedulerService {
       // Email confirmation
       await mailer.sendAppointmentConfirmation(appointment);
 
-      // Schedule reminders
-      const reminderTimes = [
-        { hours: 24 }, // 24 hours before
-        { hours: 2 }   // 2 hours before
-      ];
-
-      for (const time of reminderTimes) {
-        const reminderDate = DateTime.fromJSDate(appointment.startTime)
-          .minus(time)
-          .toJSDate();
-
-        await this.scheduleReminder(appointment, reminderDate);
-      }
+      // Queue reminders (REMINDER_OFFSETS, 24h and 2h before by default)
+      await scheduleReminders(appointment);
     } catch (error) {
       logger.error('Failed to schedule appointment notifications:', error);
       throw error;
     }
   }
 
-  // Schedule reminder
-  async scheduleReminder(appointment, reminderDate) {
-    const now = new Date();
-    if (reminderDate > now) {
-      const delay = reminderDate.getTime() - now.getTime();
-      setTimeout(async () => {
-        try {
-          await notifications.sendInAppNotification(appointment.clientId, {
-            type: 'reminder',
-            title: 'Appointment Reminder',
-            message: `Your appointment is scheduled for ${DateTime.fromJSDate(appointment.startTime).toFormat('ff')}`
-          });
-
-          await mailer.sendAppointmentReminder(appointment);
-        } catch (error) {
-          logger.error('Failed to send reminder:', error);
-        }
-      }, delay);
-    }
-  }
-
   // Setup daily tasks
   setupDailyTasks() {
     const rule = new RRule({
@@ -372,8 +339,7 @@ class SchedulerService {
 
   // Validate time slot
   isValidSlot(slot) {
-    return slot.hour >= this.workingHours.start && 
-           slot.hour < this.workingHours.end &&
+    return slotTemplate.isValidSlot(slot, this.getSlotTemplate()) &&
            this.isValidDate(slot);
   }
 
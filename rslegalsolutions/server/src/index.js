@@ -6,25 +6,64 @@ require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const invitationRoutes = require('./routes/invitations');
+const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
 const serviceRoutes = require('./routes/services');
 const appointmentRoutes = require('./routes/appointments');
+const appointmentSeriesRoutes = require('./routes/appointmentSeries');
 const blogRoutes = require('./routes/blogs');
 const contactRoutes = require('./routes/contact');
+const settingsRoutes = require('./routes/settings');
+const closureRoutes = require('./routes/closures');
+const calendarRoutes = require('./routes/calendar');
+const waitlistRoutes = require('./routes/waitlist');
+const paymentRoutes = require('./routes/payments');
+const portalRoutes = require('./routes/portal');
+const clientAccountRoutes = require('./routes/clientAccounts');
+const { processExpiredOffers } = require('./utils/waitlist');
+const { startReminders } = require('./utils/reminders');
+const { expireUnverifiedBookings } = require('./utils/verification');
+const Role = require('./models/Role');
 
 const app = express();
 
+// Behind a reverse proxy, take the client address from X-Forwarded-For so
+// sign-in throttling and history see real addresses, e.g. TRUST_PROXY=1
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(morgan('dev'));
+// Payment webhooks are verified against the raw request body
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
+// Documents shared with clients arrive base64 encoded in the JSON body
+app.use('/api/client-accounts', express.json({ limit: '8mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/appointment-series', appointmentSeriesRoutes);
 app.use('/api/blogs', blogRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/closures', closureRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/client-accounts', clientAccountRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -39,7 +78,30 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rslegalso
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+
+  // Make sure the built-in roles exist on a fresh database
+  Role.ensureDefaults()
+    .catch((err) => console.error('Default role setup error:', err));
+
+  // Pass unclaimed waitlist offers on to the next client in line
+  setInterval(() => {
+    processExpiredOffers()
+      .catch((err) => console.error('Waitlist processing error:', err));
+  }, 60 * 1000);
+
+  // Release the slots of bookings whose email was never verified
+  setInterval(() => {
+    expireUnverifiedBookings()
+      .catch((err) => console.error('Booking verification expiry error:', err));
+  }, 60 * 1000);
+
+  // Send appointment reminders (Redis queue if configured, else MongoDB)
+  startReminders()
+    .then((queue) => console.log(`Appointment reminders running on the ${queue} queue`))
+    .catch((err) => console.error('Reminder scheduler error:', err));
+})
 .catch((err) => console.error('MongoDB connection error:', err));
 
 // Error handling middleware
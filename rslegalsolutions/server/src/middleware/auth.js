@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const { isSessionActive } = require('../utils/sessions');
+const { ipRetryAfter } = require('../utils/loginThrottle');
+const { recordRequest, requestRetryAfter } = require('../utils/magicLinks');
 
 // Middleware to authenticate user using JWT
 const auth = async (req, res, next) => {
@@ -11,14 +15,26 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+
+    // Tokens from a session that was logged out stop working at once
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      throw new Error();
+    }
+
     const user = await User.findOne({ _id: decoded.id, isActive: true });
 
     if (!user) {
       throw new Error();
     }
 
+    if (user.passwordResetRequired) {
+      return res.status(401).json({ message: 'Password reset required' });
+    }
+
     req.user = user;
+    req.permissions = await user.getPermissions();
     req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Please authenticate' });
@@ -37,11 +53,32 @@ const checkRole = (...roles) => {
   };
 };
 
-// Middleware to check specific permissions
+// Middleware to keep client portal accounts out of staff-only routes
+const staffOnly = (req, res, next) => {
+  if (!req.user.isStaff()) {
+    return res.status(403).json({ 
+      message: 'Access denied: staff only' 
+    });
+  }
+  next();
+};
+
+// Middleware to keep the client portal to client accounts
+const clientOnly = (req, res, next) => {
+  if (req.user.isStaff()) {
+    return res.status(403).json({ 
+      message: 'Access denied: client accounts only' 
+    });
+  }
+  next();
+};
+
+// Middleware to check specific permissions against the user's current role
+// and individual grants, resolved by auth
 const checkPermission = (...requiredPermissions) => {
   return (req, res, next) => {
     const hasPermission = requiredPermissions.every(permission =>
-      req.user.permissions.includes(permission)
+      req.permissions.includes(permission)
     );
 
     if (!hasPermission) {
@@ -53,10 +90,43 @@ const checkPermission = (...requiredPermissions) => {
   };
 };
 
-// Rate limiting middleware
-const rateLimit = {
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+// Middleware to turn away sign-in attempts from an address with too many
+// recent failures
+const loginRateLimit = async (req, res, next) => {
+  try {
+    const retryAfter = await ipRetryAfter(req);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed sign in attempts. Please try again later.',
+        retryAfter
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Middleware to record a sign-in link request and turn it away if its
+// address has asked for too many recently
+const magicLinkRateLimit = async (req, res, next) => {
+  try {
+    req.linkRequest = await recordRequest(req);
+    const retryAfter = await requestRetryAfter(req);
+    if (retryAfter) {
+      // Refused requests do not count towards the next window
+      await LoginAttempt.deleteOne({ _id: req.linkRequest._id });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Too many sign-in link requests. Please try again later.',
+        retryAfter
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 // Error handler middleware
@@ -84,7 +154,10 @@ const errorHandler = (err, req, res, next) => {
 module.exports = {
   auth,
   checkRole,
+  staffOnly,
+  clientOnly,
   checkPermission,
-  rateLimit,
+  loginRateLimit,
+  magicLinkRateLimit,
   errorHandler
 };
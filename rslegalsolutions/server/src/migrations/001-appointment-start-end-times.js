@@ -0,0 +1,88 @@
+const { DateTime, IANAZone } = require('luxon');
+const { FIRM_TIMEZONE } = require('../utils/timezone');
+
+// Replace the appointmentDate + preferredTime display string pair with
+// real startTime/endTime instants. Legacy slots were all one hour long.
+const LEGACY_SLOT_MINUTES = 60;
+
+// appointmentDate was stored as midnight in the zone of the server that
+// wrote it, while preferredTime is office wall-clock time. Set
+// LEGACY_TIMEZONE if that server ran in a different zone from this one.
+const LEGACY_TIMEZONE = IANAZone.isValidZone(process.env.LEGACY_TIMEZONE)
+  ? process.env.LEGACY_TIMEZONE
+  : DateTime.local().zoneName;
+
+// '02:00 PM' -> minutes after midnight
+const slotToMinutes = (slot) => {
+  const [time, period] = slot.split(' ');
+  let [hours, minutes] = time.split(':').map(Number);
+
+  if (period === 'PM' && hours !== 12) hours += 12;
+  if (period === 'AM' && hours === 12) hours = 0;
+
+  return hours * 60 + minutes;
+};
+
+// The legacy calendar day at the slot's office time
+const toStartTime = (date, slot) => {
+  const day = DateTime.fromJSDate(new Date(date), { zone: LEGACY_TIMEZONE }).toISODate();
+  const minutes = slot ? slotToMinutes(slot) : 0;
+  return DateTime.fromISO(day, { zone: FIRM_TIMEZONE })
+    .set({ hour: Math.floor(minutes / 60), minute: minutes % 60 })
+    .toJSDate();
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+module.exports.up = async (db) => {
+  // Relax the collection validator created by mongo-init.js
+  await db.command({
+    collMod: 'appointments',
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['clientName', 'email', 'phone', 'startTime', 'endTime', 'serviceType'],
+        properties: {
+          startTime: { bsonType: 'date' },
+          endTime: { bsonType: 'date' },
+          status: {
+            enum: ['pending', 'confirmed', 'cancelled', 'completed']
+          }
+        }
+      }
+    },
+    validationLevel: 'moderate'
+  }).catch(() => {}); // Collection may not have been created by mongo-init
+
+  const appointments = db.collection('appointments');
+  const cursor = appointments.find({
+    startTime: { $exists: false },
+    appointmentDate: { $exists: true }
+  });
+
+  for await (const appointment of cursor) {
+    const startTime = toStartTime(appointment.appointmentDate, appointment.preferredTime);
+    const rescheduleHistory = (appointment.rescheduleHistory || []).map(entry => ({
+      previousStartTime: toStartTime(entry.previousDate, entry.previousTime),
+      previousLawyer: entry.previousLawyer,
+      newStartTime: toStartTime(entry.newDate, entry.newTime),
+      reason: entry.reason,
+      rescheduledAt: entry.rescheduledAt
+    }));
+
+    await appointments.updateOne(
+      { _id: appointment._id },
+      {
+        $set: {
+          startTime,
+          endTime: addMinutes(startTime, LEGACY_SLOT_MINUTES),
+          rescheduleHistory
+        },
+        $unset: { appointmentDate: '', preferredTime: '' }
+      }
+    );
+  }
+
+  await appointments.dropIndex('appointmentDate_1_status_1').catch(() => {});
+  await appointments.dropIndex('lawyer_1_appointmentDate_1_status_1').catch(() => {});
+};
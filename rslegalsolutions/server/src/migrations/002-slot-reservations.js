@@ -0,0 +1,35 @@
+// Reserve the slots of upcoming active appointments so the unique
+// lawyer + startTime index also protects bookings made before it existed.
+module.exports.up = async (db) => {
+  const reservations = db.collection('slotreservations');
+
+  await reservations.createIndex({ lawyer: 1, startTime: 1 }, { unique: true });
+  await reservations.createIndex({ holdToken: 1 }, { unique: true, sparse: true });
+  await reservations.createIndex({ appointment: 1 }, { sparse: true });
+  await reservations.createIndex({ startTime: 1, expiresAt: 1 });
+  await reservations.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  const cursor = db.collection('appointments').find({
+    startTime: { $gte: new Date() },
+    status: { $in: ['pending', 'confirmed'] }
+  }).sort({ createdAt: 1 });
+
+  for await (const appointment of cursor) {
+    try {
+      await reservations.insertOne({
+        lawyer: appointment.lawyer || null,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+        serviceType: appointment.serviceType,
+        autoAssigned: !!appointment.autoAssigned,
+        appointment: appointment._id,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // An existing double booking; the earlier appointment keeps the slot
+      console.warn(`Appointment ${appointment.confirmationCode} overlaps an earlier booking`);
+    }
+  }
+};
@@ -0,0 +1,33 @@
+// Allow the unverified and expired booking statuses in databases created
+// from the original mongo-init.js validator, and index the verification
+// lookups.
+module.exports.up = async (db) => {
+  const [collection] = await db.listCollections({ name: 'appointments' }).toArray();
+
+  if (collection && collection.options.validator) {
+    await db.command({
+      collMod: 'appointments',
+      validator: {
+        $jsonSchema: {
+          bsonType: 'object',
+          required: ['clientName', 'email', 'phone', 'startTime', 'endTime', 'serviceType'],
+          properties: {
+            startTime: {
+              bsonType: 'date'
+            },
+            endTime: {
+              bsonType: 'date'
+            },
+            status: {
+              enum: ['unverified', 'pending', 'confirmed', 'cancelled', 'completed', 'expired']
+            }
+          }
+        }
+      }
+    });
+  }
+
+  const appointments = db.collection('appointments');
+  await appointments.createIndex({ 'verification.tokenHash': 1 }, { sparse: true });
+  await appointments.createIndex({ status: 1, 'verification.expiresAt': 1 });
+};
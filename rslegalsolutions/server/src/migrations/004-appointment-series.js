@@ -0,0 +1,8 @@
+// Index the occurrence lookups for recurring appointment series.
+module.exports.up = async (db) => {
+  await db.collection('appointments').createIndex(
+    { series: 1, seriesOccurrence: 1 },
+    { sparse: true }
+  );
+  await db.collection('appointmentseries').createIndex({ email: 1 });
+};
@@ -0,0 +1,43 @@
+const { DateTime, IANAZone } = require('luxon');
+const { FIRM_TIMEZONE } = require('../utils/timezone');
+
+// Calendar days (closures, waitlist dates) used to be stored as midnight in
+// the server's own zone. Re-store each one as midnight office time on the
+// same calendar day. Set LEGACY_TIMEZONE if the server that wrote them ran
+// in a different zone from the one running this migration.
+const LEGACY_TIMEZONE = IANAZone.isValidZone(process.env.LEGACY_TIMEZONE)
+  ? process.env.LEGACY_TIMEZONE
+  : DateTime.local().zoneName;
+
+const toOfficeDay = (value) => {
+  const day = DateTime.fromJSDate(value, { zone: LEGACY_TIMEZONE }).toISODate();
+  return DateTime.fromISO(day, { zone: FIRM_TIMEZONE }).toJSDate();
+};
+
+const rewriteDays = async (collection, fields) => {
+  const filter = { $or: fields.map(field => ({ [field]: { $type: 'date' } })) };
+
+  for await (const doc of collection.find(filter)) {
+    const updates = {};
+    fields.forEach(field => {
+      if (doc[field] instanceof Date) {
+        updates[field] = toOfficeDay(doc[field]);
+      }
+    });
+    await collection.updateOne({ _id: doc._id }, { $set: updates });
+  }
+};
+
+module.exports.up = async (db) => {
+  // Appointment times are already UTC instants (001 built them in office
+  // time); record the office zone they were booked in
+  await db.collection('appointments').updateMany(
+    { timezone: { $exists: false } },
+    { $set: { timezone: FIRM_TIMEZONE } }
+  );
+
+  if (LEGACY_TIMEZONE !== FIRM_TIMEZONE) {
+    await rewriteDays(db.collection('closures'), ['startDate', 'endDate']);
+    await rewriteDays(db.collection('waitlistentries'), ['date']);
+  }
+};
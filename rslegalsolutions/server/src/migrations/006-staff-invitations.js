@@ -0,0 +1,31 @@
+// Public sign-up now creates client portal accounts, and staff join from an
+// invitation link.
+module.exports.up = async (db) => {
+  // Allow the client role in the validator created by mongo-init.js
+  await db.command({
+    collMod: 'users',
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['email', 'password', 'role'],
+        properties: {
+          email: {
+            bsonType: 'string',
+            pattern: '^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$'
+          },
+          password: {
+            bsonType: 'string',
+            minLength: 8
+          },
+          role: {
+            enum: ['admin', 'editor', 'staff', 'client']
+          }
+        }
+      }
+    }
+  }).catch(() => {}); // Collection may not have been created by mongo-init
+
+  const invitations = db.collection('invitations');
+  await invitations.createIndex({ tokenHash: 1 }, { unique: true, sparse: true });
+  await invitations.createIndex({ email: 1, status: 1 });
+};
@@ -0,0 +1,9 @@
+// Index the user administration screens and their audit trail.
+module.exports.up = async (db) => {
+  await db.collection('users').createIndex({ role: 1, isActive: 1 });
+
+  const auditLogs = db.collection('auditlogs');
+  await auditLogs.createIndex({ target: 1, createdAt: -1 });
+  await auditLogs.createIndex({ actor: 1, createdAt: -1 });
+  await auditLogs.createIndex({ action: 1, createdAt: -1 });
+};
@@ -0,0 +1,52 @@
+const Role = require('../models/Role');
+
+// Roles move from a hard-coded switch in the User model to the roles
+// collection. A user's permissions array now holds only what they were
+// granted on top of their role, so drop the copies of their role's defaults.
+module.exports.up = async (db) => {
+  // Role names are no longer a fixed list in the users validator
+  await db.command({
+    collMod: 'users',
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['email', 'password', 'role'],
+        properties: {
+          email: {
+            bsonType: 'string',
+            pattern: '^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}$'
+          },
+          password: {
+            bsonType: 'string',
+            minLength: 8
+          },
+          role: {
+            bsonType: 'string'
+          }
+        }
+      }
+    }
+  }).catch(() => {}); // Collection may not have been created by mongo-init
+
+  const roles = db.collection('roles');
+  await roles.createIndex({ name: 1 }, { unique: true });
+
+  for (const role of Role.DEFAULT_ROLES) {
+    await roles.updateOne(
+      { name: role.name },
+      {
+        $setOnInsert: { ...role, isSystem: true, createdAt: new Date(), updatedAt: new Date() }
+      },
+      { upsert: true }
+    );
+
+    // Admins had every permission copied in; grantsAll covers them now
+    const defaults = role.grantsAll ? null : role.permissions;
+    await db.collection('users').updateMany(
+      { role: role.name },
+      defaults
+        ? { $pull: { permissions: { $in: defaults } } }
+        : { $set: { permissions: [] } }
+    );
+  }
+};
@@ -0,0 +1,9 @@
+// Index refresh tokens. Access tokens issued before this change carry no
+// session id and stop working, so everyone signs in again once.
+module.exports.up = async (db) => {
+  const refreshTokens = db.collection('refreshtokens');
+  await refreshTokens.createIndex({ tokenHash: 1 }, { unique: true });
+  await refreshTokens.createIndex({ family: 1, revokedAt: 1 });
+  await refreshTokens.createIndex({ user: 1, revokedAt: 1 });
+  await refreshTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+};
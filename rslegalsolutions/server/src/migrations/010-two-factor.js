@@ -0,0 +1,13 @@
+// Give existing users the two-factor defaults and existing roles the
+// requireTwoFactor flag, so queries on either field match every document
+module.exports.up = async (db) => {
+  await db.collection('users').updateMany(
+    { twoFactor: { $exists: false } },
+    { $set: { twoFactor: { enabled: false, failedAttempts: 0 } } }
+  );
+
+  await db.collection('roles').updateMany(
+    { requireTwoFactor: { $exists: false } },
+    { $set: { requireTwoFactor: false } }
+  );
+};
@@ -0,0 +1,13 @@
+// Index the sign-in history and give existing users an empty lockout record
+module.exports.up = async (db) => {
+  const historyDays = parseInt(process.env.LOGIN_HISTORY_DAYS) || 180;
+  const loginAttempts = db.collection('loginattempts');
+  await loginAttempts.createIndex({ user: 1, createdAt: -1 });
+  await loginAttempts.createIndex({ ipAddress: 1, createdAt: -1 });
+  await loginAttempts.createIndex({ createdAt: 1 }, { expireAfterSeconds: historyDays * 24 * 60 * 60 });
+
+  await db.collection('users').updateMany(
+    { loginLock: { $exists: false } },
+    { $set: { loginLock: { failedAttempts: 0, lockCount: 0 } } }
+  );
+};
@@ -0,0 +1,8 @@
+// Reset tokens are now stored hashed. Links issued before this change can no
+// longer be matched, so clear them; affected users request a new link.
+module.exports.up = async (db) => {
+  await db.collection('users').updateMany(
+    { passwordResetToken: { $exists: true } },
+    { $unset: { passwordResetToken: '', passwordResetExpires: '' } }
+  );
+};
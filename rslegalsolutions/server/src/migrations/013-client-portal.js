@@ -0,0 +1,17 @@
+// Index the client portal collections. Staff addresses were proven by their
+// invitation, so mark them verified; existing clients verify from the portal
+// before their earlier bookings and enquiries are linked to them.
+module.exports.up = async (db) => {
+  await db.collection('users').createIndex({ 'emailVerification.tokenHash': 1 }, { sparse: true });
+  await db.collection('users').updateMany(
+    { role: { $ne: 'client' }, emailVerifiedAt: { $exists: false } },
+    { $set: { emailVerifiedAt: new Date() } }
+  );
+
+  await db.collection('appointments').createIndex({ client: 1, startTime: -1 }, { sparse: true });
+  await db.collection('contacts').createIndex({ client: 1, createdAt: -1 }, { sparse: true });
+  await db.collection('clientdocuments').createIndex({ client: 1, createdAt: -1 });
+  await db.collection('invoices').createIndex({ number: 1 }, { unique: true });
+  await db.collection('invoices').createIndex({ client: 1, createdAt: -1 });
+  await db.collection('clientmessages').createIndex({ client: 1, createdAt: -1 });
+};
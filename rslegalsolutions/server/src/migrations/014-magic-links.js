@@ -0,0 +1,10 @@
+// Give existing roles the allowMagicLink flag, off so staff keep signing in
+// with their password until an admin allows links, and index link tokens
+module.exports.up = async (db) => {
+  await db.collection('roles').updateMany(
+    { allowMagicLink: { $exists: false } },
+    { $set: { allowMagicLink: false } }
+  );
+
+  await db.collection('users').createIndex({ 'magicLink.tokenHash': 1 }, { sparse: true });
+};
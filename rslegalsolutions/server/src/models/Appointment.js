@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const validator = require('validator');
+const Closure = require('./Closure');
+const { CONSULTATION_MODES } = require('../utils/meetings');
+const { FIRM_TIMEZONE } = require('../utils/timezone');
 
 const appointmentSchema = new mongoose.Schema({
   clientName: {
@@ -22,29 +26,91 @@ const appointmentSchema = new mongoose.Schema({
     required: [true, 'Phone number is required'],
     trim: true
   },
+  // Client portal account with the same verified email
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   serviceType: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Service',
     required: [true, 'Service type is required']
   },
-  appointmentDate: {
+  lawyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  autoAssigned: {
+    type: Boolean,
+    default: false
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Appointment time is required'],
+    validate: [{
+      // Past bookings must stay valid when their status changes
+      validator: function(value) {
+        return !this.isModified('startTime') || value > new Date();
+      },
+      message: 'Appointment time must be in the future'
+    }, {
+      validator: async function(value) {
+        return !this.isModified('startTime') || !(await Closure.findForDate(value));
+      },
+      message: 'The office is closed on the selected date'
+    }]
+  },
+  endTime: {
     type: Date,
-    required: [true, 'Appointment date is required'],
+    required: [true, 'Appointment end time is required'],
     validate: {
       validator: function(value) {
-        return value > new Date();
+        return value > this.startTime;
       },
-      message: 'Appointment date must be in the future'
+      message: 'Appointment must end after it starts'
     }
   },
-  preferredTime: {
+  // Office time zone the slot was booked in; startTime and endTime are
+  // UTC instants and are shown in this zone alongside the client's own
+  timezone: {
+    type: String,
+    default: FIRM_TIMEZONE
+  },
+  mode: {
     type: String,
-    required: [true, 'Preferred time is required'],
-    enum: [
-      '09:00 AM', '10:00 AM', '11:00 AM',
-      '12:00 PM', '02:00 PM', '03:00 PM',
-      '04:00 PM', '05:00 PM'
-    ]
+    enum: {
+      values: CONSULTATION_MODES,
+      message: 'Please choose in-person, video or phone'
+    },
+    default: 'in-person'
+  },
+  // Video meeting room, set for video consultations
+  meeting: {
+    provider: String,
+    id: String,
+    url: String
+  },
+  // Answers to the service's intake questionnaire, with the question text
+  // as it was asked
+  intake: [{
+    _id: false,
+    key: String,
+    label: String,
+    answer: mongoose.Schema.Types.Mixed
+  }],
+  // Consultation fee, authorised at booking and captured on confirmation
+  payment: {
+    gateway: String,
+    intentId: String,
+    amount: Number,
+    currency: String,
+    status: {
+      type: String,
+      enum: ['pending', 'authorized', 'captured', 'released', 'failed', 'refunded']
+    },
+    authorizedAt: Date,
+    capturedAt: Date,
+    releasedAt: Date
   },
   message: {
     type: String,
@@ -53,29 +119,114 @@ const appointmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: ['unverified', 'pending', 'confirmed', 'cancelled', 'completed', 'expired'],
     default: 'pending'
   },
   confirmationCode: {
     type: String,
     unique: true
-  }
+  },
+  // Email check for website bookings; the hashes are cleared once verified
+  verification: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    otpHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    sends: {
+      type: Number,
+      default: 0
+    },
+    verifiedAt: Date
+  },
+  // Where the booking came from, for waitlist conversion tracking
+  source: {
+    type: String,
+    enum: ['website', 'waitlist', 'series'],
+    default: 'website'
+  },
+  // Recurring series the appointment belongs to, and the start its rule
+  // gave it (kept when the occurrence alone is moved)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  seriesOccurrence: Date,
+  // Reminders sent, skipped or failed, in the order they were processed
+  reminders: [{
+    _id: false,
+    key: String,
+    startTime: Date,
+    scheduledFor: Date,
+    status: {
+      type: String,
+      enum: ['sent', 'skipped', 'failed']
+    },
+    reason: String,
+    processedAt: Date
+  }],
+  rescheduleHistory: [{
+    _id: false,
+    previousStartTime: Date,
+    previousLawyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    newStartTime: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxLength: [200, 'Reason cannot exceed 200 characters']
+    },
+    // Staff member who moved it; empty when the client rescheduled
+    rescheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
+const CODE_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const CODE_LENGTH = 22;
+
+// Confirmation codes are the client's only credential for their booking,
+// so they come from a cryptographic RNG
+const generateConfirmationCode = () => Array.from(
+  { length: CODE_LENGTH },
+  () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+).join('');
+
 // Generate unique confirmation code before saving
 appointmentSchema.pre('save', function(next) {
   if (!this.confirmationCode) {
-    this.confirmationCode = Math.random().toString(36).substring(2, 15) + 
-                           Math.random().toString(36).substring(2, 15);
+    this.confirmationCode = generateConfirmationCode();
   }
   next();
 });
 
 // Index for efficient queries
-appointmentSchema.index({ appointmentDate: 1, status: 1 });
+appointmentSchema.index({ startTime: 1, status: 1 });
 appointmentSchema.index({ email: 1 });
+appointmentSchema.index({ client: 1, startTime: -1 }, { sparse: true });
+appointmentSchema.index({ lawyer: 1, startTime: 1, status: 1 });
+appointmentSchema.index({ 'payment.intentId': 1 }, { sparse: true });
+appointmentSchema.index({ 'verification.tokenHash': 1 }, { sparse: true });
+appointmentSchema.index({ status: 1, 'verification.expiresAt': 1 });
+appointmentSchema.index({ series: 1, seriesOccurrence: 1 }, { sparse: true });
 
 const Appointment = mongoose.model('Appointment', appointmentSchema);
 
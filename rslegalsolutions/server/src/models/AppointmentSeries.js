@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { CONSULTATION_MODES } = require('../utils/meetings');
+
+// A recurring set of appointments for one client, booked by staff from an
+// RRULE. Each occurrence is a normal Appointment pointing back here.
+const appointmentSeriesSchema = new mongoose.Schema({
+  clientName: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: validator.isEmail,
+      message: 'Please provide a valid email'
+    }
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true
+  },
+  serviceType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service type is required']
+  },
+  // Lawyer for every occurrence; any lawyer for the service when empty
+  lawyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  mode: {
+    type: String,
+    enum: CONSULTATION_MODES,
+    default: 'in-person'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Answers to the service's intake questionnaire, copied to every occurrence
+  intake: [{
+    _id: false,
+    key: String,
+    label: String,
+    answer: mongoose.Schema.Types.Mixed
+  }],
+  // Recurrence rule without DTSTART, e.g. 'FREQ=MONTHLY;BYDAY=1MO;COUNT=12'
+  rule: {
+    type: String,
+    required: [true, 'A recurrence rule is required']
+  },
+  // First occurrence; later ones keep its office time of day
+  startTime: {
+    type: Date,
+    required: [true, 'A first appointment time is required']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  // Series this one was split from by a "this and following" edit
+  previousSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
+  // Occurrences that could not be booked when the series was created
+  skipped: [{
+    _id: false,
+    startTime: Date,
+    reason: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+appointmentSeriesSchema.index({ email: 1 });
+
+const AppointmentSeries = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
+
+module.exports = AppointmentSeries;
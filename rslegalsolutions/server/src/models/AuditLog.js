@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One administrative action on a user account or role, kept as an audit
+// trail.
+// Entries are written once and never edited.
+const AUDIT_ACTIONS = [
+  'user.role_changed',
+  'user.permissions_changed',
+  'user.deactivated',
+  'user.reactivated',
+  'user.password_reset_forced',
+  'user.two_factor_reset',
+  'user.unlocked',
+  'invitation.created',
+  'invitation.resent',
+  'invitation.revoked',
+  'role.created',
+  'role.updated',
+  'role.deleted'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // Who did it
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Whose account it was done to; invitations record the invitee's email
+  // and roles their name in changes
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Field changes as { field: { from, to } }, or other details of the action
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+AuditLog.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditLog;
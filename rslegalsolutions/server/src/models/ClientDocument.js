@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Largest file staff can share through the client portal
+const MAX_DOCUMENT_MB = parseInt(process.env.CLIENT_DOCUMENT_MAX_MB) || 5;
+
+// A file the firm has shared with one client portal account. The file is
+// stored with the record and only loaded for downloads.
+const clientDocumentSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Document title is required'],
+    trim: true,
+    maxLength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  fileName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true
+  },
+  contentType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  size: Number,
+  data: {
+    type: Buffer,
+    required: [true, 'File is required'],
+    select: false,
+    validate: {
+      validator: value => value.length <= MAX_DOCUMENT_MB * 1024 * 1024,
+      message: `Documents cannot be larger than ${MAX_DOCUMENT_MB} MB`
+    }
+  },
+  sharedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+clientDocumentSchema.pre('validate', function(next) {
+  if (this.data) {
+    this.size = this.data.length;
+  }
+  next();
+});
+
+clientDocumentSchema.index({ client: 1, createdAt: -1 });
+
+const ClientDocument = mongoose.model('ClientDocument', clientDocumentSchema);
+
+ClientDocument.MAX_DOCUMENT_MB = MAX_DOCUMENT_MB;
+
+module.exports = ClientDocument;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One message in the conversation between a client portal account and the
+// firm. Staff replies carry the staff member as sender.
+const clientMessageSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromClient: {
+    type: Boolean,
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxLength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  // When the other side first saw it
+  readAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+clientMessageSchema.index({ client: 1, createdAt: -1 });
+
+const ClientMessage = mongoose.model('ClientMessage', clientMessageSchema);
+
+module.exports = ClientMessage;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { parseOfficeDate, startOfOfficeDay, officeWeekday } = require('../utils/timezone');
+
+const closureSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Closure type is required'],
+    enum: ['date', 'range', 'weekly']
+  },
+  // First (or only) closed day for 'date' and 'range' closures
+  startDate: {
+    type: Date,
+    set: parseOfficeDate,
+    required: [
+      function() { return this.type !== 'weekly'; },
+      'Closure date is required'
+    ]
+  },
+  // Last closed day (inclusive) for 'range' closures
+  endDate: {
+    type: Date,
+    set: parseOfficeDate,
+    required: [
+      function() { return this.type === 'range'; },
+      'Closure end date is required'
+    ],
+    validate: {
+      validator: function(value) {
+        return !value || !this.startDate || value >= this.startDate;
+      },
+      message: 'Closure must end on or after its start date'
+    }
+  },
+  // Recurring weekly off-day for 'weekly' closures
+  weekday: {
+    type: Number,
+    min: 0, // Sunday
+    max: 6,
+    required: [
+      function() { return this.type === 'weekly'; },
+      'Weekday is required'
+    ]
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxLength: [200, 'Reason cannot exceed 200 characters']
+  },
+  category: {
+    type: String,
+    enum: ['holiday', 'court-vacation', 'office-closure'],
+    default: 'holiday'
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Store closed days as whole office days
+closureSchema.pre('validate', function(next) {
+  if (this.type === 'weekly') {
+    this.startDate = undefined;
+    this.endDate = undefined;
+  } else {
+    this.weekday = undefined;
+    if (this.startDate) this.startDate = startOfOfficeDay(this.startDate);
+    if (this.type === 'date') this.endDate = this.startDate;
+    if (this.endDate) this.endDate = startOfOfficeDay(this.endDate);
+  }
+  next();
+});
+
+// Closures overlapping the days from..to (inclusive)
+closureSchema.statics.findBetween = function(from, to) {
+  return this.find({
+    $or: [
+      { type: 'weekly' },
+      { startDate: { $lte: startOfOfficeDay(to) }, endDate: { $gte: startOfOfficeDay(from) } }
+    ]
+  }).sort({ startDate: 1, weekday: 1 });
+};
+
+// Closure covering the day containing date, if any
+closureSchema.statics.findForDate = function(value) {
+  const day = startOfOfficeDay(value);
+
+  return this.findOne({
+    $or: [
+      { type: 'weekly', weekday: officeWeekday(day) },
+      { startDate: { $lte: day }, endDate: { $gte: day } }
+    ]
+  });
+};
+
+// Check whether a closure covers a given day
+closureSchema.methods.covers = function(value) {
+  const day = startOfOfficeDay(value);
+
+  if (this.type === 'weekly') {
+    return officeWeekday(day) === this.weekday;
+  }
+  return this.startDate <= day && this.endDate >= day;
+};
+
+closureSchema.index({ startDate: 1, endDate: 1 });
+closureSchema.index({ type: 1, weekday: 1 });
+
+const Closure = mongoose.model('Closure', closureSchema);
+
+module.exports = Closure;
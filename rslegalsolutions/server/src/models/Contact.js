@@ -35,6 +35,11 @@ const contactSchema = new mongoose.Schema({
     trim: true,
     maxLength: [2000, 'Message cannot exceed 2000 characters']
   },
+  // Client portal account with the same verified email
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   serviceInterest: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Service'
@@ -70,6 +75,7 @@ const contactSchema = new mongoose.Schema({
 // Indexes for efficient queries
 contactSchema.index({ status: 1, createdAt: -1 });
 contactSchema.index({ email: 1 });
+contactSchema.index({ client: 1, createdAt: -1 }, { sparse: true });
 contactSchema.index({ priority: 1 });
 
 // Add response details when status changes to responded
@@ -80,6 +86,14 @@ contactSchema.pre('save', function(next) {
   next();
 });
 
+// Link new enquiries to the client portal account with the same verified email.
+// The model is looked up by name since User loads after this one.
+contactSchema.pre('save', async function() {
+  if (this.isNew && !this.client) {
+    this.client = await mongoose.model('User').findVerifiedClientId(this.email);
+  }
+});
+
 const Contact = mongoose.model('Contact', contactSchema);
 
 module.exports = Contact;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const Role = require('./Role');
+
+// An admin's invitation for someone to join the staff with a given role.
+// The invitee gets a signed link; only its hash is stored, so a link is
+// single use and can be revoked by changing the invitation's status.
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: validator.isEmail,
+      message: 'Please provide a valid email'
+    }
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: name => name !== Role.CLIENT_ROLE && Role.exists({ name }).then(Boolean),
+      message: 'Invitations can only grant a staff role'
+    }
+  },
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+invitationSchema.index({ email: 1, status: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// An invoice raised to a client portal account. The total is the sum of
+// its lines.
+const invoiceSchema = new mongoose.Schema({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  number: {
+    type: String,
+    unique: true
+  },
+  items: {
+    type: [{
+      _id: false,
+      description: {
+        type: String,
+        required: [true, 'Each line needs a description'],
+        trim: true
+      },
+      amount: {
+        type: Number,
+        required: [true, 'Each line needs an amount'],
+        min: [0, 'Amounts cannot be negative']
+      }
+    }],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'An invoice needs at least one line'
+    }
+  },
+  total: Number,
+  currency: {
+    type: String,
+    lowercase: true,
+    default: () => process.env.PAYMENT_CURRENCY || 'inr'
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'paid', 'void'],
+    default: 'issued'
+  },
+  dueDate: Date,
+  paidAt: Date,
+  notes: {
+    type: String,
+    trim: true,
+    maxLength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  // Appointment the invoice is for, if any
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.pre('validate', function(next) {
+  if (!this.number) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    this.number = `INV-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+  this.total = this.items.reduce((sum, item) => sum + (item.amount || 0), 0);
+  if (this.isModified('status') && this.status === 'paid' && !this.paidAt) {
+    this.paidAt = new Date();
+  }
+  next();
+});
+
+invoiceSchema.index({ client: 1, createdAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
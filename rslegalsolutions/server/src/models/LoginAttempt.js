@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const OUTCOMES = [
+  'success',
+  'invalid_password',
+  'unknown_user',
+  'invalid_code',
+  'locked',
+  'deactivated',
+  'reset_required',
+  'link_requested',
+  'invalid_link'
+];
+
+// Outcomes that count towards locking an account or throttling an address
+const FAILED_OUTCOMES = ['invalid_password', 'unknown_user', 'invalid_code', 'locked', 'invalid_link'];
+
+// How long sign-in history is kept
+const HISTORY_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS) || 180;
+
+// One sign-in attempt, successful or not. Attempts for unknown addresses
+// have no user but keep the email that was tried.
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  outcome: {
+    type: String,
+    enum: OUTCOMES,
+    required: true
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: HISTORY_DAYS * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+LoginAttempt.OUTCOMES = OUTCOMES;
+LoginAttempt.FAILED_OUTCOMES = FAILED_OUTCOMES;
+
+module.exports = LoginAttempt;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A refresh token for one signed-in session. Each refresh replaces the token
+// with a new one in the same family; presenting a replaced token again, after
+// a short grace period, means it was stolen, so the whole family is revoked.
+// Only the hash is stored.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Shared by every token issued for the same sign in; access tokens carry
+  // it as their session id
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse', 'deactivated', 'password_reset', 'password_change']
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  // The replacement token, encrypted with a key only the replaced token
+  // gives, so a refresh racing the one that replaced it gets the same token
+  successorToken: {
+    type: String,
+    select: false
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A scheduled appointment reminder in the Mongo-backed reminder queue, used
+// when Redis is not configured. One job per appointment, reminder and start
+// time, so rescheduling creates fresh jobs and old ones can be skipped.
+const reminderJobSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  // Reminder name from REMINDER_OFFSETS, e.g. '24h'
+  key: {
+    type: String,
+    required: true
+  },
+  // Appointment start the reminder was scheduled for
+  startTime: {
+    type: Date,
+    required: true
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'processing', 'done', 'failed', 'cancelled'],
+    default: 'scheduled'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // A worker owns a processing job until then; after a crash it is retried
+  lockedUntil: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+reminderJobSchema.index({ appointment: 1, key: 1, startTime: 1 }, { unique: true });
+reminderJobSchema.index({ status: 1, runAt: 1 });
+
+const ReminderJob = mongoose.model('ReminderJob', reminderJobSchema);
+
+module.exports = ReminderJob;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { isPermission } = require('../utils/permissions');
+
+// Portal clients have this role; it can never hold permissions
+const CLIENT_ROLE = 'client';
+
+// Roles every installation starts with. They can be edited but not deleted.
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    label: 'Administrator',
+    description: 'Full access, including permissions added by new modules',
+    grantsAll: true,
+    permissions: []
+  },
+  {
+    name: 'editor',
+    label: 'Editor',
+    description: 'Publishes blog posts and reads enquiries',
+    permissions: ['manage_blogs', 'view_contacts']
+  },
+  {
+    name: 'staff',
+    label: 'Staff',
+    description: 'Handles contact enquiries',
+    permissions: ['view_contacts', 'respond_contacts']
+  },
+  {
+    name: CLIENT_ROLE,
+    label: 'Client',
+    description: 'Client portal account',
+    permissions: []
+  }
+];
+
+// A named set of permissions that users are assigned by name
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role names may only use letters, numbers, - and _']
+  },
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  permissions: [{
+    type: String,
+    validate: {
+      validator: isPermission,
+      message: props => `${props.value} is not a known permission`
+    }
+  }],
+  // Users with this role must sign in with a second factor
+  requireTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // Users with this role may also sign in with an emailed link instead of
+  // their password. Client accounts always may.
+  allowMagicLink: {
+    type: Boolean,
+    default: false
+  },
+  // Grant every registered permission, including ones added later
+  grantsAll: {
+    type: Boolean,
+    default: false
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.pre('validate', function(next) {
+  if (this.name === CLIENT_ROLE && (this.permissions.length || this.grantsAll)) {
+    this.invalidate('permissions', 'The client role cannot hold staff permissions');
+  }
+  next();
+});
+
+// Whether users with this role work for the firm
+roleSchema.methods.isStaff = function() {
+  return this.name !== CLIENT_ROLE;
+};
+
+// Create any missing default roles without touching edited ones
+roleSchema.statics.ensureDefaults = function() {
+  return this.bulkWrite(DEFAULT_ROLES.map(role => ({
+    updateOne: {
+      filter: { name: role.name },
+      update: { $setOnInsert: { ...role, isSystem: true } },
+      upsert: true
+    }
+  })));
+};
+
+const Role = mongoose.model('Role', roleSchema);
+
+Role.CLIENT_ROLE = CLIENT_ROLE;
+Role.DEFAULT_ROLES = DEFAULT_ROLES;
+
+module.exports = Role;
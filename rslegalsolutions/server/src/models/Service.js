@@ -1,4 +1,48 @@
 const mongoose = require('mongoose');
+const { CONSULTATION_MODES } = require('../utils/meetings');
+const { INTAKE_FIELD_TYPES, validateIntakeForm } = require('../utils/intake');
+
+// One question in a service's intake questionnaire
+const intakeFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: INTAKE_FIELD_TYPES,
+    default: 'text'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  helpText: {
+    type: String,
+    trim: true
+  },
+  // Choices for select and multiselect questions
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // Bounds for number questions
+  min: Number,
+  max: Number,
+  // Only ask when an earlier question's answer matches (one value or a list)
+  showIf: {
+    field: String,
+    equals: mongoose.Schema.Types.Mixed
+  }
+}, {
+  _id: false
+});
 
 const serviceSchema = new mongoose.Schema({
   title: {
@@ -37,6 +81,25 @@ const serviceSchema = new mongoose.Schema({
     type: String,
     default: 'default-service-icon.png'
   },
+  // Ways clients may book a consultation for this service
+  consultationModes: {
+    type: [{
+      type: String,
+      enum: CONSULTATION_MODES
+    }],
+    default: () => [...CONSULTATION_MODES],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'At least one consultation mode is required'
+    }
+  },
+  intakeForm: [intakeFieldSchema],
+  // Fee charged up front when booking a consultation; 0 for free services
+  consultationFee: {
+    type: Number,
+    min: [0, 'Consultation fee cannot be negative'],
+    default: 0
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -45,6 +108,17 @@ const serviceSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Intake questions must have unique keys and only depend on earlier ones
+serviceSchema.pre('validate', function(next) {
+  if (this.isModified('intakeForm')) {
+    const errors = validateIntakeForm(this.intakeForm);
+    if (errors.length) {
+      this.invalidate('intakeForm', errors.join('; '));
+    }
+  }
+  next();
+});
+
 // Create URL-friendly slug from title
 serviceSchema.pre('save', function(next) {
   if (this.isModified('title')) {
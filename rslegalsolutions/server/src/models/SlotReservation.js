@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One document per taken slot. The unique index on lawyer + startTime is
+// what makes booking atomic: whoever inserts first owns the slot. Slots on
+// the shared firm calendar are reserved with no lawyer.
+const slotReservationSchema = new mongoose.Schema({
+  lawyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  serviceType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  autoAssigned: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the slot belongs to a booked appointment
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // Temporary holds carry a token and expire if the booking is abandoned
+  holdToken: {
+    type: String
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+slotReservationSchema.methods.isHold = function() {
+  return !this.appointment && !!this.expiresAt;
+};
+
+slotReservationSchema.index({ lawyer: 1, startTime: 1 }, { unique: true });
+slotReservationSchema.index({ holdToken: 1 }, { unique: true, sparse: true });
+slotReservationSchema.index({ appointment: 1 }, { sparse: true });
+slotReservationSchema.index({ startTime: 1, expiresAt: 1 });
+// MongoDB removes expired holds in the background
+slotReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SlotReservation = mongoose.model('SlotReservation', slotReservationSchema);
+
+module.exports = SlotReservation;
@@ -2,6 +2,26 @@ const mongoose = require('mongoose');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Role = require('./Role');
+const { isPermission, resolvePermissions } = require('../utils/permissions');
+
+const { CLIENT_ROLE } = Role;
+
+// Access tokens are short lived; sessions are kept going with refresh tokens
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.ACCESS_TOKEN_MINUTES) || 15;
+
+// How long an emailed password reset link works
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES) || 60;
+
+// How long an emailed sign-in link works
+const MAGIC_LINK_MINUTES = parseInt(process.env.MAGIC_LINK_MINUTES) || 15;
+
+// How long an emailed address verification link works
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 48;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,10 +46,16 @@ const userSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters'],
     select: false // Don't include password in queries by default
   },
+  // Name of a Role; the role's permissions are looked up on each request
   role: {
     type: String,
-    enum: ['admin', 'editor', 'staff'],
-    default: 'staff'
+    default: 'staff',
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: name => Role.exists({ name }).then(Boolean),
+      message: props => `${props.value} is not a known role`
+    }
   },
   avatar: {
     type: String,
@@ -42,18 +68,125 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
-  passwordResetToken: String,
+  // Hash of the emailed reset token; the token itself is never stored
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
   passwordResetExpires: Date,
+  // When the user proved they own their email address. Client portal
+  // accounts only see records made with their email once it is set.
+  emailVerifiedAt: Date,
+  emailVerification: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
+  },
+  // Emailed sign-in link. Both hashes must match to use it: the token from
+  // the link and the key the requesting browser was given.
+  magicLink: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    browserKeyHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
+  },
+  // Set by an admin; the user cannot sign in until they choose a new password
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP second factor. Secrets are encrypted and, like the recovery code
+  // hashes, only loaded when a code is being checked.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret being set up, until a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Time step of the last accepted code, so codes cannot be replayed
+    lastUsedStep: Number,
+    failedAttempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Failed sign ins since the last success. Too many lock the account,
+  // for longer each time it happens again in a row.
+  loginLock: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockCount: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  // Secret part of the user's iCal feed URL
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
+  // Granted to this user on top of their role's permissions
   permissions: [{
     type: String,
-    enum: [
-      'manage_services',
-      'manage_appointments',
-      'manage_blogs',
-      'manage_users',
-      'view_contacts',
-      'respond_contacts'
-    ]
+    validate: {
+      validator: isPermission,
+      message: props => `${props.value} is not a known permission`
+    }
+  }],
+  // Lawyers who take client consultations
+  isBookable: {
+    type: Boolean,
+    default: false
+  },
+  services: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }],
+  workingHours: [{
+    _id: false,
+    day: {
+      type: Number,
+      required: true,
+      min: 0, // Sunday
+      max: 6
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Working hours must use HH:mm']
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Working hours must use HH:mm']
+    }
   }]
 }, {
   timestamps: true
@@ -72,52 +205,61 @@ userSchema.pre('save', async function(next) {
   }
 });
 
-// Set default permissions based on role
+// Portal clients never keep staff permissions
 userSchema.pre('save', function(next) {
-  if (this.isModified('role')) {
-    switch (this.role) {
-      case 'admin':
-        this.permissions = [
-          'manage_services',
-          'manage_appointments',
-          'manage_blogs',
-          'manage_users',
-          'view_contacts',
-          'respond_contacts'
-        ];
-        break;
-      case 'editor':
-        this.permissions = [
-          'manage_blogs',
-          'view_contacts'
-        ];
-        break;
-      case 'staff':
-        this.permissions = [
-          'view_contacts',
-          'respond_contacts'
-        ];
-        break;
-    }
+  if (this.role === CLIENT_ROLE && this.permissions.length) {
+    this.permissions = [];
   }
   next();
 });
 
+// Office hours used for lawyers without their own working hours
+const DEFAULT_WORKING_HOURS = [
+  { day: 1, start: '09:00', end: '18:00' },
+  { day: 2, start: '09:00', end: '18:00' },
+  { day: 3, start: '09:00', end: '18:00' },
+  { day: 4, start: '09:00', end: '18:00' },
+  { day: 5, start: '09:00', end: '18:00' },
+  { day: 6, start: '09:00', end: '14:00' }
+];
+
+userSchema.index({ isBookable: 1, services: 1 });
+userSchema.index({ role: 1, isActive: 1 });
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+userSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'magicLink.tokenHash': 1 }, { sparse: true });
+
+// Get effective working hours
+userSchema.methods.getWorkingHours = function() {
+  return this.workingHours && this.workingHours.length
+    ? this.workingHours
+    : DEFAULT_WORKING_HOURS;
+};
+
+// Whether the user is a member of staff rather than a portal client
+userSchema.methods.isStaff = function() {
+  return this.role !== CLIENT_ROLE;
+};
+
+// Effective permissions from the user's current role and individual grants
+userSchema.methods.getPermissions = async function() {
+  const role = await Role.findOne({ name: this.role }).lean();
+  return resolvePermissions(role, this.permissions);
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Generate a JWT access token for a session. Role and permissions are read
+// from the database on each request, so the token only identifies the user
+// and the session it belongs to.
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
-    { 
-      id: this._id,
-      role: this.role,
-      permissions: this.permissions
-    },
+    { id: this._id, sid: sessionId },
     process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '24h' }
+    { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
   );
 };
 
@@ -127,21 +269,116 @@ userSchema.methods.updateLastLogin = async function() {
   await this.save();
 };
 
-// Generate password reset token
+// Generate a password reset token, replacing any earlier one. Only its hash
+// is stored; the returned token goes in the emailed link.
 userSchema.methods.createPasswordResetToken = async function() {
-  const resetToken = jwt.sign(
-    { id: this._id },
-    process.env.JWT_RESET_SECRET || 'reset-secret-key',
-    { expiresIn: '1h' }
-  );
+  const resetToken = crypto.randomBytes(32).toString('hex');
 
-  this.passwordResetToken = resetToken;
-  this.passwordResetExpires = Date.now() + 3600000; // 1 hour
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000);
   await this.save();
 
   return resetToken;
 };
 
+// Use up a password reset token: returns its active user and clears the
+// token in one step, so a link works only once. Null if the token is
+// unknown, used or expired.
+userSchema.statics.consumePasswordResetToken = function(resetToken) {
+  return this.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(resetToken),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Generate a sign-in link token for the browser holding `browserKey`,
+// replacing any earlier one. Only hashes are stored.
+userSchema.methods.createMagicLinkToken = async function(browserKey) {
+  const linkToken = crypto.randomBytes(32).toString('hex');
+
+  this.magicLink = {
+    tokenHash: hashToken(linkToken),
+    browserKeyHash: hashToken(browserKey),
+    expiresAt: new Date(Date.now() + MAGIC_LINK_MINUTES * 60 * 1000)
+  };
+  await this.save();
+
+  return linkToken;
+};
+
+// Use up a sign-in link opened in the browser that asked for it: returns
+// its active user and clears the link in one step. Null if the token is
+// unknown, used or expired, or the browser key does not match.
+userSchema.statics.consumeMagicLinkToken = function(linkToken, browserKey) {
+  return this.findOneAndUpdate(
+    {
+      'magicLink.tokenHash': hashToken(linkToken),
+      'magicLink.browserKeyHash': hashToken(browserKey),
+      'magicLink.expiresAt': { $gt: new Date() },
+      isActive: true
+    },
+    { $unset: { magicLink: 1 } },
+    { new: true }
+  );
+};
+
+// Generate an email verification token, replacing any earlier one. Only its
+// hash is stored; the returned token goes in the emailed link.
+userSchema.methods.createEmailVerificationToken = async function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerification = {
+    tokenHash: hashToken(verificationToken),
+    expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000)
+  };
+  await this.save();
+
+  return verificationToken;
+};
+
+// Use up an email verification token, marking the address verified. Null if
+// the token is unknown, used or expired.
+userSchema.statics.consumeEmailVerificationToken = function(verificationToken) {
+  return this.findOneAndUpdate(
+    {
+      'emailVerification.tokenHash': hashToken(verificationToken),
+      'emailVerification.expiresAt': { $gt: new Date() },
+      isActive: true
+    },
+    {
+      $set: { emailVerifiedAt: new Date() },
+      $unset: { emailVerification: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Id of the verified client portal account with this email, if there is one
+userSchema.statics.findVerifiedClientId = async function(email) {
+  const client = await this.findOne({
+    email,
+    role: CLIENT_ROLE,
+    emailVerifiedAt: { $exists: true }
+  }).select('_id').lean();
+
+  return client ? client._id : undefined;
+};
+
+// Generate a new calendar feed token, revoking any previous feed URL
+userSchema.methods.createCalendarFeedToken = async function() {
+  this.calendarFeedToken = crypto.randomBytes(24).toString('hex');
+  await this.save();
+
+  return this.calendarFeedToken;
+};
+
 const User = mongoose.model('User', userSchema);
 
+User.CLIENT_ROLE = CLIENT_ROLE;
+
 module.exports = User;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { CONSULTATION_MODES } = require('../utils/meetings');
+const { parseOfficeDate, startOfOfficeDay } = require('../utils/timezone');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  clientName: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: validator.isEmail,
+      message: 'Please provide a valid email'
+    }
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true
+  },
+  serviceType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service type is required']
+  },
+  // Preferred lawyer; any lawyer for the service when empty
+  lawyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  mode: {
+    type: String,
+    enum: CONSULTATION_MODES,
+    default: 'in-person'
+  },
+  // Calendar day the client wants, stored as midnight office time
+  date: {
+    type: Date,
+    set: parseOfficeDate,
+    required: [true, 'Date is required']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Answers to the service's intake questionnaire, copied to the appointment
+  // when an offer is claimed
+  intake: [{
+    _id: false,
+    key: String,
+    label: String,
+    answer: mongoose.Schema.Types.Mixed
+  }],
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'converted', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Freed slot currently offered to the client, held until expiresAt
+  offer: {
+    token: String,
+    startTime: Date,
+    endTime: Date,
+    lawyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: Date
+  },
+  offersSent: {
+    type: Number,
+    default: 0
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  convertedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Store the requested day as a whole office day
+waitlistEntrySchema.pre('validate', function(next) {
+  if (this.date) {
+    this.date = startOfOfficeDay(this.date);
+  }
+  next();
+});
+
+waitlistEntrySchema.index({ date: 1, serviceType: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ 'offer.token': 1 }, { sparse: true });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+waitlistEntrySchema.index({ email: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
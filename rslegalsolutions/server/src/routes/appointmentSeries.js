@@ -0,0 +1,377 @@
+const express = require('express');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const { auth, checkPermission } = require('../middleware/auth');
+const { ACTIVE_STATUSES, resolveSlot } = require('../utils/availability');
+const { resolveMode } = require('../utils/meetings');
+const { requireIntakeAnswers } = require('../utils/intake');
+const { moveAppointment } = require('../utils/rescheduling');
+const { rescheduleReminders } = require('../utils/reminders');
+const emails = require('../utils/emails');
+const {
+  SERIES_DETAILS,
+  seriesError,
+  normalizeRule,
+  expandRule,
+  truncateRule,
+  remainingRule,
+  previewOccurrences,
+  bookOccurrences,
+  cancelOccurrences,
+  upcomingOccurrences,
+  applyDetails,
+  syncOccurrences
+} = require('../utils/series');
+
+const EDIT_SCOPES = ['this', 'following', 'all'];
+const INVALID_MODE_MESSAGE = 'This service is not offered in the selected consultation mode.';
+
+// Staff book series for known clients, so every route needs the permission
+router.use(auth, checkPermission('manage_appointments'));
+
+const sendError = (res, error) => res.status(error.status || 400).json({
+  message: error.message,
+  errors: error.errors,
+  conflicts: error.conflicts
+});
+
+// Resolve a lawyer id from a request: null for any lawyer, otherwise a
+// bookable lawyer who takes the service
+const resolveLawyer = async (lawyerId, serviceId) => {
+  if (!lawyerId || lawyerId === 'any') {
+    return null;
+  }
+
+  const lawyer = await User.findOne({
+    _id: lawyerId,
+    isBookable: true,
+    isActive: true,
+    services: serviceId
+  });
+  if (!lawyer) {
+    throw seriesError('Lawyer not available for this service', 404);
+  }
+  return lawyer;
+};
+
+// Upcoming starts of a new series, or a 400 error if the rule gives none
+const upcomingStarts = (rule, startTime) => {
+  const now = new Date();
+  const starts = expandRule(rule, startTime).filter(start => start > now);
+  if (!starts.length) {
+    throw seriesError('The recurrence rule gives no upcoming appointments', 400);
+  }
+  return starts;
+};
+
+// Build an unsaved series from a request body
+const buildSeries = async (body, user) => {
+  const service = await Service.findById(body.serviceType);
+  if (!service) {
+    throw seriesError('Service not found', 404);
+  }
+
+  const mode = resolveMode(service, body.mode);
+  if (!mode) {
+    throw seriesError(INVALID_MODE_MESSAGE, 400);
+  }
+
+  const startTime = new Date(body.startTime);
+  if (isNaN(startTime)) {
+    throw seriesError('A valid first appointment time is required', 400);
+  }
+
+  const intake = requireIntakeAnswers(service.intakeForm, body.intake);
+  const lawyer = await resolveLawyer(body.lawyer, service._id);
+  const series = new AppointmentSeries({
+    clientName: body.clientName,
+    email: body.email,
+    phone: body.phone,
+    serviceType: service._id,
+    lawyer: lawyer ? lawyer._id : undefined,
+    mode,
+    message: body.message,
+    intake,
+    rule: normalizeRule(body.rule),
+    startTime,
+    createdBy: user._id
+  });
+
+  return { series, service };
+};
+
+// List the occurrences a rule would book and whether each is free
+router.post('/preview', async (req, res) => {
+  try {
+    const { series } = await buildSeries(req.body, req.user);
+    const occurrences = await previewOccurrences(series, upcomingStarts(series.rule, series.startTime));
+
+    res.json({ rule: series.rule, occurrences });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create a series and book its upcoming occurrences. With skipConflicts
+// the free ones are booked and the rest reported; otherwise any conflict
+// is a 409 listing them and nothing is booked.
+router.post('/', async (req, res) => {
+  try {
+    const { series } = await buildSeries(req.body, req.user);
+    await series.validate();
+
+    const { appointments, conflicts } = await bookOccurrences(
+      series,
+      upcomingStarts(series.rule, series.startTime),
+      { skipConflicts: !!req.body.skipConflicts }
+    );
+
+    series.skipped = conflicts;
+    await series.save();
+    await series.populate('serviceType', 'title category');
+
+    emails.seriesBooked(series, appointments, conflicts);
+
+    res.status(201).json({
+      message: `${appointments.length} appointment(s) booked`,
+      series,
+      appointments,
+      skipped: conflicts
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get a series with all its occurrences
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.id)
+      .populate('serviceType', 'title category')
+      .populate('lawyer', 'name email');
+
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    const appointments = await Appointment.find({ series: series._id })
+      .populate('lawyer', 'name')
+      .sort({ startTime: 1 });
+
+    res.json({ series, appointments });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Edit one occurrence ('this'), an occurrence and every later one
+// ('following', which splits off a new series) or the whole series ('all')
+router.patch('/:id', async (req, res) => {
+  const { scope = 'all', appointment: occurrenceId, skipConflicts } = req.body;
+  const updates = Object.keys(req.body)
+    .filter(update => !['scope', 'appointment', 'skipConflicts'].includes(update));
+  const allowedUpdates = ['startTime', 'rule', 'lawyer', 'mode', 'message'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation || !EDIT_SCOPES.includes(scope)) {
+    return res.status(400).json({ message: 'Invalid updates' });
+  }
+
+  try {
+    const series = await AppointmentSeries.findOne({ _id: req.params.id, status: 'active' });
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found or cancelled' });
+    }
+
+    let occurrence = null;
+    if (scope !== 'all') {
+      occurrence = await Appointment.findOne({
+        _id: occurrenceId,
+        series: series._id,
+        status: { $in: ACTIVE_STATUSES }
+      });
+      if (!occurrence) {
+        return res.status(404).json({ message: 'Appointment not found in this series' });
+      }
+    }
+
+    const service = await Service.findById(series.serviceType);
+    if (req.body.mode !== undefined && !resolveMode(service, req.body.mode)) {
+      return res.status(400).json({ message: INVALID_MODE_MESSAGE });
+    }
+
+    const lawyer = req.body.lawyer !== undefined
+      ? await resolveLawyer(req.body.lawyer, series.serviceType)
+      : undefined;
+    const lawyerChanged = lawyer !== undefined &&
+      String(lawyer ? lawyer._id : '') !== String(series.lawyer || '');
+
+    if (scope === 'this') {
+      if (req.body.rule) {
+        return res.status(400).json({ message: 'Change the repeat rule for this and following or all appointments' });
+      }
+
+      const slot = req.body.startTime ? await resolveSlot(req.body.startTime) : null;
+      if (req.body.startTime && !slot) {
+        return res.status(400).json({ message: 'Please select one of the available time slots.' });
+      }
+
+      const moved = slot && slot.start.getTime() !== occurrence.startTime.getTime();
+      const reassigned = lawyer !== undefined &&
+        String(lawyer ? lawyer._id : '') !== String(occurrence.lawyer || '');
+
+      let updatedAppointment = occurrence;
+      if (moved || reassigned) {
+        const currentLawyer = occurrence.lawyer ? await User.findById(occurrence.lawyer) : null;
+        const previous = occurrence.startTime;
+        ({ updatedAppointment } = await moveAppointment(
+          occurrence,
+          slot || { start: occurrence.startTime, end: occurrence.endTime },
+          {
+            lawyer: lawyer === undefined ? currentLawyer : lawyer,
+            allowReassign: lawyer === undefined && occurrence.autoAssigned,
+            rescheduledBy: req.user._id
+          }
+        ));
+        if (moved) {
+          emails.appointmentMovedByStaff(updatedAppointment, previous);
+          rescheduleReminders(updatedAppointment);
+        }
+      }
+
+      await applyDetails(updatedAppointment, req.body);
+
+      return res.json({
+        message: 'Appointment updated successfully',
+        appointment: updatedAppointment
+      });
+    }
+
+    // 'this and following' from the series' first occurrence is the whole series
+    const from = scope === 'following' && occurrence.seriesOccurrence > series.startTime
+      ? occurrence.seriesOccurrence
+      : null;
+
+    if (!from) {
+      updates.forEach(update => {
+        if (update === 'lawyer') {
+          series.lawyer = lawyer ? lawyer._id : undefined;
+        } else if (update === 'rule') {
+          series.rule = normalizeRule(req.body.rule);
+        } else {
+          series[update] = req.body[update];
+        }
+      });
+      await series.validate();
+
+      const existing = await upcomingOccurrences(series._id);
+      const result = await syncOccurrences(series, existing, {
+        lawyerChanged,
+        skipConflicts: !!skipConflicts
+      });
+      await series.save();
+
+      const upcoming = await upcomingOccurrences(series._id);
+      await series.populate('serviceType', 'title category');
+      emails.seriesUpdated(series, upcoming, result.conflicts);
+
+      return res.json({
+        message: 'Series updated successfully',
+        series,
+        appointments: upcoming,
+        skipped: result.conflicts
+      });
+    }
+
+    // Split: the original series ends before this occurrence and a new
+    // series with the changes takes over from it
+    const followingSeries = new AppointmentSeries({
+      ...Object.fromEntries(SERIES_DETAILS.map(field => [field, series[field]])),
+      rule: req.body.rule
+        ? normalizeRule(req.body.rule)
+        : remainingRule(series.rule, series.startTime, from),
+      startTime: req.body.startTime ? new Date(req.body.startTime) : from,
+      previousSeries: series._id,
+      createdBy: req.user._id
+    });
+    if (lawyer !== undefined) {
+      followingSeries.lawyer = lawyer ? lawyer._id : undefined;
+    }
+    if (req.body.mode !== undefined) {
+      followingSeries.mode = req.body.mode;
+    }
+    if (req.body.message !== undefined) {
+      followingSeries.message = req.body.message;
+    }
+    await followingSeries.validate();
+
+    const existing = await upcomingOccurrences(series._id, from);
+    const result = await syncOccurrences(followingSeries, existing, {
+      lawyerChanged,
+      skipConflicts: !!skipConflicts
+    });
+
+    followingSeries.skipped = result.conflicts;
+    await followingSeries.save();
+    series.rule = truncateRule(series.rule, from);
+    await series.save();
+
+    const upcoming = await upcomingOccurrences(followingSeries._id);
+    await followingSeries.populate('serviceType', 'title category');
+    emails.seriesUpdated(followingSeries, upcoming, result.conflicts);
+
+    res.json({
+      message: 'This and following appointments updated successfully',
+      series: followingSeries,
+      appointments: upcoming,
+      skipped: result.conflicts
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancel the rest of a series, from one occurrence (body.appointment) or
+// from now on when none is given
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findOne({ _id: req.params.id, status: 'active' });
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found or already cancelled' });
+    }
+
+    let from = null;
+    if (req.body.appointment) {
+      const occurrence = await Appointment.findOne({ _id: req.body.appointment, series: series._id });
+      if (!occurrence) {
+        return res.status(404).json({ message: 'Appointment not found in this series' });
+      }
+      from = occurrence.seriesOccurrence;
+    }
+
+    const cancelled = await upcomingOccurrences(series._id, from);
+    await cancelOccurrences(cancelled);
+
+    if (from && from > series.startTime) {
+      series.rule = truncateRule(series.rule, from);
+    } else {
+      series.status = 'cancelled';
+    }
+    await series.save();
+
+    await series.populate('serviceType', 'title category');
+    emails.seriesCancelled(series, cancelled);
+
+    res.json({
+      message: `${cancelled.length} appointment(s) cancelled`,
+      series
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,119 @@ const express = require('express');
 const router = express.Router();
 const Appointment = require('../models/Appointment');
 const Service = require('../models/Service');
-const { auth, checkPermission } = require('../middleware/auth');
+const User = require('../models/User');
+const { auth, staffOnly, checkPermission } = require('../middleware/auth');
+const {
+  ACTIVE_STATUSES,
+  getBookableLawyers,
+  getAvailableSlots,
+  resolveSlot
+} = require('../utils/availability');
+const {
+  reserveSlot,
+  reserveForService,
+  findHold,
+  claimHold,
+  releaseHold,
+  releaseSlot
+} = require('../utils/reservations');
+const emails = require('../utils/emails');
+const { notifyWaitlist } = require('../utils/waitlist');
+const { buildAppointmentIcs } = require('../utils/ics');
+const { resolveMode, attachMeeting, cancelMeeting } = require('../utils/meetings');
+const { INTAKE_INCOMPLETE_MESSAGE, validateIntakeAnswers } = require('../utils/intake');
+const { moveAppointment } = require('../utils/rescheduling');
+const { scheduleReminders, cancelReminders, rescheduleReminders } = require('../utils/reminders');
+const {
+  holdConsultationFee,
+  captureConsultationFee,
+  releaseConsultationFee,
+  paymentSummary
+} = require('../utils/payments');
+const {
+  issueVerification,
+  verifyByToken,
+  verifyByOtp,
+  resendVerification
+} = require('../utils/verification');
+const { officeDayBounds } = require('../utils/timezone');
+
+const INVALID_SLOT_MESSAGE = 'Please select one of the available time slots.';
+const INVALID_MODE_MESSAGE = 'This service is not offered in the selected consultation mode.';
+
+// Statuses staff may set; 'unverified' and 'expired' belong to the email
+// verification flow
+const STAFF_STATUSES = ['pending', 'confirmed', 'completed', 'cancelled'];
+
+// Self-service reschedule policy
+const RESCHEDULE_MIN_NOTICE_HOURS = parseInt(process.env.RESCHEDULE_MIN_NOTICE_HOURS) || 24;
+const MAX_RESCHEDULES = parseInt(process.env.MAX_RESCHEDULES) || 2;
+
+// Find a lawyer a client asked for by id, if they take the service
+const findRequestedLawyer = (lawyerId, serviceId) => {
+  if (!lawyerId || lawyerId === 'any') {
+    return null;
+  }
+
+  return User.findOne({
+    _id: lawyerId,
+    isBookable: true,
+    isActive: true,
+    services: serviceId
+  });
+};
+
+// Moves made by the client, which count towards MAX_RESCHEDULES
+const clientReschedules = (appointment) =>
+  appointment.rescheduleHistory.filter(entry => !entry.rescheduledBy).length;
+
+// Hold a slot while the client completes the booking form (public route)
+router.post('/holds', async (req, res) => {
+  try {
+    const service = await Service.findById(req.body.serviceType);
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    const slot = await resolveSlot(req.body.startTime);
+    if (!slot) {
+      return res.status(400).json({ message: INVALID_SLOT_MESSAGE });
+    }
+
+    const lawyer = await findRequestedLawyer(req.body.lawyer, service._id);
+    if (req.body.lawyer && req.body.lawyer !== 'any' && !lawyer) {
+      return res.status(404).json({ message: 'Lawyer not available for this service' });
+    }
+
+    // Picking another time gives up the previous hold
+    if (req.body.releaseToken) {
+      await releaseHold(req.body.releaseToken);
+    }
+
+    const hold = await reserveForService(service._id, slot, { lawyer, hold: true });
+    await hold.populate('lawyer', 'name avatar');
+
+    res.status(201).json({
+      holdToken: hold.holdToken,
+      expiresAt: hold.expiresAt,
+      startTime: hold.startTime,
+      endTime: hold.endTime,
+      lawyer: hold.lawyer
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Release a slot hold (public route with hold token)
+router.delete('/holds/:token', async (req, res) => {
+  try {
+    await releaseHold(req.params.token);
+    res.json({ message: 'Hold released' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
 // Create new appointment (public route)
 router.post('/', async (req, res) => {
@@ -13,40 +125,145 @@ router.post('/', async (req, res) => {
       return res.status(404).json({ message: 'Service not found' });
     }
 
-    // Check if time slot is available
-    const existingAppointment = await Appointment.findOne({
-      appointmentDate: req.body.appointmentDate,
-      preferredTime: req.body.preferredTime,
-      status: { $in: ['pending', 'confirmed'] }
-    });
+    const mode = resolveMode(service, req.body.mode);
+    if (!mode) {
+      return res.status(400).json({ message: INVALID_MODE_MESSAGE });
+    }
 
-    if (existingAppointment) {
-      return res.status(400).json({ 
-        message: 'This time slot is already booked. Please select another time.' 
+    const { intake, errors: intakeErrors } = validateIntakeAnswers(service.intakeForm, req.body.intake);
+    if (intakeErrors.length) {
+      return res.status(400).json({
+        message: INTAKE_INCOMPLETE_MESSAGE,
+        errors: intakeErrors
       });
     }
 
+    // The requested start must match the current slot template
+    const slot = await resolveSlot(req.body.startTime);
+    if (!slot) {
+      return res.status(400).json({ message: INVALID_SLOT_MESSAGE });
+    }
+
+    const lawyer = await findRequestedLawyer(req.body.lawyer, service._id);
+    if (req.body.lawyer && req.body.lawyer !== 'any' && !lawyer) {
+      return res.status(404).json({ message: 'Lawyer not available for this service' });
+    }
+
+    // Use the hold taken in the booking form if it still matches the request
+    let hold = req.body.holdToken ? await findHold(req.body.holdToken) : null;
+    if (hold && (
+      hold.startTime.getTime() !== slot.start.getTime() ||
+      !service._id.equals(hold.serviceType) ||
+      (lawyer && !lawyer._id.equals(hold.lawyer))
+    )) {
+      await releaseHold(hold.holdToken);
+      hold = null;
+    }
+
     const appointment = new Appointment({
       clientName: req.body.clientName,
       email: req.body.email,
       phone: req.body.phone,
       serviceType: req.body.serviceType,
-      appointmentDate: req.body.appointmentDate,
-      preferredTime: req.body.preferredTime,
-      message: req.body.message
+      startTime: slot.start,
+      endTime: slot.end,
+      mode,
+      intake,
+      message: req.body.message,
+      // Held until the client proves they own the email address
+      status: 'unverified'
     });
+    const credentials = issueVerification(appointment);
 
-    const savedAppointment = await appointment.save();
+    // Without a hold, reserve the slot now; a lost race is a 409
+    const reservation = hold
+      ? await claimHold(hold, appointment._id)
+      : await reserveForService(service._id, slot, { lawyer, appointment: appointment._id });
 
-    // TODO: Send confirmation email to client
-    
+    appointment.lawyer = reservation.lawyer || undefined;
+    appointment.autoAssigned = reservation.autoAssigned;
+
+    let savedAppointment;
+    let clientSecret;
+    try {
+      await attachMeeting(appointment);
+      clientSecret = await holdConsultationFee(appointment, service);
+      savedAppointment = await appointment.save();
+    } catch (error) {
+      await releaseSlot(appointment._id);
+      await releaseConsultationFee(appointment);
+      throw error;
+    }
+    await savedAppointment.populate([
+      { path: 'serviceType', select: 'title category' },
+      { path: 'lawyer', select: 'name avatar' }
+    ]);
+
+    emails.appointmentVerification(savedAppointment, credentials);
+
+    // The confirmation code is only revealed once the booking is verified
     res.status(201).json({
-      message: 'Appointment booked successfully',
-      appointment: savedAppointment,
-      confirmationCode: savedAppointment.confirmationCode
+      message: 'Please verify your booking using the link or code we emailed you',
+      appointment: {
+        _id: savedAppointment._id,
+        status: savedAppointment.status,
+        serviceType: savedAppointment.serviceType,
+        lawyer: savedAppointment.lawyer,
+        startTime: savedAppointment.startTime,
+        endTime: savedAppointment.endTime,
+        timezone: savedAppointment.timezone,
+        mode: savedAppointment.mode,
+        email: savedAppointment.email
+      },
+      verification: { expiresAt: savedAppointment.verification.expiresAt },
+      payment: paymentSummary(savedAppointment, clientSecret)
     });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Verify a new booking from the emailed link (public route with token)
+router.post('/verify/:token', async (req, res) => {
+  try {
+    const appointment = await verifyByToken(req.params.token);
+
+    res.json({
+      message: 'Your booking is verified',
+      appointment,
+      confirmationCode: appointment.confirmationCode
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Verify a new booking with the emailed one-time code (public route)
+router.post('/:id/verify', async (req, res) => {
+  try {
+    const appointment = await verifyByOtp(req.params.id, req.body.otp);
+
+    res.json({
+      message: 'Your booking is verified',
+      appointment,
+      confirmationCode: appointment.confirmationCode
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Send a new verification email for an unverified booking (public route)
+router.post('/:id/verify/resend', async (req, res) => {
+  try {
+    const appointment = await resendVerification(req.params.id);
+
+    res.json({
+      message: 'We have sent you a new verification email',
+      verification: { expiresAt: appointment.verification.expiresAt }
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
   }
 });
 
@@ -57,21 +274,35 @@ router.get('/', auth, checkPermission('manage_appointments'), async (req, res) =
     
     // Apply date filter
     if (req.query.date) {
-      const date = new Date(req.query.date);
-      filters.appointmentDate = {
-        $gte: new Date(date.setHours(0,0,0)),
-        $lt: new Date(date.setHours(23,59,59))
-      };
+      filters.startTime = officeDayBounds(req.query.date);
+    }
+
+    // Apply date range filter (?from=&to=), as used by the staff calendar
+    if (req.query.from || req.query.to) {
+      filters.startTime = {};
+      if (req.query.from) filters.startTime.$gte = new Date(req.query.from);
+      if (req.query.to) filters.startTime.$lt = new Date(req.query.to);
     }
 
-    // Apply status filter
+    // Apply status filter (one status or a comma-separated list)
     if (req.query.status) {
-      filters.status = req.query.status;
+      filters.status = { $in: req.query.status.split(',') };
+    }
+
+    // Apply lawyer filter
+    if (req.query.lawyer) {
+      filters.lawyer = req.query.lawyer;
+    }
+
+    // Apply service filter
+    if (req.query.service) {
+      filters.serviceType = req.query.service;
     }
 
     const appointments = await Appointment.find(filters)
       .populate('serviceType', 'title category')
-      .sort({ appointmentDate: 1, preferredTime: 1 });
+      .populate('lawyer', 'name email')
+      .sort({ startTime: 1 });
 
     res.json(appointments);
   } catch (error) {
@@ -79,12 +310,38 @@ router.get('/', auth, checkPermission('manage_appointments'), async (req, res) =
   }
 });
 
+// Get the intake answers for an appointment (assigned lawyer or staff
+// who manage appointments)
+router.get('/:id/intake', auth, staffOnly, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .select('clientName email phone serviceType lawyer startTime endTime timezone mode message intake')
+      .populate('serviceType', 'title category')
+      .populate('lawyer', 'name email');
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    const isAssignedLawyer = appointment.lawyer && appointment.lawyer._id.equals(req.user._id);
+    if (!isAssignedLawyer && !req.permissions.includes('manage_appointments')) {
+      return res.status(403).json({ message: 'Access denied: insufficient permissions' });
+    }
+
+    res.json(appointment);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Get appointment by confirmation code (public route)
 router.get('/confirm/:code', async (req, res) => {
   try {
     const appointment = await Appointment.findOne({ 
       confirmationCode: req.params.code 
-    }).populate('serviceType', 'title category');
+    })
+      .populate('serviceType', 'title category')
+      .populate('lawyer', 'name avatar');
 
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found' });
@@ -96,8 +353,35 @@ router.get('/confirm/:code', async (req, res) => {
   }
 });
 
+// Download an appointment as an .ics calendar file (public route)
+router.get('/confirm/:code/ics', async (req, res) => {
+  try {
+    const appointment = await Appointment.findOne({
+      confirmationCode: req.params.code
+    })
+      .populate('serviceType', 'title')
+      .populate('lawyer', 'name');
+
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="appointment-${appointment.confirmationCode}.ics"`);
+    res.send(buildAppointmentIcs(appointment));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Update appointment status (protected route)
 router.patch('/:id/status', auth, checkPermission('manage_appointments'), async (req, res) => {
+  if (!STAFF_STATUSES.includes(req.body.status)) {
+    return res.status(400).json({
+      message: `Status must be one of: ${STAFF_STATUSES.join(', ')}`
+    });
+  }
+
   try {
     const appointment = await Appointment.findById(req.params.id);
     
@@ -105,40 +389,142 @@ router.patch('/:id/status', auth, checkPermission('manage_appointments'), async
       return res.status(404).json({ message: 'Appointment not found' });
     }
 
+    const wasActive = ACTIVE_STATUSES.includes(appointment.status);
+    const isActive = ACTIVE_STATUSES.includes(req.body.status);
+
+    // Reopening a cancelled booking needs its slot back
+    if (!wasActive && isActive) {
+      await reserveSlot(
+        { start: appointment.startTime, end: appointment.endTime },
+        { lawyer: appointment.lawyer, serviceType: appointment.serviceType, appointment: appointment._id }
+      );
+    }
+
+    const statusChanged = appointment.status !== req.body.status;
+
+    // Confirming charges the consultation fee; cancelling releases it
+    if (statusChanged && ['confirmed', 'completed'].includes(req.body.status)) {
+      await captureConsultationFee(appointment);
+    }
+    if (wasActive && req.body.status === 'cancelled') {
+      await releaseConsultationFee(appointment);
+    }
+
     appointment.status = req.body.status;
     const updatedAppointment = await appointment.save();
 
-    // TODO: Send status update email to client
+    if (wasActive && !isActive) {
+      await releaseSlot(appointment._id);
+    }
+
+    if (wasActive && updatedAppointment.status === 'cancelled') {
+      notifyWaitlist(updatedAppointment);
+      cancelMeeting(updatedAppointment);
+    }
+
+    if (statusChanged && updatedAppointment.status === 'confirmed') {
+      scheduleReminders(updatedAppointment);
+    } else if (statusChanged) {
+      cancelReminders(updatedAppointment);
+    }
+
+    if (statusChanged) {
+      await updatedAppointment.populate('serviceType', 'title category');
+      emails.appointmentStatusChanged(updatedAppointment);
+    }
 
     res.json({
       message: 'Appointment status updated successfully',
       appointment: updatedAppointment
     });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.status || 400).json({ message: error.message });
   }
 });
 
-// Get available time slots for a date
+// Move an appointment to another slot (protected route). Staff moves skip
+// the client notice and reschedule limits, and may reassign the lawyer.
+router.patch('/:id/reschedule', auth, checkPermission('manage_appointments'), async (req, res) => {
+  try {
+    const { startTime, reason } = req.body;
+
+    if (!startTime) {
+      return res.status(400).json({ message: 'A new appointment time is required' });
+    }
+
+    const appointment = await Appointment.findOne({
+      _id: req.params.id,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    if (!appointment) {
+      return res.status(404).json({
+        message: 'Appointment not found or already cancelled/completed'
+      });
+    }
+
+    const slot = await resolveSlot(startTime);
+    if (!slot) {
+      return res.status(400).json({ message: INVALID_SLOT_MESSAGE });
+    }
+
+    const requestedLawyer = await findRequestedLawyer(req.body.lawyer, appointment.serviceType);
+    if (req.body.lawyer && req.body.lawyer !== 'any' && !requestedLawyer) {
+      return res.status(404).json({ message: 'Lawyer not available for this service' });
+    }
+
+    if (slot.start.getTime() === appointment.startTime.getTime()) {
+      return res.status(400).json({ message: 'Please select a different date or time' });
+    }
+
+    // A lawyer chosen by staff is kept even if the booking was auto-assigned
+    if (requestedLawyer && !requestedLawyer._id.equals(appointment.lawyer)) {
+      appointment.autoAssigned = false;
+    }
+
+    const lawyer = requestedLawyer ||
+      (appointment.lawyer ? await User.findById(appointment.lawyer) : null);
+    const { updatedAppointment, previousStartTime } = await moveAppointment(appointment, slot, {
+      lawyer,
+      allowReassign: !requestedLawyer && appointment.autoAssigned,
+      reason,
+      rescheduledBy: req.user._id
+    });
+
+    emails.appointmentMovedByStaff(updatedAppointment, previousStartTime);
+    rescheduleReminders(updatedAppointment);
+
+    res.json({
+      message: 'Appointment rescheduled successfully',
+      appointment: updatedAppointment
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Get available time slots for a date, optionally for one lawyer
+// (?lawyer=<id>) or across the lawyers of a service (?service=<id>)
 router.get('/available-slots/:date', async (req, res) => {
   try {
-    const date = new Date(req.params.date);
-    const bookedSlots = await Appointment.find({
-      appointmentDate: {
-        $gte: new Date(date.setHours(0,0,0)),
-        $lt: new Date(date.setHours(23,59,59))
-      },
-      status: { $in: ['pending', 'confirmed'] }
-    }).select('preferredTime -_id');
+    let lawyer = null;
 
-    const allTimeSlots = [
-      '09:00 AM', '10:00 AM', '11:00 AM',
-      '12:00 PM', '02:00 PM', '03:00 PM',
-      '04:00 PM', '05:00 PM'
-    ];
+    if (req.query.lawyer && req.query.lawyer !== 'any') {
+      lawyer = await User.findOne({
+        _id: req.query.lawyer,
+        isBookable: true,
+        isActive: true
+      });
+
+      if (!lawyer) {
+        return res.status(404).json({ message: 'Lawyer not found' });
+      }
+    }
 
-    const bookedTimeSlots = bookedSlots.map(slot => slot.preferredTime);
-    const availableSlots = allTimeSlots.filter(slot => !bookedTimeSlots.includes(slot));
+    const availableSlots = await getAvailableSlots(req.params.date, {
+      lawyer,
+      service: req.query.service
+    });
 
     res.json(availableSlots);
   } catch (error) {
@@ -146,6 +532,53 @@ router.get('/available-slots/:date', async (req, res) => {
   }
 });
 
+// Get lawyers taking consultations, optionally for one service
+router.get('/lawyers', async (req, res) => {
+  try {
+    const lawyers = await getBookableLawyers(req.query.service)
+      .select('name avatar services');
+
+    res.json(lawyers);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update a lawyer's booking profile (protected route)
+router.patch('/lawyers/:id', auth, checkPermission('manage_appointments'), async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['isBookable', 'services', 'workingHours'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).json({ message: 'Invalid updates' });
+  }
+
+  try {
+    const lawyer = await User.findById(req.params.id);
+
+    if (!lawyer) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    updates.forEach(update => lawyer[update] = req.body[update]);
+    await lawyer.save();
+
+    res.json({
+      message: 'Booking profile updated successfully',
+      lawyer: {
+        id: lawyer._id,
+        name: lawyer.name,
+        isBookable: lawyer.isBookable,
+        services: lawyer.services,
+        workingHours: lawyer.getWorkingHours()
+      }
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
 // Cancel appointment (public route with confirmation code)
 router.post('/cancel/:code', async (req, res) => {
   try {
@@ -161,9 +594,15 @@ router.post('/cancel/:code', async (req, res) => {
     }
 
     appointment.status = 'cancelled';
+    await releaseConsultationFee(appointment);
     await appointment.save();
+    await releaseSlot(appointment._id);
+    notifyWaitlist(appointment);
+    cancelMeeting(appointment);
+    cancelReminders(appointment);
 
-    // TODO: Send cancellation confirmation email
+    await appointment.populate('serviceType', 'title category');
+    emails.appointmentCancelled(appointment);
 
     res.json({ message: 'Appointment cancelled successfully' });
   } catch (error) {
@@ -171,6 +610,71 @@ router.post('/cancel/:code', async (req, res) => {
   }
 });
 
+// Reschedule appointment (public route with confirmation code)
+router.post('/reschedule/:code', async (req, res) => {
+  try {
+    const { startTime, reason } = req.body;
+
+    if (!startTime) {
+      return res.status(400).json({ message: 'A new appointment time is required' });
+    }
+
+    const appointment = await Appointment.findOne({
+      confirmationCode: req.params.code,
+      status: { $in: ['pending', 'confirmed'] }
+    });
+
+    if (!appointment) {
+      return res.status(404).json({
+        message: 'Appointment not found or already cancelled/completed'
+      });
+    }
+
+    // Enforce the minimum notice before the current booking
+    const noticeCutoff = Date.now() + RESCHEDULE_MIN_NOTICE_HOURS * 60 * 60 * 1000;
+    if (appointment.startTime < noticeCutoff) {
+      return res.status(400).json({
+        message: `Appointments can only be rescheduled at least ${RESCHEDULE_MIN_NOTICE_HOURS} hours in advance. Please contact us.`
+      });
+    }
+
+    if (clientReschedules(appointment) >= MAX_RESCHEDULES) {
+      return res.status(400).json({
+        message: `This appointment has already been rescheduled ${MAX_RESCHEDULES} times. Please contact us.`
+      });
+    }
+
+    const slot = await resolveSlot(startTime);
+    if (!slot) {
+      return res.status(400).json({ message: INVALID_SLOT_MESSAGE });
+    }
+
+    if (slot.start.getTime() === appointment.startTime.getTime()) {
+      return res.status(400).json({ message: 'Please select a different date or time' });
+    }
+
+    // Keep the same lawyer where possible; auto-assigned bookings may move
+    // to another lawyer of the same service
+    const lawyer = appointment.lawyer ? await User.findById(appointment.lawyer) : null;
+    const { updatedAppointment, previousStartTime } = await moveAppointment(appointment, slot, {
+      lawyer,
+      allowReassign: appointment.autoAssigned,
+      reason
+    });
+
+    emails.appointmentRescheduled(updatedAppointment, previousStartTime);
+    rescheduleReminders(updatedAppointment);
+
+    res.json({
+      message: 'Appointment rescheduled successfully',
+      appointment: updatedAppointment,
+      reschedulesRemaining: MAX_RESCHEDULES - clientReschedules(updatedAppointment)
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
 // Get appointments statistics (protected route)
 router.get('/stats', auth, checkPermission('manage_appointments'), async (req, res) => {
   try {
@@ -185,7 +689,7 @@ router.get('/stats', auth, checkPermission('manage_appointments'), async (req, r
 
     const today = new Date();
     const upcomingAppointments = await Appointment.find({
-      appointmentDate: { $gte: today },
+      startTime: { $gte: today },
       status: { $in: ['pending', 'confirmed'] }
     }).count();
 
@@ -1,12 +1,45 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const LoginAttempt = require('../models/LoginAttempt');
+const { auth, loginRateLimit, magicLinkRateLimit } = require('../middleware/auth');
+const emails = require('../utils/emails');
+const {
+  signIn,
+  refreshSession,
+  endSession,
+  revokeUserSessions,
+  revokeOtherSessions
+} = require('../utils/sessions');
+const { verifyChallenge, verifySecondFactor } = require('../utils/twoFactor');
+const { completeSignIn } = require('../utils/signIn');
+const {
+  recordLogin,
+  lockRetryAfter,
+  registerFailure,
+  clearFailures,
+  recordSuccess,
+  lockedResponse
+} = require('../utils/loginThrottle');
+const {
+  linkClientRecords,
+  sendEmailVerification,
+  markEmailVerified
+} = require('../utils/clientPortal');
+const { isAllowed: isMagicLinkAllowed, isEmailThrottled } = require('../utils/magicLinks');
 
-// Register new user
+// Refuse a sign in to a locked account
+const sendLocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json(lockedResponse(retryAfter));
+};
+
+// Register a client portal account (public route). Staff accounts are only
+// created from an admin's invitation, so no role is taken from the body.
 router.post('/register', async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -19,74 +52,190 @@ router.post('/register', async (req, res) => {
       name,
       email,
       password,
-      role: role || 'staff' // Default to staff if no role provided
+      role: User.CLIENT_ROLE
     });
 
     await user.save();
 
-    // Generate auth token
-    const token = user.generateAuthToken();
+    emails.welcome(user);
+    // Their portal only shows records once the address is proven theirs
+    await sendEmailVerification(user);
 
-    res.status(201).json({
-      message: 'User registered successfully',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        permissions: user.permissions
-      },
-      token
-    });
+    await completeSignIn(user, req, res, { status: 201, message: 'User registered successfully' });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
-// Login user
-router.post('/login', async (req, res) => {
+// Login user. Every attempt goes in the sign-in history; repeated failures
+// lock the account and too many from one address are turned away.
+router.post('/login', loginRateLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
 
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordLogin(req, { email: String(email || ''), outcome: 'unknown_user' });
       return res.status(401).json({ message: 'Invalid login credentials' });
     }
 
     // Check if user is active
     if (!user.isActive) {
+      await recordLogin(req, { user, outcome: 'deactivated' });
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
+    // A locked account is refused without checking the password
+    const retryAfter = lockRetryAfter(user);
+    if (retryAfter) {
+      await recordLogin(req, { user, outcome: 'locked' });
+      return sendLocked(res, retryAfter);
+    }
+
     // Verify password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLogin(req, { user, outcome: 'invalid_password' });
+      const lockedFor = await registerFailure(user, req);
+      if (lockedFor) {
+        return sendLocked(res, lockedFor);
+      }
       return res.status(401).json({ message: 'Invalid login credentials' });
     }
 
-    // Generate auth token
-    const token = user.generateAuthToken();
+    // An admin has required a new password before the next sign in
+    if (user.passwordResetRequired) {
+      await recordLogin(req, { user, outcome: 'reset_required' });
+      return res.status(403).json({
+        message: 'A password reset is required. Please use the link we emailed you, or request a new one.'
+      });
+    }
 
-    // Update last login
-    await user.updateLastLogin();
+    await completeSignIn(user, req, res);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        permissions: user.permissions
-      },
-      token
-    });
+// Ask for a sign-in link by email instead of a password. The request is
+// recorded by magicLinkRateLimit; the reply is the same, and sent before any
+// lookup, whether or not a link is sent. It
+// carries a key the browser must present with the link, so a link only
+// works where it was asked for.
+router.post('/magic-link', magicLinkRateLimit, async (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+  const browserKey = crypto.randomBytes(32).toString('hex');
+
+  res.json({
+    message: 'If you can sign in with a link, we have emailed one to you. Open it in this browser.',
+    browserKey
+  });
+
+  if (!email) return;
+
+  try {
+    const throttled = await isEmailThrottled(email);
+    const user = await User.findOne({ email, isActive: true });
+    if (user) {
+      await LoginAttempt.updateOne({ _id: req.linkRequest._id }, { $set: { user: user._id } });
+    }
+
+    if (throttled || !user || lockRetryAfter(user) || !(await isMagicLinkAllowed(user))) {
+      return;
+    }
+
+    const linkToken = await user.createMagicLinkToken(browserKey);
+    emails.magicLink(user, linkToken);
+  } catch (error) {
+    console.error('Failed to issue sign-in link:', error.message);
+  }
+});
+
+// Sign in with an emailed link and the key of the browser that asked for it.
+// The link works once; a second factor is still asked for when it is on.
+router.post('/magic-link/verify', loginRateLimit, async (req, res) => {
+  try {
+    const { token, browserKey } = req.body;
+
+    const user = typeof token === 'string' && typeof browserKey === 'string'
+      ? await User.consumeMagicLinkToken(token, browserKey)
+      : null;
+    if (!user) {
+      await recordLogin(req, { outcome: 'invalid_link' });
+      return res.status(400).json({
+        message: 'This sign-in link is invalid, expired or already used, or was asked for in a different browser. Please request a new one.'
+      });
+    }
+
+    const retryAfter = lockRetryAfter(user);
+    if (retryAfter) {
+      await recordLogin(req, { user, outcome: 'locked' });
+      return sendLocked(res, retryAfter);
+    }
+
+    // The role may have lost the option since the link was sent
+    if (!(await isMagicLinkAllowed(user))) {
+      return res.status(403).json({ message: 'Please sign in with your password' });
+    }
+
+    if (user.passwordResetRequired) {
+      await recordLogin(req, { user, outcome: 'reset_required' });
+      return res.status(403).json({
+        message: 'A password reset is required. Please use the link we emailed you, or request a new one.'
+      });
+    }
+
+    // The link reached their inbox, which proves the address as well
+    await markEmailVerified(user);
+
+    await completeSignIn(user, req, res);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
+// Second login step: an authenticator or recovery code for the challenge
+// the password step returned. Wrong codes count towards locking the account.
+router.post('/login/2fa', loginRateLimit, async (req, res) => {
+  try {
+    const userId = verifyChallenge(req.body.challengeToken, 'verify');
+    const user = await User.findOne({ _id: userId, isActive: true })
+      .select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid login credentials' });
+    }
+
+    const retryAfter = lockRetryAfter(user);
+    if (retryAfter) {
+      await recordLogin(req, { user, outcome: 'locked' });
+      return sendLocked(res, retryAfter);
+    }
+
+    try {
+      await verifySecondFactor(user, {
+        code: req.body.code,
+        recoveryCode: req.body.recoveryCode
+      });
+    } catch (error) {
+      if (error.status === 400) {
+        await recordLogin(req, { user, outcome: 'invalid_code' });
+        const lockedFor = await registerFailure(user, req);
+        if (lockedFor) {
+          return sendLocked(res, lockedFor);
+        }
+      }
+      throw error;
+    }
+
+    await recordSuccess(user, req);
+    res.json({ message: 'Login successful', ...(await signIn(user, req)) });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
 // Get current user profile
 router.get('/profile', auth, async (req, res) => {
   try {
@@ -96,9 +245,12 @@ router.get('/profile', auth, async (req, res) => {
       name: user.name,
       email: user.email,
       role: user.role,
-      permissions: user.permissions,
+      permissions: req.permissions,
+      emailVerified: Boolean(user.emailVerifiedAt),
       avatar: user.avatar,
-      lastLogin: user.lastLogin
+      lastLogin: user.lastLogin,
+      isBookable: user.isBookable,
+      workingHours: user.getWorkingHours()
     });
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -108,7 +260,7 @@ router.get('/profile', auth, async (req, res) => {
 // Update user profile
 router.patch('/profile', auth, async (req, res) => {
   const updates = Object.keys(req.body);
-  const allowedUpdates = ['name', 'password', 'avatar'];
+  const allowedUpdates = ['name', 'avatar', 'workingHours'];
   const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
   if (!isValidOperation) {
@@ -134,64 +286,179 @@ router.patch('/profile', auth, async (req, res) => {
   }
 });
 
-// Request password reset
-router.post('/forgot-password', async (req, res) => {
+// Change the signed-in user's password. The current password is checked
+// first; every other session is signed out and any sign-in lockout lifted.
+router.post('/change-password', auth, async (req, res) => {
   try {
-    const { email } = req.body;
-    const user = await User.findOne({ email });
+    const { currentPassword, newPassword } = req.body;
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (typeof newPassword !== 'string' || newPassword.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
     }
 
-    const resetToken = await user.createPasswordResetToken();
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await user.comparePassword(String(currentPassword || '')))) {
+      return res.status(400).json({ message: 'Your current password is incorrect' });
+    }
 
-    // TODO: Send password reset email
-    // This would typically involve sending an email with a reset link
-    // For now, we'll just return the token in the response
-    res.json({
-      message: 'Password reset instructions sent to email',
-      resetToken // Remove this in production
-    });
+    user.password = newPassword;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // Anyone holding the old password's sessions is signed out
+    await revokeOtherSessions(user._id, req.sessionId, 'password_change');
+    await clearFailures(user._id);
+
+    res.json({ message: 'Password changed. Your other devices have been signed out.' });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
-// Reset password
+// Request a password reset link. The reply is the same, and sent before any
+// lookup, whether or not the address has an account, so it cannot be used
+// to find out who is registered.
+router.post('/forgot-password', async (req, res) => {
+  const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+
+  res.json({
+    message: 'If an account exists for that email, we have sent a link to reset its password'
+  });
+
+  if (!email) return;
+
+  try {
+    const user = await User.findOne({ email, isActive: true });
+    if (user) {
+      const resetToken = await user.createPasswordResetToken();
+      emails.passwordReset(user, resetToken);
+    }
+  } catch (error) {
+    console.error('Failed to issue password reset:', error.message);
+  }
+});
+
+// Reset the password with an emailed token. The token works once; every
+// existing session is signed out and any sign-in lockout is lifted.
 router.post('/reset-password', async (req, res) => {
   try {
     const { token, password } = req.body;
 
-    const user = await User.findOne({
-      passwordResetToken: token,
-      passwordResetExpires: { $gt: Date.now() }
-    });
+    // Checked before the token is used up, so a too-short password can be retried
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    }
 
+    const user = await User.consumePasswordResetToken(token);
     if (!user) {
-      return res.status(400).json({ message: 'Invalid or expired reset token' });
+      return res.status(400).json({ message: 'This reset link is invalid, expired or already used. Please request a new one.' });
     }
 
     user.password = password;
-    user.passwordResetToken = undefined;
-    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
     await user.save();
 
+    // Anyone holding the old password's sessions is signed out
+    await revokeUserSessions(user._id, 'password_reset');
+    await clearFailures(user._id);
+    // The link reached their inbox, which proves the address as well
+    await markEmailVerified(user);
+
     res.json({ message: 'Password reset successful' });
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
-// Logout user
-router.post('/logout', auth, async (req, res) => {
+// Verify an email address with the emailed token (public route). A client's
+// earlier bookings and enquiries made with the address join their portal.
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await User.consumeEmailVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'This verification link is invalid, expired or already used. Please request a new one.' });
+    }
+
+    await linkClientRecords(user);
+
+    res.json({ message: 'Email address verified' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Email a new verification link to the signed-in user
+router.post('/verify-email/resend', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerifiedAt) {
+      return res.status(400).json({ message: 'Your email address is already verified' });
+    }
+
+    await sendEmailVerification(req.user);
+
+    res.json({ message: `We have sent a new verification link to ${req.user.email}` });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Swap a refresh token for a new access and refresh token (public route)
+router.post('/refresh', async (req, res) => {
   try {
-    // In a real application, you might want to invalidate the token
-    // For now, we'll just send a success response
+    const { token, refreshToken } = await refreshSession(req.body.refreshToken, req);
+    res.json({ token, refreshToken });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Logout user, revoking the session the refresh token belongs to. Works
+// with an expired access token, so it needs no auth.
+router.post('/logout', async (req, res) => {
+  try {
+    await endSession(req.body.refreshToken);
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Get the current user's own sign-in history
+router.get('/login-history', auth, async (req, res) => {
+  try {
+    const filters = { user: req.user._id };
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const entries = await LoginAttempt.find(filters)
+      .select('outcome ipAddress userAgent createdAt')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await LoginAttempt.countDocuments(filters);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Logout of every session, on every device
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user._id);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
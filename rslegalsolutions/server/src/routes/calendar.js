@@ -0,0 +1,86 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { auth, staffOnly } = require('../middleware/auth');
+const { buildStaffFeed } = require('../utils/ics');
+
+// How far back the feed reaches, so recent past bookings stay visible
+const FEED_HISTORY_DAYS = parseInt(process.env.CALENDAR_FEED_HISTORY_DAYS) || 90;
+
+const feedUrl = (req, token) => {
+  const apiUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${apiUrl}/calendar/feed/${token}.ics`;
+};
+
+// Court hearings for cases assigned to a lawyer, once the case
+// management models used by CourtDateService are registered
+const getHearings = async (user, since) => {
+  const models = mongoose.modelNames();
+  if (!models.includes('Hearing') || !models.includes('Case')) {
+    return [];
+  }
+
+  const cases = await mongoose.model('Case').find({ assignedLawyer: user._id }).select('_id');
+  return mongoose.model('Hearing').find({
+    caseId: { $in: cases.map(legalCase => legalCase._id) },
+    date: { $gte: since }
+  });
+};
+
+// Subscribable iCal feed of a staff member's bookings (public route with feed token)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      calendarFeedToken: req.params.token,
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const [appointments, hearings] = await Promise.all([
+      Appointment.find({ lawyer: user._id, startTime: { $gte: since } })
+        .populate('serviceType', 'title')
+        .sort({ startTime: 1 }),
+      getHearings(user, since)
+    ]);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="appointments.ics"');
+    res.send(buildStaffFeed(user, { appointments, hearings }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the current user's feed URL, creating it on first use (protected route)
+router.get('/feed', auth, staffOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarFeedToken');
+    const token = user.calendarFeedToken || await user.createCalendarFeedToken();
+
+    res.json({ url: feedUrl(req, token) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Replace the feed URL, e.g. after it was shared by mistake (protected route)
+router.post('/feed/reset', auth, staffOnly, async (req, res) => {
+  try {
+    const token = await req.user.createCalendarFeedToken();
+
+    res.json({
+      message: 'Calendar feed URL reset successfully',
+      url: feedUrl(req, token)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const ClientDocument = require('../models/ClientDocument');
+const Invoice = require('../models/Invoice');
+const ClientMessage = require('../models/ClientMessage');
+const { auth, staffOnly, checkPermission } = require('../middleware/auth');
+const emails = require('../utils/emails');
+
+const clientError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Staff side of the client portal: what each client account has been sent
+router.use(auth, staffOnly);
+
+const findClient = async (id) => {
+  const client = await User.findOne({ _id: id, role: User.CLIENT_ROLE })
+    .select('name email isActive emailVerifiedAt lastLogin createdAt');
+  if (!client) {
+    throw clientError('Client not found', 404);
+  }
+  return client;
+};
+
+// Get client accounts, with a name/email search and unread message counts
+router.get('/', checkPermission('view_cases'), async (req, res) => {
+  try {
+    const filters = { role: User.CLIENT_ROLE };
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+      filters.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const clients = await User.find(filters)
+      .select('name email isActive emailVerifiedAt lastLogin createdAt')
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+
+    const unread = await ClientMessage.aggregate([
+      { $match: { client: { $in: clients.map(client => client._id) }, fromClient: true, readAt: { $exists: false } } },
+      { $group: { _id: '$client', count: { $sum: 1 } } }
+    ]);
+    const unreadByClient = new Map(unread.map(item => [String(item._id), item.count]));
+
+    const total = await User.countDocuments(filters);
+
+    res.json({
+      clients: clients.map(client => ({
+        ...client,
+        unreadMessages: unreadByClient.get(String(client._id)) || 0
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a single client account
+router.get('/:id', checkPermission('view_cases'), async (req, res) => {
+  try {
+    res.json(await findClient(req.params.id));
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Get documents shared with a client
+router.get('/:id/documents', checkPermission('view_documents'), async (req, res) => {
+  try {
+    const client = await findClient(req.params.id);
+    const documents = await ClientDocument.find({ client: client._id })
+      .populate('sharedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(documents);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Share a document with a client. The file comes base64 encoded in `data`.
+router.post('/:id/documents', checkPermission('manage_documents'), async (req, res) => {
+  try {
+    const client = await findClient(req.params.id);
+
+    const document = new ClientDocument({
+      client: client._id,
+      title: req.body.title,
+      description: req.body.description,
+      fileName: req.body.fileName,
+      contentType: req.body.contentType,
+      data: req.body.data ? Buffer.from(String(req.body.data), 'base64') : undefined,
+      sharedBy: req.user._id
+    });
+    await document.save();
+
+    emails.portalUpdate(client, 'a new document');
+
+    // Reload without the file contents
+    res.status(201).json(await ClientDocument.findById(document._id).populate('sharedBy', 'name'));
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Download a client's document
+router.get('/:id/documents/:documentId/download', checkPermission('view_documents'), async (req, res) => {
+  try {
+    const document = await ClientDocument.findOne({ _id: req.params.documentId, client: req.params.id })
+      .select('+data');
+
+    if (!document) {
+      throw clientError('Document not found', 404);
+    }
+
+    res.set({
+      'Content-Type': document.contentType,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(document.fileName)}`
+    });
+    res.send(document.data);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Stop sharing a document
+router.delete('/:id/documents/:documentId', checkPermission('manage_documents'), async (req, res) => {
+  try {
+    const document = await ClientDocument.findOneAndDelete({ _id: req.params.documentId, client: req.params.id });
+
+    if (!document) {
+      throw clientError('Document not found', 404);
+    }
+
+    res.json({ message: 'Document removed' });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Get a client's invoices
+router.get('/:id/invoices', checkPermission('view_billing'), async (req, res) => {
+  try {
+    const client = await findClient(req.params.id);
+    const invoices = await Invoice.find({ client: client._id })
+      .populate('issuedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(invoices);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Raise an invoice to a client
+router.post('/:id/invoices', checkPermission('manage_billing'), async (req, res) => {
+  try {
+    const client = await findClient(req.params.id);
+
+    const invoice = new Invoice({
+      client: client._id,
+      items: req.body.items,
+      currency: req.body.currency,
+      dueDate: req.body.dueDate,
+      notes: req.body.notes,
+      appointment: req.body.appointment,
+      issuedBy: req.user._id
+    });
+    await invoice.save();
+
+    emails.portalUpdate(client, 'a new invoice');
+
+    res.status(201).json(await invoice.populate('issuedBy', 'name'));
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Mark an issued invoice paid or void it
+router.patch('/:id/invoices/:invoiceId', checkPermission('manage_billing'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.invoiceId, client: req.params.id });
+
+    if (!invoice) {
+      throw clientError('Invoice not found', 404);
+    }
+    if (invoice.status !== 'issued') {
+      throw clientError(`This invoice is already ${invoice.status}`, 400);
+    }
+    if (!['paid', 'void'].includes(req.body.status)) {
+      throw clientError('Status must be paid or void', 400);
+    }
+
+    invoice.status = req.body.status;
+    await invoice.save();
+
+    res.json(await invoice.populate('issuedBy', 'name'));
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Get the conversation with a client, marking their messages read
+router.get('/:id/messages', checkPermission('message_clients'), async (req, res) => {
+  try {
+    const client = await findClient(req.params.id);
+    const messages = await ClientMessage.find({ client: client._id })
+      .populate('sender', 'name')
+      .sort({ createdAt: 1 });
+
+    await ClientMessage.updateMany(
+      { client: client._id, fromClient: true, readAt: { $exists: false } },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json(messages);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Reply to a client
+router.post('/:id/messages', checkPermission('message_clients'), async (req, res) => {
+  try {
+    const client = await findClient(req.params.id);
+
+    const message = await ClientMessage.create({
+      client: client._id,
+      sender: req.user._id,
+      fromClient: false,
+      body: req.body.body
+    });
+
+    emails.portalUpdate(client, 'a new message');
+
+    res.status(201).json(await message.populate('sender', 'name'));
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const Closure = require('../models/Closure');
+const { auth, checkPermission } = require('../middleware/auth');
+const {
+  getClosedDays,
+  parseCsv,
+  parseIcs,
+  importClosures
+} = require('../utils/closures');
+const { parseOfficeDate, toOfficeTime } = require('../utils/timezone');
+
+// Get closed days in a date range (public route)
+router.get('/calendar', async (req, res) => {
+  try {
+    const from = req.query.from ? parseOfficeDate(req.query.from) : new Date();
+    const to = req.query.to
+      ? parseOfficeDate(req.query.to)
+      : toOfficeTime(from).plus({ years: 1 }).toJSDate();
+
+    if (isNaN(from) || isNaN(to) || to < from) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+
+    const closedDays = await getClosedDays(from, to);
+    res.json(closedDays);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get all closures (protected route)
+router.get('/', auth, checkPermission('manage_appointments'), async (req, res) => {
+  try {
+    const { type, year } = req.query;
+    const query = year
+      ? Closure.findBetween(parseOfficeDate(`${year}-01-01`), parseOfficeDate(`${year}-12-31`))
+      : Closure.find();
+
+    if (type) {
+      query.where({ type });
+    }
+
+    const closures = await query
+      .sort({ type: -1, startDate: 1, weekday: 1 })
+      .populate('createdBy', 'name');
+
+    res.json(closures);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create closure (protected route)
+router.post('/', auth, checkPermission('manage_appointments'), async (req, res) => {
+  try {
+    const closure = new Closure({
+      ...req.body,
+      source: 'manual',
+      createdBy: req.user._id
+    });
+    await closure.save();
+
+    res.status(201).json(closure);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Import a yearly holiday list from CSV or ICS (protected route)
+router.post('/import', auth, checkPermission('manage_appointments'), async (req, res) => {
+  try {
+    const { format, content } = req.body;
+
+    if (!content || !['csv', 'ics'].includes(format)) {
+      return res.status(400).json({ message: 'Provide CSV or ICS content to import' });
+    }
+
+    const parsed = format === 'ics' ? parseIcs(content) : parseCsv(content);
+    if (!parsed.closures.length) {
+      return res.status(400).json({
+        message: 'No closures found in the uploaded file',
+        errors: parsed.errors
+      });
+    }
+
+    const result = await importClosures(parsed.closures, req.user._id);
+
+    res.status(201).json({
+      message: `Imported ${result.imported} closure(s), skipped ${result.skipped} duplicate(s)`,
+      ...result,
+      errors: [...parsed.errors, ...result.errors]
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update closure (protected route)
+router.patch('/:id', auth, checkPermission('manage_appointments'), async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['type', 'startDate', 'endDate', 'weekday', 'reason', 'category'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).json({ message: 'Invalid updates' });
+  }
+
+  try {
+    const closure = await Closure.findById(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({ message: 'Closure not found' });
+    }
+
+    updates.forEach(update => closure[update] = req.body[update]);
+    await closure.save();
+
+    res.json(closure);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Delete closure (protected route)
+router.delete('/:id', auth, checkPermission('manage_appointments'), async (req, res) => {
+  try {
+    const closure = await Closure.findByIdAndDelete(req.params.id);
+
+    if (!closure) {
+      return res.status(404).json({ message: 'Closure not found' });
+    }
+
+    res.json({ message: 'Closure deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Contact = require('../models/Contact');
 const { auth, checkPermission } = require('../middleware/auth');
+const emails = require('../utils/emails');
 
 // Submit contact form (public route)
 router.post('/', async (req, res) => {
@@ -22,8 +23,7 @@ router.post('/', async (req, res) => {
 
     const savedContact = await contact.save();
 
-    // TODO: Send acknowledgment email to user
-    // TODO: Send notification email to admin
+    emails.contactReceived(savedContact);
 
     res.status(201).json({
       message: 'Thank you for contacting us. We will get back to you shortly.',
@@ -115,7 +115,9 @@ router.patch('/:id/respond', auth, checkPermission('respond_contacts'), async (r
 
     const updatedContact = await contact.save();
 
-    // TODO: Send response email to contact
+    if (req.body.response) {
+      emails.contactResponded(updatedContact);
+    }
 
     res.json({
       message: 'Response sent successfully',
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const Invitation = require('../models/Invitation');
+const Role = require('../models/Role');
+const { auth, checkPermission } = require('../middleware/auth');
+const emails = require('../utils/emails');
+const { completeSignIn } = require('../utils/signIn');
+const { recordAudit } = require('../utils/audit');
+const {
+  createInvitation,
+  reissueInvitation,
+  findInvitation,
+  acceptInvitation
+} = require('../utils/invitations');
+
+// Get invitations, optionally by status (protected route)
+router.get('/', auth, checkPermission('manage_users'), async (req, res) => {
+  try {
+    const filters = {};
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+
+    const invitations = await Invitation.find(filters)
+      .populate('invitedBy', 'name')
+      .populate('acceptedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Invite someone to join the staff (protected route)
+router.post('/', auth, checkPermission('manage_users'), async (req, res) => {
+  try {
+    const { invitation, token } = await createInvitation(req.body, req.user);
+    await invitation.populate('invitedBy', 'name');
+
+    emails.staffInvitation(invitation, token);
+
+    await recordAudit(req, 'invitation.created', invitation, {
+      invitation: invitation._id,
+      role: invitation.role
+    });
+
+    res.status(201).json({
+      message: `Invitation sent to ${invitation.email}`,
+      invitation
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Send an invitation again with a new link (protected route)
+router.post('/:id/resend', auth, checkPermission('manage_users'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id).populate('invitedBy', 'name');
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const token = await reissueInvitation(invitation);
+    emails.staffInvitation(invitation, token);
+
+    await recordAudit(req, 'invitation.resent', invitation, {
+      invitation: invitation._id,
+      expiresAt: invitation.expiresAt
+    });
+
+    res.json({
+      message: `Invitation resent to ${invitation.email}`,
+      invitation
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Revoke a pending invitation so its link stops working (protected route)
+router.delete('/:id', auth, checkPermission('manage_users'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'revoked', $unset: { tokenHash: 1 } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found or no longer pending' });
+    }
+
+    await recordAudit(req, 'invitation.revoked', invitation, {
+      invitation: invitation._id,
+      status: { from: 'pending', to: 'revoked' }
+    });
+
+    res.json({ message: 'Invitation revoked successfully', invitation });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Look up an invitation from its link (public route)
+router.get('/accept/:token', async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.token);
+    const role = await Role.findOne({ name: invitation.role }).select('label');
+
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      roleLabel: role ? role.label : invitation.role,
+      invitedBy: invitation.invitedBy && invitation.invitedBy.name,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Accept an invitation by setting a password, then sign in (public route)
+router.post('/accept/:token', async (req, res) => {
+  try {
+    const user = await acceptInvitation(req.params.token, {
+      name: req.body.name,
+      password: req.body.password
+    });
+
+    emails.welcome(user);
+
+    // A role that requires two-factor gets the setup challenge first
+    await completeSignIn(user, req, res, { status: 201, message: 'Welcome aboard! Your account is ready.' });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
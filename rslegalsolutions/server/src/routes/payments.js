@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const payments = require('../../scripts/payment');
+
+// Payment gateway webhook (public route, verified by signature). Mounted
+// with a raw body parser so the signature can be checked against the bytes
+// the gateway sent.
+router.post('/webhook', async (req, res) => {
+  try {
+    const result = await payments.handleWebhook(req.body, req.headers['stripe-signature']);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const Appointment = require('../models/Appointment');
+const Contact = require('../models/Contact');
+const ClientDocument = require('../models/ClientDocument');
+const Invoice = require('../models/Invoice');
+const ClientMessage = require('../models/ClientMessage');
+const { auth, clientOnly } = require('../middleware/auth');
+const { ACTIVE_STATUSES } = require('../utils/availability');
+
+// What a client sees of their own bookings
+const APPOINTMENT_FIELDS = 'clientName serviceType lawyer startTime endTime timezone mode meeting status confirmationCode payment.amount payment.currency payment.status message createdAt';
+
+// Every portal route is for the signed-in client's own records only, and
+// only once they have verified their email
+router.use(auth, clientOnly);
+
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerifiedAt) {
+    return res.status(403).json({
+      message: 'Please verify your email address to see your records',
+      emailVerificationRequired: true
+    });
+  }
+  next();
+};
+
+// Overview for the portal's landing page
+router.get('/', async (req, res) => {
+  try {
+    if (!req.user.emailVerifiedAt) {
+      return res.json({ emailVerified: false });
+    }
+
+    const client = req.user._id;
+    const [upcomingAppointments, unpaidInvoices, unreadMessages, documents] = await Promise.all([
+      Appointment.countDocuments({ client, startTime: { $gte: new Date() }, status: { $in: ACTIVE_STATUSES } }),
+      Invoice.countDocuments({ client, status: 'issued' }),
+      ClientMessage.countDocuments({ client, fromClient: false, readAt: { $exists: false } }),
+      ClientDocument.countDocuments({ client })
+    ]);
+
+    res.json({
+      emailVerified: true,
+      upcomingAppointments,
+      unpaidInvoices,
+      unreadMessages,
+      documents
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.use(requireVerifiedEmail);
+
+// Get the client's appointments; ?when=upcoming (default) or past
+router.get('/appointments', async (req, res) => {
+  try {
+    const now = new Date();
+    const filters = { client: req.user._id };
+
+    if (req.query.when === 'past') {
+      filters.$or = [
+        { startTime: { $lt: now } },
+        { status: { $nin: ACTIVE_STATUSES } }
+      ];
+    } else {
+      filters.startTime = { $gte: now };
+      filters.status = { $in: ACTIVE_STATUSES };
+    }
+
+    const appointments = await Appointment.find(filters)
+      .select(APPOINTMENT_FIELDS)
+      .populate('serviceType', 'title slug')
+      .populate('lawyer', 'name')
+      .sort({ startTime: req.query.when === 'past' ? -1 : 1 })
+      .limit(100);
+
+    res.json(appointments);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the client's contact form enquiries and our replies
+router.get('/enquiries', async (req, res) => {
+  try {
+    const enquiries = await Contact.find({ client: req.user._id })
+      .select('subject message status response.content response.respondedAt createdAt')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(enquiries);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get documents shared with the client
+router.get('/documents', async (req, res) => {
+  try {
+    const documents = await ClientDocument.find({ client: req.user._id })
+      .populate('sharedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(documents);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Download one of the client's documents
+router.get('/documents/:id/download', async (req, res) => {
+  try {
+    const document = await ClientDocument.findOne({ _id: req.params.id, client: req.user._id })
+      .select('+data');
+
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    res.set({
+      'Content-Type': document.contentType,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(document.fileName)}`
+    });
+    res.send(document.data);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Get the client's invoices
+router.get('/invoices', async (req, res) => {
+  try {
+    const invoices = await Invoice.find({ client: req.user._id, status: { $ne: 'void' } })
+      .populate('appointment', 'startTime timezone confirmationCode')
+      .sort({ createdAt: -1 });
+
+    res.json(invoices);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the conversation with the firm, marking the firm's messages read
+router.get('/messages', async (req, res) => {
+  try {
+    const messages = await ClientMessage.find({ client: req.user._id })
+      .populate('sender', 'name')
+      .sort({ createdAt: 1 });
+
+    await ClientMessage.updateMany(
+      { client: req.user._id, fromClient: false, readAt: { $exists: false } },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json(messages);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Send the firm a message
+router.post('/messages', async (req, res) => {
+  try {
+    const message = await ClientMessage.create({
+      client: req.user._id,
+      sender: req.user._id,
+      fromClient: true,
+      body: req.body.body
+    });
+
+    res.status(201).json(await message.populate('sender', 'name'));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { auth, checkPermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { listPermissions } = require('../utils/permissions');
+
+const roleError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Every role route needs manage_roles
+router.use(auth, checkPermission('manage_roles'));
+
+const findRole = async (id) => {
+  const role = await Role.findById(id);
+  if (!role) {
+    throw roleError('Role not found', 404);
+  }
+  return role;
+};
+
+// Get roles with the number of users holding each
+router.get('/', async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ label: 1 }),
+      User.aggregate([{ $group: { _id: '$role', users: { $sum: 1 } } }])
+    ]);
+
+    const usersByRole = new Map(counts.map(count => [count._id, count.users]));
+
+    res.json(roles.map(role => ({
+      ...role.toObject(),
+      users: usersByRole.get(role.name) || 0
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get every registered permission, grouped by module
+router.get('/permissions', (req, res) => {
+  const modules = {};
+  listPermissions().forEach(permission => {
+    (modules[permission.module] = modules[permission.module] || []).push(permission);
+  });
+
+  res.json(modules);
+});
+
+// Create a role
+router.post('/', async (req, res) => {
+  try {
+    const role = new Role({
+      name: req.body.name,
+      label: req.body.label,
+      description: req.body.description,
+      permissions: [...new Set(req.body.permissions || [])],
+      requireTwoFactor: req.body.requireTwoFactor,
+      allowMagicLink: req.body.allowMagicLink
+    });
+
+    await role.save();
+
+    await recordAudit(req, 'role.created', role, {
+      name: role.name,
+      permissions: { from: [], to: role.permissions }
+    });
+
+    res.status(201).json(role);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A role with this name already exists' });
+    }
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Update a role's label, description, permissions or sign-in rules. Users
+// holding the role are affected from their next request.
+router.patch('/:id', async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['label', 'description', 'permissions', 'requireTwoFactor', 'allowMagicLink'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).json({ message: 'Invalid updates' });
+  }
+
+  try {
+    const role = await findRole(req.params.id);
+
+    if (role.grantsAll && updates.includes('permissions')) {
+      throw roleError(`${role.label} always has every permission`, 400);
+    }
+
+    const previous = [...role.permissions];
+    const previousTwoFactor = role.requireTwoFactor;
+    const previousMagicLink = role.allowMagicLink;
+    updates.forEach(update => {
+      role[update] = update === 'permissions'
+        ? [...new Set(req.body.permissions)]
+        : req.body[update];
+    });
+    await role.save();
+
+    const changes = { name: role.name };
+    if (updates.includes('permissions')) {
+      changes.permissions = { from: previous, to: role.permissions };
+    }
+    if (updates.includes('requireTwoFactor')) {
+      changes.requireTwoFactor = { from: previousTwoFactor, to: role.requireTwoFactor };
+    }
+    if (updates.includes('allowMagicLink')) {
+      changes.allowMagicLink = { from: previousMagicLink, to: role.allowMagicLink };
+    }
+    await recordAudit(req, 'role.updated', role, changes);
+
+    res.json(role);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Delete a custom role nobody holds
+router.delete('/:id', async (req, res) => {
+  try {
+    const role = await findRole(req.params.id);
+
+    if (role.isSystem) {
+      throw roleError('Built-in roles cannot be deleted', 400);
+    }
+
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders) {
+      throw roleError(`${holders} user(s) still have this role`, 409);
+    }
+
+    await role.deleteOne();
+
+    await recordAudit(req, 'role.deleted', role, {
+      name: role.name,
+      permissions: { from: role.permissions, to: [] }
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
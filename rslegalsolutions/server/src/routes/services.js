@@ -48,7 +48,10 @@ router.post('/', auth, checkPermission('manage_services'), async (req, res) => {
       description: req.body.description,
       category: req.body.category,
       features: req.body.features,
-      icon: req.body.icon
+      icon: req.body.icon,
+      consultationModes: req.body.consultationModes,
+      consultationFee: req.body.consultationFee,
+      intakeForm: req.body.intakeForm
     });
 
     const savedService = await service.save();
@@ -61,7 +64,7 @@ router.post('/', auth, checkPermission('manage_services'), async (req, res) => {
 // Update service (protected route)
 router.patch('/:id', auth, checkPermission('manage_services'), async (req, res) => {
   const updates = Object.keys(req.body);
-  const allowedUpdates = ['title', 'description', 'category', 'features', 'icon', 'isActive'];
+  const allowedUpdates = ['title', 'description', 'category', 'features', 'icon', 'consultationModes', 'consultationFee', 'intakeForm', 'isActive'];
   const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
   if (!isValidOperation) {
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkPermission } = require('../middleware/auth');
+const { getSlotTemplate, saveSlotTemplate } = require('../utils/slotTemplate');
+const { FIRM_TIMEZONE } = require('../utils/timezone');
+
+// Get the appointment slot template (public route). Its clock times are
+// in the office time zone, which is included for display.
+router.get('/slot-template', async (req, res) => {
+  try {
+    const template = await getSlotTemplate();
+    res.json({ ...template, timezone: FIRM_TIMEZONE });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update the appointment slot template (protected route)
+router.put('/slot-template', auth, checkPermission('manage_appointments'), async (req, res) => {
+  const updates = Object.keys(req.body);
+  const allowedUpdates = ['workingDays', 'start', 'end', 'slotDuration', 'bufferTime', 'lunchBreak'];
+  const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+  if (!isValidOperation) {
+    return res.status(400).json({ message: 'Invalid updates' });
+  }
+
+  try {
+    const template = await saveSlotTemplate(req.body, req.user._id);
+
+    res.json({
+      message: 'Slot template updated successfully',
+      template
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message, errors: error.errors });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { signIn } = require('../utils/sessions');
+const { recordSuccess } = require('../utils/loginThrottle');
+const {
+  isRequired,
+  verifyChallenge,
+  beginEnrolment,
+  completeEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  clearTwoFactor
+} = require('../utils/twoFactor');
+
+// Setup works when signed in, or with the challenge from a login whose role
+// requires a second factor that has not been set up yet
+const enrolmentAuth = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const userId = verifyChallenge(req.body.challengeToken, 'enroll');
+    const user = await User.findOne({ _id: userId, isActive: true });
+    if (!user) {
+      return res.status(401).json({ message: 'Please authenticate' });
+    }
+
+    req.user = user;
+    req.enrolling = true;
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({ message: error.message });
+  }
+};
+
+// Get the current user's two-factor status
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await isRequired(user),
+      recoveryCodesRemaining: user.twoFactor.enabled
+        ? user.twoFactor.recoveryCodes.filter(code => !code.usedAt).length
+        : 0
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Start setup: returns the secret as an otpauth URI and QR code
+router.post('/setup', enrolmentAuth, async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrolment = await beginEnrolment(req.user);
+    res.json(enrolment);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Confirm setup with a code from the authenticator app. Returns recovery
+// codes, and signs in when setup was part of logging in.
+router.post('/enable', enrolmentAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    const recoveryCodes = await completeEnrolment(user, req.body.code);
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    };
+
+    if (req.enrolling) {
+      await recordSuccess(user, req);
+      Object.assign(response, await signIn(user, req));
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Replace the recovery codes; needs a current authenticator code
+router.post('/recovery-codes', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes');
+
+    await verifySecondFactor(user, { code: req.body.code });
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+
+    res.json({ message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Turn two-factor off; needs the password and a current code
+router.post('/disable', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes');
+
+    if (await isRequired(user)) {
+      return res.status(400).json({ message: 'Your role requires two-factor authentication' });
+    }
+    if (!(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({ message: 'Incorrect password' });
+    }
+
+    await verifySecondFactor(user, { code: req.body.code });
+    await clearTwoFactor(user._id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
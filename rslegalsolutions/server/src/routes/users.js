@@ -0,0 +1,402 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const LoginAttempt = require('../models/LoginAttempt');
+const { auth, checkPermission } = require('../middleware/auth');
+const emails = require('../utils/emails');
+const { recordAudit } = require('../utils/audit');
+const { revokeUserSessions } = require('../utils/sessions');
+const { clearTwoFactor } = require('../utils/twoFactor');
+const { clearFailures } = require('../utils/loginThrottle');
+const { listPermissions, resolvePermissions } = require('../utils/permissions');
+
+// Fields an admin sees for each account
+const USER_FIELDS = 'name email role permissions isActive passwordResetRequired twoFactor.enabled loginLock.lockedUntil lastLogin isBookable createdAt';
+
+const userAdminError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every user administration route needs manage_users
+router.use(auth, checkPermission('manage_users'));
+
+const findTarget = async (id) => {
+  const user = await User.findById(id).select(USER_FIELDS);
+  if (!user) {
+    throw userAdminError('User not found', 404);
+  }
+  return user;
+};
+
+// Admins cannot lock themselves out by changing their own account here
+const assertNotSelf = (req, user, message) => {
+  if (user._id.equals(req.user._id)) {
+    throw userAdminError(message, 400);
+  }
+};
+
+// Keep at least one other active user who can manage users, through
+// their role or an individual grant
+const assertOtherAdmin = async (user) => {
+  if (!user.isActive || !(await user.getPermissions()).includes('manage_users')) return;
+
+  const roles = await Role.find().lean();
+  const managerRoles = roles
+    .filter(role => resolvePermissions(role).includes('manage_users'))
+    .map(role => role.name);
+
+  const others = await User.countDocuments({
+    _id: { $ne: user._id },
+    isActive: true,
+    $or: [{ role: { $in: managerRoles } }, { permissions: 'manage_users' }]
+  });
+  if (!others) {
+    throw userAdminError('This is the only active user who can manage users', 409);
+  }
+};
+
+// Get users, filtered by role, active state or a name/email search
+router.get('/', async (req, res) => {
+  try {
+    const filters = {};
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    if (req.query.role) {
+      filters.role = req.query.role;
+    }
+
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      filters.isActive = req.query.active === 'true';
+    }
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+      filters.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(filters)
+      .select(USER_FIELDS)
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await User.countDocuments(filters);
+
+    res.json({
+      users,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the roles and permissions an admin can assign
+router.get('/options', async (req, res) => {
+  try {
+    const roles = await Role.find()
+      .select('name label permissions grantsAll')
+      .sort({ label: 1 });
+
+    res.json({
+      roles,
+      permissions: listPermissions()
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the audit trail, newest first, optionally for one user or action
+router.get('/audit', async (req, res) => {
+  try {
+    const filters = {};
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (req.query.user) {
+      filters.target = req.query.user;
+    }
+
+    if (req.query.action) {
+      filters.action = req.query.action;
+    }
+
+    const entries = await AuditLog.find(filters)
+      .populate('actor', 'name email')
+      .populate('target', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(filters);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get sign-in history across accounts, filtered by user, attempted email,
+// address or outcome
+router.get('/login-history', async (req, res) => {
+  try {
+    const filters = {};
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (req.query.user) {
+      filters.user = req.query.user;
+    }
+
+    if (req.query.email) {
+      filters.email = String(req.query.email).toLowerCase().trim();
+    }
+
+    if (req.query.ip) {
+      filters.ipAddress = req.query.ip;
+    }
+
+    if (req.query.outcome === 'failed') {
+      filters.outcome = { $in: LoginAttempt.FAILED_OUTCOMES };
+    } else if (req.query.outcome) {
+      filters.outcome = req.query.outcome;
+    }
+
+    const entries = await LoginAttempt.find(filters)
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await LoginAttempt.countDocuments(filters);
+
+    res.json({
+      entries,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a single user
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await findTarget(req.params.id);
+    res.json(user);
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Change a user's role. Individual grants are kept, except for clients.
+router.patch('/:id/role', async (req, res) => {
+  try {
+    const user = await findTarget(req.params.id);
+    const { role } = req.body;
+
+    if (!role) {
+      throw userAdminError('Role is required', 400);
+    }
+    if (role === user.role) {
+      return res.json({ message: 'Role unchanged', user });
+    }
+
+    assertNotSelf(req, user, 'You cannot change your own role');
+    await assertOtherAdmin(user);
+
+    const previous = { role: user.role, permissions: [...user.permissions] };
+    user.role = role;
+    await user.save();
+
+    const changes = { role: { from: previous.role, to: user.role } };
+    if (user.permissions.length !== previous.permissions.length) {
+      changes.permissions = { from: previous.permissions, to: user.permissions };
+    }
+    await recordAudit(req, 'user.role_changed', user, changes);
+
+    res.json({ message: 'Role updated successfully', user });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Replace the permissions granted to a user on top of their role's
+router.put('/:id/permissions', async (req, res) => {
+  try {
+    const user = await findTarget(req.params.id);
+    const permissions = [...new Set(req.body.permissions || [])];
+
+    assertNotSelf(req, user, 'You cannot change your own permissions');
+    if (!user.isStaff() && permissions.length) {
+      throw userAdminError('Client accounts cannot be given staff permissions', 400);
+    }
+
+    if (user.permissions.includes('manage_users') && !permissions.includes('manage_users')) {
+      await assertOtherAdmin(user);
+    }
+
+    const previous = [...user.permissions];
+    user.permissions = permissions;
+    await user.save();
+
+    await recordAudit(req, 'user.permissions_changed', user, {
+      permissions: { from: previous, to: user.permissions }
+    });
+
+    res.json({ message: 'Permissions updated successfully', user });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Deactivate an account and sign it out of every session
+router.post('/:id/deactivate', async (req, res) => {
+  try {
+    const user = await findTarget(req.params.id);
+
+    if (!user.isActive) {
+      throw userAdminError('User is already deactivated', 400);
+    }
+
+    assertNotSelf(req, user, 'You cannot deactivate your own account');
+    await assertOtherAdmin(user);
+
+    user.isActive = false;
+    await user.save();
+    await revokeUserSessions(user._id, 'deactivated');
+
+    await recordAudit(req, 'user.deactivated', user, {
+      isActive: { from: true, to: false },
+      reason: req.body.reason
+    });
+
+    res.json({ message: 'User deactivated successfully', user });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Reactivate a deactivated account
+router.post('/:id/reactivate', async (req, res) => {
+  try {
+    const user = await findTarget(req.params.id);
+
+    if (user.isActive) {
+      throw userAdminError('User is already active', 400);
+    }
+
+    user.isActive = true;
+    await user.save();
+
+    await recordAudit(req, 'user.reactivated', user, {
+      isActive: { from: false, to: true }
+    });
+
+    res.json({ message: 'User reactivated successfully', user });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Lift a lock from failed sign ins before it runs out
+router.post('/:id/unlock', async (req, res) => {
+  try {
+    const user = await findTarget(req.params.id);
+    const lockedUntil = user.loginLock.lockedUntil;
+
+    if (!lockedUntil || lockedUntil <= Date.now()) {
+      throw userAdminError('Account is not locked', 400);
+    }
+
+    await clearFailures(user._id);
+
+    await recordAudit(req, 'user.unlocked', user, {
+      locked: { from: true, to: false },
+      lockedUntil
+    });
+
+    res.json({ message: `${user.name} can sign in again`, user: await findTarget(user._id) });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Make a user choose a new password: they are signed out and emailed a
+// reset link, and cannot sign in again until they use it
+router.post('/:id/force-password-reset', async (req, res) => {
+  try {
+    const user = await findTarget(req.params.id);
+
+    assertNotSelf(req, user, 'Use your profile to change your own password');
+
+    const previous = user.passwordResetRequired;
+    user.passwordResetRequired = true;
+    const resetToken = await user.createPasswordResetToken();
+    await revokeUserSessions(user._id, 'password_reset');
+
+    emails.passwordReset(user, resetToken);
+
+    await recordAudit(req, 'user.password_reset_forced', user, {
+      passwordResetRequired: { from: previous, to: true }
+    });
+
+    // Reload so the reset token is not sent back to the admin
+    res.json({
+      message: `Password reset email sent to ${user.email}`,
+      user: await findTarget(user._id)
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+// Remove a user's second factor, e.g. after a lost phone. If their role
+// requires one they set it up again at their next login.
+router.post('/:id/reset-two-factor', async (req, res) => {
+  try {
+    const user = await findTarget(req.params.id);
+
+    if (!user.twoFactor.enabled) {
+      throw userAdminError('Two-factor authentication is not enabled for this user', 400);
+    }
+
+    await clearTwoFactor(user._id);
+
+    await recordAudit(req, 'user.two_factor_reset', user, {
+      twoFactor: { from: 'enabled', to: 'disabled' }
+    });
+
+    res.json({
+      message: `Two-factor authentication reset for ${user.name}`,
+      user: await findTarget(user._id)
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,287 @@
+const express = require('express');
+const router = express.Router();
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Appointment = require('../models/Appointment');
+const Closure = require('../models/Closure');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const { auth, checkPermission } = require('../middleware/auth');
+const { notifyWaitlist } = require('../utils/waitlist');
+const { FIRM_TIMEZONE, parseOfficeDate, startOfOfficeDay } = require('../utils/timezone');
+const { findHold, claimHold, releaseHold, releaseSlot } = require('../utils/reservations');
+const emails = require('../utils/emails');
+const { resolveMode, attachMeeting } = require('../utils/meetings');
+const { requireIntakeAnswers, answersByKey } = require('../utils/intake');
+const { holdConsultationFee, releaseConsultationFee, paymentSummary } = require('../utils/payments');
+
+const OFFER_EXPIRED_MESSAGE = 'This offer has expired or was already claimed.';
+
+// Join the waitlist for a fully booked date (public route)
+router.post('/', async (req, res) => {
+  try {
+    const service = await Service.findById(req.body.serviceType);
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    const mode = resolveMode(service, req.body.mode);
+    if (!mode) {
+      return res.status(400).json({ message: 'This service is not offered in the selected consultation mode.' });
+    }
+
+    const intake = requireIntakeAnswers(service.intakeForm, req.body.intake);
+
+    const date = parseOfficeDate(req.body.date);
+    if (!date || isNaN(date) || startOfOfficeDay(date) < startOfOfficeDay(new Date())) {
+      return res.status(400).json({ message: 'Please choose a future date' });
+    }
+
+    if (await Closure.findForDate(date)) {
+      return res.status(400).json({ message: 'The office is closed on the selected date' });
+    }
+
+    let lawyer;
+    if (req.body.lawyer && req.body.lawyer !== 'any') {
+      lawyer = await User.findOne({
+        _id: req.body.lawyer,
+        isBookable: true,
+        isActive: true,
+        services: service._id
+      });
+
+      if (!lawyer) {
+        return res.status(404).json({ message: 'Lawyer not available for this service' });
+      }
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      email: (req.body.email || '').toLowerCase().trim(),
+      serviceType: service._id,
+      date: startOfOfficeDay(date),
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(400).json({ message: 'You are already on the waitlist for this date' });
+    }
+
+    const entry = new WaitlistEntry({
+      clientName: req.body.clientName,
+      email: req.body.email,
+      phone: req.body.phone,
+      serviceType: service._id,
+      lawyer: lawyer ? lawyer._id : undefined,
+      mode,
+      date,
+      message: req.body.message,
+      intake
+    });
+    await entry.save();
+
+    const position = await WaitlistEntry.countDocuments({
+      date: entry.date,
+      serviceType: entry.serviceType,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      message: 'You have been added to the waitlist. We will email you if a slot opens up.',
+      position
+    });
+  } catch (error) {
+    res.status(400).json({ message: error.message, errors: error.errors });
+  }
+});
+
+// Get waitlist entries (protected route)
+router.get('/', auth, checkPermission('manage_appointments'), async (req, res) => {
+  try {
+    const filters = {};
+
+    if (req.query.date) {
+      filters.date = startOfOfficeDay(req.query.date);
+    }
+
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+
+    if (req.query.service) {
+      filters.serviceType = req.query.service;
+    }
+
+    const entries = await WaitlistEntry.find(filters)
+      .populate('serviceType', 'title')
+      .populate('lawyer', 'name')
+      .sort({ date: 1, createdAt: 1 });
+
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get waitlist conversion statistics (protected route)
+router.get('/stats', auth, checkPermission('manage_appointments'), async (req, res) => {
+  try {
+    const statusStats = await WaitlistEntry.aggregate([
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const [offered, converted] = await Promise.all([
+      WaitlistEntry.countDocuments({ offersSent: { $gt: 0 } }),
+      WaitlistEntry.countDocuments({ status: 'converted' })
+    ]);
+
+    res.json({
+      statusStats,
+      offered,
+      converted,
+      conversionRate: offered ? converted / offered : 0
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a waitlist offer by claim token (public route)
+router.get('/claim/:token', async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      'offer.token': req.params.token,
+      status: 'offered',
+      'offer.expiresAt': { $gt: new Date() }
+    })
+      .populate('serviceType', 'title category consultationFee intakeForm')
+      .populate('offer.lawyer', 'name avatar');
+
+    if (!entry) {
+      return res.status(410).json({ message: OFFER_EXPIRED_MESSAGE });
+    }
+
+    res.json({
+      clientName: entry.clientName,
+      serviceType: entry.serviceType,
+      startTime: entry.offer.startTime,
+      endTime: entry.offer.endTime,
+      timezone: FIRM_TIMEZONE,
+      lawyer: entry.offer.lawyer,
+      mode: entry.mode,
+      intake: answersByKey(entry.intake),
+      expiresAt: entry.offer.expiresAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Book the offered slot (public route with claim token)
+router.post('/claim/:token', async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      'offer.token': req.params.token,
+      status: 'offered'
+    });
+    const hold = entry && await findHold(req.params.token);
+
+    if (!hold) {
+      return res.status(410).json({ message: OFFER_EXPIRED_MESSAGE });
+    }
+
+    // The questionnaire may have changed since the client joined, so their
+    // answers are checked again, with any sent now taking their place
+    const service = await Service.findById(entry.serviceType);
+    const intake = requireIntakeAnswers(
+      service.intakeForm,
+      req.body.intake || answersByKey(entry.intake)
+    );
+
+    const appointment = new Appointment({
+      clientName: entry.clientName,
+      email: entry.email,
+      phone: entry.phone,
+      serviceType: entry.serviceType,
+      startTime: hold.startTime,
+      endTime: hold.endTime,
+      mode: entry.mode,
+      message: entry.message,
+      intake,
+      client: await User.findVerifiedClientId(entry.email),
+      source: 'waitlist'
+    });
+
+    const reservation = await claimHold(hold, appointment._id);
+    appointment.lawyer = reservation.lawyer || undefined;
+    appointment.autoAssigned = reservation.autoAssigned;
+
+    let savedAppointment;
+    let clientSecret;
+    try {
+      await attachMeeting(appointment);
+      clientSecret = await holdConsultationFee(appointment, service);
+      savedAppointment = await appointment.save();
+    } catch (error) {
+      await releaseSlot(appointment._id);
+      await releaseConsultationFee(appointment);
+      throw error;
+    }
+
+    entry.status = 'converted';
+    entry.appointment = savedAppointment._id;
+    entry.convertedAt = new Date();
+    await entry.save();
+
+    await savedAppointment.populate([
+      { path: 'serviceType', select: 'title category' },
+      { path: 'lawyer', select: 'name avatar' }
+    ]);
+
+    emails.appointmentBooked(savedAppointment);
+
+    res.status(201).json({
+      message: 'Appointment booked successfully',
+      appointment: savedAppointment,
+      confirmationCode: savedAppointment.confirmationCode,
+      payment: paymentSummary(savedAppointment, clientSecret)
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({ message: error.message, errors: error.errors });
+  }
+});
+
+// Remove a client from the waitlist (protected route)
+router.delete('/:id', auth, checkPermission('manage_appointments'), async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Waitlist entry not found' });
+    }
+
+    const wasOffered = entry.status === 'offered';
+    entry.status = 'cancelled';
+    await entry.save();
+
+    // Pass a slot held for this client on to the next in line
+    if (wasOffered) {
+      await releaseHold(entry.offer.token);
+      notifyWaitlist({
+        startTime: entry.offer.startTime,
+        endTime: entry.offer.endTime,
+        lawyer: entry.offer.lawyer,
+        serviceType: entry.serviceType
+      });
+    }
+
+    res.json({ message: 'Waitlist entry removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
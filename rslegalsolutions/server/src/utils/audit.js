@@ -0,0 +1,26 @@
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+
+// Record an administrative action taken in a request. The target is the
+// affected user, or anything with an email for actions on invitations.
+// Resolves even when the write fails so an audit problem never undoes the
+// action itself.
+const recordAudit = async (req, action, target, changes) => {
+  try {
+    await AuditLog.create({
+      action,
+      actor: req.user._id,
+      target: target instanceof User ? target._id : undefined,
+      targetEmail: target.email,
+      changes,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  } catch (error) {
+    console.error(`Failed to record ${action} audit entry:`, error.message);
+  }
+};
+
+module.exports = {
+  recordAudit
+};
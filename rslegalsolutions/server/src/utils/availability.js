@@ -0,0 +1,166 @@
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const Closure = require('../models/Closure');
+const SlotReservation = require('../models/SlotReservation');
+const {
+  clockToMinutes,
+  generateDaySlots,
+  findSlot,
+  getSlotTemplate
+} = require('./slotTemplate');
+const { officeDayBounds, officeWeekday, officeMinutes } = require('./timezone');
+
+// Statuses that hold a slot; unverified bookings keep theirs until they expire
+const ACTIVE_STATUSES = ['unverified', 'pending', 'confirmed'];
+
+const overlaps = (slot, booking) =>
+  slot.start < booking.endTime && slot.end > booking.startTime;
+
+// Check whether a lawyer's working hours cover a slot
+const isWorkingAt = (lawyer, slot) => {
+  const day = officeWeekday(slot.start);
+  const start = officeMinutes(slot.start);
+  const end = start + (slot.end - slot.start) / 60000;
+
+  return lawyer.getWorkingHours().some(hours =>
+    hours.day === day &&
+    clockToMinutes(hours.start) <= start &&
+    clockToMinutes(hours.end) >= end
+  );
+};
+
+// Active lawyers who take consultations for a service
+const getBookableLawyers = (serviceId) => {
+  const filters = { isBookable: true, isActive: true };
+  if (serviceId) {
+    filters.services = serviceId;
+  }
+  return User.find(filters).sort({ name: 1 });
+};
+
+// Active bookings and unexpired holds on the day containing date
+const getBookings = async (date, excludeId = null) => {
+  const filters = {
+    startTime: officeDayBounds(date),
+    status: { $in: ACTIVE_STATUSES }
+  };
+  if (excludeId) {
+    filters._id = { $ne: excludeId };
+  }
+
+  const [bookings, holds] = await Promise.all([
+    Appointment.find(filters).select('startTime endTime lawyer'),
+    SlotReservation.find({
+      startTime: officeDayBounds(date),
+      expiresAt: { $gt: new Date() }
+    }).select('startTime endTime lawyer')
+  ]);
+
+  return bookings.concat(holds);
+};
+
+const isLawyerFree = (lawyer, slot, bookings) =>
+  isWorkingAt(lawyer, slot) &&
+  !bookings.some(booking =>
+    booking.lawyer && booking.lawyer.equals(lawyer._id) && overlaps(slot, booking)
+  );
+
+// Available slots for a date, either for one lawyer or across every
+// lawyer mapped to the service. Firms with no bookable lawyers configured
+// keep a single shared calendar.
+const getAvailableSlots = async (date, { lawyer, service } = {}) => {
+  if (await Closure.findForDate(date)) {
+    return [];
+  }
+
+  const now = new Date();
+  const slots = generateDaySlots(date, await getSlotTemplate())
+    .filter(slot => slot.start > now);
+  const bookings = await getBookings(date);
+
+  if (lawyer) {
+    return slots.filter(slot => isLawyerFree(lawyer, slot, bookings));
+  }
+
+  const lawyers = await getBookableLawyers(service);
+  if (!lawyers.length) {
+    return slots.filter(slot => !bookings.some(booking => overlaps(slot, booking)));
+  }
+
+  return slots.filter(slot =>
+    lawyers.some(candidate => isLawyerFree(candidate, slot, bookings))
+  );
+};
+
+// Resolve a requested start time to a slot of the current template
+const resolveSlot = async (startTime) => {
+  const start = new Date(startTime);
+  if (isNaN(start)) return null;
+
+  return findSlot(start, await getSlotTemplate());
+};
+
+// Check whether a specific lawyer (or the shared calendar) is free for a
+// slot, counting other clients' holds as taken
+const isSlotAvailable = async (slot, lawyer = null, excludeId = null) => {
+  if (lawyer && !isWorkingAt(lawyer, slot)) return false;
+
+  const overlapping = {
+    startTime: { $lt: slot.end },
+    endTime: { $gt: slot.start }
+  };
+  if (lawyer) {
+    overlapping.lawyer = lawyer._id;
+  }
+
+  const filters = { ...overlapping, status: { $in: ACTIVE_STATUSES } };
+  if (excludeId) {
+    filters._id = { $ne: excludeId };
+  }
+
+  const [booked, held] = await Promise.all([
+    Appointment.exists(filters),
+    SlotReservation.exists({ ...overlapping, expiresAt: { $gt: new Date() } })
+  ]);
+  return !booked && !held;
+};
+
+// Pick the least-loaded lawyer for a service who is free for the slot.
+// Load is the number of active bookings that day, then overall upcoming.
+const pickLawyer = async (serviceId, slot, excludeId = null) => {
+  const lawyers = await getBookableLawyers(serviceId);
+  const bookings = await getBookings(slot.start, excludeId);
+
+  const candidates = lawyers.filter(candidate =>
+    isLawyerFree(candidate, slot, bookings)
+  );
+
+  if (!candidates.length) {
+    return null;
+  }
+
+  const loads = await Promise.all(candidates.map(async (candidate) => ({
+    lawyer: candidate,
+    daily: bookings.filter(booking =>
+      booking.lawyer && booking.lawyer.equals(candidate._id)
+    ).length,
+    upcoming: await Appointment.countDocuments({
+      lawyer: candidate._id,
+      startTime: { $gte: new Date() },
+      status: { $in: ACTIVE_STATUSES }
+    })
+  })));
+
+  loads.sort((a, b) => a.daily - b.daily || a.upcoming - b.upcoming);
+  return loads[0].lawyer;
+};
+
+module.exports = {
+  ACTIVE_STATUSES,
+  isWorkingAt,
+  getBookableLawyers,
+  getAvailableSlots,
+  resolveSlot,
+  isSlotAvailable,
+  pickLawyer
+};
@@ -0,0 +1,57 @@
+const Appointment = require('../models/Appointment');
+const Contact = require('../models/Contact');
+const User = require('../models/User');
+const emails = require('./emails');
+
+// Link a verified client's earlier bookings and enquiries made with their
+// email to their portal account. Bookings still waiting for their own email
+// check are left until it passes; later records are linked as they are made.
+const linkClientRecords = async (user) => {
+  if (user.role !== User.CLIENT_ROLE || !user.emailVerifiedAt) {
+    return;
+  }
+
+  const unlinked = { email: user.email, client: { $exists: false } };
+  await Promise.all([
+    Appointment.updateMany({ ...unlinked, status: { $ne: 'unverified' } }, { $set: { client: user._id } }),
+    Contact.updateMany(unlinked, { $set: { client: user._id } })
+  ]);
+};
+
+// Link a booking to the portal account with the same verified email, if
+// there is one
+const linkAppointment = async (appointment) => {
+  const client = await User.findVerifiedClientId(appointment.email);
+  if (client) {
+    appointment.client = client;
+    await Appointment.updateOne({ _id: appointment._id }, { $set: { client } });
+  }
+};
+
+// Email a new verification link to a user who has not verified their address
+const sendEmailVerification = async (user) => {
+  const verificationToken = await user.createEmailVerificationToken();
+  emails.emailVerification(user, verificationToken);
+};
+
+// Mark the address verified after the user proved they receive its email
+// some other way, such as a password reset link, and link their records
+const markEmailVerified = async (user) => {
+  if (user.emailVerifiedAt) {
+    return;
+  }
+
+  user.emailVerifiedAt = new Date();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { emailVerifiedAt: user.emailVerifiedAt }, $unset: { emailVerification: 1 } }
+  );
+  await linkClientRecords(user);
+};
+
+module.exports = {
+  linkClientRecords,
+  linkAppointment,
+  sendEmailVerification,
+  markEmailVerified
+};
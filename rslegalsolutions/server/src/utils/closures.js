@@ -0,0 +1,191 @@
+const { DateTime } = require('luxon');
+const Closure = require('../models/Closure');
+const { getSlotTemplate } = require('./slotTemplate');
+const { FIRM_TIMEZONE, toOfficeTime, officeWeekday } = require('./timezone');
+
+const CATEGORIES = ['holiday', 'court-vacation', 'office-closure'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Longest span the public calendar will expand in one request
+const MAX_CALENDAR_DAYS = 400;
+
+// Closed office days between from and to (inclusive), including days
+// outside the slot template's working days, as [{ date: 'YYYY-MM-DD', reason }]
+const getClosedDays = async (from, to) => {
+  const start = toOfficeTime(from).startOf('day');
+  const end = DateTime.min(
+    toOfficeTime(to).startOf('day'),
+    start.plus({ days: MAX_CALENDAR_DAYS })
+  );
+
+  const [closures, template] = await Promise.all([
+    Closure.findBetween(start.toJSDate(), end.toJSDate()),
+    getSlotTemplate()
+  ]);
+
+  const closedDays = [];
+  for (let day = start; day <= end; day = day.plus({ days: 1 })) {
+    const closure = closures.find(candidate => candidate.covers(day.toJSDate()));
+
+    if (closure) {
+      closedDays.push({ date: day.toISODate(), reason: closure.reason, category: closure.category });
+    } else if (!template.workingDays.includes(day.weekday % 7)) {
+      closedDays.push({ date: day.toISODate(), reason: 'Office closed', category: 'office-closure' });
+    }
+  }
+
+  return closedDays;
+};
+
+const parseDate = (value) => {
+  const date = toOfficeTime(value);
+  return date.isValid ? date.toJSDate() : null;
+};
+
+// Parse a holiday list in CSV form: date,endDate,reason[,category]
+// A header row is optional; endDate may be empty for single days.
+const parseCsv = (content) => {
+  const closures = [];
+  const errors = [];
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || /^\s*date\s*,/i.test(line)) return;
+
+    const [date, endDate, reason, category] = line.split(',').map(cell => cell.trim());
+    const startDate = parseDate(date);
+    const lastDate = endDate ? parseDate(endDate) : startDate;
+
+    if (!startDate || !lastDate || !reason) {
+      errors.push(`Line ${index + 1}: expected date,endDate,reason[,category]`);
+      return;
+    }
+
+    closures.push({
+      type: lastDate > startDate ? 'range' : 'date',
+      startDate,
+      endDate: lastDate,
+      reason,
+      category: CATEGORIES.includes(category) ? category : 'holiday'
+    });
+  });
+
+  return { closures, errors };
+};
+
+// Parse an iCalendar (.ics) holiday list. All-day events become single
+// dates or ranges; weekly RRULEs with BYDAY become recurring off-days.
+const parseIcs = (content) => {
+  const closures = [];
+  const errors = [];
+
+  // Unfold continuation lines
+  const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  let event = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      const startDate = event.DTSTART &&
+        DateTime.fromISO(event.DTSTART.slice(0, 8), { zone: FIRM_TIMEZONE }).toJSDate();
+      const reason = (event.SUMMARY || '').replace(/\\([,;\\])/g, '$1').trim();
+
+      if (!startDate || isNaN(startDate) || !reason) {
+        errors.push(`Skipped event "${reason || event.UID || 'untitled'}": missing date or summary`);
+      } else if (event.RRULE && /FREQ=WEEKLY/.test(event.RRULE)) {
+        const days = (event.RRULE.match(/BYDAY=([A-Z,]+)/) || [])[1];
+        const weekdays = days
+          ? days.split(',').map(day => WEEKDAYS.indexOf(day)).filter(day => day >= 0)
+          : [officeWeekday(startDate)];
+
+        weekdays.forEach(weekday => closures.push({ type: 'weekly', weekday, reason }));
+      } else {
+        // DTEND is exclusive for all-day events
+        const end = event.DTEND
+          ? DateTime.fromISO(event.DTEND.slice(0, 8), { zone: FIRM_TIMEZONE }).minus({ days: 1 }).toJSDate()
+          : startDate;
+        const endDate = end > startDate ? end : startDate;
+
+        closures.push({
+          type: endDate > startDate ? 'range' : 'date',
+          startDate,
+          endDate,
+          reason
+        });
+      }
+
+      event = null;
+      return;
+    }
+
+    if (event) {
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      // Drop parameters such as DTSTART;VALUE=DATE
+      const name = line.slice(0, separator).split(';')[0].toUpperCase();
+      event[name] = line.slice(separator + 1);
+    }
+  });
+
+  return { closures, errors };
+};
+
+const closureKey = (closure) => closure.type === 'weekly'
+  ? `weekly:${closure.weekday}`
+  : `${closure.type}:${closure.startDate.getTime()}:${closure.endDate.getTime()}`;
+
+// Import parsed closures, skipping ones that already exist. Every closure is
+// validated before any is saved, so a bad row is reported in errors rather
+// than stopping the import halfway.
+const importClosures = async (closures, userId) => {
+  const valid = [];
+  const errors = [];
+
+  for (const data of closures) {
+    const closure = new Closure({ ...data, source: 'import', createdBy: userId });
+    try {
+      await closure.validate();
+      valid.push(closure);
+    } catch (error) {
+      const messages = error.errors
+        ? Object.values(error.errors).map(e => e.message).join(', ')
+        : error.message;
+      errors.push(`Skipped "${data.reason || 'untitled'}": ${messages}`);
+    }
+  }
+
+  const seen = new Set();
+  const toSave = [];
+  for (const closure of valid) {
+    const key = closureKey(closure);
+    const duplicate = seen.has(key) || await Closure.exists(closure.type === 'weekly'
+      ? { type: 'weekly', weekday: closure.weekday }
+      : { type: closure.type, startDate: closure.startDate, endDate: closure.endDate });
+
+    seen.add(key);
+    if (!duplicate) {
+      toSave.push(closure);
+    }
+  }
+
+  if (toSave.length) {
+    await Closure.insertMany(toSave);
+  }
+
+  return {
+    imported: toSave.length,
+    skipped: valid.length - toSave.length,
+    errors
+  };
+};
+
+module.exports = {
+  getClosedDays,
+  parseCsv,
+  parseIcs,
+  importClosures
+};
@@ -0,0 +1,171 @@
+const mailer = require('../../scripts/mailer');
+const { formatOfficeDate, formatOfficeTime } = require('./timezone');
+
+// Transactional emails for the appointment, contact and account lifecycles.
+// Every function resolves even when sending fails, so callers can fire and
+// forget without risking the HTTP response.
+const deliver = async (description, send) => {
+  try {
+    await send();
+  } catch (error) {
+    console.error(`Failed to send ${description} email:`, error.message);
+  }
+};
+
+const formatStart = (appointment) =>
+  `${formatOfficeDate(appointment.startTime, appointment.timezone)} ${formatOfficeTime(appointment.startTime, appointment.timezone)}`;
+
+const STATUS_UPDATES = {
+  confirmed: {
+    subject: 'Appointment Confirmed',
+    message: 'Good news! Your appointment has been confirmed by our team. We look forward to seeing you.'
+  },
+  completed: {
+    subject: 'Thank You for Your Visit',
+    message: 'Your consultation has been marked as completed. Thank you for choosing RS Legal Solutions.'
+  },
+  pending: {
+    subject: 'Appointment Update',
+    message: 'Your appointment is awaiting confirmation from our team.'
+  }
+};
+
+const appointmentVerification = (appointment, credentials) =>
+  deliver('booking verification', () => mailer.sendAppointmentVerification(appointment, credentials));
+
+const appointmentBooked = (appointment) => Promise.all([
+  deliver('appointment confirmation', () => mailer.sendAppointmentConfirmation(appointment)),
+  deliver('admin notification', () => mailer.sendAdminNotification(
+    'New appointment booked',
+    `${appointment.clientName} booked ${appointment.serviceType.title} for ${formatStart(appointment)}.`,
+    [
+      { label: 'Client', value: `${appointment.clientName} <${appointment.email}>` },
+      { label: 'Phone', value: appointment.phone },
+      { label: 'Lawyer', value: appointment.lawyer ? appointment.lawyer.name : 'Unassigned' },
+      { label: 'Confirmation Code', value: appointment.confirmationCode }
+    ]
+  ))
+]);
+
+const appointmentStatusChanged = (appointment) => {
+  if (appointment.status === 'cancelled') {
+    return deliver('appointment cancellation', () => mailer.sendAppointmentUpdate(appointment, {
+      subject: 'Appointment Cancelled',
+      message: 'Your appointment has been cancelled by our team. Please contact us or book a new consultation if you still need assistance.'
+    }));
+  }
+
+  const update = STATUS_UPDATES[appointment.status];
+  return deliver('appointment status', () => mailer.sendAppointmentUpdate(appointment, update));
+};
+
+const appointmentCancelled = (appointment) => Promise.all([
+  deliver('appointment cancellation', () => mailer.sendAppointmentUpdate(appointment, {
+    subject: 'Appointment Cancelled',
+    message: 'Your appointment has been cancelled as requested. We hope to assist you again in the future.'
+  })),
+  deliver('admin notification', () => mailer.sendAdminNotification(
+    'Appointment cancelled',
+    `${appointment.clientName} cancelled their appointment on ${formatStart(appointment)}.`
+  ))
+]);
+
+const appointmentRescheduled = (appointment, previousStartTime) => Promise.all([
+  deliver('appointment reschedule', () => mailer.sendAppointmentUpdate(appointment, {
+    subject: 'Appointment Rescheduled',
+    message: `Your appointment has been moved from ${formatStart({ startTime: previousStartTime })} to the new time below.`
+  })),
+  deliver('admin notification', () => mailer.sendAdminNotification(
+    'Appointment rescheduled',
+    `${appointment.clientName} moved their appointment from ${formatStart({ startTime: previousStartTime })} to ${formatStart(appointment)}.`
+  ))
+]);
+
+const appointmentMovedByStaff = (appointment, previousStartTime) =>
+  deliver('appointment reschedule', () => mailer.sendAppointmentUpdate(appointment, {
+    subject: 'Appointment Rescheduled',
+    message: `Our team has moved your appointment from ${formatStart({ startTime: previousStartTime })} to the new time below. Please contact us if this time does not suit you.`
+  }));
+
+const seriesBooked = (series, appointments, skipped) =>
+  deliver('appointment series', () => mailer.sendAppointmentSeries(series, appointments, {
+    subject: 'Recurring Appointments Booked',
+    message: 'We have booked the following recurring appointments for you.',
+    skipped
+  }));
+
+const seriesUpdated = (series, appointments, skipped) =>
+  deliver('appointment series', () => mailer.sendAppointmentSeries(series, appointments, {
+    subject: 'Recurring Appointments Updated',
+    message: 'Our team has updated your recurring appointments. Your upcoming appointments are now:',
+    skipped
+  }));
+
+const seriesCancelled = (series, appointments) =>
+  deliver('appointment series', () => mailer.sendAppointmentSeries(series, appointments, {
+    subject: 'Recurring Appointments Cancelled',
+    message: 'The following recurring appointments have been cancelled. Please contact us if you would like to arrange new ones.'
+  }));
+
+const waitlistOffer = (entry) =>
+  deliver('waitlist offer', () => mailer.sendWaitlistOffer(entry));
+
+const contactReceived = (contact) => Promise.all([
+  deliver('contact acknowledgment', () => mailer.sendContactAcknowledgment(contact)),
+  deliver('admin notification', () => mailer.sendAdminNotification(
+    `New inquiry: ${contact.subject}`,
+    contact.message,
+    [
+      { label: 'Name', value: contact.name },
+      { label: 'Email', value: contact.email },
+      { label: 'Phone', value: contact.phone }
+    ]
+  ))
+]);
+
+const contactResponded = (contact) =>
+  deliver('contact response', () => mailer.sendContactResponse(contact));
+
+const welcome = (user) =>
+  deliver('welcome', () => mailer.sendWelcomeEmail(user));
+
+const passwordReset = (user, resetToken) =>
+  deliver('password reset', () => mailer.sendPasswordReset(user, resetToken));
+
+const magicLink = (user, linkToken) =>
+  deliver('sign-in link', () => mailer.sendMagicLink(user, linkToken));
+
+const staffInvitation = (invitation, token) =>
+  deliver('staff invitation', () => mailer.sendStaffInvitation(invitation, token));
+
+const accountLocked = (user, lockedUntil, ipAddress) =>
+  deliver('account locked', () => mailer.sendAccountLocked(user, lockedUntil, ipAddress));
+
+const emailVerification = (user, verificationToken) =>
+  deliver('email verification', () => mailer.sendEmailVerification(user, verificationToken));
+
+// Something new for a client in their portal, e.g. 'a new invoice'
+const portalUpdate = (client, summary) =>
+  deliver('portal update', () => mailer.sendPortalUpdate(client, summary));
+
+module.exports = {
+  appointmentVerification,
+  appointmentBooked,
+  appointmentStatusChanged,
+  appointmentCancelled,
+  appointmentRescheduled,
+  appointmentMovedByStaff,
+  seriesBooked,
+  seriesUpdated,
+  seriesCancelled,
+  waitlistOffer,
+  contactReceived,
+  contactResponded,
+  welcome,
+  passwordReset,
+  magicLink,
+  staffInvitation,
+  accountLocked,
+  emailVerification,
+  portalUpdate
+};
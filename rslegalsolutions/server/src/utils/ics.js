@@ -0,0 +1,117 @@
+const { default: ical, ICalCalendarMethod, ICalEventStatus } = require('ical-generator');
+const { MODE_LABELS, describeLocation } = require('./meetings');
+
+const CALENDAR_DOMAIN = 'rslegalsolutions.com';
+const PRODUCT_ID = {
+  company: 'RS Legal Solutions',
+  product: 'Appointments',
+  language: 'EN'
+};
+
+const websiteUrl = () => process.env.CLIENT_URL || 'https://rslegalsolutions.com';
+
+const EVENT_STATUSES = {
+  pending: ICalEventStatus.TENTATIVE,
+  confirmed: ICalEventStatus.CONFIRMED,
+  completed: ICalEventStatus.CONFIRMED,
+  cancelled: ICalEventStatus.CANCELLED
+};
+
+const createCalendar = (name, method = ICalCalendarMethod.PUBLISH) =>
+  ical({ name, prodId: PRODUCT_ID, method });
+
+// Event data for an appointment. Clients see the firm and service, staff
+// see who they are meeting. The uid stays stable so calendar apps update
+// the same event on reschedule or cancellation.
+const appointmentEvent = (appointment, { forStaff = false } = {}) => {
+  const serviceName = appointment.serviceType && appointment.serviceType.title
+    ? appointment.serviceType.title
+    : 'Consultation';
+  const manageUrl = `${websiteUrl()}/appointments/${appointment.confirmationCode}`;
+  const modeLabel = MODE_LABELS[appointment.mode || 'in-person'];
+
+  const description = forStaff
+    ? [
+      `Client: ${appointment.clientName}`,
+      `Email: ${appointment.email}`,
+      `Phone: ${appointment.phone}`,
+      `Consultation: ${modeLabel}`,
+      ...(appointment.intake || []).map(item =>
+        `${item.label}: ${[].concat(item.answer).join(', ')}`),
+      appointment.message && `Message: ${appointment.message}`,
+      `Confirmation code: ${appointment.confirmationCode}`
+    ]
+    : [
+      appointment.lawyer && appointment.lawyer.name && `With: ${appointment.lawyer.name}`,
+      `Consultation: ${modeLabel}`,
+      `Confirmation code: ${appointment.confirmationCode}`,
+      `Manage your booking: ${manageUrl}`
+    ];
+
+  return {
+    id: `appointment-${appointment._id}@${CALENDAR_DOMAIN}`,
+    sequence: (appointment.rescheduleHistory || []).length,
+    start: appointment.startTime,
+    end: appointment.endTime,
+    summary: forStaff
+      ? `${serviceName}: ${appointment.clientName}`
+      : `${serviceName} - RS Legal Solutions`,
+    description: description.filter(Boolean).join('\n'),
+    location: forStaff && appointment.mode === 'phone'
+      ? `Call ${appointment.phone}`
+      : describeLocation(appointment),
+    url: manageUrl,
+    status: EVENT_STATUSES[appointment.status]
+  };
+};
+
+// Court hearings, as scheduled by CourtDateService
+const hearingEvent = (hearing) => ({
+  id: `hearing-${hearing._id}@${CALENDAR_DOMAIN}`,
+  start: hearing.date,
+  end: hearing.endDate || new Date(new Date(hearing.date).getTime() + 2 * 60 * 60 * 1000),
+  summary: `Hearing: ${hearing.type} - Case ${hearing.caseNumber}`,
+  description: hearing.description,
+  location: hearing.court
+});
+
+// Single event calendar from generic event data (title, startTime, ...)
+const createEventCalendar = (data) => {
+  const calendar = createCalendar('RS Legal Solutions Calendar');
+  const event = calendar.createEvent({
+    start: data.startTime,
+    end: data.endTime,
+    summary: data.title,
+    description: data.description,
+    location: data.location,
+    url: data.url
+  });
+
+  return { id: event.id(), content: calendar.toString() };
+};
+
+// .ics file for one appointment, for clients to add to their calendar
+const buildAppointmentIcs = (appointment) => {
+  const calendar = createCalendar('RS Legal Solutions Appointment');
+  calendar.createEvent(appointmentEvent(appointment));
+  return calendar.toString();
+};
+
+// Subscribable feed of a staff member's appointments and hearings
+const buildStaffFeed = (user, { appointments = [], hearings = [] }) => {
+  const calendar = createCalendar(`RS Legal Solutions - ${user.name}`);
+  calendar.ttl(60 * 15); // Ask calendar apps to refresh every 15 minutes
+
+  appointments.forEach(appointment =>
+    calendar.createEvent(appointmentEvent(appointment, { forStaff: true }))
+  );
+  hearings.forEach(hearing => calendar.createEvent(hearingEvent(hearing)));
+
+  return calendar.toString();
+};
+
+module.exports = {
+  createEventCalendar,
+  buildAppointmentIcs,
+  buildStaffFeed
+};
@@ -0,0 +1,196 @@
+const validator = require('validator');
+
+const INTAKE_FIELD_TYPES = [
+  'text',
+  'textarea',
+  'number',
+  'date',
+  'select',
+  'multiselect',
+  'checkbox',
+  'email',
+  'phone'
+];
+
+const KEY_PATTERN = /^[a-zA-Z][\w-]*$/;
+const PHONE_PATTERN = /^\+?[\d\s()-]{6,20}$/;
+const MAX_LENGTHS = { text: 200, textarea: 2000 };
+const INTAKE_INCOMPLETE_MESSAGE = 'Please complete the intake questionnaire';
+
+const hasOptions = (field) => ['select', 'multiselect'].includes(field.type);
+
+// Check a service's intake form before saving, returning a list of problems
+const validateIntakeForm = (fields = []) => {
+  const errors = [];
+  const seen = new Map();
+
+  fields.forEach((field, index) => {
+    const name = field.label || `Question ${index + 1}`;
+
+    if (!field.key || !KEY_PATTERN.test(field.key)) {
+      errors.push(`${name}: key must start with a letter and use letters, numbers, - or _`);
+    } else if (seen.has(field.key)) {
+      errors.push(`${name}: key '${field.key}' is used more than once`);
+    }
+
+    if (!field.label) {
+      errors.push(`Question ${index + 1}: label is required`);
+    }
+
+    if (!INTAKE_FIELD_TYPES.includes(field.type)) {
+      errors.push(`${name}: unknown field type '${field.type}'`);
+    }
+
+    if (hasOptions(field) && !(field.options && field.options.length)) {
+      errors.push(`${name}: choice questions need at least one option`);
+    }
+
+    // Conditions may only depend on earlier questions
+    if (field.showIf && field.showIf.field) {
+      const parent = seen.get(field.showIf.field);
+      if (!parent) {
+        errors.push(`${name}: can only depend on an earlier question`);
+      } else if (field.showIf.equals === undefined) {
+        errors.push(`${name}: condition needs a value to compare with`);
+      }
+    }
+
+    if (field.key) {
+      seen.set(field.key, field);
+    }
+  });
+
+  return errors;
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Whether a conditional question applies given the answers so far
+const isQuestionShown = (field, answers) => {
+  if (!field.showIf || !field.showIf.field) {
+    return true;
+  }
+
+  const answer = answers[field.showIf.field];
+  const expected = [].concat(field.showIf.equals);
+
+  if (Array.isArray(answer)) {
+    return answer.some(value => expected.includes(value));
+  }
+  return expected.includes(answer);
+};
+
+// Convert one answer to its stored form, or return an error message
+const normalizeAnswer = (field, value) => {
+  switch (field.type) {
+    case 'number': {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return { error: 'must be a number' };
+      if (field.min !== undefined && field.min !== null && number < field.min) {
+        return { error: `must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && field.max !== null && number > field.max) {
+        return { error: `must be at most ${field.max}` };
+      }
+      return { value: number };
+    }
+    case 'date':
+      return isNaN(new Date(value))
+        ? { error: 'must be a valid date' }
+        : { value: String(value).slice(0, 10) };
+    case 'select':
+      return field.options.includes(value)
+        ? { value }
+        : { error: 'must be one of the listed options' };
+    case 'multiselect': {
+      const values = [].concat(value);
+      return values.every(option => field.options.includes(option))
+        ? { value: values }
+        : { error: 'must only use the listed options' };
+    }
+    case 'checkbox':
+      return { value: value === true || value === 'true' };
+    case 'email':
+      return validator.isEmail(String(value))
+        ? { value: String(value).trim().toLowerCase() }
+        : { error: 'must be a valid email' };
+    case 'phone':
+      return PHONE_PATTERN.test(String(value).trim())
+        ? { value: String(value).trim() }
+        : { error: 'must be a valid phone number' };
+    default: {
+      const text = String(value).trim();
+      const maxLength = MAX_LENGTHS[field.type];
+      return text.length > maxLength
+        ? { error: `cannot exceed ${maxLength} characters` }
+        : { value: text };
+    }
+  }
+};
+
+// Validate a client's answers against a service's intake form. Answers to
+// hidden or unknown questions are dropped. Returns the answers to store,
+// with each question's label kept for the lawyer, and a list of problems.
+const validateIntakeAnswers = (fields = [], submitted = {}) => {
+  const answers = {};
+  const intake = [];
+  const errors = [];
+
+  fields.forEach(field => {
+    if (!isQuestionShown(field, answers)) {
+      return;
+    }
+
+    const value = submitted ? submitted[field.key] : undefined;
+    const unchecked = field.type === 'checkbox' && !(value === true || value === 'true');
+
+    if (isEmpty(value) || unchecked) {
+      if (field.required) {
+        errors.push(field.type === 'checkbox'
+          ? `${field.label} must be checked`
+          : `${field.label} is required`);
+      }
+      return;
+    }
+
+    const result = normalizeAnswer(field, value);
+    if (result.error) {
+      errors.push(`${field.label} ${result.error}`);
+      return;
+    }
+
+    answers[field.key] = result.value;
+    intake.push({ key: field.key, label: field.label, answer: result.value });
+  });
+
+  return { intake, errors };
+};
+
+// Validate answers on a path that throws, as a 400 error listing the
+// problems; returns the answers to store
+const requireIntakeAnswers = (fields, submitted) => {
+  const { intake, errors } = validateIntakeAnswers(fields, submitted);
+  if (errors.length) {
+    const error = new Error(INTAKE_INCOMPLETE_MESSAGE);
+    error.status = 400;
+    error.errors = errors;
+    throw error;
+  }
+  return intake;
+};
+
+// Stored answers keyed by question, to check them again or prefill a form
+const answersByKey = (intake = []) =>
+  Object.fromEntries(intake.map(({ key, answer }) => [key, answer]));
+
+module.exports = {
+  INTAKE_FIELD_TYPES,
+  INTAKE_INCOMPLETE_MESSAGE,
+  validateIntakeForm,
+  isQuestionShown,
+  validateIntakeAnswers,
+  requireIntakeAnswers,
+  answersByKey
+};
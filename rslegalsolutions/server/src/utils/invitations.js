@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+
+// How long an invitation link stays valid
+const INVITATION_DAYS = parseInt(process.env.INVITATION_DAYS) || 7;
+
+const INVITATION_SECRET = process.env.JWT_INVITE_SECRET || 'invite-secret-key';
+
+const invitationError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Give an invitation a fresh signed link, replacing any earlier one. The
+// token carries the role it grants; only its hash is stored.
+const issueToken = (invitation) => {
+  invitation.expiresAt = new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000);
+
+  const token = jwt.sign(
+    {
+      invitation: invitation._id,
+      role: invitation.role,
+      nonce: crypto.randomBytes(16).toString('hex')
+    },
+    INVITATION_SECRET,
+    { expiresIn: `${INVITATION_DAYS}d` }
+  );
+  invitation.tokenHash = hash(token);
+
+  return token;
+};
+
+// Invite someone to join the staff. Earlier pending invitations for the
+// same address are revoked so only the newest link works.
+const createInvitation = async ({ email, name, role }, invitedBy) => {
+  const address = String(email || '').toLowerCase().trim();
+
+  if (await User.exists({ email: address })) {
+    throw invitationError('A user with this email already exists', 409);
+  }
+
+  const invitation = new Invitation({ email: address, name, role, invitedBy: invitedBy._id });
+  const token = issueToken(invitation);
+  await invitation.validate();
+
+  await Invitation.updateMany(
+    { email: address, status: 'pending' },
+    { status: 'revoked', $unset: { tokenHash: 1 } }
+  );
+  await invitation.save();
+
+  return { invitation, token };
+};
+
+// Send a pending invitation again with a new link and expiry
+const reissueInvitation = async (invitation) => {
+  if (invitation.status !== 'pending') {
+    throw invitationError(`This invitation has already been ${invitation.status}`, 400);
+  }
+
+  const token = issueToken(invitation);
+  await invitation.save();
+
+  return token;
+};
+
+// Find the pending invitation a link belongs to, or throw: 400 for links
+// that are not ours, 410 for ones that expired, were used or were revoked
+const findInvitation = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, INVITATION_SECRET);
+  } catch (error) {
+    throw error.name === 'TokenExpiredError'
+      ? invitationError('This invitation has expired. Please ask for a new one.', 410)
+      : invitationError('Invalid invitation link', 400);
+  }
+
+  const invitation = await Invitation.findOne({
+    _id: payload.invitation,
+    tokenHash: hash(token)
+  }).populate('invitedBy', 'name');
+
+  if (!invitation || invitation.role !== payload.role) {
+    throw invitationError('Invalid invitation link', 400);
+  }
+  if (invitation.status !== 'pending') {
+    throw invitationError(`This invitation has already been ${invitation.status}`, 410);
+  }
+  if (invitation.expiresAt <= new Date()) {
+    throw invitationError('This invitation has expired. Please ask for a new one.', 410);
+  }
+
+  return invitation;
+};
+
+// Create the invitee's account with the invited role and the password they
+// chose. The invitation is claimed first so a link cannot be used twice.
+const acceptInvitation = async (token, { name, password }) => {
+  const invitation = await findInvitation(token);
+
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending', tokenHash: hash(token) },
+    { status: 'accepted', acceptedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    throw invitationError('This invitation has already been used', 410);
+  }
+
+  const user = new User({
+    name: name || invitation.name,
+    email: invitation.email,
+    password,
+    role: invitation.role,
+    // The invitation link was emailed to this address
+    emailVerifiedAt: new Date()
+  });
+
+  try {
+    await user.save();
+  } catch (error) {
+    await Invitation.updateOne(
+      { _id: invitation._id },
+      { status: 'pending', $unset: { acceptedAt: 1 } }
+    );
+    throw error;
+  }
+
+  claimed.acceptedBy = user._id;
+  await claimed.save();
+
+  return user;
+};
+
+module.exports = {
+  INVITATION_DAYS,
+  createInvitation,
+  reissueInvitation,
+  findInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,134 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+const emails = require('./emails');
+
+// Failed sign ins, wrong passwords or codes, before an account is locked
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+
+// The first lock lasts this long and each further one in a row twice as
+// long, up to the maximum
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 24 * 60;
+
+// Failed sign ins allowed from one address within the window, whichever
+// accounts they were for
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+// Add an attempt to the sign-in history. Resolves even when the write fails
+// so a history problem never blocks signing in.
+const recordLogin = async (req, { user, email, outcome }) => {
+  try {
+    await LoginAttempt.create({
+      user: user ? user._id : undefined,
+      email: user ? user.email : email,
+      outcome,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  } catch (error) {
+    console.error(`Failed to record ${outcome} login:`, error.message);
+  }
+};
+
+// Seconds until the request's address may try again, or 0 if it may now
+const ipRetryAfter = async (req) => {
+  const since = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+  const failures = await LoginAttempt.find({
+    ipAddress: req.ip,
+    outcome: { $in: LoginAttempt.FAILED_OUTCOMES },
+    createdAt: { $gte: since }
+  })
+    .sort({ createdAt: -1 })
+    .limit(IP_MAX_FAILURES)
+    .select('createdAt')
+    .lean();
+
+  if (failures.length < IP_MAX_FAILURES) {
+    return 0;
+  }
+
+  // The address is let back in once its oldest counted failure leaves the window
+  const oldest = failures[failures.length - 1].createdAt;
+  return Math.ceil((oldest.getTime() - since.getTime()) / 1000);
+};
+
+// Seconds until a locked account can sign in again, or 0 if it is not locked
+const lockRetryAfter = (user) => {
+  const lockedUntil = user.loginLock && user.loginLock.lockedUntil;
+  if (!lockedUntil || lockedUntil <= Date.now()) {
+    return 0;
+  }
+  return Math.ceil((lockedUntil - Date.now()) / 1000);
+};
+
+// Count a failed sign in against the account, locking it and emailing the
+// owner once there have been too many. Returns the seconds it is now locked
+// for, or 0 if it was not locked. Of parallel failures past the limit only
+// the first locks the account and sends the email.
+const registerFailure = async (user, req) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { 'loginLock.failedAttempts': 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.loginLock.failedAttempts < MAX_FAILED_LOGINS) {
+    return 0;
+  }
+
+  const lockCount = (updated.loginLock.lockCount || 0) + 1;
+  const minutes = Math.min(LOCKOUT_MINUTES * 2 ** (lockCount - 1), MAX_LOCKOUT_MINUTES);
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  const { modifiedCount } = await User.updateOne({
+    _id: user._id,
+    $or: [
+      { 'loginLock.lockedUntil': null },
+      { 'loginLock.lockedUntil': { $lte: new Date() } }
+    ]
+  }, {
+    $set: {
+      'loginLock.failedAttempts': 0,
+      'loginLock.lockCount': lockCount,
+      'loginLock.lockedUntil': lockedUntil
+    }
+  });
+
+  // Another request locked it first
+  if (!modifiedCount) {
+    return lockRetryAfter(await User.findById(user._id).select('loginLock'));
+  }
+
+  emails.accountLocked(updated, lockedUntil, req.ip);
+  return minutes * 60;
+};
+
+// Forget failures and lockouts after a successful sign in, or when an admin
+// unlocks the account
+const clearFailures = (userId) =>
+  User.updateOne({ _id: userId }, {
+    $set: { loginLock: { failedAttempts: 0, lockCount: 0 } }
+  });
+
+// A complete sign in, with every factor checked
+const recordSuccess = async (user, req) => {
+  await clearFailures(user._id);
+  await recordLogin(req, { user, outcome: 'success' });
+};
+
+// Response body for a sign in refused because the account is locked
+const lockedResponse = (retryAfter) => ({
+  message: `Your account is locked after too many failed sign in attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+  retryAfter
+});
+
+module.exports = {
+  recordLogin,
+  ipRetryAfter,
+  lockRetryAfter,
+  registerFailure,
+  clearFailures,
+  recordSuccess,
+  lockedResponse
+};
@@ -0,0 +1,74 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const Role = require('../models/Role');
+
+// Sign-in links one email address can be sent within the window. Requests
+// beyond this get the usual reply but no email.
+const MAX_REQUESTS = parseInt(process.env.MAGIC_LINK_MAX_REQUESTS) || 3;
+
+// Sign-in links one address may ask for within the window, whichever
+// emails they were for
+const IP_MAX_REQUESTS = parseInt(process.env.MAGIC_LINK_IP_MAX_REQUESTS) || 10;
+
+const WINDOW_MINUTES = parseInt(process.env.MAGIC_LINK_WINDOW_MINUTES) || 15;
+
+const windowStart = () => new Date(Date.now() - WINDOW_MINUTES * 60 * 1000);
+
+// Whether the user may sign in with an emailed link: client accounts always,
+// staff only when an admin has allowed it for their role
+const isAllowed = async (user) => {
+  if (!user.isStaff()) {
+    return true;
+  }
+  const role = await Role.findOne({ name: user.role }).select('allowMagicLink').lean();
+  return Boolean(role && role.allowMagicLink);
+};
+
+// Record a request for a link before anything is counted or replied, so
+// parallel requests all see each other. The account is not looked up here;
+// it is added to the record later, once the reply has gone.
+const recordRequest = (req) => LoginAttempt.create({
+  email: typeof req.body.email === 'string' ? req.body.email : undefined,
+  outcome: 'link_requested',
+  ipAddress: req.ip,
+  userAgent: req.headers['user-agent']
+});
+
+// Seconds until the request's address may ask for another link, or 0 if it
+// may now. The request's own record is among those counted.
+const requestRetryAfter = async (req) => {
+  const since = windowStart();
+  const requests = await LoginAttempt.find({
+    ipAddress: req.ip,
+    outcome: 'link_requested',
+    createdAt: { $gte: since }
+  })
+    .sort({ createdAt: -1 })
+    .limit(IP_MAX_REQUESTS + 1)
+    .select('createdAt')
+    .lean();
+
+  if (requests.length <= IP_MAX_REQUESTS) {
+    return 0;
+  }
+
+  const oldest = requests[IP_MAX_REQUESTS - 1].createdAt;
+  return Math.max(1, Math.ceil((oldest.getTime() - since.getTime()) / 1000));
+};
+
+// Whether the email has asked for more links than it may be sent, counting
+// the request just recorded
+const isEmailThrottled = async (email) => {
+  const requests = await LoginAttempt.countDocuments({
+    email,
+    outcome: 'link_requested',
+    createdAt: { $gte: windowStart() }
+  });
+  return requests > MAX_REQUESTS;
+};
+
+module.exports = {
+  isAllowed,
+  recordRequest,
+  requestRetryAfter,
+  isEmailThrottled
+};
@@ -0,0 +1,82 @@
+const { createMeetingProvider } = require('../../scripts/meetingProviders');
+
+// How a consultation takes place
+const CONSULTATION_MODES = ['in-person', 'video', 'phone'];
+
+const MODE_LABELS = {
+  'in-person': 'In person',
+  video: 'Video call',
+  phone: 'Phone call'
+};
+
+// The mode a client asked for, or the service's first mode when they did
+// not choose. Null when the service is not offered that way.
+const resolveMode = (service, requested) => {
+  const offered = service.consultationModes && service.consultationModes.length
+    ? service.consultationModes
+    : CONSULTATION_MODES;
+  const mode = requested || offered[0];
+
+  return offered.includes(mode) ? mode : null;
+};
+
+let provider;
+const getProvider = () => {
+  if (!provider) {
+    provider = createMeetingProvider();
+  }
+  return provider;
+};
+
+// Give a video appointment its meeting room. Other modes and appointments
+// that already have a room are left alone.
+const attachMeeting = async (appointment) => {
+  if (appointment.mode !== 'video' || (appointment.meeting && appointment.meeting.url)) {
+    return appointment;
+  }
+
+  appointment.meeting = await getProvider().createMeeting({
+    title: `${appointment.clientName} - RS Legal Solutions`,
+    startTime: appointment.startTime,
+    endTime: appointment.endTime
+  });
+
+  return appointment;
+};
+
+// Close a cancelled appointment's meeting room; never rejects
+const cancelMeeting = async (appointment) => {
+  if (!appointment.meeting || !appointment.meeting.url) {
+    return;
+  }
+
+  try {
+    await getProvider().cancelMeeting(appointment.meeting);
+  } catch (error) {
+    console.error('Failed to cancel meeting:', error.message);
+  }
+};
+
+// Where the client should be: the office address, the meeting link or
+// the number we will call. Used in emails and calendar events.
+const describeLocation = (appointment) => {
+  switch (appointment.mode) {
+    case 'video':
+      return appointment.meeting && appointment.meeting.url
+        ? appointment.meeting.url
+        : 'A video link will be sent before your appointment';
+    case 'phone':
+      return `We will call you on ${appointment.phone}`;
+    default:
+      return process.env.OFFICE_ADDRESS;
+  }
+};
+
+module.exports = {
+  CONSULTATION_MODES,
+  MODE_LABELS,
+  resolveMode,
+  attachMeeting,
+  cancelMeeting,
+  describeLocation
+};
@@ -0,0 +1,106 @@
+const payments = require('../../scripts/payment');
+
+// Payment statuses whose money can still be released back to the client
+const RELEASABLE_STATUSES = ['pending', 'authorized', 'failed'];
+
+const paymentError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Authorise a paid service's consultation fee for a new booking, storing
+// the payment on the appointment. Resolves to the client secret the browser
+// uses to complete card authorisation, or null for free services.
+const holdConsultationFee = async (appointment, service) => {
+  if (!(service.consultationFee > 0)) {
+    return null;
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await payments.createPaymentIntent(service.consultationFee, {
+      appointmentId: String(appointment._id),
+      service: service.title,
+      email: appointment.email
+    });
+  } catch (error) {
+    throw paymentError('We could not start the payment for this consultation. Please try again.', 502);
+  }
+
+  appointment.payment = {
+    gateway: payments.gateway.name,
+    intentId: paymentIntent.id,
+    amount: service.consultationFee,
+    currency: paymentIntent.currency,
+    status: payments.paymentStatusFor(paymentIntent)
+  };
+  if (appointment.payment.status === 'authorized') {
+    appointment.payment.authorizedAt = new Date();
+  }
+
+  return paymentIntent.client_secret;
+};
+
+// Charge the authorised fee when staff confirm the appointment
+const captureConsultationFee = async (appointment) => {
+  const { payment } = appointment;
+  if (!payment || !payment.intentId || payment.status === 'captured') {
+    return;
+  }
+
+  if (payment.status !== 'authorized') {
+    throw paymentError('The consultation fee has not been authorised yet, so this appointment cannot be confirmed.', 402);
+  }
+
+  try {
+    await payments.capturePayment(payment.intentId);
+  } catch (error) {
+    throw paymentError('Capturing the consultation fee failed. Please try again.', 502);
+  }
+
+  payment.status = 'captured';
+  payment.capturedAt = new Date();
+};
+
+// Release an uncaptured fee when the appointment is cancelled. Never rejects,
+// so a gateway problem cannot block the cancellation; resolves to whether
+// the payment was released.
+const releaseConsultationFee = async (appointment) => {
+  const { payment } = appointment;
+  if (!payment || !payment.intentId || !RELEASABLE_STATUSES.includes(payment.status)) {
+    return false;
+  }
+
+  try {
+    await payments.cancelPayment(payment.intentId);
+  } catch (error) {
+    console.error('Failed to release consultation fee:', error.message);
+    return false;
+  }
+
+  payment.status = 'released';
+  payment.releasedAt = new Date();
+  return true;
+};
+
+// Payment details returned to the client after booking
+const paymentSummary = (appointment, clientSecret) => {
+  if (!appointment.payment || !appointment.payment.intentId) {
+    return undefined;
+  }
+
+  return {
+    amount: appointment.payment.amount,
+    currency: appointment.payment.currency,
+    status: appointment.payment.status,
+    clientSecret
+  };
+};
+
+module.exports = {
+  holdConsultationFee,
+  captureConsultationFee,
+  releaseConsultationFee,
+  paymentSummary
+};
@@ -0,0 +1,81 @@
+// Every permission the app checks, keyed by name and grouped by the module
+// that owns it. Modules add their own with registerPermissions when they
+// load; roles and individual grants may only use registered permissions.
+const registry = new Map();
+
+const registerPermissions = (module, permissions) => {
+  permissions.forEach(({ key, description }) => {
+    const existing = registry.get(key);
+    if (existing && existing.module !== module) {
+      throw new Error(`Permission ${key} is already registered by ${existing.module}`);
+    }
+    registry.set(key, { key, module, description });
+  });
+};
+
+const isPermission = (key) => registry.has(key);
+
+const listPermissions = () => [...registry.values()];
+
+// A user's effective permissions: everything their role grants plus any
+// granted to them individually. Unknown keys are dropped.
+const resolvePermissions = (role, granted = []) => {
+  if (role && role.grantsAll) {
+    return listPermissions().map(permission => permission.key);
+  }
+
+  const permissions = new Set([...(role ? role.permissions : []), ...granted]);
+  return [...permissions].filter(isPermission);
+};
+
+registerPermissions('services', [
+  { key: 'manage_services', description: 'Create and edit practice area services' }
+]);
+
+registerPermissions('appointments', [
+  { key: 'manage_appointments', description: 'Manage all appointments, series and office hours' }
+]);
+
+registerPermissions('blogs', [
+  { key: 'manage_blogs', description: 'Write and publish blog posts' }
+]);
+
+registerPermissions('users', [
+  { key: 'manage_users', description: 'Invite, edit and deactivate user accounts' },
+  { key: 'manage_roles', description: 'Define roles and the permissions they grant' }
+]);
+
+registerPermissions('contacts', [
+  { key: 'view_contacts', description: 'Read contact form enquiries' },
+  { key: 'respond_contacts', description: 'Reply to and update contact enquiries' }
+]);
+
+registerPermissions('cases', [
+  { key: 'view_cases', description: 'View client matters' },
+  { key: 'manage_cases', description: 'Open, update and close client matters' }
+]);
+
+registerPermissions('billing', [
+  { key: 'view_billing', description: 'View invoices and payments' },
+  { key: 'manage_billing', description: 'Raise invoices and record payments' }
+]);
+
+registerPermissions('documents', [
+  { key: 'view_documents', description: 'View matter documents' },
+  { key: 'manage_documents', description: 'Upload, generate and delete documents' }
+]);
+
+registerPermissions('portal', [
+  { key: 'message_clients', description: 'Read and reply to client portal messages' }
+]);
+
+registerPermissions('reports', [
+  { key: 'view_reports', description: 'View firm reports and analytics' }
+]);
+
+module.exports = {
+  registerPermissions,
+  isPermission,
+  listPermissions,
+  resolvePermissions
+};
@@ -0,0 +1,171 @@
+const Appointment = require('../models/Appointment');
+const mailer = require('../../scripts/mailer');
+const { createReminderQueue } = require('../../scripts/reminderQueues');
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+// Parse REMINDER_OFFSETS ('24h,2h', '3d,90m') into reminders, longest first
+const parseOffsets = (value) => value
+  .split(',')
+  .map(part => part.trim().toLowerCase())
+  .filter(Boolean)
+  .map(key => {
+    const match = key.match(/^(\d+)([mhd])$/);
+    if (!match || Number(match[1]) === 0) {
+      console.warn(`Ignoring invalid reminder offset '${key}'`);
+      return null;
+    }
+    return { key, minutes: Number(match[1]) * UNIT_MINUTES[match[2]] };
+  })
+  .filter(Boolean)
+  .sort((a, b) => b.minutes - a.minutes);
+
+// How long before a confirmed appointment each reminder goes out
+const REMINDER_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS || '24h,2h');
+
+const queueOptions = {
+  pollInterval: (parseInt(process.env.REMINDER_POLL_SECONDS) || 30) * 1000,
+  maxAttempts: parseInt(process.env.REMINDER_MAX_ATTEMPTS) || 3,
+  retryDelay: 5 * 60 * 1000,
+  lockTime: 5 * 60 * 1000
+};
+
+let queue;
+const getQueue = () => {
+  if (!queue) {
+    queue = createReminderQueue(undefined, queueOptions);
+  }
+  return queue;
+};
+
+const reminderTime = (startTime, offset) =>
+  new Date(new Date(startTime).getTime() - offset.minutes * 60 * 1000);
+
+// Add an entry to the appointment's reminder history
+const recordReminder = (appointmentId, job, status, reason) =>
+  Appointment.updateOne({ _id: appointmentId }, {
+    $push: {
+      reminders: {
+        key: job.key,
+        startTime: job.startTime,
+        scheduledFor: job.runAt,
+        status,
+        reason,
+        processedAt: new Date()
+      }
+    }
+  });
+
+// Send one reminder if the booking still needs it. Cancelled, moved or
+// already reminded bookings are recorded as skipped; a failed send throws
+// so the queue can retry it.
+const processReminder = async (job) => {
+  const appointment = await Appointment.findById(job.appointment)
+    .populate('serviceType', 'title')
+    .populate('lawyer', 'name');
+
+  if (!appointment) return;
+
+  const now = new Date();
+  const skip = reason => recordReminder(appointment._id, job, 'skipped', reason);
+
+  if (appointment.status !== 'confirmed') {
+    return skip(`Appointment is ${appointment.status}`);
+  }
+
+  if (appointment.startTime.getTime() !== job.startTime.getTime()) {
+    return skip('Appointment was rescheduled');
+  }
+
+  if (appointment.startTime <= now) {
+    return skip('Appointment has already started');
+  }
+
+  const alreadySent = appointment.reminders.some(reminder =>
+    reminder.key === job.key &&
+    reminder.status === 'sent' &&
+    reminder.startTime && reminder.startTime.getTime() === job.startTime.getTime());
+  if (alreadySent) return;
+
+  // After downtime, only the latest overdue reminder goes out
+  const superseded = REMINDER_OFFSETS.some(offset =>
+    offset.key !== job.key &&
+    reminderTime(job.startTime, offset) > job.runAt &&
+    reminderTime(job.startTime, offset) <= now);
+  if (superseded) {
+    return skip('A later reminder is already due');
+  }
+
+  await mailer.sendAppointmentReminder(appointment);
+  await recordReminder(appointment._id, job, 'sent');
+};
+
+// Record a reminder that still failed after the queue's retries
+const reminderFailed = (job, error) =>
+  recordReminder(job.appointment, job, 'failed', error.message)
+    .catch(recordError => console.error('Failed to record reminder failure:', recordError.message));
+
+// Queue the upcoming reminders for a confirmed appointment. Never rejects,
+// so scheduling problems cannot fail the request that confirmed it.
+const scheduleReminders = async (appointment) => {
+  if (appointment.status !== 'confirmed') return;
+
+  const now = new Date();
+  const jobs = REMINDER_OFFSETS
+    .map(offset => ({
+      appointment: appointment._id,
+      key: offset.key,
+      startTime: appointment.startTime,
+      runAt: reminderTime(appointment.startTime, offset)
+    }))
+    .filter(job => job.runAt > now);
+
+  try {
+    await getQueue().schedule(jobs);
+  } catch (error) {
+    console.error('Failed to schedule reminders:', error.message);
+  }
+};
+
+// Drop the pending reminders of a cancelled or moved appointment; never rejects
+const cancelReminders = async (appointment) => {
+  try {
+    await getQueue().cancel(appointment._id);
+  } catch (error) {
+    console.error('Failed to cancel reminders:', error.message);
+  }
+};
+
+// Replace the reminders of a rescheduled appointment
+const rescheduleReminders = async (appointment) => {
+  await cancelReminders(appointment);
+  await scheduleReminders(appointment);
+};
+
+// Start sending reminders, first queueing any that confirmed upcoming
+// appointments are missing (e.g. confirmed before the engine existed)
+const startReminders = async () => {
+  const reminderQueue = getQueue();
+  reminderQueue.start(processReminder, reminderFailed);
+
+  const appointments = await Appointment.find({
+    status: 'confirmed',
+    startTime: { $gt: new Date() }
+  }).select('status startTime');
+
+  for (const appointment of appointments) {
+    await scheduleReminders(appointment);
+  }
+
+  return reminderQueue.name;
+};
+
+module.exports = {
+  REMINDER_OFFSETS,
+  parseOffsets,
+  processReminder,
+  scheduleReminders,
+  cancelReminders,
+  rescheduleReminders,
+  startReminders
+};
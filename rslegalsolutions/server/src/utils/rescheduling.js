@@ -0,0 +1,60 @@
+const { reserveForService, releaseSlot } = require('./reservations');
+const { notifyWaitlist } = require('./waitlist');
+
+// Move an appointment to a new slot with the given lawyer, or with any
+// lawyer of the service if allowReassign and that lawyer is taken. The old
+// slot is freed and offered to the waitlist once the move is saved.
+const moveAppointment = async (appointment, slot, { lawyer, allowReassign, reason, rescheduledBy }) => {
+  const previousStartTime = appointment.startTime;
+  const previousEndTime = appointment.endTime;
+  const previousLawyer = appointment.lawyer;
+  const options = { excludeId: appointment._id, appointment: appointment._id };
+
+  let reservation;
+  try {
+    reservation = await reserveForService(appointment.serviceType, slot, { ...options, lawyer });
+  } catch (error) {
+    if (error.status !== 409 || !lawyer || !allowReassign) throw error;
+    reservation = await reserveForService(appointment.serviceType, slot, options);
+  }
+
+  appointment.rescheduleHistory.push({
+    previousStartTime,
+    previousLawyer,
+    newStartTime: slot.start,
+    reason,
+    rescheduledBy
+  });
+
+  appointment.startTime = slot.start;
+  appointment.endTime = slot.end;
+  if (reservation.lawyer) {
+    appointment.lawyer = reservation.lawyer;
+  }
+
+  let updatedAppointment;
+  try {
+    updatedAppointment = await appointment.save();
+  } catch (error) {
+    await releaseSlot(appointment._id, slot.start);
+    throw error;
+  }
+
+  await releaseSlot(appointment._id, previousStartTime, reservation._id);
+  notifyWaitlist({
+    startTime: previousStartTime,
+    endTime: previousEndTime,
+    lawyer: previousLawyer,
+    serviceType: appointment.serviceType
+  });
+  await updatedAppointment.populate([
+    { path: 'serviceType', select: 'title category' },
+    { path: 'lawyer', select: 'name avatar' }
+  ]);
+
+  return { updatedAppointment, previousStartTime };
+};
+
+module.exports = {
+  moveAppointment
+};
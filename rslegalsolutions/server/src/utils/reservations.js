@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const SlotReservation = require('../models/SlotReservation');
+const {
+  getBookableLawyers,
+  isSlotAvailable,
+  pickLawyer
+} = require('./availability');
+
+const SLOT_TAKEN_MESSAGE = 'This time slot is no longer available. Please select another time.';
+
+// How long a slot picked in the booking form stays held
+const SLOT_HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES) || 10;
+
+// Auto-assignment retries when a concurrent booking wins the picked lawyer
+const MAX_ASSIGN_ATTEMPTS = 3;
+
+const slotTakenError = () => {
+  const error = new Error(SLOT_TAKEN_MESSAGE);
+  error.status = 409;
+  return error;
+};
+
+// Atomically take a slot; throws a 409 error if someone else has it
+const reserveSlot = async (slot, { lawyer = null, hold = false, holdUntil = null, ...fields } = {}) => {
+  const lawyerId = lawyer ? lawyer._id || lawyer : null;
+
+  // Clear a lapsed hold MongoDB has not removed yet
+  await SlotReservation.deleteOne({
+    lawyer: lawyerId,
+    startTime: slot.start,
+    expiresAt: { $lte: new Date() }
+  });
+
+  try {
+    return await SlotReservation.create({
+      ...fields,
+      lawyer: lawyerId,
+      startTime: slot.start,
+      endTime: slot.end,
+      holdToken: hold ? crypto.randomBytes(24).toString('hex') : undefined,
+      expiresAt: hold
+        ? holdUntil || new Date(Date.now() + SLOT_HOLD_MINUTES * 60 * 1000)
+        : undefined
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw slotTakenError();
+    }
+    throw error;
+  }
+};
+
+// Reserve a slot for a service with the requested lawyer, the least-loaded
+// free lawyer, or the shared firm calendar when no lawyers are configured
+const reserveForService = async (serviceId, slot, { lawyer = null, excludeId = null, ...fields } = {}) => {
+  if (lawyer || !(await getBookableLawyers(serviceId)).length) {
+    if (!(await isSlotAvailable(slot, lawyer, excludeId))) {
+      throw slotTakenError();
+    }
+    return reserveSlot(slot, { ...fields, lawyer, serviceType: serviceId });
+  }
+
+  for (let attempt = 0; attempt < MAX_ASSIGN_ATTEMPTS; attempt++) {
+    const candidate = await pickLawyer(serviceId, slot, excludeId);
+    if (!candidate) break;
+
+    try {
+      return await reserveSlot(slot, {
+        ...fields,
+        lawyer: candidate,
+        serviceType: serviceId,
+        autoAssigned: true
+      });
+    } catch (error) {
+      if (error.status !== 409) throw error;
+    }
+  }
+
+  throw slotTakenError();
+};
+
+// Unexpired hold for a token
+const findHold = (holdToken) => SlotReservation.findOne({
+  holdToken,
+  appointment: { $exists: false },
+  expiresAt: { $gt: new Date() }
+});
+
+// Turn a hold into a permanent reservation for an appointment
+const claimHold = async (hold, appointmentId) => {
+  const reservation = await SlotReservation.findOneAndUpdate(
+    { _id: hold._id, holdToken: hold.holdToken, expiresAt: { $gt: new Date() } },
+    { $set: { appointment: appointmentId }, $unset: { holdToken: 1, expiresAt: 1 } },
+    { new: true }
+  );
+
+  if (!reservation) {
+    throw slotTakenError();
+  }
+  return reservation;
+};
+
+const releaseHold = (holdToken) => SlotReservation.deleteOne({
+  holdToken,
+  appointment: { $exists: false }
+});
+
+// Free the slot(s) held by an appointment, optionally only the one at
+// startTime, keeping the reservation keepId (e.g. a new lawyer's at the
+// same time)
+const releaseSlot = (appointmentId, startTime = null, keepId = null) => {
+  const filters = { appointment: appointmentId };
+  if (startTime) {
+    filters.startTime = startTime;
+  }
+  if (keepId) {
+    filters._id = { $ne: keepId };
+  }
+  return SlotReservation.deleteMany(filters);
+};
+
+module.exports = {
+  SLOT_HOLD_MINUTES,
+  slotTakenError,
+  reserveSlot,
+  reserveForService,
+  findHold,
+  claimHold,
+  releaseHold,
+  releaseSlot
+};
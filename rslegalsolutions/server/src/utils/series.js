@@ -0,0 +1,317 @@
+const { DateTime } = require('luxon');
+const { RRule } = require('rrule');
+const Appointment = require('../models/Appointment');
+const Closure = require('../models/Closure');
+const User = require('../models/User');
+const {
+  ACTIVE_STATUSES,
+  getBookableLawyers,
+  isSlotAvailable,
+  pickLawyer,
+  resolveSlot
+} = require('./availability');
+const { reserveForService, releaseSlot } = require('./reservations');
+const { notifyWaitlist } = require('./waitlist');
+const { attachMeeting, cancelMeeting } = require('./meetings');
+const { scheduleReminders, cancelReminders } = require('./reminders');
+const { FIRM_TIMEZONE, toOfficeTime } = require('./timezone');
+
+// Most occurrences booked for one series; open-ended rules stop here
+const MAX_SERIES_OCCURRENCES = parseInt(process.env.MAX_SERIES_OCCURRENCES) || 52;
+
+// Details every occurrence copies from its series
+const SERIES_DETAILS = ['clientName', 'email', 'phone', 'serviceType', 'lawyer', 'mode', 'message', 'intake'];
+
+const seriesError = (message, status, conflicts) => {
+  const error = new Error(message);
+  error.status = status;
+  if (conflicts) {
+    error.conflicts = conflicts;
+  }
+  return error;
+};
+
+// rrule works in UTC, so occurrences are expanded on "floating" times whose
+// UTC fields hold the office wall-clock time. This keeps a 10:00 meeting at
+// 10:00 office time across daylight saving changes.
+const toFloating = (date) => {
+  const local = toOfficeTime(date);
+  return DateTime.utc(local.year, local.month, local.day, local.hour, local.minute).toJSDate();
+};
+
+const fromFloating = (date) => {
+  const floating = DateTime.fromJSDate(date, { zone: 'utc' });
+  return DateTime.fromObject(
+    { year: floating.year, month: floating.month, day: floating.day, hour: floating.hour, minute: floating.minute },
+    { zone: FIRM_TIMEZONE }
+  ).toJSDate();
+};
+
+// Parse a single RRULE ('FREQ=WEEKLY;BYDAY=MO' or 'RRULE:...'), ignoring
+// any DTSTART since the series start time is stored separately
+const parseRule = (text) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !/^DTSTART/i.test(line));
+
+  if (lines.length !== 1) {
+    throw seriesError('Please provide a single recurrence rule', 400);
+  }
+
+  let options;
+  try {
+    options = RRule.parseString(lines[0]);
+  } catch (error) {
+    throw seriesError('The recurrence rule is not valid', 400);
+  }
+
+  if (options.freq === undefined) {
+    throw seriesError('The recurrence rule needs a FREQ', 400);
+  }
+  if (options.freq > RRule.DAILY) {
+    throw seriesError('Appointments can repeat at most daily', 400);
+  }
+
+  delete options.dtstart;
+  return options;
+};
+
+const ruleToString = (options) => RRule.optionsToString(options).replace(/^RRULE:/, '');
+
+// Normalise a rule for storage, throwing a 400 error if it is invalid
+const normalizeRule = (text) => ruleToString(parseRule(text));
+
+// Every start a rule gives from startTime, up to MAX_SERIES_OCCURRENCES
+const expandRule = (rule, startTime) => {
+  const recurrence = new RRule({ ...parseRule(rule), dtstart: toFloating(new Date(startTime)) });
+  const starts = [];
+
+  recurrence.all((date, index) => {
+    if (index >= MAX_SERIES_OCCURRENCES) return false;
+    starts.push(fromFloating(date));
+    return true;
+  });
+
+  return starts;
+};
+
+// The rule cut off so its last occurrence is before the given start
+const truncateRule = (rule, before) => {
+  const options = parseRule(rule);
+  delete options.count;
+  options.until = toFloating(new Date(before.getTime() - 60 * 1000));
+  return ruleToString(options);
+};
+
+// The rule for the occurrences from one start onwards, with any COUNT
+// reduced by the occurrences before it
+const remainingRule = (rule, startTime, from) => {
+  const options = parseRule(rule);
+  if (options.count) {
+    const before = expandRule(rule, startTime).filter(start => start < from).length;
+    options.count = Math.max(options.count - before, 1);
+  }
+  return ruleToString(options);
+};
+
+const loadLawyer = (lawyerId) => lawyerId ? User.findById(lawyerId) : null;
+
+// Why an occurrence cannot be booked, or null if it is free
+const checkOccurrence = async (serviceId, start, lawyer) => {
+  const slot = await resolveSlot(start);
+  if (!slot) {
+    return { reason: 'Not one of the office appointment slots' };
+  }
+
+  if (await Closure.findForDate(slot.start)) {
+    return { slot, reason: 'The office is closed on this date' };
+  }
+
+  const free = lawyer || !(await getBookableLawyers(serviceId)).length
+    ? await isSlotAvailable(slot, lawyer)
+    : !!(await pickLawyer(serviceId, slot));
+
+  return { slot, reason: free ? null : 'This time slot is already booked' };
+};
+
+// Check each start for conflicts without booking anything
+const previewOccurrences = async (details, starts) => {
+  const lawyer = await loadLawyer(details.lawyer);
+
+  return Promise.all(starts.map(async (start) => {
+    const { slot, reason } = await checkOccurrence(details.serviceType, start, lawyer);
+    return {
+      startTime: slot ? slot.start : start,
+      endTime: slot ? slot.end : undefined,
+      available: !reason,
+      reason: reason || undefined
+    };
+  }));
+};
+
+// Book an appointment for each start of a series, checking every one for
+// conflicts. Conflicting starts are skipped if skipConflicts, otherwise
+// nothing is booked and a 409 error lists them.
+const bookOccurrences = async (series, starts, { skipConflicts = false } = {}) => {
+  const lawyer = await loadLawyer(series.lawyer);
+  const client = await User.findVerifiedClientId(series.email);
+  const appointments = [];
+  const conflicts = [];
+
+  const releaseAll = () => Promise.all(appointments.map(appointment => releaseSlot(appointment._id)));
+
+  for (const start of starts) {
+    const { slot, reason } = await checkOccurrence(series.serviceType, start, lawyer);
+    if (reason) {
+      conflicts.push({ startTime: start, reason });
+      continue;
+    }
+
+    const appointment = new Appointment({
+      ...Object.fromEntries(SERIES_DETAILS.map(field => [field, series[field]])),
+      startTime: slot.start,
+      endTime: slot.end,
+      client,
+      series: series._id,
+      seriesOccurrence: start,
+      source: 'series',
+      status: 'confirmed'
+    });
+
+    try {
+      const reservation = await reserveForService(series.serviceType, slot, {
+        lawyer,
+        appointment: appointment._id
+      });
+      appointment.lawyer = reservation.lawyer || undefined;
+      appointment.autoAssigned = reservation.autoAssigned;
+      appointments.push(appointment);
+    } catch (error) {
+      if (error.status !== 409) {
+        await releaseAll();
+        throw error;
+      }
+      conflicts.push({ startTime: start, reason: error.message });
+    }
+  }
+
+  if (conflicts.length && !skipConflicts) {
+    await releaseAll();
+    throw seriesError(
+      `${conflicts.length} of the appointments in this series conflict with existing bookings`,
+      409,
+      conflicts
+    );
+  }
+
+  try {
+    for (const appointment of appointments) {
+      await attachMeeting(appointment);
+      await appointment.validate();
+    }
+  } catch (error) {
+    await releaseAll();
+    throw error;
+  }
+
+  for (const appointment of appointments) {
+    await appointment.save();
+  }
+
+  appointments.forEach(appointment => scheduleReminders(appointment));
+  return { appointments, conflicts };
+};
+
+// Cancel occurrences, freeing their slots for other clients
+const cancelOccurrences = async (appointments) => {
+  for (const appointment of appointments) {
+    appointment.status = 'cancelled';
+    await appointment.save();
+    await releaseSlot(appointment._id);
+    notifyWaitlist(appointment);
+    cancelMeeting(appointment);
+    cancelReminders(appointment);
+  }
+};
+
+// Upcoming active occurrences of a series, optionally only those whose
+// rule start is on or after from
+const upcomingOccurrences = (seriesId, from = null) => {
+  const filters = {
+    series: seriesId,
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $gt: new Date() }
+  };
+  if (from) {
+    filters.seriesOccurrence = { $gte: from };
+  }
+  return Appointment.find(filters).sort({ startTime: 1 });
+};
+
+// Copy edited details (client contact, mode, message) onto an occurrence,
+// moving its video meeting along with the mode
+const applyDetails = async (appointment, details) => {
+  const wasVideo = appointment.mode === 'video';
+
+  ['clientName', 'email', 'phone', 'mode', 'message'].forEach(field => {
+    if (details[field] !== undefined) {
+      appointment[field] = details[field];
+    }
+  });
+
+  if (wasVideo && appointment.mode !== 'video') {
+    cancelMeeting(appointment);
+    appointment.meeting = undefined;
+  } else if (!wasVideo && appointment.mode === 'video') {
+    await attachMeeting(appointment);
+  }
+
+  await appointment.save();
+};
+
+// Bring a series' upcoming occurrences in line with its (edited) rule:
+// occurrences the rule still gives are kept, unless the lawyer changed,
+// new starts are booked and the rest cancelled. Nothing changes if a new
+// start conflicts and skipConflicts is off.
+const syncOccurrences = async (series, existing, { lawyerChanged = false, skipConflicts = false } = {}) => {
+  const now = new Date();
+  const starts = expandRule(series.rule, series.startTime).filter(start => start > now);
+  const startKeys = new Set(starts.map(start => start.getTime()));
+
+  const kept = lawyerChanged
+    ? []
+    : existing.filter(appointment => startKeys.has(appointment.seriesOccurrence.getTime()));
+  const keptKeys = new Set(kept.map(appointment => appointment.seriesOccurrence.getTime()));
+  const dropped = existing.filter(appointment => !kept.includes(appointment));
+
+  const { appointments, conflicts } = await bookOccurrences(
+    series,
+    starts.filter(start => !keptKeys.has(start.getTime())),
+    { skipConflicts }
+  );
+
+  for (const appointment of kept) {
+    appointment.series = series._id;
+    await applyDetails(appointment, series);
+  }
+  await cancelOccurrences(dropped);
+
+  return { booked: appointments, kept, cancelled: dropped, conflicts };
+};
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  SERIES_DETAILS,
+  seriesError,
+  normalizeRule,
+  expandRule,
+  truncateRule,
+  remainingRule,
+  previewOccurrences,
+  bookOccurrences,
+  cancelOccurrences,
+  upcomingOccurrences,
+  applyDetails,
+  syncOccurrences
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+// How long a refresh token lasts without being used
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// How long after a refresh token is replaced it still gets its replacement,
+// for tabs that refreshed with it at the same time
+const REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 30;
+
+const sessionError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Key for a token's successor, derived from the token itself. It differs
+// from the stored hash, so the database alone cannot open the successor.
+const successorKey = (refreshToken) =>
+  crypto.createHash('sha256').update(`successor:${refreshToken}`).digest();
+
+const sealSuccessor = (refreshToken, successor) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', successorKey(refreshToken), iv);
+  const encrypted = Buffer.concat([cipher.update(successor, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const openSuccessor = (refreshToken, sealed) => {
+  const [iv, tag, encrypted] = sealed.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', successorKey(refreshToken), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const issueRefreshToken = async (user, family, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hash(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  return { record, refreshToken };
+};
+
+// Sign a user in: a new session with a short-lived access token and the
+// refresh token that renews it
+const startSession = async (user, req) => {
+  const family = crypto.randomBytes(16).toString('hex');
+  const { refreshToken } = await issueRefreshToken(user, family, req);
+
+  return {
+    token: user.generateAuthToken(family),
+    refreshToken
+  };
+};
+
+// Sign a user in and build the login response the client expects
+const signIn = async (user, req) => {
+  const { token, refreshToken } = await startSession(user, req);
+  await user.updateLastLogin();
+
+  return {
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: await user.getPermissions(),
+      emailVerified: Boolean(user.emailVerifiedAt)
+    },
+    token,
+    refreshToken
+  };
+};
+
+// Revoke every live token in the given sessions
+const revokeFamilies = (filter, reason) =>
+  RefreshToken.updateMany(
+    { ...filter, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+const expiredError = () => sessionError('Session expired. Please login again.', 401);
+
+// The session's user, if they may still use it; otherwise the session is
+// revoked
+const findSessionUser = async (record) => {
+  const user = await User.findOne({ _id: record.user, isActive: true });
+  if (!user || user.passwordResetRequired) {
+    await revokeFamilies({ family: record.family }, user ? 'password_reset' : 'deactivated');
+    throw expiredError();
+  }
+  return user;
+};
+
+// A refresh with a token that was already replaced. Shortly after the
+// replacement, as when two tabs refresh together, it gets the same successor;
+// later it is being replayed, so its whole session is revoked.
+const reuseSession = async (record, refreshToken) => {
+  const rotated = record.revokedReason === 'rotated';
+  const withinGrace = rotated && record.successorToken &&
+    Date.now() - record.revokedAt.getTime() <= REUSE_GRACE_SECONDS * 1000;
+
+  if (!withinGrace) {
+    if (rotated) {
+      await revokeFamilies({ family: record.family }, 'reuse');
+    }
+    throw expiredError();
+  }
+
+  const successor = await RefreshToken.exists({
+    _id: record.replacedBy,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+  if (!successor) {
+    throw expiredError();
+  }
+
+  const user = await findSessionUser(record);
+  return {
+    token: user.generateAuthToken(record.family),
+    refreshToken: openSuccessor(refreshToken, record.successorToken)
+  };
+};
+
+// Swap a refresh token for a new access and refresh token. The successor is
+// issued before the old token is revoked, so the session always has a live
+// token for requests checking it in between.
+const refreshSession = async (refreshToken, req) => {
+  const presented = String(refreshToken || '');
+  const record = await RefreshToken.findOne({ tokenHash: hash(presented) }).select('+successorToken');
+
+  if (!record || record.expiresAt <= new Date()) {
+    throw expiredError();
+  }
+
+  if (record.revokedAt) {
+    return reuseSession(record, presented);
+  }
+
+  const user = await findSessionUser(record);
+  const next = await issueRefreshToken(user, record.family, req);
+
+  // Claim the token so only one refresh with it issues a successor
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: { $exists: false } },
+    {
+      revokedAt: new Date(),
+      revokedReason: 'rotated',
+      replacedBy: next.record._id,
+      successorToken: sealSuccessor(presented, next.refreshToken)
+    }
+  );
+  if (!claimed) {
+    // Another refresh got there first; use the successor it issued
+    await RefreshToken.deleteOne({ _id: next.record._id });
+    const current = await RefreshToken.findById(record._id).select('+successorToken');
+    if (!current) {
+      throw expiredError();
+    }
+    return reuseSession(current, presented);
+  }
+
+  return {
+    token: user.generateAuthToken(record.family),
+    refreshToken: next.refreshToken
+  };
+};
+
+// Sign out of the session a refresh token belongs to
+const endSession = async (refreshToken) => {
+  const record = await RefreshToken.findOne({ tokenHash: hash(String(refreshToken || '')) });
+  if (record) {
+    await revokeFamilies({ family: record.family }, 'logout');
+  }
+};
+
+// Sign a user out everywhere
+const revokeUserSessions = (userId, reason = 'logout_all') =>
+  revokeFamilies({ user: userId }, reason);
+
+// Sign a user out of every session except the one they are using
+const revokeOtherSessions = (userId, family, reason) =>
+  revokeFamilies({ user: userId, family: { $ne: family } }, reason);
+
+// Whether an access token's session has not been signed out
+const isSessionActive = (family) =>
+  RefreshToken.exists({
+    family,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).then(Boolean);
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  startSession,
+  signIn,
+  refreshSession,
+  endSession,
+  revokeUserSessions,
+  revokeOtherSessions,
+  isSessionActive
+};
@@ -0,0 +1,37 @@
+const { signIn } = require('./sessions');
+const { isRequired: isTwoFactorRequired, issueChallenge } = require('./twoFactor');
+const { recordSuccess } = require('./loginThrottle');
+
+// Finish a sign in whose first factor, a password, an emailed link or a
+// password just set, has been checked: a challenge when a second factor is
+// on or required, otherwise a session. Every route that signs a user in
+// goes through here, so two-factor is enforced wherever a session starts.
+const completeSignIn = async (user, req, res, { status = 200, message = 'Login successful' } = {}) => {
+  // With two-factor on, the first factor only earns a challenge for the code
+  if (user.twoFactor.enabled) {
+    user.twoFactor.failedAttempts = 0;
+    await user.save();
+
+    return res.json({
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      challengeToken: issueChallenge(user, 'verify')
+    });
+  }
+
+  // Roles that require two-factor must set it up before getting a session
+  if (await isTwoFactorRequired(user)) {
+    return res.json({
+      message: 'Your account requires two-factor authentication. Set it up to continue.',
+      twoFactorSetupRequired: true,
+      challengeToken: issueChallenge(user, 'enroll')
+    });
+  }
+
+  await recordSuccess(user, req);
+  res.status(status).json({ message, ...(await signIn(user, req)) });
+};
+
+module.exports = {
+  completeSignIn
+};
@@ -0,0 +1,151 @@
+const Setting = require('../models/Setting');
+const { toOfficeTime } = require('./timezone');
+
+const SETTING_KEY = 'slotTemplate';
+
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Office hours used until an admin saves a slot template
+const DEFAULT_SLOT_TEMPLATE = {
+  workingDays: [1, 2, 3, 4, 5, 6], // 0 = Sunday
+  start: '09:00',
+  end: '18:00',
+  slotDuration: 60, // minutes
+  bufferTime: 0,    // minutes between slots
+  lunchBreak: {
+    start: '13:00',
+    end: '14:00'
+  }
+};
+
+// Convert a clock time ('18:30') to minutes after midnight
+const clockToMinutes = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// The given clock time on a day; set rather than added so daylight saving
+// changes do not shift it
+const atClock = (day, clock) => {
+  const minutes = clockToMinutes(clock);
+  return day.set({ hour: Math.floor(minutes / 60), minute: minutes % 60 });
+};
+
+// Generate the bookable slots for the office day containing date. Clock
+// times in the template are office time.
+const generateDaySlots = (date, template = DEFAULT_SLOT_TEMPLATE) => {
+  const day = toOfficeTime(date).startOf('day');
+
+  if (!day.isValid || !template.workingDays.includes(day.weekday % 7)) {
+    return [];
+  }
+
+  const dayEnd = atClock(day, template.end);
+  const lunch = template.lunchBreak && template.lunchBreak.start && {
+    start: atClock(day, template.lunchBreak.start),
+    end: atClock(day, template.lunchBreak.end)
+  };
+
+  const slots = [];
+  let current = atClock(day, template.start);
+
+  while (current.plus({ minutes: template.slotDuration }) <= dayEnd) {
+    const end = current.plus({ minutes: template.slotDuration });
+
+    // Skip over the lunch break
+    if (lunch && current < lunch.end && end > lunch.start) {
+      current = lunch.end;
+      continue;
+    }
+
+    slots.push({
+      start: current.toJSDate(),
+      end: end.toJSDate()
+    });
+
+    current = end.plus({ minutes: template.bufferTime });
+  }
+
+  return slots;
+};
+
+// Find the slot starting exactly at startTime, if the template offers one
+const findSlot = (startTime, template = DEFAULT_SLOT_TEMPLATE) => {
+  const start = toOfficeTime(startTime);
+  if (!start.isValid) return null;
+
+  return generateDaySlots(start, template)
+    .find(slot => slot.start.getTime() === start.toMillis()) || null;
+};
+
+// Validate a time slot against the template
+const isValidSlot = (startTime, template = DEFAULT_SLOT_TEMPLATE) => {
+  return !!findSlot(startTime, template);
+};
+
+// Check a template before saving, returning a list of problems
+const validateTemplate = (template) => {
+  const errors = [];
+
+  if (!Array.isArray(template.workingDays) ||
+      !template.workingDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    errors.push('Working days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)');
+  }
+
+  if (!CLOCK_PATTERN.test(template.start) || !CLOCK_PATTERN.test(template.end)) {
+    errors.push('Working hours must use HH:mm');
+  } else if (clockToMinutes(template.start) >= clockToMinutes(template.end)) {
+    errors.push('Working hours must end after they start');
+  }
+
+  if (!Number.isInteger(template.slotDuration) || template.slotDuration < 15) {
+    errors.push('Slot duration must be at least 15 minutes');
+  }
+
+  if (!Number.isInteger(template.bufferTime) || template.bufferTime < 0) {
+    errors.push('Buffer time cannot be negative');
+  }
+
+  if (template.lunchBreak && template.lunchBreak.start) {
+    const { start, end } = template.lunchBreak;
+    if (!CLOCK_PATTERN.test(start) || !CLOCK_PATTERN.test(end)) {
+      errors.push('Lunch break must use HH:mm');
+    } else if (clockToMinutes(start) >= clockToMinutes(end)) {
+      errors.push('Lunch break must end after it starts');
+    }
+  }
+
+  return errors;
+};
+
+// Current slot template from settings
+const getSlotTemplate = async () => {
+  const saved = await Setting.getValue(SETTING_KEY, {});
+  return { ...DEFAULT_SLOT_TEMPLATE, ...saved };
+};
+
+// Save a slot template, returning the merged result
+const saveSlotTemplate = async (updates, userId) => {
+  const template = { ...(await getSlotTemplate()), ...updates };
+  const errors = validateTemplate(template);
+
+  if (errors.length) {
+    const error = new Error('Invalid slot template');
+    error.errors = errors;
+    throw error;
+  }
+
+  await Setting.setValue(SETTING_KEY, template, userId);
+  return template;
+};
+
+module.exports = {
+  DEFAULT_SLOT_TEMPLATE,
+  clockToMinutes,
+  generateDaySlots,
+  findSlot,
+  isValidSlot,
+  validateTemplate,
+  getSlotTemplate,
+  saveSlotTemplate
+};
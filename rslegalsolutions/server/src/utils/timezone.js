@@ -0,0 +1,72 @@
+const { DateTime, IANAZone } = require('luxon');
+
+// The firm's IANA time zone. Appointments are stored as UTC instants, and
+// office hours, closed days and calendar days are all read in this zone,
+// whatever zone the server itself runs in.
+const FIRM_TIMEZONE = IANAZone.isValidZone(process.env.FIRM_TIMEZONE)
+  ? process.env.FIRM_TIMEZONE
+  : 'Asia/Kolkata';
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A Date, timestamp or ISO string as a luxon DateTime in office time.
+// Date-only strings ('2024-03-15') are office calendar days.
+const toOfficeTime = (value, zone = FIRM_TIMEZONE) => {
+  if (DateTime.isDateTime(value)) return value.setZone(zone);
+  if (value instanceof Date) return DateTime.fromJSDate(value, { zone });
+  if (typeof value === 'number') return DateTime.fromMillis(value, { zone });
+  return DateTime.fromISO(String(value || '').trim(), { zone });
+};
+
+// Parse a request date: 'YYYY-MM-DD' is midnight office time, anything
+// else is taken as an instant. Empty values are returned as they are.
+const parseOfficeDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return value;
+  }
+  if (typeof value === 'string' && DATE_ONLY_PATTERN.test(value.trim())) {
+    return toOfficeTime(value).toJSDate();
+  }
+  return value instanceof Date ? value : new Date(value);
+};
+
+// Midnight office time on the office day containing value
+const startOfOfficeDay = (value) => toOfficeTime(value).startOf('day').toJSDate();
+
+// Query bounds for the office day containing value
+const officeDayBounds = (value) => {
+  const day = toOfficeTime(value).startOf('day');
+  return {
+    $gte: day.toJSDate(),
+    $lt: day.plus({ days: 1 }).toJSDate()
+  };
+};
+
+// Day of the week in office time, 0 = Sunday
+const officeWeekday = (value) => toOfficeTime(value).weekday % 7;
+
+// Minutes after office midnight
+const officeMinutes = (value) => {
+  const time = toOfficeTime(value);
+  return time.hour * 60 + time.minute;
+};
+
+// Display helpers for emails, labelled with the zone so clients abroad
+// can tell office time from their own
+const formatOfficeDate = (value, zone, format = 'MMMM d, yyyy') =>
+  toOfficeTime(value, zone || FIRM_TIMEZONE).toFormat(format);
+
+const formatOfficeTime = (value, zone) =>
+  toOfficeTime(value, zone || FIRM_TIMEZONE).toFormat('h:mm a ZZZZ');
+
+module.exports = {
+  FIRM_TIMEZONE,
+  toOfficeTime,
+  parseOfficeDate,
+  startOfOfficeDay,
+  officeDayBounds,
+  officeWeekday,
+  officeMinutes,
+  formatOfficeDate,
+  formatOfficeTime
+};
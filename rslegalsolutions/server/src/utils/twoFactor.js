@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+// Accept the code from the previous and next 30 second step as well, to
+// allow for clock drift on the user's phone
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'RS Legal Solutions';
+
+// Wrong codes allowed per sign in before the password must be entered again
+const MAX_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Sign-in challenges are short lived and only good for the second step
+const CHALLENGE_SECRET = process.env.JWT_2FA_SECRET || '2fa-secret-key';
+const CHALLENGE_MINUTES = 5;
+
+// TOTP secrets are stored encrypted with this key
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_KEY || 'two-factor-secret-key')
+  .digest();
+
+const twoFactorError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decrypt = (value) => {
+  const [iv, tag, encrypted] = value.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Whether the user's role makes two-factor sign in compulsory
+const isRequired = async (user) => {
+  const role = await Role.findOne({ name: user.role }).select('requireTwoFactor').lean();
+  return Boolean(role && role.requireTwoFactor);
+};
+
+// Short-lived token standing in for a password that was already checked:
+// 'verify' to enter a code, 'enroll' to set up a compulsory second factor
+const issueChallenge = (user, purpose) =>
+  jwt.sign({ id: user._id, purpose }, CHALLENGE_SECRET, { expiresIn: `${CHALLENGE_MINUTES}m` });
+
+const verifyChallenge = (token, purpose) => {
+  try {
+    const payload = jwt.verify(String(token || ''), CHALLENGE_SECRET);
+    if (payload.purpose === purpose) {
+      return payload.id;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw twoFactorError('Your sign in has expired. Please login again.', 401);
+};
+
+// Start enrolment: a new secret the user adds to their authenticator app.
+// It only replaces the current one once a code from it is confirmed.
+const beginEnrolment = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+
+  user.twoFactor.pendingSecret = encrypt(secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  user.twoFactor.recoveryCodes = codes.map(code => ({ codeHash: hash(code.replace('-', '')) }));
+  return codes;
+};
+
+// The 30 second time step a code from the secret belongs to, or null if
+// it is not a current code
+const codeStep = (secret, code) => {
+  const token = String(code || '').replace(/\s/g, '');
+  const delta = authenticator.checkDelta(token, secret);
+  return delta === null ? null : Math.floor(Date.now() / 30000) + delta;
+};
+
+// Check a code against a secret. Each 30 second step works once, so a code
+// seen over someone's shoulder cannot be replayed.
+const checkCode = (user, secret, code) => {
+  const step = codeStep(secret, code);
+  if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Finish enrolment with a code from the new secret. Returns the recovery
+// codes, which are only ever shown this once.
+const completeEnrolment = async (user, code) => {
+  if (!user.twoFactor.pendingSecret) {
+    throw twoFactorError('Start two-factor setup first', 400);
+  }
+
+  const secret = decrypt(user.twoFactor.pendingSecret);
+  if (!checkCode(user, secret, code)) {
+    throw twoFactorError('Invalid verification code', 400);
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.failedAttempts = 0;
+  const recoveryCodes = generateRecoveryCodes(user);
+  await user.save();
+
+  return recoveryCodes;
+};
+
+// Check the second factor: an authenticator code, or an unused recovery
+// code, which is then spent. Throws after too many wrong attempts. The
+// attempt is counted, and a code spent, in updates that check the limit and
+// the code themselves, so parallel requests cannot reuse a code or make
+// extra guesses.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor.enabled) {
+    throw twoFactorError('Two-factor authentication is not enabled', 400);
+  }
+
+  const counted = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.failedAttempts': { $lt: MAX_ATTEMPTS } },
+    { $inc: { 'twoFactor.failedAttempts': 1 } }
+  );
+  if (!counted) {
+    throw twoFactorError('Too many invalid codes. Please login again.', 429);
+  }
+
+  let spent = null;
+  if (recoveryCode) {
+    const codeHash = hash(String(recoveryCode).toLowerCase().replace(/[\s-]/g, ''));
+    spent = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+  } else {
+    const step = codeStep(decrypt(user.twoFactor.secret), code);
+    spent = step !== null && await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+  }
+
+  if (!spent) {
+    throw twoFactorError(recoveryCode ? 'Invalid recovery code' : 'Invalid verification code', 400);
+  }
+
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.failedAttempts': 0 } });
+  user.twoFactor.failedAttempts = 0;
+};
+
+// A fresh set of recovery codes, replacing any left over
+const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = generateRecoveryCodes(user);
+  await user.save();
+  return recoveryCodes;
+};
+
+// Remove a user's second factor entirely
+const clearTwoFactor = (userId) =>
+  User.updateOne({ _id: userId }, { $set: { twoFactor: { enabled: false, failedAttempts: 0 } } });
+
+module.exports = {
+  isRequired,
+  issueChallenge,
+  verifyChallenge,
+  beginEnrolment,
+  completeEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  clearTwoFactor
+};
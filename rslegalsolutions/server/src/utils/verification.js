@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const Appointment = require('../models/Appointment');
+const { releaseSlot } = require('./reservations');
+const { notifyWaitlist } = require('./waitlist');
+const { cancelMeeting } = require('./meetings');
+const { releaseConsultationFee } = require('./payments');
+const { linkAppointment } = require('./clientPortal');
+const emails = require('./emails');
+
+// How long a new booking holds its slot while waiting for the email check
+const BOOKING_VERIFY_MINUTES = parseInt(process.env.BOOKING_VERIFY_MINUTES) || 30;
+
+// Wrong codes allowed before the client has to use the emailed link
+const MAX_OTP_ATTEMPTS = parseInt(process.env.BOOKING_OTP_ATTEMPTS) || 5;
+
+// Verification emails a client may ask for per booking
+const MAX_VERIFICATION_SENDS = 3;
+
+const OTP_LENGTH = 6;
+
+const verificationError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// One-time codes are short, so their hash is tied to the booking
+const hashOtp = (appointmentId, otp) => hash(`${appointmentId}:${otp}`);
+
+const matches = (expected, actual) =>
+  !!expected && expected.length === actual.length &&
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+
+// Give an unverified booking a fresh link token and one-time code. Only
+// their hashes are stored; the plain values are returned for the email.
+const issueVerification = (appointment) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const otp = String(crypto.randomInt(10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+
+  // The hold never outlasts the appointment itself
+  const deadline = new Date(Date.now() + BOOKING_VERIFY_MINUTES * 60 * 1000);
+  const expiresAt = appointment.verification && appointment.verification.expiresAt
+    ? appointment.verification.expiresAt
+    : deadline < appointment.startTime ? deadline : appointment.startTime;
+
+  appointment.verification = {
+    tokenHash: hash(token),
+    otpHash: hashOtp(appointment._id, otp),
+    expiresAt,
+    attempts: 0,
+    sends: ((appointment.verification && appointment.verification.sends) || 0) + 1
+  };
+
+  return { token, otp };
+};
+
+// Mark a booking verified, unless it expired in the meantime, and send the
+// booking emails that were held back until now
+const completeVerification = async (filters) => {
+  const appointment = await Appointment.findOneAndUpdate(
+    { ...filters, status: 'unverified', 'verification.expiresAt': { $gt: new Date() } },
+    {
+      $set: { status: 'pending', 'verification.verifiedAt': new Date() },
+      $unset: { 'verification.tokenHash': 1, 'verification.otpHash': 1 }
+    },
+    { new: true }
+  );
+
+  if (!appointment) {
+    throw verificationError('This booking has expired or was already verified. Please book again.', 410);
+  }
+
+  // Only now that the email is proven does the booking reach the portal
+  await linkAppointment(appointment);
+  await appointment.populate([
+    { path: 'serviceType', select: 'title category' },
+    { path: 'lawyer', select: 'name avatar' }
+  ]);
+  emails.appointmentBooked(appointment);
+
+  return appointment;
+};
+
+// Verify a booking from the link in the verification email
+const verifyByToken = (token) =>
+  completeVerification({ 'verification.tokenHash': hash(String(token)) });
+
+// Verify a booking with the one-time code from the verification email. The
+// attempt is counted before the code is compared, in the same update that
+// checks the limit, so parallel guesses cannot get past it.
+const verifyByOtp = async (appointmentId, otp) => {
+  const appointment = await Appointment.findOneAndUpdate(
+    {
+      _id: appointmentId,
+      status: 'unverified',
+      'verification.expiresAt': { $gt: new Date() },
+      'verification.attempts': { $lt: MAX_OTP_ATTEMPTS }
+    },
+    { $inc: { 'verification.attempts': 1 } },
+    { new: true }
+  ).select('+verification.otpHash');
+
+  if (!appointment) {
+    const waiting = await Appointment.exists({
+      _id: appointmentId,
+      status: 'unverified',
+      'verification.expiresAt': { $gt: new Date() }
+    });
+    if (waiting) {
+      throw verificationError('Too many incorrect codes. Please use the link in your verification email.', 429);
+    }
+    throw verificationError('This booking has expired or was already verified. Please book again.', 410);
+  }
+
+  if (!matches(appointment.verification.otpHash, hashOtp(appointment._id, String(otp || '').trim()))) {
+    throw verificationError('The code you entered is incorrect.', 400);
+  }
+
+  return completeVerification({ _id: appointment._id });
+};
+
+// Send a new link and code for a booking still waiting to be verified
+const resendVerification = async (appointmentId) => {
+  const appointment = await Appointment.findOne({
+    _id: appointmentId,
+    status: 'unverified',
+    'verification.expiresAt': { $gt: new Date() }
+  }).populate('serviceType', 'title');
+
+  if (!appointment) {
+    throw verificationError('This booking has expired or was already verified. Please book again.', 410);
+  }
+
+  if (appointment.verification.sends >= MAX_VERIFICATION_SENDS) {
+    throw verificationError('We have already sent several verification emails. Please check your inbox and spam folder.', 429);
+  }
+
+  const credentials = issueVerification(appointment);
+  await appointment.save();
+  emails.appointmentVerification(appointment, credentials);
+
+  return appointment;
+};
+
+// Expire bookings whose client never verified them, freeing the slot and
+// releasing any consultation fee that was put on hold
+const expireUnverifiedBookings = async () => {
+  const now = new Date();
+  const due = await Appointment.find({
+    status: 'unverified',
+    'verification.expiresAt': { $lte: now }
+  }).select('_id');
+
+  let expired = 0;
+  for (const { _id } of due) {
+    // Skip bookings verified since the query ran
+    const appointment = await Appointment.findOneAndUpdate(
+      { _id, status: 'unverified' },
+      { $set: { status: 'expired' } },
+      { new: true }
+    );
+    if (!appointment) continue;
+
+    if (await releaseConsultationFee(appointment)) {
+      await appointment.save();
+    }
+    await releaseSlot(appointment._id);
+    notifyWaitlist(appointment);
+    cancelMeeting(appointment);
+    expired += 1;
+  }
+
+  return expired;
+};
+
+module.exports = {
+  BOOKING_VERIFY_MINUTES,
+  issueVerification,
+  verifyByToken,
+  verifyByOtp,
+  resendVerification,
+  expireUnverifiedBookings
+};
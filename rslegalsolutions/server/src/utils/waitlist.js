@@ -0,0 +1,130 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const User = require('../models/User');
+const { isSlotAvailable } = require('./availability');
+const { reserveSlot, releaseHold } = require('./reservations');
+const emails = require('./emails');
+const { startOfOfficeDay } = require('./timezone');
+
+// How long a waitlisted client has to claim a freed slot
+const WAITLIST_CLAIM_HOURS = parseInt(process.env.WAITLIST_CLAIM_HOURS) || 2;
+
+// Offer a freed slot to the longest-waiting client for that day and service
+// whose lawyer preference fits. The slot is held for them until the claim
+// link expires.
+const offerSlot = async ({ startTime, endTime, lawyer, serviceType }) => {
+  const now = new Date();
+  if (startTime <= now) return null;
+
+  const lawyerId = lawyer ? lawyer._id || lawyer : null;
+  const filters = {
+    date: startOfOfficeDay(startTime),
+    serviceType,
+    status: 'waiting',
+    lawyer: { $in: lawyerId ? [null, lawyerId] : [null] }
+  };
+  const claimDeadline = new Date(now.getTime() + WAITLIST_CLAIM_HOURS * 60 * 60 * 1000);
+
+  // Another slot may be offered to the same client meanwhile, so the entry
+  // is claimed only if still waiting, moving on to the next in line if not
+  let entry;
+  while ((entry = await WaitlistEntry.findOne(filters).sort({ createdAt: 1 }))) {
+    const hold = await reserveSlot({ start: startTime, end: endTime }, {
+      lawyer: lawyerId,
+      serviceType,
+      autoAssigned: !!lawyerId && !entry.lawyer,
+      hold: true,
+      holdUntil: claimDeadline < startTime ? claimDeadline : startTime
+    });
+
+    let offered;
+    try {
+      offered = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        {
+          $set: {
+            status: 'offered',
+            offer: {
+              token: hold.holdToken,
+              startTime,
+              endTime,
+              lawyer: lawyerId || undefined,
+              expiresAt: hold.expiresAt
+            }
+          },
+          $inc: { offersSent: 1 }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      await releaseHold(hold.holdToken);
+      throw error;
+    }
+
+    if (offered) {
+      await offered.populate('serviceType', 'title');
+      emails.waitlistOffer(offered);
+      return offered;
+    }
+    await releaseHold(hold.holdToken);
+  }
+
+  return null;
+};
+
+// Pass a slot freed by a cancelled or moved appointment to the waitlist.
+// Takes the appointment (or its previous times) and never rejects, so it
+// cannot fail the request that freed the slot.
+const notifyWaitlist = async ({ startTime, endTime, lawyer, serviceType }) => {
+  try {
+    return await offerSlot({
+      startTime,
+      endTime,
+      lawyer,
+      serviceType: serviceType._id || serviceType
+    });
+  } catch (error) {
+    console.error('Failed to offer freed slot to waitlist:', error.message);
+    return null;
+  }
+};
+
+// Expire unclaimed offers, passing each slot on to the next client in line,
+// and close out waiting entries for days that have passed
+const processExpiredOffers = async () => {
+  const expired = await WaitlistEntry.find({
+    status: 'offered',
+    'offer.expiresAt': { $lte: new Date() }
+  });
+
+  for (const entry of expired) {
+    entry.status = 'expired';
+    await entry.save();
+    await releaseHold(entry.offer.token);
+
+    const slot = { start: entry.offer.startTime, end: entry.offer.endTime };
+    const lawyer = entry.offer.lawyer ? await User.findById(entry.offer.lawyer) : null;
+
+    if (await isSlotAvailable(slot, lawyer)) {
+      await offerSlot({
+        startTime: slot.start,
+        endTime: slot.end,
+        lawyer,
+        serviceType: entry.serviceType
+      }).catch(error => console.error('Failed to offer slot to waitlist:', error.message));
+    }
+  }
+
+  await WaitlistEntry.updateMany(
+    { status: 'waiting', date: { $lt: startOfOfficeDay(new Date()) } },
+    { status: 'expired' }
+  );
+
+  return expired.length;
+};
+
+module.exports = {
+  WAITLIST_CLAIM_HOURS,
+  offerSlot,
+  notifyWaitlist,
+  processExpiredOffers
+};
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Bookings load the payment service, which needs a gateway configured
+process.env.PAYMENT_GATEWAY = 'fake';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+const Appointment = require('../src/models/Appointment');
+const appointmentRoutes = require('../src/routes/appointments');
+
+const response = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// The status handler, after the auth and permission middleware
+const updateStatus = appointmentRoutes.stack
+  .find(layer => layer.route && layer.route.path === '/:id/status' && layer.route.methods.patch)
+  .route.stack.at(-1).handle;
+
+describe('staff status updates', () => {
+  for (const status of ['unverified', 'expired', 'archived', undefined]) {
+    it(`rejects ${status === undefined ? 'a missing status' : `'${status}'`} before loading the appointment`, async (t) => {
+      const findById = t.mock.method(Appointment, 'findById', async () => {
+        throw new Error('should not be loaded');
+      });
+      const res = response();
+
+      await updateStatus({ params: { id: new mongoose.Types.ObjectId() }, body: { status } }, res);
+
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.message, /Status must be one of/);
+      assert.equal(findById.mock.callCount(), 0);
+    });
+  }
+
+  it('lets a staff status through to the appointment lookup', async (t) => {
+    t.mock.method(Appointment, 'findById', async () => null);
+    const res = response();
+
+    await updateStatus({ params: { id: new mongoose.Types.ObjectId() }, body: { status: 'cancelled' } }, res);
+
+    assert.equal(res.statusCode, 404);
+  });
+});
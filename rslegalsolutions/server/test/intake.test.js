@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { requireIntakeAnswers, answersByKey } = require('../src/utils/intake');
+
+const form = [
+  { key: 'matter', label: 'Type of matter', type: 'select', options: ['Divorce', 'Custody'], required: true },
+  { key: 'children', label: 'Number of children', type: 'number', min: 0 }
+];
+
+describe('requireIntakeAnswers', () => {
+  it('returns the answers to store when they are complete', () => {
+    const intake = requireIntakeAnswers(form, { matter: 'Custody', children: '2' });
+
+    assert.deepEqual(intake, [
+      { key: 'matter', label: 'Type of matter', answer: 'Custody' },
+      { key: 'children', label: 'Number of children', answer: 2 }
+    ]);
+  });
+
+  it('throws a 400 listing every problem', () => {
+    assert.throws(() => requireIntakeAnswers(form, { children: '-1' }), {
+      status: 400,
+      message: 'Please complete the intake questionnaire',
+      errors: ['Type of matter is required', 'Number of children must be at least 0']
+    });
+  });
+
+  it('checks stored answers again against a changed questionnaire', () => {
+    const stored = requireIntakeAnswers(form, { matter: 'Divorce' });
+    const changed = [...form, { key: 'court', label: 'Court', type: 'text', required: true }];
+
+    assert.deepEqual(answersByKey(stored), { matter: 'Divorce' });
+    assert.throws(() => requireIntakeAnswers(changed, answersByKey(stored)), {
+      errors: ['Court is required']
+    });
+  });
+});
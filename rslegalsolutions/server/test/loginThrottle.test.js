@@ -0,0 +1,147 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const User = require('../src/models/User');
+const emails = require('../src/utils/emails');
+const {
+  recordLogin,
+  ipRetryAfter,
+  lockRetryAfter,
+  registerFailure,
+  recordSuccess
+} = require('../src/utils/loginThrottle');
+
+const req = { ip: '203.0.113.5', headers: { 'user-agent': 'test' } };
+
+// Awaitable stand-in for a mongoose query that ignores chained options
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['sort', 'limit', 'select', 'lean'].forEach(method => { chain[method] = () => chain; });
+  return chain;
+};
+
+describe('login throttling', () => {
+  let stored;
+  let accountLocked;
+
+  // One user's loginLock, updated the way MongoDB would apply $inc and $set
+  beforeEach((t) => {
+    stored = { _id: new mongoose.Types.ObjectId(), email: 'asha@example.com', loginLock: { failedAttempts: 0, lockCount: 0 } };
+    const apply = (update) => {
+      Object.entries(update.$inc || {}).forEach(([path, amount]) => {
+        stored.loginLock[path.split('.')[1]] += amount;
+      });
+      Object.entries(update.$set || {}).forEach(([path, value]) => {
+        if (path === 'loginLock') stored.loginLock = { ...value };
+        else stored.loginLock[path.split('.')[1]] = value;
+      });
+    };
+    t.mock.method(User, 'findByIdAndUpdate', async (id, update) => {
+      apply(update);
+      return { ...stored, loginLock: { ...stored.loginLock } };
+    });
+    // Honours the lock condition on loginLock.lockedUntil
+    t.mock.method(User, 'updateOne', async (filter, update) => {
+      const { lockedUntil } = stored.loginLock;
+      if (filter.$or && lockedUntil && lockedUntil > Date.now()) {
+        return { modifiedCount: 0 };
+      }
+      apply(update);
+      return { modifiedCount: 1 };
+    });
+    t.mock.method(User, 'findById', () => query({ ...stored, loginLock: { ...stored.loginLock } }));
+    t.mock.method(LoginAttempt, 'create', async (doc) => doc);
+    accountLocked = t.mock.method(emails, 'accountLocked', () => {});
+  });
+
+  const fail = async (times) => {
+    let lockedFor = 0;
+    for (let attempt = 0; attempt < times; attempt++) {
+      lockedFor = await registerFailure(stored, req);
+    }
+    return lockedFor;
+  };
+
+  it('locks the account on the fifth failure in a row and emails the owner', async () => {
+    assert.equal(await fail(4), 0);
+    assert.equal(lockRetryAfter(stored), 0);
+
+    assert.equal(await fail(1), 15 * 60);
+    assert.equal(stored.loginLock.failedAttempts, 0);
+    assert.ok(Math.abs(lockRetryAfter(stored) - 15 * 60) <= 1);
+    assert.equal(accountLocked.mock.callCount(), 1);
+    assert.equal(accountLocked.mock.calls[0].arguments[2], req.ip);
+  });
+
+  it('doubles each further lock up to the maximum', async () => {
+    const locks = [];
+    for (let lock = 0; lock < 9; lock++) {
+      locks.push(await fail(5) / 60);
+      stored.loginLock.lockedUntil = new Date(Date.now() - 1000);
+    }
+
+    assert.deepEqual(locks, [15, 30, 60, 120, 240, 480, 960, 1440, 1440]);
+  });
+
+  it('locks once and sends one email when failures past the limit arrive together', async () => {
+    await fail(4);
+
+    const lockedFor = await Promise.all(Array.from({ length: 5 }, () => registerFailure(stored, req)));
+
+    assert.ok(lockedFor.every(seconds => Math.abs(seconds - 15 * 60) <= 1));
+    assert.equal(stored.loginLock.lockCount, 1);
+    assert.equal(accountLocked.mock.callCount(), 1);
+  });
+
+  it('forgets failures and locks after a successful sign in', async () => {
+    await fail(5);
+
+    await recordSuccess(stored, req);
+
+    assert.deepEqual(stored.loginLock, { failedAttempts: 0, lockCount: 0 });
+    assert.equal(lockRetryAfter(stored), 0);
+    assert.equal(await fail(4), 0);
+  });
+
+  it('treats a lapsed lock as unlocked', () => {
+    assert.equal(lockRetryAfter({ loginLock: { lockedUntil: new Date(Date.now() - 1000) } }), 0);
+    assert.equal(lockRetryAfter({}), 0);
+  });
+
+  it('turns an address away until its oldest counted failure leaves the window', async (t) => {
+    const failures = Array.from({ length: 20 }, (_, index) => ({
+      createdAt: new Date(Date.now() - (index + 5) * 30 * 1000)
+    }));
+    const find = t.mock.method(LoginAttempt, 'find', () => query(failures));
+
+    // The oldest failure was 12 minutes ago, so the 15 minute window frees it in 3
+    const retryAfter = await ipRetryAfter(req);
+    assert.ok(Math.abs(retryAfter - 3 * 60) <= 1);
+    assert.equal(find.mock.calls[0].arguments[0].ipAddress, req.ip);
+
+    find.mock.mockImplementation(() => query(failures.slice(1)));
+    assert.equal(await ipRetryAfter(req), 0);
+  });
+
+  it('keeps the history without ever failing a sign in', async (t) => {
+    const user = { _id: stored._id, email: stored.email };
+
+    await recordLogin(req, { user, email: 'ASHA@example.com', outcome: 'success' });
+    assert.deepEqual(LoginAttempt.create.mock.calls[0].arguments[0], {
+      user: user._id,
+      email: 'asha@example.com',
+      outcome: 'success',
+      ipAddress: req.ip,
+      userAgent: 'test'
+    });
+
+    t.mock.method(console, 'error', () => {});
+    LoginAttempt.create.mock.mockImplementation(async () => {
+      throw new Error('write failed');
+    });
+    await recordLogin(req, { email: 'nobody@example.com', outcome: 'unknown_user' });
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const Role = require('../src/models/Role');
+const User = require('../src/models/User');
+const emails = require('../src/utils/emails');
+const { magicLinkRateLimit } = require('../src/middleware/auth');
+const { isAllowed, isEmailThrottled } = require('../src/utils/magicLinks');
+const authRoutes = require('../src/routes/auth');
+
+const request = (email, ip = '203.0.113.5') => ({ ip, body: { email }, headers: { 'user-agent': 'test' } });
+
+const response = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// Run a request through the rate limit, resolving to whether it got past
+const throughRateLimit = async (req, res = response()) => {
+  let passed = false;
+  await magicLinkRateLimit(req, res, () => { passed = true; });
+  return passed;
+};
+
+describe('magic link requests', () => {
+  let attempts;
+
+  // Sign-in history kept in memory
+  beforeEach((t) => {
+    attempts = [];
+    const matching = (filter) => attempts.filter(attempt =>
+      (!filter.ipAddress || attempt.ipAddress === filter.ipAddress) &&
+      (!filter.email || attempt.email === filter.email) &&
+      attempt.outcome === filter.outcome &&
+      attempt.createdAt >= filter.createdAt.$gte);
+
+    t.mock.method(LoginAttempt, 'create', async (doc) => {
+      const attempt = {
+        _id: new mongoose.Types.ObjectId(),
+        ...doc,
+        email: doc.email && doc.email.toLowerCase().trim(),
+        createdAt: new Date()
+      };
+      attempts.push(attempt);
+      return attempt;
+    });
+    t.mock.method(LoginAttempt, 'find', (filter) => {
+      let results = matching(filter).sort((a, b) => b.createdAt - a.createdAt);
+      const chain = {
+        sort: () => chain,
+        limit: (count) => { results = results.slice(0, count); return chain; },
+        select: () => chain,
+        lean: () => chain,
+        then: (resolve, reject) => Promise.resolve(results).then(resolve, reject)
+      };
+      return chain;
+    });
+    t.mock.method(LoginAttempt, 'countDocuments', async (filter) => matching(filter).length);
+    t.mock.method(LoginAttempt, 'deleteOne', async ({ _id }) => {
+      attempts = attempts.filter(attempt => !attempt._id.equals(_id));
+    });
+    t.mock.method(LoginAttempt, 'updateOne', async ({ _id }, update) => {
+      Object.assign(attempts.find(attempt => attempt._id.equals(_id)), update.$set);
+    });
+  });
+
+  it('turns an address away after ten requests without counting the refusals', async () => {
+    for (let count = 0; count < 10; count++) {
+      assert.equal(await throughRateLimit(request(`client${count}@example.com`)), true);
+    }
+
+    const res = response();
+    assert.equal(await throughRateLimit(request('client@example.com'), res), false);
+    assert.equal(res.statusCode, 429);
+    assert.ok(Number(res.headers['Retry-After']) > 0);
+    assert.equal(attempts.length, 10);
+
+    assert.equal(await throughRateLimit(request('client@example.com', '198.51.100.7')), true);
+  });
+
+  it('never lets more than ten parallel requests from one address through', async () => {
+    const passed = await Promise.all(
+      Array.from({ length: 25 }, (_, count) => throughRateLimit(request(`client${count}@example.com`)))
+    );
+
+    assert.ok(passed.filter(Boolean).length <= 10);
+  });
+
+  it('sends one email at most three links, however the requests arrive', async () => {
+    const email = 'client@example.com';
+    const sequential = [];
+    for (let count = 0; count < 4; count++) {
+      await throughRateLimit(request(email));
+      sequential.push(await isEmailThrottled(email));
+    }
+    assert.deepEqual(sequential, [false, false, false, true]);
+
+    attempts = [];
+    await Promise.all(Array.from({ length: 6 }, () => throughRateLimit(request(email))));
+    const parallel = await Promise.all(Array.from({ length: 6 }, () => isEmailThrottled(email)));
+    assert.ok(parallel.filter(throttled => !throttled).length <= 3);
+  });
+
+  it('records the request before replying and adds the account afterwards', async (t) => {
+    const user = new User({ name: 'Asha', email: 'client@example.com', role: 'client' });
+    t.mock.method(User, 'findOne', async () => user);
+    t.mock.method(user, 'createMagicLinkToken', async () => 'link-token');
+    const magicLink = t.mock.method(emails, 'magicLink', () => {});
+
+    const route = authRoutes.stack.find(layer => layer.route && layer.route.path === '/magic-link').route;
+    const [rateLimit, handler] = route.stack.map(layer => layer.handle);
+    const req = request('Client@Example.com');
+    const res = response();
+    let recordedAtReply;
+    res.json = (body) => {
+      recordedAtReply = attempts.map(attempt => ({ ...attempt }));
+      res.body = body;
+    };
+
+    await rateLimit(req, res, () => {});
+    await handler(req, res);
+
+    assert.equal(recordedAtReply.length, 1);
+    assert.equal(recordedAtReply[0].email, 'client@example.com');
+    assert.equal(recordedAtReply[0].user, undefined);
+    assert.ok(res.body.browserKey);
+    assert.equal(attempts[0].user, user._id);
+    assert.equal(magicLink.mock.calls[0].arguments[1], 'link-token');
+  });
+
+  it('allows clients, and staff only when their role does', async (t) => {
+    const roles = { editor: { allowMagicLink: true }, staff: { allowMagicLink: false } };
+    t.mock.method(Role, 'findOne', ({ name }) => ({
+      select: () => ({ lean: async () => roles[name] || null })
+    }));
+
+    assert.equal(await isAllowed(new User({ role: 'client' })), true);
+    assert.equal(await isAllowed(new User({ role: 'editor' })), true);
+    assert.equal(await isAllowed(new User({ role: 'staff' })), false);
+  });
+});
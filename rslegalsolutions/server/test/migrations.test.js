@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The old server ran in New York; the office is in India. Both are read
+// when the migrations load.
+process.env.LEGACY_TIMEZONE = 'America/New_York';
+process.env.FIRM_TIMEZONE = 'Asia/Kolkata';
+
+const appointmentTimes = require('../src/migrations/001-appointment-start-end-times');
+const officeTimezone = require('../src/migrations/005-office-timezone');
+
+// Just enough of a MongoDB database for the migrations: each collection
+// yields its documents from find() and records the writes made to it
+const fakeDb = (collections) => {
+  const writes = {};
+  const collection = (name) => {
+    writes[name] = writes[name] || [];
+    return {
+      find: () => collections[name] || [],
+      updateOne: async (filter, update) => writes[name].push({ filter, update }),
+      updateMany: async (filter, update) => writes[name].push({ filter, update, many: true }),
+      dropIndex: async () => {}
+    };
+  };
+
+  return { db: { command: async () => ({}), collection }, writes };
+};
+
+// Midnight in New York, as the old server stored calendar days
+const legacyDay = (isoDate) => new Date(`${isoDate}T00:00:00-04:00`);
+
+describe('001 appointment start and end times', () => {
+  it('reads the legacy slot as office time on the legacy calendar day', async () => {
+    const { db, writes } = fakeDb({
+      appointments: [{ _id: 1, appointmentDate: legacyDay('2024-03-15'), preferredTime: '02:00 PM' }]
+    });
+
+    await appointmentTimes.up(db);
+
+    const [{ update }] = writes.appointments;
+    assert.equal(update.$set.startTime.toISOString(), '2024-03-15T08:30:00.000Z');
+    assert.equal(update.$set.endTime.toISOString(), '2024-03-15T09:30:00.000Z');
+    assert.deepEqual(update.$unset, { appointmentDate: '', preferredTime: '' });
+  });
+
+  it('handles the hours around noon and midnight', async () => {
+    const { db, writes } = fakeDb({
+      appointments: [
+        { _id: 1, appointmentDate: legacyDay('2024-03-15'), preferredTime: '12:30 PM' },
+        { _id: 2, appointmentDate: legacyDay('2024-03-15'), preferredTime: '12:00 AM' }
+      ]
+    });
+
+    await appointmentTimes.up(db);
+
+    const starts = writes.appointments.map(({ update }) => update.$set.startTime.toISOString());
+    assert.deepEqual(starts, ['2024-03-15T07:00:00.000Z', '2024-03-14T18:30:00.000Z']);
+  });
+
+  it('converts the reschedule history the same way', async () => {
+    const { db, writes } = fakeDb({
+      appointments: [{
+        _id: 1,
+        appointmentDate: legacyDay('2024-03-20'),
+        preferredTime: '10:00 AM',
+        rescheduleHistory: [{
+          previousDate: legacyDay('2024-03-15'),
+          previousTime: '02:00 PM',
+          newDate: legacyDay('2024-03-20'),
+          newTime: '10:00 AM',
+          reason: 'Client request'
+        }]
+      }]
+    });
+
+    await appointmentTimes.up(db);
+
+    const [entry] = writes.appointments[0].update.$set.rescheduleHistory;
+    assert.equal(entry.previousStartTime.toISOString(), '2024-03-15T08:30:00.000Z');
+    assert.equal(entry.newStartTime.toISOString(), '2024-03-20T04:30:00.000Z');
+    assert.equal(entry.reason, 'Client request');
+  });
+});
+
+describe('005 office time zone', () => {
+  it('records the office zone on appointments without one', async () => {
+    const { db, writes } = fakeDb({});
+
+    await officeTimezone.up(db);
+
+    assert.deepEqual(writes.appointments, [{
+      filter: { timezone: { $exists: false } },
+      update: { $set: { timezone: 'Asia/Kolkata' } },
+      many: true
+    }]);
+  });
+
+  it('moves closures and waitlist days to office midnight on the same calendar day', async () => {
+    const { db, writes } = fakeDb({
+      closures: [{ _id: 1, startDate: legacyDay('2024-03-15'), endDate: legacyDay('2024-03-17') }],
+      waitlistentries: [{ _id: 2, date: legacyDay('2024-03-15') }]
+    });
+
+    await officeTimezone.up(db);
+
+    const closure = writes.closures[0].update.$set;
+    assert.equal(closure.startDate.toISOString(), '2024-03-14T18:30:00.000Z');
+    assert.equal(closure.endDate.toISOString(), '2024-03-16T18:30:00.000Z');
+    assert.equal(writes.waitlistentries[0].update.$set.date.toISOString(), '2024-03-14T18:30:00.000Z');
+  });
+});
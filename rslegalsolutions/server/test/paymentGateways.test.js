@@ -0,0 +1,47 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { StripeGateway, FakeGateway, createPaymentGateway } = require('../scripts/paymentGateways');
+
+const SETTINGS = ['PAYMENT_GATEWAY', 'STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET', 'NODE_ENV'];
+
+describe('payment gateway selection', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+    SETTINGS.forEach(name => delete process.env[name]);
+  });
+
+  afterEach(() => {
+    SETTINGS.forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  });
+
+  it('refuses to start without a webhook secret', () => {
+    process.env.PAYMENT_GATEWAY = 'fake';
+
+    assert.throws(() => createPaymentGateway(), /STRIPE_WEBHOOK_SECRET/);
+  });
+
+  it('uses Stripe unless told otherwise, and needs its key', () => {
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+    assert.throws(() => createPaymentGateway(), /STRIPE_SECRET_KEY/);
+
+    process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+    assert.ok(createPaymentGateway() instanceof StripeGateway);
+  });
+
+  it('only uses the fake gateway when asked for by name, outside production', () => {
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+    process.env.PAYMENT_GATEWAY = 'fake';
+
+    const gateway = createPaymentGateway();
+    assert.ok(gateway instanceof FakeGateway);
+    assert.equal(gateway.webhookSecret, 'whsec_test');
+
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => createPaymentGateway(), /production/);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SlotReservation = require('../src/models/SlotReservation');
+const availability = require('../src/utils/availability');
+
+// reservations.js takes these at load time, so they are replaced first and
+// given a behaviour per test
+const getBookableLawyers = mock.method(availability, 'getBookableLawyers', async () => []);
+const isSlotAvailable = mock.method(availability, 'isSlotAvailable', async () => true);
+const pickLawyer = mock.method(availability, 'pickLawyer', async () => null);
+
+const {
+  reserveSlot,
+  reserveForService,
+  claimHold
+} = require('../src/utils/reservations');
+
+const slot = {
+  start: new Date('2025-03-10T05:00:00Z'),
+  end: new Date('2025-03-10T06:00:00Z')
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+describe('reservations', () => {
+  beforeEach(() => {
+    getBookableLawyers.mock.mockImplementation(async () => []);
+    isSlotAvailable.mock.mockImplementation(async () => true);
+    pickLawyer.mock.mockImplementation(async () => null);
+  });
+
+  it('clears a lapsed hold and reserves the slot', async (t) => {
+    const deleteOne = t.mock.method(SlotReservation, 'deleteOne', async () => ({}));
+    const create = t.mock.method(SlotReservation, 'create', async (doc) => doc);
+
+    const reservation = await reserveSlot(slot);
+
+    assert.equal(deleteOne.mock.callCount(), 1);
+    assert.ok(deleteOne.mock.calls[0].arguments[0].expiresAt.$lte instanceof Date);
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(reservation.lawyer, null);
+    assert.equal(reservation.startTime, slot.start);
+    assert.equal(reservation.holdToken, undefined);
+    assert.equal(reservation.expiresAt, undefined);
+  });
+
+  it('gives holds a token and an expiry', async (t) => {
+    t.mock.method(SlotReservation, 'deleteOne', async () => ({}));
+    t.mock.method(SlotReservation, 'create', async (doc) => doc);
+
+    const reservation = await reserveSlot(slot, { hold: true });
+
+    assert.match(reservation.holdToken, /^[0-9a-f]{48}$/);
+    assert.ok(reservation.expiresAt > new Date());
+  });
+
+  it('turns a duplicate reservation into a 409', async (t) => {
+    t.mock.method(SlotReservation, 'deleteOne', async () => ({}));
+    t.mock.method(SlotReservation, 'create', async () => {
+      throw duplicateKeyError();
+    });
+
+    await assert.rejects(reserveSlot(slot), { status: 409 });
+  });
+
+  it('refuses a requested lawyer who is not free', async (t) => {
+    const create = t.mock.method(SlotReservation, 'create', async (doc) => doc);
+    isSlotAvailable.mock.mockImplementation(async () => false);
+
+    await assert.rejects(
+      reserveForService(new mongoose.Types.ObjectId(), slot, { lawyer: new mongoose.Types.ObjectId() }),
+      { status: 409 }
+    );
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('assigns the next free lawyer when a parallel booking takes the first', async (t) => {
+    const first = new mongoose.Types.ObjectId();
+    const second = new mongoose.Types.ObjectId();
+    t.mock.method(SlotReservation, 'deleteOne', async () => ({}));
+    t.mock.method(SlotReservation, 'create', async (doc) => {
+      if (doc.lawyer.equals(first)) throw duplicateKeyError();
+      return doc;
+    });
+    getBookableLawyers.mock.mockImplementation(async () => [{ _id: first }, { _id: second }]);
+    const picks = [first, second];
+    pickLawyer.mock.mockImplementation(async () => ({ _id: picks.shift() }));
+
+    const reservation = await reserveForService(new mongoose.Types.ObjectId(), slot);
+
+    assert.ok(reservation.lawyer.equals(second));
+    assert.equal(reservation.autoAssigned, true);
+    assert.equal(pickLawyer.mock.callCount(), 2);
+  });
+
+  it('does not claim a hold that has expired', async (t) => {
+    const findOneAndUpdate = t.mock.method(SlotReservation, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(
+      claimHold({ _id: new mongoose.Types.ObjectId(), holdToken: 'token' }, new mongoose.Types.ObjectId()),
+      { status: 409 }
+    );
+    assert.ok(findOneAndUpdate.mock.calls[0].arguments[0].expiresAt.$gt instanceof Date);
+  });
+});
@@ -0,0 +1,200 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const RefreshToken = require('../src/models/RefreshToken');
+const User = require('../src/models/User');
+const {
+  startSession,
+  refreshSession,
+  endSession,
+  revokeUserSessions,
+  revokeOtherSessions
+} = require('../src/utils/sessions');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const req = { ip: '203.0.113.5', headers: { 'user-agent': 'test' } };
+
+// Whether a stored token matches a filter of plain values, $exists, $ne and $gt
+const matches = (record, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = record[field];
+  if (condition instanceof Date || (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId))) {
+    if ('$exists' in condition) return (value !== undefined) === condition.$exists;
+    if ('$ne' in condition) return String(value) !== String(condition.$ne);
+    if ('$gt' in condition) return value > condition.$gt;
+  }
+  return String(value) === String(condition);
+});
+
+// Refresh tokens kept in memory, with each write applied atomically as
+// MongoDB would
+const useTokenStore = (t) => {
+  const tokens = [];
+  t.mock.method(RefreshToken, 'create', async (doc) => {
+    const record = { _id: new mongoose.Types.ObjectId(), ...doc };
+    tokens.push(record);
+    return record;
+  });
+  // Reads return a copy, as a query would, with .select() chaining
+  const read = (record) => {
+    const result = Promise.resolve(record ? { ...record } : null);
+    result.select = () => result;
+    return result;
+  };
+  t.mock.method(RefreshToken, 'findOne', (filter) =>
+    read(tokens.find(record => matches(record, filter))));
+  t.mock.method(RefreshToken, 'findById', (id) =>
+    read(tokens.find(record => record._id.equals(id))));
+  t.mock.method(RefreshToken, 'exists', async (filter) =>
+    tokens.some(record => matches(record, filter)) || null);
+  t.mock.method(RefreshToken, 'deleteOne', async ({ _id }) => {
+    tokens.splice(tokens.findIndex(record => record._id.equals(_id)), 1);
+  });
+  t.mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    const record = tokens.find(candidate => matches(candidate, filter));
+    if (!record) return null;
+    const before = { ...record };
+    Object.assign(record, update);
+    return before;
+  });
+  t.mock.method(RefreshToken, 'updateOne', async (filter, update) => {
+    const record = tokens.find(candidate => matches(candidate, filter));
+    if (record) Object.assign(record, update);
+  });
+  t.mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+    tokens.filter(record => matches(record, filter)).forEach(record => Object.assign(record, update));
+  });
+  return tokens;
+};
+
+describe('sessions', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Asha', email: 'asha@example.com', role: 'client' });
+  });
+
+  it('starts a session with an access token for it and stores only a hash of the refresh token', async (t) => {
+    const tokens = useTokenStore(t);
+
+    const { token, refreshToken } = await startSession(user, req);
+
+    assert.equal(tokens.length, 1);
+    assert.equal(tokens[0].tokenHash, sha256(refreshToken));
+    assert.equal(tokens[0].refreshToken, undefined);
+    assert.equal(jwt.decode(token).sid, tokens[0].family);
+    assert.equal(jwt.decode(token).id, String(user._id));
+  });
+
+  it('swaps a refresh token for a new one in the same session', async (t) => {
+    const tokens = useTokenStore(t);
+    t.mock.method(User, 'findOne', async () => user);
+    const session = await startSession(user, req);
+
+    const next = await refreshSession(session.refreshToken, req);
+
+    assert.notEqual(next.refreshToken, session.refreshToken);
+    assert.equal(tokens.length, 2);
+    assert.equal(tokens[0].revokedReason, 'rotated');
+    assert.equal(tokens[1].family, tokens[0].family);
+    assert.ok(tokens[0].replacedBy.equals(tokens[1]._id));
+    assert.equal(tokens[1].revokedAt, undefined);
+  });
+
+  it('issues the successor before revoking the old token', async (t) => {
+    const tokens = useTokenStore(t);
+    t.mock.method(User, 'findOne', async () => user);
+    const session = await startSession(user, req);
+    let liveWhenRevoked;
+    t.mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+      liveWhenRevoked = tokens.filter(record => !record.revokedAt).length;
+      const record = tokens.find(candidate => matches(candidate, filter));
+      Object.assign(record, update);
+      return record;
+    });
+
+    await refreshSession(session.refreshToken, req);
+
+    assert.equal(liveWhenRevoked, 2);
+  });
+
+  it('gives a token replaced moments ago the same successor', async (t) => {
+    const tokens = useTokenStore(t);
+    t.mock.method(User, 'findOne', async () => user);
+    const session = await startSession(user, req);
+
+    const first = await refreshSession(session.refreshToken, req);
+    const second = await refreshSession(session.refreshToken, req);
+
+    assert.equal(second.refreshToken, first.refreshToken);
+    assert.equal(jwt.decode(second.token).sid, tokens[0].family);
+    assert.equal(tokens.length, 2);
+    assert.equal(tokens[1].revokedAt, undefined);
+    assert.ok(!tokens[0].successorToken.includes(first.refreshToken));
+  });
+
+  it('revokes the whole session when a replaced token is replayed later', async (t) => {
+    const tokens = useTokenStore(t);
+    t.mock.method(User, 'findOne', async () => user);
+    const session = await startSession(user, req);
+    await refreshSession(session.refreshToken, req);
+    tokens[0].revokedAt = new Date(Date.now() - 60 * 1000);
+
+    await assert.rejects(refreshSession(session.refreshToken, req), { status: 401 });
+
+    assert.equal(tokens[1].revokedReason, 'reuse');
+  });
+
+  it('keeps two tabs refreshing with the same token signed in on one successor', async (t) => {
+    const tokens = useTokenStore(t);
+    t.mock.method(User, 'findOne', async () => user);
+    const session = await startSession(user, req);
+
+    const [first, second] = await Promise.all([
+      refreshSession(session.refreshToken, req),
+      refreshSession(session.refreshToken, req)
+    ]);
+
+    assert.equal(second.refreshToken, first.refreshToken);
+    assert.equal(tokens.length, 2);
+    assert.equal(tokens.filter(record => !record.revokedAt).length, 1);
+    assert.equal(tokens[1].tokenHash, sha256(first.refreshToken));
+  });
+
+  it('refuses unknown and expired tokens', async (t) => {
+    const tokens = useTokenStore(t);
+    const session = await startSession(user, req);
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    await assert.rejects(refreshSession('not-a-token', req), { status: 401 });
+    await assert.rejects(refreshSession(session.refreshToken, req), { status: 401 });
+  });
+
+  it('ends the session of a user who must reset their password', async (t) => {
+    const tokens = useTokenStore(t);
+    user.passwordResetRequired = true;
+    t.mock.method(User, 'findOne', async () => user);
+    const session = await startSession(user, req);
+
+    await assert.rejects(refreshSession(session.refreshToken, req), { status: 401 });
+
+    assert.equal(tokens[0].revokedReason, 'password_reset');
+  });
+
+  it('logs out of one session, the others or all of them', async (t) => {
+    const tokens = useTokenStore(t);
+    const first = await startSession(user, req);
+    await startSession(user, req);
+    await startSession(user, req);
+
+    await endSession(first.refreshToken);
+    assert.deepEqual(tokens.map(record => record.revokedReason), ['logout', undefined, undefined]);
+
+    await revokeOtherSessions(user._id, tokens[1].family, 'password_change');
+    assert.deepEqual(tokens.map(record => record.revokedReason), ['logout', undefined, 'password_change']);
+
+    await revokeUserSessions(user._id);
+    assert.deepEqual(tokens.map(record => record.revokedReason), ['logout', 'logout_all', 'password_change']);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Role = require('../src/models/Role');
+const User = require('../src/models/User');
+const sessions = require('../src/utils/sessions');
+const loginThrottle = require('../src/utils/loginThrottle');
+
+// signIn.js takes these at load time, so they are replaced first
+const signIn = mock.method(sessions, 'signIn', async () => ({ token: 'access', refreshToken: 'refresh' }));
+const recordSuccess = mock.method(loginThrottle, 'recordSuccess', async () => {});
+
+const { completeSignIn } = require('../src/utils/signIn');
+
+const req = { ip: '203.0.113.5', headers: {} };
+
+const response = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// Roles by name, as isRequired reads them
+const useRoles = (t, roles) => t.mock.method(Role, 'findOne', ({ name }) => ({
+  select: () => ({ lean: async () => roles[name] || null })
+}));
+
+describe('completing a sign in', () => {
+  let user;
+
+  beforeEach((t) => {
+    signIn.mock.resetCalls();
+    recordSuccess.mock.resetCalls();
+    user = new User({ name: 'Asha', email: 'asha@example.com', role: 'staff' });
+    t.mock.method(user, 'save', async () => user);
+  });
+
+  it('starts a session with the given status and message', async (t) => {
+    useRoles(t, { staff: { requireTwoFactor: false } });
+    const res = response();
+
+    await completeSignIn(user, req, res, { status: 201, message: 'Welcome aboard!' });
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.body, { message: 'Welcome aboard!', token: 'access', refreshToken: 'refresh' });
+    assert.equal(recordSuccess.mock.callCount(), 1);
+  });
+
+  it('asks a user whose role requires two-factor to set it up instead', async (t) => {
+    useRoles(t, { staff: { requireTwoFactor: true } });
+    const res = response();
+
+    await completeSignIn(user, req, res, { status: 201 });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.twoFactorSetupRequired, true);
+    assert.ok(res.body.challengeToken);
+    assert.equal(res.body.token, undefined);
+    assert.equal(signIn.mock.callCount(), 0);
+  });
+
+  it('asks for a code when two-factor is on', async (t) => {
+    useRoles(t, {});
+    user.twoFactor.enabled = true;
+    user.twoFactor.failedAttempts = 3;
+    const res = response();
+
+    await completeSignIn(user, req, res);
+
+    assert.equal(res.body.twoFactorRequired, true);
+    assert.equal(user.twoFactor.failedAttempts, 0);
+    assert.equal(signIn.mock.callCount(), 0);
+  });
+});
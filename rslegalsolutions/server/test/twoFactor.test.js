@@ -0,0 +1,147 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticator } = require('otplib');
+const User = require('../src/models/User');
+const {
+  issueChallenge,
+  verifyChallenge,
+  beginEnrolment,
+  completeEnrolment,
+  verifySecondFactor
+} = require('../src/utils/twoFactor');
+
+describe('two-factor sign in', () => {
+  let user;
+
+  beforeEach((t) => {
+    user = new User({ name: 'Asha', email: 'asha@example.com', role: 'staff' });
+    t.mock.method(user, 'save', async () => user);
+
+    // Apply the conditional updates verifySecondFactor makes to the stored
+    // user atomically, as MongoDB would
+    const twoFactor = () => user.twoFactor;
+    t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+      const attempts = filter['twoFactor.failedAttempts'];
+      if (attempts) {
+        if (twoFactor().failedAttempts >= attempts.$lt) return null;
+        twoFactor().failedAttempts += 1;
+        return user;
+      }
+
+      const recovery = filter['twoFactor.recoveryCodes'];
+      if (recovery) {
+        const match = twoFactor().recoveryCodes.find(item =>
+          item.codeHash === recovery.$elemMatch.codeHash && !item.usedAt);
+        if (!match) return null;
+        match.usedAt = update.$set['twoFactor.recoveryCodes.$.usedAt'];
+        return user;
+      }
+
+      const step = update.$set['twoFactor.lastUsedStep'];
+      if (twoFactor().lastUsedStep && twoFactor().lastUsedStep >= step) return null;
+      twoFactor().lastUsedStep = step;
+      return user;
+    });
+    t.mock.method(User, 'updateOne', async (filter, update) => {
+      twoFactor().failedAttempts = update.$set['twoFactor.failedAttempts'];
+    });
+  });
+
+  // Enrol the user, returning their secret and recovery codes
+  const enrol = async () => {
+    const { secret } = await beginEnrolment(user);
+    const recoveryCodes = await completeEnrolment(user, authenticator.generate(secret));
+    // Start the next sign in from a clean slate
+    user.twoFactor.lastUsedStep = undefined;
+    return { secret, recoveryCodes };
+  };
+
+  it('stores the new secret encrypted until a code from it is confirmed', async () => {
+    const { secret, otpauthUrl, qrCode } = await beginEnrolment(user);
+
+    assert.ok(user.twoFactor.pendingSecret);
+    assert.ok(!user.twoFactor.pendingSecret.includes(secret));
+    assert.equal(user.twoFactor.enabled, false);
+    assert.match(otpauthUrl, /^otpauth:\/\/totp\//);
+    assert.match(qrCode, /^data:image\/png;base64,/);
+  });
+
+  it('turns two-factor on with a code from the new secret', async () => {
+    const { secret } = await beginEnrolment(user);
+    await assert.rejects(completeEnrolment(user, 'no-code'), { status: 400 });
+    assert.equal(user.twoFactor.enabled, false);
+
+    const recoveryCodes = await completeEnrolment(user, authenticator.generate(secret));
+
+    assert.equal(user.twoFactor.enabled, true);
+    assert.equal(user.twoFactor.pendingSecret, undefined);
+    assert.equal(recoveryCodes.length, 10);
+    recoveryCodes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    assert.ok(user.twoFactor.recoveryCodes.every(({ codeHash }) => !recoveryCodes.includes(codeHash)));
+  });
+
+  it('accepts a code only once', async () => {
+    const { secret } = await enrol();
+    const code = authenticator.generate(secret);
+
+    await verifySecondFactor(user, { code });
+    await assert.rejects(verifySecondFactor(user, { code }), { status: 400 });
+  });
+
+  it('spends a recovery code when it is used', async () => {
+    const { recoveryCodes } = await enrol();
+
+    await verifySecondFactor(user, { recoveryCode: ` ${recoveryCodes[0].toUpperCase()} ` });
+    await assert.rejects(verifySecondFactor(user, { recoveryCode: recoveryCodes[0] }), { status: 400 });
+    await verifySecondFactor(user, { recoveryCode: recoveryCodes[1].replace('-', '') });
+  });
+
+  it('stops taking codes after too many wrong ones', async () => {
+    const { secret } = await enrol();
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await assert.rejects(verifySecondFactor(user, { code: 'no-code' }), { status: 400 });
+    }
+
+    await assert.rejects(
+      verifySecondFactor(user, { code: authenticator.generate(secret) }),
+      { status: 429 }
+    );
+  });
+
+  it('lets a recovery code through only once when it is used in parallel', async () => {
+    const { recoveryCodes } = await enrol();
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 4 }, () => verifySecondFactor(user, { recoveryCode: recoveryCodes[0] }))
+    );
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+    assert.deepEqual(
+      results.filter(result => result.status === 'rejected').map(result => result.reason.status),
+      [400, 400, 400]
+    );
+    assert.equal(user.twoFactor.recoveryCodes.filter(item => item.usedAt).length, 1);
+  });
+
+  it('lets parallel guesses use no more than the allowed attempts', async () => {
+    await enrol();
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 12 }, () => verifySecondFactor(user, { code: 'no-code' }))
+    );
+    const statuses = results.map(result => result.reason.status);
+
+    assert.equal(statuses.filter(status => status === 400).length, 5);
+    assert.equal(statuses.filter(status => status === 429).length, 7);
+    assert.equal(user.twoFactor.failedAttempts, 5);
+  });
+
+  it('only accepts a challenge for the step it was issued for', () => {
+    const challenge = issueChallenge(user, 'enroll');
+
+    assert.equal(String(verifyChallenge(challenge, 'enroll')), String(user._id));
+    assert.throws(() => verifyChallenge(challenge, 'verify'), { status: 401 });
+    assert.throws(() => verifyChallenge('not-a-token', 'verify'), { status: 401 });
+  });
+});
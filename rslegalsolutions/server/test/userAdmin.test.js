@@ -0,0 +1,102 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AuditLog = require('../src/models/AuditLog');
+const RefreshToken = require('../src/models/RefreshToken');
+const Role = require('../src/models/Role');
+const User = require('../src/models/User');
+const userRoutes = require('../src/routes/users');
+
+const response = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const deactivate = userRoutes.stack
+  .find(layer => layer.route && layer.route.path === '/:id/deactivate')
+  .route.stack.at(-1).handle;
+
+const roles = [
+  { name: 'admin', grantsAll: true, permissions: [] },
+  { name: 'office-manager', permissions: ['manage_users', 'manage_appointments'] },
+  { name: 'staff', permissions: ['view_contacts'] }
+];
+
+// Run a deactivation of target by another admin, counting the other users
+// who can manage users as managers
+const runDeactivate = async (t, target, managers) => {
+  let filter;
+  t.mock.method(User, 'findById', () => ({ select: async () => target }));
+  t.mock.method(User, 'countDocuments', async (query) => {
+    filter = query;
+    return managers;
+  });
+  t.mock.method(target, 'save', async () => target);
+  t.mock.method(RefreshToken, 'updateMany', async () => ({}));
+  t.mock.method(AuditLog, 'create', async () => ({}));
+
+  const res = response();
+  await deactivate({
+    params: { id: target._id },
+    body: {},
+    headers: {},
+    user: { _id: new mongoose.Types.ObjectId() }
+  }, res);
+  return { res, filter };
+};
+
+describe('keeping a user administrator', () => {
+  beforeEach((t) => {
+    t.mock.method(Role, 'find', () => ({ lean: async () => roles }));
+    t.mock.method(Role, 'findOne', (query) => ({
+      lean: async () => roles.find(role => role.name === query.name) || null
+    }));
+  });
+
+  it('refuses to deactivate the last user of a custom role that manages users', async (t) => {
+    const target = new User({ name: 'Mira', email: 'mira@example.com', role: 'office-manager' });
+
+    const { res, filter } = await runDeactivate(t, target, 0);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(target.isActive, true);
+    assert.deepEqual(filter.$or, [
+      { role: { $in: ['admin', 'office-manager'] } },
+      { permissions: 'manage_users' }
+    ]);
+  });
+
+  it('refuses to deactivate the last user granted manage_users individually', async (t) => {
+    const target = new User({
+      name: 'Ravi',
+      email: 'ravi@example.com',
+      role: 'staff',
+      permissions: ['manage_users']
+    });
+
+    const { res } = await runDeactivate(t, target, 0);
+
+    assert.equal(res.statusCode, 409);
+  });
+
+  it('deactivates a user who cannot manage users without looking for others', async (t) => {
+    const target = new User({ name: 'Lena', email: 'lena@example.com', role: 'staff' });
+
+    const { res, filter } = await runDeactivate(t, target, 0);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(target.isActive, false);
+    assert.equal(filter, undefined);
+  });
+
+  it('deactivates an administrator while another user can manage users', async (t) => {
+    const target = new User({ name: 'Omar', email: 'omar@example.com', role: 'admin' });
+
+    const { res } = await runDeactivate(t, target, 1);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(target.isActive, false);
+  });
+});
@@ -0,0 +1,179 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Bookings load the payment service, which needs a gateway configured
+process.env.PAYMENT_GATEWAY = 'fake';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+const Appointment = require('../src/models/Appointment');
+const User = require('../src/models/User');
+const emails = require('../src/utils/emails');
+const {
+  issueVerification,
+  verifyByToken,
+  verifyByOtp,
+  resendVerification
+} = require('../src/utils/verification');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// A stand-in for a mongoose query: awaitable, with .select() and
+// .populate() chaining back to itself
+const query = (result) => ({
+  select: () => query(result),
+  populate: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const unverifiedBooking = (overrides = {}) => {
+  const appointment = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'client@example.com',
+    status: 'unverified',
+    startTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    populate: async () => appointment,
+    save: async () => appointment,
+    ...overrides
+  };
+  return appointment;
+};
+
+// Booking emails and portal linking are stubbed for every test
+const stubSideEffects = (t, { clientId } = {}) => ({
+  booked: t.mock.method(emails, 'appointmentBooked', () => {}),
+  findClient: t.mock.method(User, 'findVerifiedClientId', async () => clientId),
+  link: t.mock.method(Appointment, 'updateOne', async () => ({}))
+});
+
+describe('booking verification', () => {
+  it('stores only hashes of the emailed token and code', () => {
+    const appointment = unverifiedBooking();
+
+    const { token, otp } = issueVerification(appointment);
+
+    assert.match(otp, /^\d{6}$/);
+    assert.equal(appointment.verification.tokenHash, sha256(token));
+    assert.notEqual(appointment.verification.otpHash, sha256(otp));
+    assert.equal(appointment.verification.attempts, 0);
+    assert.equal(appointment.verification.sends, 1);
+  });
+
+  it('never holds the slot past the appointment itself', () => {
+    const startTime = new Date(Date.now() + 5 * 60 * 1000);
+    const appointment = unverifiedBooking({ startTime });
+
+    issueVerification(appointment);
+
+    assert.equal(appointment.verification.expiresAt, startTime);
+  });
+
+  it('verifies by link, links the booking to a verified client and sends the booking email', async (t) => {
+    const clientId = new mongoose.Types.ObjectId();
+    const { booked, findClient, link } = stubSideEffects(t, { clientId });
+    const appointment = unverifiedBooking();
+    const findOneAndUpdate = t.mock.method(Appointment, 'findOneAndUpdate', () => query(appointment));
+
+    const verified = await verifyByToken('link-token');
+
+    const [filters, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filters['verification.tokenHash'], sha256('link-token'));
+    assert.equal(filters.status, 'unverified');
+    assert.equal(update.$set.status, 'pending');
+    assert.equal(findClient.mock.calls[0].arguments[0], 'client@example.com');
+    assert.deepEqual(link.mock.calls[0].arguments[1], { $set: { client: clientId } });
+    assert.equal(verified.client, clientId);
+    assert.equal(booked.mock.callCount(), 1);
+  });
+
+  it('leaves the booking unlinked when no verified client has the email', async (t) => {
+    const { link } = stubSideEffects(t);
+    t.mock.method(Appointment, 'findOneAndUpdate', () => query(unverifiedBooking()));
+
+    const verified = await verifyByToken('link-token');
+
+    assert.equal(link.mock.callCount(), 0);
+    assert.equal(verified.client, undefined);
+  });
+
+  it('refuses an expired or used link', async (t) => {
+    const { booked } = stubSideEffects(t);
+    t.mock.method(Appointment, 'findOneAndUpdate', () => query(null));
+
+    await assert.rejects(verifyByToken('link-token'), { status: 410 });
+    assert.equal(booked.mock.callCount(), 0);
+  });
+
+  it('verifies with the right code', async (t) => {
+    stubSideEffects(t);
+    const appointment = unverifiedBooking();
+    const { otp } = issueVerification(appointment);
+    const findOneAndUpdate = t.mock.method(Appointment, 'findOneAndUpdate', () => query(appointment));
+
+    await verifyByOtp(appointment._id, otp);
+
+    const [filters, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filters['verification.attempts'], { $lt: 5 });
+    assert.deepEqual(update, { $inc: { 'verification.attempts': 1 } });
+    assert.equal(findOneAndUpdate.mock.calls[1].arguments[1].$set.status, 'pending');
+  });
+
+  it('counts a wrong code without verifying the booking', async (t) => {
+    const { booked } = stubSideEffects(t);
+    const appointment = unverifiedBooking();
+    issueVerification(appointment);
+    const findOneAndUpdate = t.mock.method(Appointment, 'findOneAndUpdate', () => query(appointment));
+
+    await assert.rejects(verifyByOtp(appointment._id, '000000x'), { status: 400 });
+    assert.equal(findOneAndUpdate.mock.callCount(), 1);
+    assert.equal(booked.mock.callCount(), 0);
+  });
+
+  it('lets parallel guesses use no more than the allowed attempts', async (t) => {
+    stubSideEffects(t);
+    const appointment = unverifiedBooking();
+    issueVerification(appointment);
+
+    // Apply the conditional increment atomically, as MongoDB would
+    t.mock.method(Appointment, 'findOneAndUpdate', (filters, update) => {
+      if (update.$inc && appointment.verification.attempts >= filters['verification.attempts'].$lt) {
+        return query(null);
+      }
+      appointment.verification.attempts += 1;
+      return query(appointment);
+    });
+    t.mock.method(Appointment, 'exists', async () => ({ _id: appointment._id }));
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 12 }, () => verifyByOtp(appointment._id, '999999x'))
+    );
+    const statuses = results.map(result => result.reason.status);
+
+    assert.equal(statuses.filter(status => status === 400).length, 5);
+    assert.equal(statuses.filter(status => status === 429).length, 7);
+    assert.equal(appointment.verification.attempts, 5);
+  });
+
+  it('tells an expired booking apart from a locked one', async (t) => {
+    stubSideEffects(t);
+    t.mock.method(Appointment, 'findOneAndUpdate', () => query(null));
+    t.mock.method(Appointment, 'exists', async () => null);
+
+    await assert.rejects(verifyByOtp(new mongoose.Types.ObjectId(), '123456'), { status: 410 });
+  });
+
+  it('stops resending after the send limit', async (t) => {
+    const sent = t.mock.method(emails, 'appointmentVerification', () => {});
+    const appointment = unverifiedBooking();
+    t.mock.method(Appointment, 'findOne', () => query(appointment));
+
+    for (let send = 1; send < 3; send++) {
+      issueVerification(appointment);
+    }
+    await resendVerification(appointment._id);
+    await assert.rejects(resendVerification(appointment._id), { status: 429 });
+
+    assert.equal(sent.mock.callCount(), 1);
+    assert.equal(appointment.verification.sends, 3);
+  });
+});
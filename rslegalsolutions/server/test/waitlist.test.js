@@ -0,0 +1,99 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SlotReservation = require('../src/models/SlotReservation');
+const WaitlistEntry = require('../src/models/WaitlistEntry');
+const emails = require('../src/utils/emails');
+const { offerSlot } = require('../src/utils/waitlist');
+
+const startTime = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+const endTime = new Date(startTime.getTime() + 60 * 60 * 1000);
+const serviceType = new mongoose.Types.ObjectId();
+
+describe('waitlist offers', () => {
+  let entries;
+  let holds;
+  let waitlistOffer;
+
+  // Waiting entries and slot holds kept in memory; an entry is claimed only
+  // while it is still waiting
+  beforeEach((t) => {
+    entries = [];
+    holds = [];
+    t.mock.method(WaitlistEntry, 'findOne', () => {
+      const result = Promise.resolve(entries.find(entry => entry.status === 'waiting') || null);
+      result.sort = () => result;
+      return result;
+    });
+    t.mock.method(WaitlistEntry, 'findOneAndUpdate', async (filter, update) => {
+      const entry = entries.find(candidate =>
+        candidate._id.equals(filter._id) && candidate.status === filter.status);
+      if (!entry) return null;
+      Object.assign(entry, update.$set);
+      entry.offersSent += update.$inc.offersSent;
+      return { ...entry, populate: async () => {} };
+    });
+    t.mock.method(SlotReservation, 'create', async (doc) => {
+      holds.push(doc);
+      return doc;
+    });
+    t.mock.method(SlotReservation, 'deleteOne', async (filter) => {
+      if (filter.holdToken) holds = holds.filter(hold => hold.holdToken !== filter.holdToken);
+    });
+    waitlistOffer = t.mock.method(emails, 'waitlistOffer', () => {});
+  });
+
+  const addEntry = (fields = {}) => {
+    const entry = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'waiting',
+      offersSent: 0,
+      ...fields
+    };
+    entries.push(entry);
+    return entry;
+  };
+
+  it('claims the longest-waiting entry and holds the slot for it', async () => {
+    const entry = addEntry();
+
+    const offered = await offerSlot({ startTime, endTime, serviceType });
+
+    assert.equal(entry.status, 'offered');
+    assert.equal(entry.offersSent, 1);
+    assert.equal(holds.length, 1);
+    assert.equal(entry.offer.token, holds[0].holdToken);
+    assert.equal(waitlistOffer.mock.calls[0].arguments[0], offered);
+  });
+
+  it('releases the hold and moves on when the entry was offered another slot meanwhile', async (t) => {
+    const first = addEntry();
+    const second = addEntry();
+    // The first client is offered another slot between being found and claimed
+    t.mock.method(SlotReservation, 'create', async (doc) => {
+      first.status = 'offered';
+      holds.push(doc);
+      return doc;
+    });
+
+    await offerSlot({ startTime, endTime, serviceType });
+
+    assert.equal(first.offer, undefined);
+    assert.equal(second.status, 'offered');
+    assert.equal(holds.length, 1);
+    assert.equal(second.offer.token, holds[0].holdToken);
+    assert.equal(waitlistOffer.mock.callCount(), 1);
+  });
+
+  it('releases the hold when claiming the entry fails', async () => {
+    addEntry();
+    WaitlistEntry.findOneAndUpdate.mock.mockImplementation(async () => {
+      throw new Error('write failed');
+    });
+
+    await assert.rejects(offerSlot({ startTime, endTime, serviceType }), /write failed/);
+
+    assert.equal(holds.length, 0);
+    assert.equal(waitlistOffer.mock.callCount(), 0);
+  });
+});